@@ -2,6 +2,7 @@ const express = require('express');
 const http = require('http');
 const path = require('path');
 const fs = require('fs/promises');
+const crypto = require('crypto');
 const cookie = require('cookie');
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
@@ -28,48 +29,511 @@ const MERCH_IMAGE_DIR = path.join(__dirname, 'public', 'uploads', 'merch');
 const MERCH_IMAGE_URL_PREFIX = '/uploads/merch';
 const BACKUP_DIR = path.join(__dirname, 'data', 'backups');
 const CHECKIN_LOG_LIMIT = 5000;
+const CHECKIN_TIMELINE_MINUTES = 10;
+const MAX_GRID_SIZE = 200;
+const SIGNED_CODE_SEPARATOR = '~';
+const TICKET_SHEET_MAX_COLS = 4;
+const TICKET_SHEET_MAX_ROWS = 10;
+const DEFAULT_SECTION_ID = 'main';
+const DEFAULT_SECTION_NAME = '主区';
+const STAGE_ORIENTATIONS = ['top', 'bottom', 'left', 'right'];
+const SEAT_ORDER_SCHEMES = ['center', 'ltr', 'rtl'];
+const ROW_NAMING_SCHEMES = ['number', 'letter', 'custom'];
+const SEAT_ATTRIBUTES = ['wheelchair', 'companion', 'restricted-view', 'near-exit'];
+const COUNTER_PAYMENT_METHODS = ['cash', 'wechat', 'card'];
+const TICKET_PAYMENT_METHODS = [...COUNTER_PAYMENT_METHODS, 'online'];
+const PAYMENT_METHOD_NAMES = { cash: '现金', wechat: '微信支付', card: '银行卡', online: '在线支付' };
+const RESERVATION_LOCK_PREFIX = 'reservation:';
+const RESERVATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DEFAULT_ONLINE_BOOKING = { enabled: false, holdMinutes: 30, maxSeats: 6 };
+// null means no limit; see checkPurchaseLimits.
+const DEFAULT_PURCHASE_LIMITS = { perTransaction: null, perCustomer: null, perTerminal: null };
+const MAX_PURCHASE_LIMIT = 200;
+const DEFAULT_CHECKIN_POLICY = { reentry: false };
+const WAITLIST_OFFER_MINUTES = 15;
+// Comma-separated ids from RESERVATION_PAYMENT_PROVIDERS offered on the public page, e.g. "local".
+const ENABLED_PAYMENT_PROVIDERS = (process.env.RESERVATION_PAYMENT_PROVIDERS || '')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+const CHECKOUT_MODE_SCOPES = ['merch', 'tickets', 'both'];
 
 app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
 /**
  * @typedef {Object} Seat
+ * @property {string} sectionId
  * @property {number} row
  * @property {number} col
- * @property {'disabled'|'available'|'locked'|'sold'} status
+ * @property {'disabled'|'available'|'locked'|'held'|'sold'} status
  * @property {number|null} price
  * @property {string|null} ticketCode
  * @property {string|null} seatLabel
+ * @property {string|null} zoneId
+ * @property {string|null} holdId hold the seat is kept in; stays set while an allocated seat is locked for sale
+ * @property {string|null} [allocationId] allocation (hold) a sold seat was claimed from
+ * @property {string[]} attributes one of SEAT_ATTRIBUTES each
+ * @property {boolean} [awaitingReissue] sold seat whose ticket was voided and not yet replaced
+ * @property {string|null} [ticketTypeId] ticket type the seat was sold as
+ * @property {number|null} [soldPrice] amount charged after the ticket type was applied
  * @property {string|null} lockedBy
  * @property {number|null} lockExpiresAt
  * @property {number|null} issuedAt
+ * @property {number|null} [checkedOutAt] set while a checked-in holder has stepped out under the re-entry policy
  */
 
 /**
- * @typedef {Object} Project
+ * @typedef {Object} Section
  * @property {string} id
  * @property {string} name
  * @property {number} rows
  * @property {number} cols
+ * @property {'top'|'bottom'|'left'|'right'} stageOrientation
+ */
+
+/**
+ * A named price zone. Seats keep a copy of the zone price so sold tickets retain what was paid.
+ * @typedef {Object} Zone
+ * @property {string} id
+ * @property {string} name
+ * @property {number} price
+ * @property {string} color
+ * @property {string} description
+ */
+
+/**
+ * A concession the same seat can be sold as: either a fixed price or a rate of the seat price.
+ * @typedef {Object} TicketType
+ * @property {string} id
+ * @property {string} name
+ * @property {'fixed'|'discount'} pricing
+ * @property {number|null} price used when pricing is 'fixed'
+ * @property {number|null} discountRate 0-1 multiplier used when pricing is 'discount'
+ * @property {number|null} quota maximum seats sold as this type
+ * @property {string} description
+ */
+
+/**
+ * Seats set aside for a named purpose (guests, tech booth, press) and kept off sale.
+ * A hold with sales accounts or a claim code is a class allocation: those accounts can sell its
+ * seats at the terminal and the claim code books them on the public reservation page.
+ * @typedef {Object} Hold
+ * @property {string} id
+ * @property {string} name
+ * @property {string} owner
+ * @property {string} note
+ * @property {number|null} expiresAt release date; unclaimed seats go back to general sale
+ * @property {string[]} [accounts] usernames allowed to sell the held seats
+ * @property {string|null} [claimCode]
+ * @property {number} [releasedSeats] seats an allocation gave back to general sale
+ * @property {number|null} [releasedAt]
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {Object} VoidedTicket
+ * @property {string} ticketNumber
+ * @property {string|null} ticketCode
+ * @property {string} seatId
+ * @property {string} seatDisplay
+ * @property {string} reason
+ * @property {string} voidedBy
+ * @property {number} voidedAt
+ */
+
+/**
+ * @typedef {Object} Labeling
+ * @property {'center'|'ltr'|'rtl'} seatOrder Center odd/even, or sequential from either side.
+ * @property {'number'|'letter'|'custom'} rowNaming
+ * @property {string[]} rowNames Row names by index when rowNaming is 'custom'.
+ */
+
+/**
+ * An entrance scanners check in at. Empty `sectionIds` / `zoneIds` admit tickets from anywhere.
+ * @typedef {Object} Gate
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} sectionIds
+ * @property {string[]} zoneIds
+ */
+
+/**
+ * @typedef {Object} Project
+ * @property {string} id
+ * @property {string} name
+ * @property {number} rows Rows of the first section, kept for older clients.
+ * @property {number} cols Columns of the first section, kept for older clients.
  * @property {number} createdAt
  * @property {number} updatedAt
+ * @property {Section[]} sections
+ * @property {Labeling} labeling
+ * @property {Zone[]} zones
+ * @property {Hold[]} holds
+ * @property {TicketType[]} ticketTypes
+ * @property {Gate[]} gates entrances; once any exist every scan must name the gate it was made at
+ * @property {{reentry: boolean}} checkinPolicy with re-entry on, exit scans let a checked-in ticket back in once
+ * @property {{enabled: boolean, publicKey: string|null, privateKey: string|null}} [ticketSigning]
+ * @property {VoidedTicket[]} voidedTickets codes that must never be accepted again
+ * @property {Object[]} ticketHistory audit trail of void, reissue and exchange actions
+ * @property {Object[]} exchanges seat exchanges with their price adjustment
  * @property {Record<string, Seat>} seats
+ * @property {string|null} [showId] Show this project is a performance of.
+ * @property {{label: string, startsAt: number|null}|null} [performance]
+ * @property {{enabled: boolean, holdMinutes: number, maxSeats: number}} onlineBooking public reservation page settings
+ * @property {Reservation[]} reservations
+ * @property {WaitlistEntry[]} waitlist
+ * @property {{perTransaction: number|null, perCustomer: number|null, perTerminal: number|null}} purchaseLimits
+ *   seats per sale, per buyer phone or student ID, and locked at once per terminal; admins may override
+ */
+
+/**
+ * Seats held from the public booking page until the buyer pays at the box office.
+ * Held seats are locked with `lockedBy = 'reservation:<code>'`, so the regular lock sweeper frees them.
+ * @typedef {Object} Reservation
+ * @property {string} code six characters shown to the buyer
+ * @property {string[]} seatIds
+ * @property {Customer} customer name and phone are required
+ * @property {number} total seat prices at the time of booking
+ * @property {'pending'|'paid'|'confirmed'|'cancelled'|'expired'} status
+ * @property {{provider: string, reference: string, amount: number, paidAt: number}|null} payment
+ * @property {number|null} expiresAt cleared once paid online
+ * @property {string|null} saleId ticket sale created when staff confirm it
+ * @property {string|null} confirmedBy
+ * @property {string|null} [refundId] refund recorded when staff cancelled it after online payment
+ * @property {string|null} [waitlistId] waitlist entry the seats were offered to
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * A party waiting for seats on a sold-out performance. Offering seats books them as a
+ * reservation, so the box office confirms it like any other and the offer expires with it.
+ * @typedef {Object} WaitlistEntry
+ * @property {string} id
+ * @property {Customer} customer name and phone are required
+ * @property {number} partySize
+ * @property {string|null} zoneId null accepts any price zone
+ * @property {string} note
+ * @property {'waiting'|'offered'|'fulfilled'|'expired'|'cancelled'} status
+ * @property {string|null} reservationCode reservation holding the offered seats
+ * @property {string} createdBy
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * A show groups the performances (projects) that share one seat layout.
+ * @typedef {Object} Show
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {number} updatedAt
  */
 
 /** @type {{
  *  projects: Record<string, Project>,
+ *  shows: Record<string, Show>,
+ *  venueTemplates: Record<string, any>,
  *  accounts: Record<string, {username: string, passwordHash: string, role:'admin'|'sales'}>,
  *  merch?: {
  *    products: Record<string, any>,
  *    checkoutModes: Record<string, any>,
  *    orders: Array<any>
- *  }
+ *  },
+ *  ticketSales: TicketSale[],
+ *  ticketRefunds: TicketRefund[],
+ *  checkouts: Checkout[]
  * }} */
-let state = { projects: {}, accounts: {}, merch: undefined };
+let state = {
+  projects: {},
+  shows: {},
+  venueTemplates: {},
+  accounts: {},
+  merch: undefined,
+  ticketSales: [],
+  ticketRefunds: [],
+  checkouts: [],
+};
+
+/**
+ * Seats one terminal issued in a single transaction, with how the customer paid.
+ * @typedef {Object} TicketSale
+ * @property {string} id
+ * @property {string} projectId
+ * @property {string} projectName
+ * @property {{seatId: string, seatDisplay: string, ticketNumber: string|null, ticketTypeName: string|null, price: number, refundId?: string}[]} seats
+ * @property {number} totalBefore seat prices before the checkout mode
+ * @property {string|null} checkoutModeId
+ * @property {string} checkoutModeName
+ * @property {number} discount
+ * @property {number} totalAmount amount due after the checkout mode
+ * @property {'cash'|'wechat'|'card'|'online'} paymentMethod
+ * @property {number|null} amountReceived
+ * @property {number|null} changeGiven
+ * @property {string} seller
+ * @property {string} terminal socket id of the issuing terminal
+ * @property {string} note
+ * @property {string|null} [checkoutId] combined checkout this sale was paid in
+ * @property {Customer|null} [customer]
+ * @property {string|null} [reservationCode] online reservation this sale confirmed
+ * @property {string|null} [limitOverriddenBy] admin who let this sale exceed the purchase limits
+ * @property {number} [refundedAmount] total of the refunds against this sale
+ * @property {{exchangeId: string, amount: number, reason: string, handledBy: string, createdAt: number}[]} [adjustments]
+ *   seat exchange price differences, already included in totalBefore / totalAmount (negative when money went back)
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * Money returned for one sold seat. The ticket is voided and the seat goes back on sale or into a hold.
+ * Cancelling an online-paid reservation records one refund covering all of its seats.
+ * @typedef {Object} TicketRefund
+ * @property {string} id
+ * @property {string} projectId
+ * @property {string} projectName
+ * @property {string|null} saleId null for seats sold before sales were recorded
+ * @property {string} [reservationCode] set when the refund cancelled a paid reservation
+ * @property {string|null} seatId null for a reservation refund
+ * @property {string} seatDisplay
+ * @property {string|null} ticketNumber the voided ticket
+ * @property {number} amount
+ * @property {'cash'|'wechat'|'card'|'online'} method
+ * @property {string} reason
+ * @property {string} approvedBy
+ * @property {'sale'|'hold'} releasedTo
+ * @property {string|null} holdId
+ * @property {number} createdAt
+ */
+
+/**
+ * Buyer details optionally captured at the sales terminal. Phones are masked in every
+ * payload except the admin customer export and the project backup export.
+ * @typedef {Object} Customer
+ * @property {string} name
+ * @property {string} grade class or grade, e.g. 高二3班
+ * @property {string} phone digits only, with an optional leading +
+ * @property {string} [studentId]
+ */
+
+/**
+ * One receipt covering a ticket sale and a merch order paid together.
+ * The checkout mode discount is split between the two records by their share of the total.
+ * @typedef {Object} Checkout
+ * @property {string} id
+ * @property {string} projectId
+ * @property {string|null} ticketSaleId
+ * @property {string|null} merchOrderId
+ * @property {string|null} checkoutModeId
+ * @property {string} checkoutModeName
+ * @property {number} totalBefore
+ * @property {number} discount
+ * @property {number} totalAmount
+ * @property {'cash'|'wechat'|'card'} paymentMethod
+ * @property {number|null} amountReceived
+ * @property {number|null} changeGiven
+ * @property {string} seller
+ * @property {number} createdAt
+ */
 
 /** @type {Map<string, {role:'admin'|'sales', username: string, createdAt: number}>} */
 const sessions = new Map();
 
-const seatId = (row, col) => `r${row}-c${col}`;
+const seatId = (row, col, sectionId = DEFAULT_SECTION_ID) =>
+  !sectionId || sectionId === DEFAULT_SECTION_ID ? `r${row}-c${col}` : `${sectionId}:r${row}-c${col}`;
+
+const sectionRowKey = (sectionId, row) =>
+  !sectionId || sectionId === DEFAULT_SECTION_ID ? String(row) : `${sectionId}:${row}`;
+
+const createSectionId = () => `sec-${uuidv4().slice(0, 8)}`;
+
+const getProjectSection = (project, sectionId) =>
+  (project?.sections || []).find((section) => section.id === (sectionId || DEFAULT_SECTION_ID)) || null;
+
+const ensureProjectSections = (project) => {
+  if (!Array.isArray(project.sections) || !project.sections.length) {
+    project.sections = [
+      {
+        id: DEFAULT_SECTION_ID,
+        name: DEFAULT_SECTION_NAME,
+        rows: project.rows,
+        cols: project.cols,
+        stageOrientation: 'top',
+      },
+    ];
+  }
+  project.sections.forEach((section) => {
+    if (!STAGE_ORIENTATIONS.includes(section.stageOrientation)) {
+      section.stageOrientation = 'top';
+    }
+  });
+  Object.values(project.seats || {}).forEach((seat) => {
+    if (seat && !seat.sectionId) {
+      seat.sectionId = DEFAULT_SECTION_ID;
+    }
+  });
+  const [primary] = project.sections;
+  project.rows = primary.rows;
+  project.cols = primary.cols;
+};
+
+const normalizeSectionInput = (input = {}, fallbackName = '') => {
+  const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : fallbackName;
+  if (!name) {
+    throw new Error('请输入分区名称');
+  }
+  const { rows, cols } = input;
+  if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows <= 0 || cols <= 0) {
+    throw new Error('行列数必须为正整数');
+  }
+  if (rows > MAX_GRID_SIZE || cols > MAX_GRID_SIZE) {
+    throw new Error('行列数过大，建议控制在 200 以内');
+  }
+  const stageOrientation = STAGE_ORIENTATIONS.includes(input.stageOrientation)
+    ? input.stageOrientation
+    : 'top';
+  return { name, rows, cols, stageOrientation };
+};
+
+const createEmptySeat = (row, col, sectionId = DEFAULT_SECTION_ID) => ({
+  sectionId,
+  row,
+  col,
+  status: 'disabled',
+  price: null,
+  zoneId: null,
+  holdId: null,
+  attributes: [],
+  ticketCode: null,
+  seatLabel: null,
+  lockedBy: null,
+  lockExpiresAt: null,
+  issuedAt: null,
+  checkedInAt: null,
+  checkedInBy: null,
+  checkedInGateId: null,
+  checkedOutAt: null,
+});
+
+const buildSectionSeats = (section) => {
+  const seats = {};
+  for (let row = 0; row < section.rows; row += 1) {
+    for (let col = 0; col < section.cols; col += 1) {
+      seats[seatId(row, col, section.id)] = createEmptySeat(row, col, section.id);
+    }
+  }
+  return seats;
+};
+
+const GRID_OPERATIONS = ['insert-rows', 'delete-rows', 'insert-cols', 'delete-cols'];
+
+// Inserts or deletes whole rows/columns of one section, re-keying the remaining seats in place.
+// Returns old seat id -> new seat id for every seat that moved.
+const resizeSectionGrid = (project, section, { operation, index, count = 1 }) => {
+  if (!GRID_OPERATIONS.includes(operation)) {
+    throw new Error('不支持的调整方式');
+  }
+  const [action, axis] = operation.split('-');
+  const size = axis === 'rows' ? section.rows : section.cols;
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error('调整数量必须为正整数');
+  }
+  const maxIndex = action === 'insert' ? size : size - count;
+  if (!Number.isInteger(index) || index < 0 || index > maxIndex) {
+    throw new Error('调整位置超出范围');
+  }
+  const nextSize = action === 'insert' ? size + count : size - count;
+  if (nextSize <= 0) {
+    throw new Error('至少需要保留一行一列');
+  }
+  if (nextSize > MAX_GRID_SIZE) {
+    throw new Error('行列数过大，建议控制在 200 以内');
+  }
+  const sectionSeats = Object.entries(project.seats).filter(
+    ([, seat]) => (seat.sectionId || DEFAULT_SECTION_ID) === section.id
+  );
+  if (sectionSeats.some(([, seat]) => seat.status === 'locked')) {
+    throw new Error('分区内有座位正在锁定中，请稍后再调整');
+  }
+  const position = (seat) => (axis === 'rows' ? seat.row : seat.col);
+  if (
+    action === 'delete' &&
+    sectionSeats.some(([, seat]) => seat.status === 'sold' && position(seat) >= index && position(seat) < index + count)
+  ) {
+    throw new Error('删除范围内存在已售座位');
+  }
+
+  sectionSeats.forEach(([id]) => {
+    delete project.seats[id];
+  });
+  for (let row = 0; row < section.rows; row += 1) {
+    delete project.seatLabelProgress[sectionRowKey(section.id, row)];
+  }
+  const shift = (value) => {
+    if (action === 'insert') return value >= index ? value + count : value;
+    if (value < index) return value;
+    return value >= index + count ? value - count : null;
+  };
+  if (axis === 'rows') {
+    section.rows = nextSize;
+  } else {
+    section.cols = nextSize;
+  }
+  Object.assign(project.seats, buildSectionSeats(section));
+  const moves = new Map();
+  sectionSeats.forEach(([id, seat]) => {
+    const row = axis === 'rows' ? shift(seat.row) : seat.row;
+    const col = axis === 'cols' ? shift(seat.col) : seat.col;
+    if (row == null || col == null) return;
+    seat.row = row;
+    seat.col = col;
+    const nextId = seatId(row, col, section.id);
+    project.seats[nextId] = seat;
+    if (nextId !== id) moves.set(id, nextId);
+  });
+  ensureProjectSections(project);
+  return moves;
+};
+
+// Points every stored record that names a seat by id at the seat's new id after a resize.
+const remapStoredSeatIds = (project, moves) => {
+  if (!moves.size) return;
+  const remap = (id) => moves.get(id) || id;
+  ensureTicketSales();
+  ensureTicketRefunds();
+  ensureCheckinLogs();
+  state.ticketSales
+    .filter((sale) => sale.projectId === project.id)
+    .forEach((sale) => {
+      sale.seats.forEach((entry) => {
+        if (!moves.has(entry.seatId)) return;
+        entry.seatId = remap(entry.seatId);
+        if (!entry.refundId && project.seats[entry.seatId]) {
+          entry.seatDisplay = describeSeat(project, project.seats[entry.seatId]);
+        }
+      });
+    });
+  [...state.ticketRefunds, ...state.checkInLogs, ...project.ticketHistory, ...project.voidedTickets]
+    .filter((record) => (record.projectId || project.id) === project.id && moves.has(record.seatId))
+    .forEach((record) => {
+      record.seatId = remap(record.seatId);
+    });
+  project.exchanges.forEach((exchange) => {
+    exchange.fromSeatId = remap(exchange.fromSeatId);
+    exchange.toSeatId = remap(exchange.toSeatId);
+  });
+  project.reservations.forEach((reservation) => {
+    reservation.seatIds = reservation.seatIds.map(remap);
+  });
+};
+
+// Puts a project back the way a structuredClone taken before a multi-step edit had it.
+const restoreProjectSnapshot = (project, snapshot) => {
+  Object.keys(project).forEach((key) => {
+    delete project[key];
+  });
+  Object.assign(project, snapshot);
+};
 
 const PRICE_COLORS = [
   '#2B8A3E',
@@ -91,6 +555,47 @@ const ensureProjectMetadata = (project) => {
   if (!project.seatLabelProgress || typeof project.seatLabelProgress !== 'object') {
     project.seatLabelProgress = {};
   }
+  if (!project.labeling || typeof project.labeling !== 'object') {
+    project.labeling = createDefaultLabeling();
+  }
+  ensureProjectSections(project);
+  ensureProjectZones(project);
+  ensureProjectHolds(project);
+  if (!Array.isArray(project.ticketTypes)) {
+    project.ticketTypes = [];
+  }
+  if (!Array.isArray(project.voidedTickets)) {
+    project.voidedTickets = [];
+  }
+  if (!Array.isArray(project.ticketHistory)) {
+    project.ticketHistory = [];
+  }
+  if (!Array.isArray(project.exchanges)) {
+    project.exchanges = [];
+  }
+  if (!project.onlineBooking || typeof project.onlineBooking !== 'object') {
+    project.onlineBooking = { ...DEFAULT_ONLINE_BOOKING };
+  }
+  if (!Array.isArray(project.reservations)) {
+    project.reservations = [];
+  }
+  if (!Array.isArray(project.waitlist)) {
+    project.waitlist = [];
+  }
+  if (!Array.isArray(project.gates)) {
+    project.gates = [];
+  }
+  if (!project.checkinPolicy || typeof project.checkinPolicy !== 'object') {
+    project.checkinPolicy = { ...DEFAULT_CHECKIN_POLICY };
+  }
+  if (!project.purchaseLimits || typeof project.purchaseLimits !== 'object') {
+    project.purchaseLimits = { ...DEFAULT_PURCHASE_LIMITS };
+  }
+  Object.values(project.seats || {}).forEach((seat) => {
+    if (seat && !Array.isArray(seat.attributes)) {
+      seat.attributes = [];
+    }
+  });
 };
 
 const ensureMerchState = () => {
@@ -142,1994 +647,5773 @@ const appendCheckinLog = (entry) => {
   }
 };
 
-const ensureSeatCheckinState = (seat) => {
-  if (!seat || typeof seat !== 'object') return;
-  if (!Object.prototype.hasOwnProperty.call(seat, 'checkedInAt')) {
-    seat.checkedInAt = null;
+const ensureTicketSales = () => {
+  if (!Array.isArray(state.ticketSales)) {
+    state.ticketSales = [];
   }
-  if (!Object.prototype.hasOwnProperty.call(seat, 'checkedInBy')) {
-    seat.checkedInBy = null;
+};
+
+const ensureTicketRefunds = () => {
+  if (!Array.isArray(state.ticketRefunds)) {
+    state.ticketRefunds = [];
   }
 };
 
-const resetSeatCheckin = (seat) => {
-  if (!seat) return;
-  seat.checkedInAt = null;
-  seat.checkedInBy = null;
+const ensureCheckouts = () => {
+  if (!Array.isArray(state.checkouts)) {
+    state.checkouts = [];
+  }
 };
 
-const findSeatByTicketCode = (project, ticketCode) => {
-  if (!project || !ticketCode) return null;
-  const normalized = String(ticketCode).trim();
-  if (!normalized) return null;
-  return Object.values(project.seats || {}).find(
-    (seat) => seat && typeof seat.ticketNumber === 'string' && seat.ticketNumber.trim() === normalized
-  );
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const normalizeAmountReceived = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? roundCurrency(amount) : undefined;
 };
 
-const buildSeatCheckinPayload = (project, seat) => {
-  if (!project || !seat) return null;
-  return {
-    projectId: project.id,
-    projectName: project.name,
-    seatId: seatId(seat.row, seat.col),
-    row: seat.row,
-    col: seat.col,
-    seatLabel: seat.seatLabel,
-    ticketNumber: seat.ticketNumber,
-    price: seat.price,
-    status: seat.status,
-    issuedAt: seat.issuedAt,
-    checkedInAt: seat.checkedInAt,
-    checkedInBy: seat.checkedInBy,
-  };
+const updateTicketSaleChange = (sale) => {
+  sale.changeGiven =
+    sale.amountReceived === null ? null : roundCurrency(Math.max(0, sale.amountReceived - sale.totalAmount));
+  sale.updatedAt = Date.now();
 };
 
-const computeCheckinStats = (project) => {
-  if (!project) return { totalSold: 0, checkedIn: 0 };
-  let totalSold = 0;
-  let checkedIn = 0;
-  Object.values(project.seats || {}).forEach((seat) => {
-    if (seat && seat.status === 'sold') {
-      totalSold += 1;
-      if (seat.checkedInAt) checkedIn += 1;
+const recalculateTicketSale = (sale, mode) => {
+  sale.totalBefore = roundCurrency(sale.seats.reduce((sum, seat) => sum + (seat.price || 0), 0));
+  const { totalAfter, discount } = applyCheckoutModeToTotal(mode, sale.totalBefore, sale.seats.length);
+  sale.checkoutModeId = mode ? mode.id : null;
+  sale.checkoutModeName = mode ? mode.name : '原价';
+  sale.discount = roundCurrency(discount);
+  sale.totalAmount = roundCurrency(totalAfter);
+  updateTicketSaleChange(sale);
+};
+
+// Checks a seat this terminal is about to issue; `pendingByType` counts seats of the same
+// request already claiming a ticket type quota.
+const prepareSeatIssue = (project, { seatId: requestedId, ticketCode, ticketTypeId }, terminal, pendingByType) => {
+  const seat = project.seats[requestedId];
+  if (!seat) {
+    throw new Error('座位不存在');
+  }
+  if (!ticketCode || !matchesSeatTicketCode(project, seat, ticketCode)) {
+    throw new Error('票码不匹配');
+  }
+  if (seat.lockedBy !== terminal) {
+    throw new Error('当前终端未锁定该座位');
+  }
+  ensureProjectMetadata(project);
+  const ticketType = ticketTypeId ? getProjectTicketType(project, ticketTypeId) : null;
+  if (ticketTypeId && !ticketType) {
+    throw new Error('票种不存在');
+  }
+  if (ticketType) {
+    const pending = pendingByType?.get(ticketType.id) || 0;
+    if (ticketType.quota && countTicketTypeSold(project, ticketType.id) + pending >= ticketType.quota) {
+      throw new Error(`票种「${ticketType.name}」已售罄`);
     }
-  });
-  return { totalSold, checkedIn };
+    pendingByType?.set(ticketType.id, pending + 1);
+  }
+  return { seatId: requestedId, seat, ticketType, soldPrice: resolveTicketTypePrice(ticketType, seat.price) };
 };
 
-const ensureBackupDir = async () => {
-  await fs.mkdir(BACKUP_DIR, { recursive: true });
+const issuePreparedSeat = (project, sale, { seatId: requestedId, seat, ticketType, soldPrice }, customer = null) => {
+  seat.customer = customer;
+  seat.allocationId = seat.holdId || null;
+  seat.holdId = null;
+  seat.ticketTypeId = ticketType?.id || null;
+  seat.soldPrice = soldPrice;
+  seat.status = 'sold';
+  seat.lockedBy = null;
+  seat.lockExpiresAt = null;
+  seat.issuedAt = Date.now();
+  if (!seat.seatLabel) {
+    assignSeatLabels(project, new Set([sectionRowKey(seat.sectionId, seat.row)]));
+  }
+  sale.seats.push({
+    seatId: requestedId,
+    seatDisplay: describeSeat(project, seat),
+    ticketNumber: seat.ticketNumber,
+    ticketTypeId: ticketType?.id || null,
+    ticketTypeName: ticketType?.name || null,
+    price: soldPrice,
+  });
 };
 
-const createStateBackup = async (label = 'backup') => {
-  try {
-    await ensureBackupDir();
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${timestamp}-${label}.json`;
-    const filePath = path.join(BACKUP_DIR, filename);
-    await fs.writeFile(filePath, JSON.stringify(state, null, 2), 'utf8');
-    return filePath;
-  } catch (error) {
-    console.error('Failed to create state backup:', error);
-    return null;
+const normalizeCustomerInput = (input) => {
+  if (!input || typeof input !== 'object') return null;
+  const name = typeof input.name === 'string' ? input.name.trim().slice(0, 40) : '';
+  const grade = typeof input.grade === 'string' ? input.grade.trim().slice(0, 40) : '';
+  const phone = typeof input.phone === 'string' ? input.phone.replace(/[\s-]/g, '') : '';
+  if (phone && !/^\+?\d{5,20}$/.test(phone)) {
+    throw new Error('手机号格式无效');
   }
+  const studentId = typeof input.studentId === 'string' ? input.studentId.trim().toUpperCase() : '';
+  if (studentId && !/^[A-Z0-9-]{1,20}$/.test(studentId)) {
+    throw new Error('学号格式无效');
+  }
+  if (!name && !grade && !phone && !studentId) return null;
+  return studentId ? { name, grade, phone, studentId } : { name, grade, phone };
 };
 
-const getExtensionFromMime = (mime) => {
-  if (!mime) return '.jpg';
-  if (mime.includes('png')) return '.png';
-  if (mime.includes('gif')) return '.gif';
-  if (mime.includes('webp')) return '.webp';
-  if (mime.includes('bmp')) return '.bmp';
-  return '.jpg';
+// 13812345678 -> 138****5678; short numbers keep only their last two digits.
+const maskPhone = (phone) => {
+  if (!phone) return '';
+  if (phone.length >= 7) return `${phone.slice(0, 3)}****${phone.slice(-4)}`;
+  return `${'*'.repeat(phone.length - 2)}${phone.slice(-2)}`;
 };
 
-const deleteMerchImageFile = async (imagePath) => {
-  if (!imagePath || typeof imagePath !== 'string') return;
-  if (!imagePath.startsWith(MERCH_IMAGE_URL_PREFIX)) return;
-  const relativePath = imagePath.replace(/^\//, '');
-  const normalizedRelativePath = path.normalize(relativePath);
-  if (normalizedRelativePath.startsWith('..')) return;
-  const absolutePath = path.join(__dirname, 'public', normalizedRelativePath);
-  if (!absolutePath.startsWith(path.join(__dirname, 'public'))) return;
-  await fs.unlink(absolutePath).catch(() => {});
+const maskCustomer = (customer) => (customer ? { ...customer, phone: maskPhone(customer.phone) } : null);
+
+const createTicketSale = (project, { seller, terminal }) => ({
+  id: uuidv4(),
+  projectId: project.id,
+  projectName: project.name,
+  seats: [],
+  seller,
+  terminal,
+  note: '',
+  createdAt: Date.now(),
+});
+
+const RESERVATION_STATUS_NAMES = {
+  pending: '待付款',
+  paid: '已在线支付',
+  confirmed: '已出票',
+  cancelled: '已取消',
+  expired: '已过期',
 };
 
-const saveMerchImageFromDataUrl = async (dataUrl, previousPath = null) => {
-  if (!dataUrl || typeof dataUrl !== 'string') return null;
-  if (!dataUrl.startsWith('data:')) {
-    return dataUrl;
-  }
-  const match = dataUrl.match(/^data:(image\/[a-zA-Z0-9+.+-]+);base64,(.+)$/);
-  if (!match) {
-    throw new Error('图片格式无效，请上传常见的图片文件。');
-  }
-  const mime = match[1].toLowerCase();
-  const base64 = match[2];
-  const buffer = Buffer.from(base64, 'base64');
-  if (buffer.length > MAX_MERCH_IMAGE_BYTES) {
-    throw new Error('图片体积过大，请压缩至 10MB 以内后再试。');
-  }
-  await ensureMerchImageDir();
-  const ext = getExtensionFromMime(mime);
-  const filename = `${uuidv4()}${ext}`;
-  const fullPath = path.join(MERCH_IMAGE_DIR, filename);
-  await fs.writeFile(fullPath, buffer);
-  if (previousPath && previousPath !== `${MERCH_IMAGE_URL_PREFIX}/${filename}`) {
-    await deleteMerchImageFile(previousPath);
-  }
-  return `${MERCH_IMAGE_URL_PREFIX}/${filename}`;
+// Payment stand-ins for the public booking page, enabled through RESERVATION_PAYMENT_PROVIDERS.
+// `charge` resolves with a reference or throws; `local` approves everything so the flow can be
+// rehearsed offline without a real gateway.
+const RESERVATION_PAYMENT_PROVIDERS = {
+  local: {
+    label: '模拟支付（测试用）',
+    charge: async (reservation, amount) => ({ reference: `LOCAL-${reservation.code}-${Math.round(amount * 100)}` }),
+  },
 };
 
-const normalizePriceKey = (price) => (price == null ? null : String(Number(price)));
+const listPaymentProviders = () =>
+  ENABLED_PAYMENT_PROVIDERS.filter((id) => RESERVATION_PAYMENT_PROVIDERS[id]).map((id) => ({
+    id,
+    label: RESERVATION_PAYMENT_PROVIDERS[id].label,
+  }));
 
-const getNextPriceColor = (project) => {
-  ensureProjectMetadata(project);
-  const used = new Set(Object.values(project.priceColorAssignments));
-  for (const color of PRICE_COLORS) {
-    if (!used.has(color)) return color;
+const normalizeOnlineBookingInput = (input, current = DEFAULT_ONLINE_BOOKING) => {
+  const holdMinutes = input.holdMinutes === undefined ? current.holdMinutes : Number(input.holdMinutes);
+  if (!Number.isInteger(holdMinutes) || holdMinutes < 5 || holdMinutes > 24 * 60) {
+    throw new Error('保留时长需为 5 到 1440 分钟');
   }
-  return PRICE_COLORS[used.size % PRICE_COLORS.length];
-};
-
-const ensurePriceColorAssignment = (project, price) => {
-  const key = normalizePriceKey(price);
-  if (key == null) return null;
-  ensureProjectMetadata(project);
-  if (!project.priceColorAssignments[key]) {
-    project.priceColorAssignments[key] = getNextPriceColor(project);
+  const maxSeats = input.maxSeats === undefined ? current.maxSeats : Number(input.maxSeats);
+  if (!Number.isInteger(maxSeats) || maxSeats < 1 || maxSeats > 20) {
+    throw new Error('每单座位上限需为 1 到 20');
   }
-  return project.priceColorAssignments[key];
+  return { enabled: input.enabled === undefined ? current.enabled : Boolean(input.enabled), holdMinutes, maxSeats };
 };
 
-const refreshPriceAssignments = (project) => {
-  ensureProjectMetadata(project);
-  Object.values(project.seats).forEach((seat) => {
-    if (seat && seat.status !== 'disabled' && seat.price != null) {
-      ensurePriceColorAssignment(project, seat.price);
+const normalizePurchaseLimitsInput = (input, current = DEFAULT_PURCHASE_LIMITS) => {
+  const limits = {};
+  Object.keys(DEFAULT_PURCHASE_LIMITS).forEach((key) => {
+    const value = input[key] === undefined ? current[key] : input[key];
+    if (value === null || value === '') {
+      limits[key] = null;
+      return;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_PURCHASE_LIMIT) {
+      throw new Error(`限购数量需为 1 到 ${MAX_PURCHASE_LIMIT} 的整数，留空表示不限`);
     }
+    limits[key] = parsed;
   });
+  return limits;
 };
 
-const getProductImageSource = (product) => {
-  if (!product) return null;
-  if (product.imagePath) return product.imagePath;
-  if (typeof product.imageData === 'string' && product.imageData.startsWith('data:')) {
-    return product.imageData;
-  }
-  if (typeof product.imageData === 'string' && product.imageData.startsWith(MERCH_IMAGE_URL_PREFIX)) {
-    return product.imageData;
-  }
-  return null;
-};
-
-const serializeProduct = (product) => ({
-  id: product.id,
-  name: product.name,
-  price: product.price,
-  stock: product.stock,
-  description: product.description || '',
-  imageData: getProductImageSource(product),
-  enabled: product.enabled !== false,
-  createdAt: product.createdAt,
-  updatedAt: product.updatedAt,
-});
+const isSameBuyer = (customer, other) =>
+  Boolean(
+    other &&
+      ((customer.phone && other.phone === customer.phone) ||
+        (customer.studentId && other.studentId === customer.studentId))
+  );
 
-const serializeCheckoutMode = (mode) => ({
-  id: mode.id,
-  name: mode.name,
-  type: mode.type,
-  value: mode.value,
-  threshold: mode.threshold ?? null,
-  cutAmount: mode.cutAmount ?? null,
-  stackLimit: mode.stackLimit ?? null,
-  description: mode.description || '',
-  enabled: mode.enabled !== false,
-  createdAt: mode.createdAt,
-  updatedAt: mode.updatedAt,
-});
+// Seats already sold to, or held by an open online reservation for, the same phone or student ID.
+const countBuyerSeats = (project, customer, excludeReservation = null) =>
+  Object.values(project.seats).filter((seat) => seat.status === 'sold' && isSameBuyer(customer, seat.customer)).length +
+  project.reservations
+    .filter((entry) => entry !== excludeReservation && isReservationActive(entry) && isSameBuyer(customer, entry.customer))
+    .reduce((sum, entry) => sum + entry.seatIds.length, 0);
 
-const normalizeCheckoutModePayload = (payload = {}, existing = null) => {
-  const base = existing
-    ? {
-        name: existing.name,
-        type: existing.type,
-        value: existing.value,
-        threshold: existing.threshold ?? null,
-        cutAmount: existing.cutAmount ?? null,
-        stackLimit: existing.stackLimit ?? null,
-        description: existing.description || '',
-        enabled: existing.enabled !== false,
-      }
-    : {
-        name: '',
-        type: 'standard',
-        value: 1,
-        threshold: null,
-        cutAmount: null,
-        stackLimit: null,
-        description: '',
-        enabled: true,
-      };
+const countTerminalLocks = (project, terminal) =>
+  Object.values(project.seats).filter((seat) => seat.status === 'locked' && seat.lockedBy === terminal).length;
 
-  if (payload.name && typeof payload.name === 'string') {
-    base.name = payload.name.trim();
-  }
-  if (payload.description !== undefined) {
-    base.description = typeof payload.description === 'string' ? payload.description.trim() : '';
-  }
-  if (payload.enabled !== undefined) {
-    base.enabled = Boolean(payload.enabled);
-  }
+const purchaseLimitError = (message) => Object.assign(new Error(message), { limitExceeded: true });
 
-  if (payload.type && ['standard', 'discount', 'fullcut'].includes(payload.type)) {
-    base.type = payload.type;
+/**
+ * Throws when issuing `seatCount` more seats would break the project's purchase limits.
+ * `transactionSeats` is the size of the whole sale, including seats already issued in it.
+ * Buyers without a phone or student ID cannot be matched, so only the per-sale limit applies to them.
+ */
+const checkPurchaseLimits = (project, { seatCount, transactionSeats = seatCount, customer, reservation = null }) => {
+  const limits = project.purchaseLimits || DEFAULT_PURCHASE_LIMITS;
+  if (limits.perTransaction && transactionSeats > limits.perTransaction) {
+    throw purchaseLimitError(`每笔交易最多 ${limits.perTransaction} 个座位`);
+  }
+  if (limits.perCustomer && (customer?.phone || customer?.studentId)) {
+    const owned = countBuyerSeats(project, customer, reservation);
+    if (owned + seatCount > limits.perCustomer) {
+      throw purchaseLimitError(`每位购票人最多 ${limits.perCustomer} 个座位，该购票人已有 ${owned} 个`);
+    }
   }
+};
 
-  if (base.type === 'standard') {
-    base.value = 1;
-    base.threshold = null;
-    base.cutAmount = null;
-    base.stackLimit = null;
-  } else if (base.type === 'discount') {
-    const raw = payload.value ?? payload.discountRate ?? base.value;
-    const numeric = Number(raw);
-    if (!Number.isFinite(numeric) || numeric <= 0) {
-      throw new Error('请输入有效的折扣比例');
-    }
-    base.value = numeric > 1 ? numeric / 10 : numeric;
-    if (base.value <= 0 || base.value > 1) {
-      throw new Error('折扣需介于 0-1（或 0-10 折）之间');
-    }
-    base.threshold = null;
-    base.cutAmount = null;
-    base.stackLimit = null;
-  } else if (base.type === 'fullcut') {
-    const threshold = Number(payload.threshold ?? base.threshold);
-    const cutAmount = Number(payload.cutAmount ?? base.cutAmount);
-    let stackLimit =
-      payload.stackLimit === 'unlimited'
-        ? 'unlimited'
-        : Number(payload.stackLimit ?? base.stackLimit ?? 1);
-    if (!Number.isFinite(threshold) || threshold <= 0) {
-      throw new Error('满减门槛必须为正数');
-    }
-    if (!Number.isFinite(cutAmount) || cutAmount <= 0) {
-      throw new Error('满减优惠金额必须为正数');
-    }
-    if (stackLimit === 0) {
-      stackLimit = 'unlimited';
-    }
-    if (stackLimit !== 'unlimited' && (!Number.isFinite(stackLimit) || stackLimit <= 0)) {
-      throw new Error('可叠加次数必须大于 0，或设置为无限叠加');
+// Runs `check` unless an admin asked to override; returns the admin's username when the override was needed.
+const enforcePurchaseLimits = (check, { override, session }) => {
+  try {
+    check();
+    return null;
+  } catch (error) {
+    if (!error.limitExceeded || !override) throw error;
+    if (session?.role !== 'admin') {
+      throw new Error('仅管理员可以突破限购');
     }
-    base.threshold = threshold;
-    base.cutAmount = cutAmount;
-    base.stackLimit = stackLimit === 'unlimited' ? null : Math.floor(stackLimit);
-    base.value = 1;
+    return session.username;
   }
-
-  return base;
 };
 
-const getRowProgress = (project, row) => {
-  ensureProjectMetadata(project);
-  const key = String(row);
-  if (!project.seatLabelProgress[key]) {
-    project.seatLabelProgress[key] = { leftNext: 1, rightNext: 2 };
-  }
-  return project.seatLabelProgress[key];
+const reservationLockOwner = (code) => `${RESERVATION_LOCK_PREFIX}${code}`;
+
+// Lock owners (`projectId:reservation:CODE`) whose online payment is in flight. The lock sweeper
+// and cancellations leave them alone until the provider has answered.
+const chargingReservations = new Set();
+
+const chargingKey = (project, lockOwner) => `${project.id}:${lockOwner}`;
+
+const isReservationCharging = (project, reservation) =>
+  chargingReservations.has(chargingKey(project, reservationLockOwner(reservation.code)));
+
+const createReservationCode = (project) => {
+  let code;
+  do {
+    code = Array.from(
+      { length: 6 },
+      () => RESERVATION_CODE_ALPHABET[crypto.randomInt(RESERVATION_CODE_ALPHABET.length)]
+    ).join('');
+  } while (project.reservations.some((entry) => entry.code === code));
+  return code;
 };
 
-const parseSeatNumber = (seatLabel) => {
-  if (!seatLabel) return null;
-  const match = seatLabel.match(/^(\d+)排(\d+)号$/);
-  if (!match) return null;
-  return Number(match[2]);
+const findReservation = (project, code) => {
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  if (!normalized) return null;
+  return (project.reservations || []).find((entry) => entry.code === normalized) || null;
 };
 
-const applyCheckoutModeToTotal = (mode, total) => {
-  if (!mode || mode.enabled === false) {
-    return { totalAfter: total, discount: 0 };
-  }
-  if (mode.type === 'discount' || mode.type === 'percentage') {
-    const multiplier = Math.min(1, Math.max(0, Number(mode.value) || 1));
-    const totalAfter = Math.max(0, Math.round(total * multiplier * 100) / 100);
-    return { totalAfter, discount: Math.round((total - totalAfter) * 100) / 100 };
-  }
-  if (mode.type === 'fullcut') {
-    const threshold = Math.max(0, Number(mode.threshold) || 0);
-    const cutAmount = Math.max(0, Number(mode.cutAmount) || 0);
-    const stackLimit = Number.isFinite(Number(mode.stackLimit))
-      ? Math.max(1, Math.floor(Number(mode.stackLimit)))
-      : null;
-    if (!threshold || !cutAmount) {
-      return { totalAfter: total, discount: 0 };
-    }
-    const possibleStacks = Math.floor(total / threshold);
-    const stacks = stackLimit ? Math.min(possibleStacks, stackLimit) : possibleStacks;
-    const discount = Math.max(0, Math.min(total, stacks * cutAmount));
-    return { totalAfter: total - discount, discount };
-  }
-  return { totalAfter: total, discount: 0 };
+const isReservationActive = (reservation) => reservation.status === 'pending' || reservation.status === 'paid';
+
+// With a claim code, seats still held by that allocation are bookable as well.
+const isSeatBookable = (seat, claimHold = null) =>
+  seat.price != null && (seat.status === 'available' || (claimHold && seat.status === 'held' && seat.holdId === claimHold.id));
+
+const findClaimHold = (project, claimCode) => {
+  const code = typeof claimCode === 'string' ? claimCode.trim().toUpperCase() : '';
+  if (!code) return null;
+  return project.holds.find((hold) => hold.claimCode === code && !hold.releasedAt) || null;
 };
 
-const normalizeUsername = (username = '') => username.trim().toLowerCase();
+// The pending or paid reservation currently holding the seat, if any.
+const getSeatReservation = (project, seat) => {
+  if (!seat?.lockedBy?.startsWith(RESERVATION_LOCK_PREFIX)) return null;
+  const reservation = findReservation(project, seat.lockedBy.slice(RESERVATION_LOCK_PREFIX.length));
+  return reservation && isReservationActive(reservation) ? reservation : null;
+};
 
-const hashPassword = async (plain) => bcrypt.hash(String(plain), PASSWORD_SALT_ROUNDS);
+const releaseReservationSeats = (project, reservation) => {
+  const owner = reservationLockOwner(reservation.code);
+  reservation.seatIds.forEach((id) => {
+    const seat = project.seats[id];
+    if (seat && seat.lockedBy === owner) releaseSeatLock(seat);
+  });
+};
 
-const verifyPassword = async (plain, hash) => bcrypt.compare(String(plain), hash);
+const serializePublicReservation = (project, reservation) => ({
+  code: reservation.code,
+  projectId: project.id,
+  status: reservation.status,
+  total: reservation.total,
+  paid: Boolean(reservation.payment),
+  expiresAt: reservation.expiresAt,
+  createdAt: reservation.createdAt,
+  seats: reservation.seatIds.map((id) => ({
+    seatId: id,
+    seatDisplay: project.seats[id] ? describeSeat(project, project.seats[id]) : id,
+    price: project.seats[id]?.price ?? null,
+  })),
+});
 
-const ensureAccount = async (username, password, role, { overridePassword = false } = {}) => {
-  if (!username || !password) return null;
-  const key = normalizeUsername(username);
-  const existing = state.accounts[key];
-  if (existing && !overridePassword) {
-    if (existing.role !== role) {
-      existing.role = role;
-      existing.updatedAt = Date.now();
-    }
-    return existing;
-  }
-  const passwordHash = await hashPassword(password);
-  const account = {
-    username: username.trim(),
-    passwordHash,
-    role,
-    createdAt: existing?.createdAt || Date.now(),
-    updatedAt: Date.now(),
+// Books money handed back for an online-paid reservation into the refund ledger.
+const recordReservationRefund = (project, reservation, { amount, reason, approvedBy }) => {
+  const refund = {
+    id: uuidv4(),
+    projectId: project.id,
+    projectName: project.name,
+    saleId: null,
+    reservationCode: reservation.code,
+    seatId: null,
+    seatDisplay: reservation.seatIds
+      .map((id) => (project.seats[id] ? describeSeat(project, project.seats[id]) : id))
+      .join('、'),
+    ticketNumber: null,
+    amount: roundCurrency(amount),
+    method: 'online',
+    reason,
+    approvedBy,
+    releasedTo: 'sale',
+    holdId: null,
+    createdAt: Date.now(),
   };
-  state.accounts[key] = account;
-  return account;
+  ensureTicketRefunds();
+  state.ticketRefunds.unshift(refund);
+  reservation.refundId = refund.id;
+  return refund;
 };
 
-const getAccount = (username) => state.accounts[normalizeUsername(username)] || null;
+const serializeReservationForStaff = (project, reservation) => ({
+  ...serializePublicReservation(project, reservation),
+  customer: maskCustomer(reservation.customer),
+  payment: reservation.payment,
+  saleId: reservation.saleId,
+  confirmedBy: reservation.confirmedBy,
+  refundId: reservation.refundId || null,
+  updatedAt: reservation.updatedAt,
+});
 
-const removeAccount = (username) => {
-  const key = normalizeUsername(username);
-  if (state.accounts[key]) {
-    delete state.accounts[key];
-    return true;
-  }
-  return false;
+const WAITLIST_STATUS_NAMES = {
+  waiting: '候补中',
+  offered: '已留座',
+  fulfilled: '已出票',
+  expired: '留座已过期',
+  cancelled: '已取消',
 };
 
-const countAccountsByRole = (role) =>
-  Object.values(state.accounts).filter((account) => account.role === role).length;
+const countAvailableSeats = (project, zoneId = null) =>
+  Object.values(project.seats).filter((seat) => seat.status === 'available' && (!zoneId || seat.zoneId === zoneId))
+    .length;
 
-const ensureDefaultAccounts = async () => {
-  if (!state.accounts || typeof state.accounts !== 'object') {
-    state.accounts = {};
-  }
-  const accountsArray = Object.values(state.accounts);
-  const hasAdmin = accountsArray.some((account) => account.role === 'admin');
-  if (!hasAdmin) {
-    await ensureAccount(DEFAULT_ADMIN_USERNAME, DEFAULT_ADMIN_PASSWORD, 'admin');
-  } else if (!state.accounts[normalizeUsername(DEFAULT_ADMIN_USERNAME)]) {
-    await ensureAccount(DEFAULT_ADMIN_USERNAME, DEFAULT_ADMIN_PASSWORD, 'admin');
-  }
+const serializeWaitlistEntry = (project, entry) => ({
+  ...entry,
+  customer: maskCustomer(entry.customer),
+  zoneName: entry.zoneId ? getProjectZone(project, entry.zoneId)?.name || null : null,
+});
 
-  const hasSales = accountsArray.some((account) => account.role === 'sales');
-  if (!hasSales && DEFAULT_SALES_PASSWORD) {
-    await ensureAccount(DEFAULT_SALES_USERNAME, DEFAULT_SALES_PASSWORD, 'sales');
-  }
+// A party sits inside one price zone, so everyone pays the same price: the zone they asked for,
+// or else the first zone with room for all of them. Null when no zone fits the party.
+const findWaitlistZone = (project, entry) => {
+  const zoneIds = entry.zoneId ? [entry.zoneId] : project.zones.map((zone) => zone.id);
+  return zoneIds.find((id) => countAvailableSeats(project, id) >= entry.partySize) || null;
 };
 
-const ensureDataFile = async () => {
-  try {
-    await fs.access(DATA_FILE);
-  } catch {
-    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
-    await fs.writeFile(DATA_FILE, JSON.stringify(state, null, 2), 'utf8');
-  }
+// Oldest waiting party that now fits; only parties wanting one of `zoneIds` (or any zone) are considered.
+const findWaitlistMatch = (project, zoneIds) =>
+  (project.waitlist || [])
+    .filter((entry) => entry.status === 'waiting' && (!entry.zoneId || zoneIds.has(entry.zoneId)))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .find((entry) => findWaitlistZone(project, entry)) || null;
+
+// Tells the project's terminals who is next in line for seats that just went back on sale.
+const notifyWaitlist = (project, seatIds) => {
+  const zoneIds = new Set(
+    seatIds
+      .map((id) => project.seats[id])
+      .filter((seat) => seat?.status === 'available')
+      .map((seat) => seat.zoneId)
+  );
+  if (!zoneIds.size) return;
+  const entry = findWaitlistMatch(project, zoneIds);
+  if (!entry) return;
+  io.to(`project:${project.id}`).emit('waitlist:match', {
+    projectId: project.id,
+    entry: serializeWaitlistEntry(project, entry),
+    available: countAvailableSeats(project, findWaitlistZone(project, entry)),
+  });
 };
 
-const migrateLegacyState = (raw) => {
-  if (!raw || typeof raw !== 'object') return null;
-  if (raw.projects) return raw;
-  const { rows, cols, seats } = raw;
-  if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows <= 0 || cols <= 0) {
-    return null;
+const pickWaitlistSeats = (project, entry) => {
+  const zoneId = findWaitlistZone(project, entry);
+  if (!zoneId) {
+    throw new Error(`空闲座位不足 ${entry.partySize} 个`);
   }
-  const projectId = uuidv4();
-  return {
-    projects: {
-      [projectId]: {
-        id: projectId,
-        name: '默认项目',
-        rows,
-        cols,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        seats: seats || {},
-      },
-    },
-  };
+  return pickZoneSeats(project, { [zoneId]: entry.partySize });
 };
 
-const loadState = async () => {
-  try {
-    const raw = await fs.readFile(DATA_FILE, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (parsed && typeof parsed === 'object') {
-      const migrated = migrateLegacyState(parsed) || parsed;
-      const projects = migrated.projects && typeof migrated.projects === 'object' ? migrated.projects : {};
-      const accounts = migrated.accounts && typeof migrated.accounts === 'object' ? migrated.accounts : {};
-      state = {
-        projects,
-        accounts,
-        merch: migrated.merch || undefined,
-      };
-    }
-  } catch (error) {
-    console.warn('Failed to load state file, using defaults.', error);
+const syncWaitlistWithReservation = (project, reservation) => {
+  if (!reservation.waitlistId) return;
+  const entry = (project.waitlist || []).find((item) => item.id === reservation.waitlistId);
+  if (!entry || entry.status !== 'offered') return;
+  const status = { confirmed: 'fulfilled', expired: 'expired', cancelled: 'cancelled' }[reservation.status];
+  if (!status) return;
+  entry.status = status;
+  entry.updatedAt = Date.now();
+};
+
+// Seat map for the public page: no ticket codes, lock owners or buyer details.
+const serializePublicProject = (project, claimHold = null) => ({
+  id: project.id,
+  name: project.name,
+  performance: project.performance || null,
+  rows: project.rows,
+  cols: project.cols,
+  sections: project.sections,
+  zones: project.zones.map(({ id, name, price, color }) => ({ id, name, price, color })),
+  onlineBooking: { holdMinutes: project.onlineBooking.holdMinutes, maxSeats: project.onlineBooking.maxSeats },
+  allocation: claimHold ? { name: claimHold.name, remaining: summarizeHoldUsage(project, claimHold).held } : null,
+  seats: Object.fromEntries(
+    Object.entries(project.seats).map(([id, seat]) => [
+      id,
+      {
+        sectionId: seat.sectionId,
+        row: seat.row,
+        col: seat.col,
+        seatLabel: seat.seatLabel,
+        zoneId: seat.zoneId,
+        price: seat.price,
+        attributes: seat.attributes,
+        status: seat.status === 'disabled' ? 'disabled' : isSeatBookable(seat, claimHold) ? 'available' : 'unavailable',
+      },
+    ])
+  ),
+});
+
+const ensureSeatCheckinState = (seat) => {
+  if (!seat || typeof seat !== 'object') return;
+  if (!Object.prototype.hasOwnProperty.call(seat, 'checkedInAt')) {
+    seat.checkedInAt = null;
+  }
+  if (!Object.prototype.hasOwnProperty.call(seat, 'checkedInBy')) {
+    seat.checkedInBy = null;
   }
-  ensureMerchState();
 };
 
-const saveState = async () => {
-  await fs.writeFile(DATA_FILE, JSON.stringify(state, null, 2), 'utf8');
+const resetSeatCheckin = (seat) => {
+  if (!seat) return;
+  seat.checkedInAt = null;
+  seat.checkedInBy = null;
+  seat.checkedInGateId = null;
+  seat.checkedOutAt = null;
 };
 
-const createEmptyProject = ({ name, rows, cols }) => {
-  const id = uuidv4();
-  const createdAt = Date.now();
-  const seats = {};
-  for (let row = 0; row < rows; row += 1) {
-    for (let col = 0; col < cols; col += 1) {
-      seats[seatId(row, col)] = {
-        row,
-        col,
-        status: 'disabled',
-        price: null,
-        ticketCode: null,
-        seatLabel: null,
-        lockedBy: null,
-        lockExpiresAt: null,
-        issuedAt: null,
-        checkedInAt: null,
-        checkedInBy: null,
-      };
+const findSeatByTicketCode = (project, ticketCode) => {
+  if (!project || !ticketCode) return null;
+  const normalized = String(ticketCode).trim();
+  if (!normalized) return null;
+  return Object.values(project.seats || {}).find(
+    (seat) =>
+      seat &&
+      typeof seat.ticketNumber === 'string' &&
+      (seat.ticketNumber.trim() === normalized || seat.ticketCode === normalized)
+  );
+};
+
+const normalizeSeatAttributes = (value) =>
+  Array.isArray(value) ? SEAT_ATTRIBUTES.filter((attribute) => value.includes(attribute)) : [];
+
+const describeSeat = (project, seat) => {
+  if (!seat) return '';
+  const label = seat.seatLabel || formatSeatLabel(project?.labeling, seat.row, seat.col + 1);
+  if (!project || !Array.isArray(project.sections) || project.sections.length <= 1) return label;
+  const section = getProjectSection(project, seat.sectionId);
+  return section ? `${section.name} ${label}` : label;
+};
+
+const buildSeatCheckinPayload = (project, seat) => {
+  if (!project || !seat) return null;
+  const section = getProjectSection(project, seat.sectionId);
+  return {
+    projectId: project.id,
+    projectName: project.name,
+    seatId: seatId(seat.row, seat.col, seat.sectionId),
+    sectionId: seat.sectionId || DEFAULT_SECTION_ID,
+    sectionName: section ? section.name : null,
+    row: seat.row,
+    col: seat.col,
+    seatLabel: seat.seatLabel,
+    seatDisplay: describeSeat(project, seat),
+    attributes: seat.attributes || [],
+    ticketNumber: seat.ticketNumber,
+    price: seat.price,
+    ticketTypeId: seat.ticketTypeId || null,
+    ticketTypeName: getProjectTicketType(project, seat.ticketTypeId)?.name || null,
+    soldPrice: seat.soldPrice ?? null,
+    customer: maskCustomer(seat.customer),
+    status: seat.status,
+    issuedAt: seat.issuedAt,
+    checkedInAt: seat.checkedInAt,
+    checkedInBy: seat.checkedInBy,
+    gateId: seat.checkedInGateId || null,
+    gateName: getProjectGate(project, seat.checkedInGateId)?.name || null,
+    checkedOutAt: seat.checkedOutAt || null,
+  };
+};
+
+// Counts per gate, plus arrivals per CHECKIN_TIMELINE_MINUTES bucket split by gate ('none' for ungated scans).
+const computeCheckinStats = (project) => {
+  if (!project) return { totalSold: 0, checkedIn: 0, inside: 0, byGate: [], timeline: [] };
+  let totalSold = 0;
+  let checkedIn = 0;
+  let inside = 0;
+  const bucketMs = CHECKIN_TIMELINE_MINUTES * 60 * 1000;
+  const byGate = new Map(
+    (project.gates || []).map((gate) => [gate.id, { gateId: gate.id, gateName: gate.name, checkedIn: 0 }])
+  );
+  const timeline = new Map();
+  Object.values(project.seats || {}).forEach((seat) => {
+    if (!seat || seat.status !== 'sold') return;
+    totalSold += 1;
+    if (!seat.checkedInAt) return;
+    checkedIn += 1;
+    if (!seat.checkedOutAt) inside += 1;
+    const gateKey = byGate.has(seat.checkedInGateId) ? seat.checkedInGateId : 'none';
+    if (!byGate.has(gateKey)) {
+      byGate.set(gateKey, { gateId: null, gateName: '未指定入口', checkedIn: 0 });
     }
-  }
+    byGate.get(gateKey).checkedIn += 1;
+    const start = Math.floor(seat.checkedInAt / bucketMs) * bucketMs;
+    if (!timeline.has(start)) {
+      timeline.set(start, { start, checkedIn: 0, byGate: {} });
+    }
+    const bucket = timeline.get(start);
+    bucket.checkedIn += 1;
+    bucket.byGate[gateKey] = (bucket.byGate[gateKey] || 0) + 1;
+  });
   return {
-    id,
-    name,
-    rows,
-    cols,
-    createdAt,
-    updatedAt: createdAt,
-    seats,
-    ticketing: {
-      mode: 'random',
-      sequence: null,
-    },
-    priceColorAssignments: {},
-    seatLabelProgress: {},
+    totalSold,
+    checkedIn,
+    inside,
+    byGate: [...byGate.values()],
+    timeline: [...timeline.values()].sort((a, b) => a.start - b.start),
   };
 };
 
-const generateTicketCode = (projectId, row, col) => {
-  const prettyRow = String(row + 1).padStart(2, '0');
-  const prettyCol = String(col + 1).padStart(2, '0');
-  return `P${projectId.slice(0, 4).toUpperCase()}-${prettyRow}${prettyCol}-${uuidv4()
-    .slice(0, 8)
-    .toUpperCase()}`;
+const ensureBackupDir = async () => {
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
 };
 
-const assignSeatLabels = (project, targetRows = null) => {
-  ensureProjectMetadata(project);
-  const { rows, cols, seats } = project;
-  let rowFilter = null;
-  if (targetRows != null) {
-    const candidates =
-      targetRows instanceof Set
-        ? [...targetRows]
-        : Array.isArray(targetRows)
-        ? targetRows
-        : [targetRows];
-    rowFilter = new Set();
-    candidates.forEach((value) => {
-      const index = Number(value);
-      if (Number.isInteger(index) && index >= 0 && index < rows) {
-        rowFilter.add(index);
-      }
-    });
-    if (rowFilter.size === 0) {
-      rowFilter = null;
-    }
+const createStateBackup = async (label = 'backup') => {
+  try {
+    await ensureBackupDir();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `${timestamp}-${label}.json`;
+    const filePath = path.join(BACKUP_DIR, filename);
+    await fs.writeFile(filePath, JSON.stringify(state, null, 2), 'utf8');
+    return filePath;
+  } catch (error) {
+    console.error('Failed to create state backup:', error);
+    return null;
   }
-  const centerLeftIndex = Math.floor((cols - 1) / 2);
-  const centerRightIndex = centerLeftIndex + 1;
-
-  for (let row = 0; row < rows; row += 1) {
-    if (rowFilter && !rowFilter.has(row)) continue;
-    const leftSeats = [];
-    const rightSeats = [];
+};
 
-    for (let col = 0; col < cols; col += 1) {
-      const id = seatId(row, col);
-      const seat = seats[id];
-      if (!seat) continue;
-      ensureSeatCheckinState(seat);
+const getExtensionFromMime = (mime) => {
+  if (!mime) return '.jpg';
+  if (mime.includes('png')) return '.png';
+  if (mime.includes('gif')) return '.gif';
+  if (mime.includes('webp')) return '.webp';
+  if (mime.includes('bmp')) return '.bmp';
+  return '.jpg';
+};
 
-      if (seat.status === 'disabled') {
-        seat.seatLabel = null;
-        continue;
-      }
+const deleteMerchImageFile = async (imagePath) => {
+  if (!imagePath || typeof imagePath !== 'string') return;
+  if (!imagePath.startsWith(MERCH_IMAGE_URL_PREFIX)) return;
+  const relativePath = imagePath.replace(/^\//, '');
+  const normalizedRelativePath = path.normalize(relativePath);
+  if (normalizedRelativePath.startsWith('..')) return;
+  const absolutePath = path.join(__dirname, 'public', normalizedRelativePath);
+  if (!absolutePath.startsWith(path.join(__dirname, 'public'))) return;
+  await fs.unlink(absolutePath).catch(() => {});
+};
 
-      if (col <= centerLeftIndex) {
-        leftSeats.push({ seat, col });
-      } else {
-        rightSeats.push({ seat, col });
-      }
-    }
+const saveMerchImageFromDataUrl = async (dataUrl, previousPath = null) => {
+  if (!dataUrl || typeof dataUrl !== 'string') return null;
+  if (!dataUrl.startsWith('data:')) {
+    return dataUrl;
+  }
+  const match = dataUrl.match(/^data:(image\/[a-zA-Z0-9+.+-]+);base64,(.+)$/);
+  if (!match) {
+    throw new Error('图片格式无效，请上传常见的图片文件。');
+  }
+  const mime = match[1].toLowerCase();
+  const base64 = match[2];
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length > MAX_MERCH_IMAGE_BYTES) {
+    throw new Error('图片体积过大，请压缩至 10MB 以内后再试。');
+  }
+  await ensureMerchImageDir();
+  const ext = getExtensionFromMime(mime);
+  const filename = `${uuidv4()}${ext}`;
+  const fullPath = path.join(MERCH_IMAGE_DIR, filename);
+  await fs.writeFile(fullPath, buffer);
+  if (previousPath && previousPath !== `${MERCH_IMAGE_URL_PREFIX}/${filename}`) {
+    await deleteMerchImageFile(previousPath);
+  }
+  return `${MERCH_IMAGE_URL_PREFIX}/${filename}`;
+};
 
-    leftSeats
-      .sort((a, b) => {
-        const distA = centerLeftIndex - a.col;
-        const distB = centerLeftIndex - b.col;
-        if (distA !== distB) return distA - distB;
-        return b.col - a.col;
-      })
-      .forEach((entry, index) => {
-        const labelNumber = 1 + index * 2;
-        entry.seat.seatLabel = `${row + 1}排${labelNumber}号`;
-      });
+const normalizePriceKey = (price) => (price == null ? null : String(Number(price)));
 
-    rightSeats
-      .sort((a, b) => {
-        const distA = a.col - centerRightIndex;
-        const distB = b.col - centerRightIndex;
-        if (distA !== distB) return distA - distB;
-        return a.col - b.col;
-      })
-      .forEach((entry, index) => {
-        const labelNumber = 2 + index * 2;
-        entry.seat.seatLabel = `${row + 1}排${labelNumber}号`;
-      });
+const getNextPriceColor = (project) => {
+  ensureProjectMetadata(project);
+  const used = new Set(Object.values(project.priceColorAssignments));
+  for (const color of PRICE_COLORS) {
+    if (!used.has(color)) return color;
+  }
+  return PRICE_COLORS[used.size % PRICE_COLORS.length];
+};
 
-    const progress = getRowProgress(project, row);
-    progress.leftNext = leftSeats.length > 0 ? leftSeats.length * 2 + 1 : 1;
-    if (progress.leftNext % 2 === 0) progress.leftNext += 1;
-    progress.rightNext = rightSeats.length > 0 ? rightSeats.length * 2 + 2 : 2;
-    if (progress.rightNext % 2 !== 0) progress.rightNext += 1;
+const ensurePriceColorAssignment = (project, price) => {
+  const key = normalizePriceKey(price);
+  if (key == null) return null;
+  ensureProjectMetadata(project);
+  if (!project.priceColorAssignments[key]) {
+    project.priceColorAssignments[key] = getNextPriceColor(project);
   }
+  return project.priceColorAssignments[key];
 };
 
-const sanitizeSeatsUpdate = (project, updates = []) => {
-  const { rows, cols } = project;
-  const normalized = {};
-  updates.forEach((seat) => {
-    if (
-      !seat ||
-      typeof seat !== 'object' ||
-      !Number.isInteger(seat.row) ||
-      !Number.isInteger(seat.col)
-    ) {
-      return;
-    }
-    if (seat.row < 0 || seat.col < 0 || seat.row >= rows || seat.col >= cols) {
-      return;
+const refreshPriceAssignments = (project) => {
+  ensureProjectMetadata(project);
+  Object.values(project.seats).forEach((seat) => {
+    if (seat && seat.status !== 'disabled' && seat.price != null) {
+      ensurePriceColorAssignment(project, seat.price);
     }
-    const allowedStatuses = ['disabled', 'available', 'locked', 'sold'];
-    const status = allowedStatuses.includes(seat.status) ? seat.status : 'disabled';
-    const price =
-      typeof seat.price === 'number' && Number.isFinite(seat.price) && seat.price >= 0
-        ? seat.price
-        : null;
-    const ticketNumber = typeof seat.ticketNumber === 'string' ? seat.ticketNumber.trim() || null : null;
-    normalized[seatId(seat.row, seat.col)] = {
-      row: seat.row,
-      col: seat.col,
-      status,
-      price,
-      ticketNumber,
-    };
   });
-  return normalized;
 };
 
-const ensureProjectTicketing = (project) => {
-  if (!project.ticketing || typeof project.ticketing !== 'object') {
-    project.ticketing = { mode: 'random', sequence: null };
+const createZoneId = () => `zone-${uuidv4().slice(0, 8)}`;
+
+const getProjectZone = (project, zoneId) =>
+  (project.zones || []).find((zone) => zone.id === zoneId) || null;
+
+const getNextZoneColor = (project) => {
+  const used = new Set((project.zones || []).map((zone) => zone.color));
+  for (const color of PRICE_COLORS) {
+    if (!used.has(color)) return color;
   }
-  if (!project.ticketing.mode) {
-    project.ticketing.mode = 'random';
+  return PRICE_COLORS[used.size % PRICE_COLORS.length];
+};
+
+const findOrCreateZoneForPrice = (project, price) => {
+  const existing = project.zones.find((zone) => zone.price === price);
+  if (existing) return existing;
+  const zone = {
+    id: createZoneId(),
+    name: `¥${price}`,
+    price,
+    color: project.priceColorAssignments?.[normalizePriceKey(price)] || getNextZoneColor(project),
+    description: '',
+  };
+  project.zones.push(zone);
+  return zone;
+};
+
+// Keeps seat.zoneId and seat.price consistent. Seats priced without a zone (older projects,
+// raw-price edits) are matched to a zone with that price, creating one when needed.
+const ensureProjectZones = (project) => {
+  if (!Array.isArray(project.zones)) {
+    project.zones = [];
   }
-  if (project.ticketing.mode !== 'sequence') {
-    project.ticketing.sequence = null;
-  } else {
-    project.ticketing.sequence = {
-      template: project.ticketing.sequence?.template || null,
-      width: project.ticketing.sequence?.width || 0,
-      startValue: project.ticketing.sequence?.startValue || 1,
-      nextValue:
-        typeof project.ticketing.sequence?.nextValue === 'number'
-          ? project.ticketing.sequence.nextValue
-          : (project.ticketing.sequence?.startValue || 1) - 1,
-      maxValue: project.ticketing.sequence?.maxValue || 0,
-      prefix: project.ticketing.sequence?.prefix || '',
-    };
+  Object.values(project.seats || {}).forEach((seat) => {
+    if (!seat) return;
+    if (seat.status === 'disabled') {
+      seat.zoneId = null;
+      return;
+    }
+    let zone = seat.zoneId ? getProjectZone(project, seat.zoneId) : null;
+    if (zone && seat.status !== 'sold' && seat.price !== zone.price) {
+      if (seat.price == null) {
+        seat.price = zone.price;
+      } else {
+        zone = null;
+      }
+    }
+    if (!zone && seat.price != null) {
+      zone = findOrCreateZoneForPrice(project, seat.price);
+    }
+    seat.zoneId = zone ? zone.id : null;
+  });
+};
+
+const normalizeZoneInput = (project, input = {}, current = null) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : current?.name || '';
+  if (!name) {
+    throw new Error('请输入票区名称');
   }
+  if (project.zones.some((zone) => zone.name === name && zone.id !== current?.id)) {
+    throw new Error('票区名称已存在');
+  }
+  const price = input.price !== undefined ? Number(input.price) : current?.price;
+  if (input.price === null || input.price === '' || !Number.isFinite(price) || price < 0) {
+    throw new Error('票价必须为非负数字');
+  }
+  let color = current?.color || getNextZoneColor(project);
+  if (input.color !== undefined && input.color !== null && input.color !== '') {
+    if (typeof input.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(input.color)) {
+      throw new Error('颜色格式无效');
+    }
+    color = input.color.toUpperCase();
+  }
+  const description =
+    typeof input.description === 'string' ? input.description.trim() : current?.description || '';
+  return { name, price, color, description };
 };
 
-const prepareSequenceState = (project) => {
-  ensureProjectTicketing(project);
-  if (project.ticketing.mode !== 'sequence') return null;
-  const sequence = project.ticketing.sequence;
-  if (!sequence || !sequence.template) return null;
-  const match = sequence.template.match(/(X+)$/);
-  if (!match) return null;
-  const width = match[1].length;
-  const prefix = sequence.template.slice(0, -width);
-  const startValue = parseInt(String(sequence.startValue ?? '1'), 10);
-  if (Number.isNaN(startValue)) return null;
-  const maxValue = 10 ** width - 1;
-  sequence.width = width;
-  sequence.prefix = prefix;
-  sequence.startValue = startValue;
-  sequence.startString = String(sequence.startValue).padStart(width, '0');
-  sequence.maxValue = maxValue;
-  if (typeof sequence.nextValue !== 'number' || sequence.nextValue < startValue - 1) {
-    sequence.nextValue = startValue - 1;
+const applySeatZone = (project, seat, zoneId) => {
+  if (seat.status === 'disabled') return;
+  const zone = zoneId ? getProjectZone(project, zoneId) : null;
+  seat.zoneId = zone ? zone.id : null;
+  if (seat.status === 'sold') return;
+  seat.price = zone ? zone.price : null;
+};
+
+// Seats join zones explicitly. A bare price is only accepted when exactly one zone charges it;
+// returns undefined when the update leaves the zone alone.
+const resolveSeatZoneInput = (project, { zoneId, price, status }) => {
+  if (zoneId) {
+    if (!getProjectZone(project, zoneId)) {
+      throw new Error('票区不存在');
+    }
+    return zoneId;
+  }
+  if (price === null) return null;
+  if (price === undefined) return zoneId === null ? null : undefined;
+  if (status === 'disabled' || typeof price !== 'number') return undefined;
+  const matches = project.zones.filter((zone) => zone.price === price);
+  if (matches.length !== 1) {
+    throw new Error(
+      matches.length ? `有多个票区的票价为 ¥${price}，请指定票区` : `没有票价为 ¥${price} 的票区，请先创建票区`
+    );
   }
-  return sequence;
+  return matches[0].id;
 };
 
-const formatSequenceTicketNumber = (sequence, value) => {
-  if (!sequence) return null;
-  const digits = String(value).padStart(sequence.width, '0');
-  if (digits.length > sequence.width) return null;
-  return `${sequence.prefix}${digits}`;
+const createTicketTypeId = () => `ttype-${uuidv4().slice(0, 8)}`;
+
+const getProjectTicketType = (project, typeId) =>
+  (project.ticketTypes || []).find((type) => type.id === typeId) || null;
+
+const createGateId = () => `gate-${uuidv4().slice(0, 8)}`;
+
+const getProjectGate = (project, gateId) => (project.gates || []).find((gate) => gate.id === gateId) || null;
+
+const normalizeGateInput = (project, input = {}, current = null) => {
+  const name = typeof input.name === 'string' ? input.name.trim().slice(0, 20) : current?.name || '';
+  if (!name) {
+    throw new Error('请输入入口名称');
+  }
+  if (project.gates.some((gate) => gate.name === name && gate.id !== current?.id)) {
+    throw new Error('入口名称已存在');
+  }
+  const sectionIds = Array.isArray(input.sectionIds)
+    ? project.sections.map((section) => section.id).filter((id) => input.sectionIds.includes(id))
+    : current?.sectionIds || [];
+  const zoneIds = Array.isArray(input.zoneIds)
+    ? project.zones.map((zone) => zone.id).filter((id) => input.zoneIds.includes(id))
+    : current?.zoneIds || [];
+  return { name, sectionIds, zoneIds };
 };
 
-const deriveSequenceValue = (sequence, ticketNumber) => {
-  if (!sequence || !ticketNumber) return null;
-  if (!ticketNumber.startsWith(sequence.prefix)) return null;
-  const digits = ticketNumber.slice(sequence.prefix.length);
-  if (!/^\d+$/.test(digits) || digits.length !== sequence.width) return null;
-  const value = parseInt(digits, 10);
-  if (Number.isNaN(value)) return null;
-  return value;
+const gateAdmitsSeat = (gate, seat) =>
+  (!gate.sectionIds.length || gate.sectionIds.includes(seat.sectionId || DEFAULT_SECTION_ID)) &&
+  (!gate.zoneIds.length || gate.zoneIds.includes(seat.zoneId));
+
+/**
+ * Moves an already checked-in ticket across the door under the re-entry policy: 'out' marks the holder
+ * outside, 'in' readmits them. Returns the log status for the move, `{error}` when the ticket cannot make it,
+ * or null for an entry scan that is a plain duplicate.
+ */
+const applyReentryScan = (project, seat, direction, at) => {
+  if (direction === 'out') {
+    if (!project.checkinPolicy.reentry) return { error: '本场次未开启离场再入场' };
+    if (!seat.checkedInAt || at < seat.checkedInAt) return { error: '该票尚未入场' };
+    if (seat.checkedOutAt) return { error: '该票已离场，请在入口扫码再次入场' };
+    seat.checkedOutAt = at;
+    return { status: 'checkout', message: '离场' };
+  }
+  if (!project.checkinPolicy.reentry || !seat.checkedOutAt || at < seat.checkedOutAt) return null;
+  seat.checkedOutAt = null;
+  return { status: 'reentry', message: '再次入场' };
 };
 
-const assignTicketNumberToSeat = (project, seat, { force = false } = {}) => {
-  ensureProjectTicketing(project);
-  if (!seat) return;
-  if (seat.status === 'disabled') {
-    seat.ticketNumber = null;
-    seat.ticketCode = null;
-    seat.ticketSequenceValue = null;
-    return;
+/** Returns an HTTP status and error body when `seat` may not enter through `gateId`, otherwise null. */
+const checkSeatGate = (project, seat, gateId) => {
+  if (!project.gates?.length) return null;
+  if (!gateId) {
+    return { status: 400, error: { error: '请先选择检票入口' } };
   }
-  if (!force && seat.ticketNumber) {
-    seat.ticketCode = seat.ticketNumber;
-    return;
+  const gate = getProjectGate(project, gateId);
+  if (!gate) {
+    return { status: 400, error: { error: '检票入口不存在' } };
   }
-  if (project.ticketing.mode === 'sequence') {
-    const sequence = prepareSequenceState(project);
-    if (!sequence) {
-      const ticketNumber = generateTicketCode(project.id, seat.row, seat.col);
-      seat.ticketNumber = ticketNumber;
-      seat.ticketCode = ticketNumber;
-      seat.ticketSequenceValue = null;
-      return;
-    }
-    const nextValue = sequence.nextValue + 1;
-    if (nextValue > sequence.maxValue) {
-      throw new Error('票号流水已超出范围');
+  if (gateAdmitsSeat(gate, seat)) return null;
+  const expectedGates = project.gates
+    .filter((entry) => gateAdmitsSeat(entry, seat))
+    .map(({ id, name }) => ({ id, name }));
+  return {
+    status: 400,
+    error: {
+      error: expectedGates.length
+        ? `入口错误，请前往${expectedGates.map((entry) => `「${entry.name}」`).join('或')}`
+        : '该座位没有对应的检票入口，请联系工作人员',
+      wrongGate: true,
+      expectedGates,
+      seat: buildSeatCheckinPayload(project, seat),
+    },
+  };
+};
+
+const resolveTicketTypePrice = (type, seatPrice) => {
+  const base = seatPrice ?? 0;
+  if (!type) return base;
+  if (type.pricing === 'fixed') return type.price;
+  return roundCurrency(base * type.discountRate);
+};
+
+const countTicketTypeSold = (project, typeId) =>
+  Object.values(project.seats).filter((seat) => seat.status === 'sold' && seat.ticketTypeId === typeId).length;
+
+const normalizeTicketTypeInput = (project, input = {}, current = null) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : current?.name || '';
+  if (!name) {
+    throw new Error('请输入票种名称');
+  }
+  if (project.ticketTypes.some((type) => type.name === name && type.id !== current?.id)) {
+    throw new Error('票种名称已存在');
+  }
+  const pricing = input.pricing !== undefined ? input.pricing : current?.pricing;
+  if (!['fixed', 'discount'].includes(pricing)) {
+    throw new Error('请选择定价方式');
+  }
+  let price = null;
+  let discountRate = null;
+  if (pricing === 'fixed') {
+    price = input.price !== undefined ? Number(input.price) : current?.price;
+    if (input.price === null || input.price === '' || !Number.isFinite(price) || price < 0) {
+      throw new Error('票价必须为非负数字');
     }
-    sequence.nextValue = nextValue;
-    const ticketNumber = formatSequenceTicketNumber(sequence, nextValue);
-    seat.ticketNumber = ticketNumber;
-    seat.ticketCode = ticketNumber;
-    seat.ticketSequenceValue = nextValue;
   } else {
-    const ticketNumber = generateTicketCode(project.id, seat.row, seat.col);
-    seat.ticketNumber = ticketNumber;
-    seat.ticketCode = ticketNumber;
-    seat.ticketSequenceValue = null;
+    discountRate = input.discountRate !== undefined ? Number(input.discountRate) : current?.discountRate;
+    if (!Number.isFinite(discountRate) || discountRate <= 0 || discountRate > 1) {
+      throw new Error('折扣必须大于 0 且不超过 1');
+    }
+  }
+  let quota = current ? current.quota : null;
+  if (input.quota !== undefined) {
+    quota = input.quota === null || input.quota === '' ? null : Number(input.quota);
+    if (quota !== null && (!Number.isInteger(quota) || quota < 1)) {
+      throw new Error('限额必须为正整数');
+    }
   }
+  const description =
+    typeof input.description === 'string' ? input.description.trim() : current?.description || '';
+  return { name, pricing, price, discountRate, quota, description };
 };
 
-const ensureSeatTicketNumbers = (project, { force = false } = {}) => {
-  ensureProjectTicketing(project);
-  const seats = Object.values(project.seats || {}).sort((a, b) => {
-    if (a.row !== b.row) return a.row - b.row;
-    const numA = parseSeatNumber(a.seatLabel) ?? a.col + 1;
-    const numB = parseSeatNumber(b.seatLabel) ?? b.col + 1;
-    return numA - numB;
+const getProjectHold = (project, holdId) =>
+  (project.holds || []).find((hold) => hold.id === holdId) || null;
+
+const isAllocation = (hold) => Boolean(hold && (hold.accounts?.length || hold.claimCode));
+
+// Held seats must point at an existing hold; holds without seats are dropped, allocations are
+// kept for their usage report until deleted.
+const ensureProjectHolds = (project) => {
+  if (!Array.isArray(project.holds)) {
+    project.holds = [];
+  }
+  const holdIds = new Set(project.holds.map((hold) => hold.id));
+  const usedHoldIds = new Set();
+  Object.values(project.seats || {}).forEach((seat) => {
+    if (!seat) return;
+    if ((seat.status === 'held' || seat.status === 'locked') && holdIds.has(seat.holdId)) {
+      usedHoldIds.add(seat.holdId);
+      return;
+    }
+    if (seat.status === 'held') {
+      seat.status = 'available';
+    }
+    seat.holdId = null;
   });
-  const sequence = prepareSequenceState(project);
-  if (sequence && force) {
-    sequence.nextValue = sequence.startValue - 1;
+  // Emptied holds stay on record like allocations, marked released instead of disappearing.
+  const now = Date.now();
+  project.holds.forEach((hold) => {
+    if (usedHoldIds.has(hold.id) || hold.releasedAt || isAllocation(hold)) return;
+    hold.releasedAt = now;
+    hold.updatedAt = now;
+  });
+};
+
+const normalizeHoldInput = (input = {}, current = null) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : current?.name || '';
+  if (!name) {
+    throw new Error('请输入预留名称');
+  }
+  const owner = typeof input.owner === 'string' ? input.owner.trim() : current?.owner || '';
+  const note = typeof input.note === 'string' ? input.note.trim() : current?.note || '';
+  let expiresAt = current?.expiresAt ?? null;
+  if (input.expiresAt !== undefined) {
+    if (input.expiresAt === null || input.expiresAt === '') {
+      expiresAt = null;
+    } else {
+      const value = typeof input.expiresAt === 'number' ? input.expiresAt : Date.parse(input.expiresAt);
+      if (!Number.isFinite(value) || value <= Date.now()) {
+        throw new Error('预留到期时间无效');
+      }
+      expiresAt = value;
+    }
   }
-  if (sequence) {
-    const activeSeatCount = seats.filter((seat) => seat.status !== 'disabled').length;
-    const potentialMax = sequence.startValue - 1 + activeSeatCount;
-    if (potentialMax > sequence.maxValue) {
-      throw new Error('可用流水号不足以覆盖启用座位数量');
+  return { name, owner, note, expiresAt };
+};
+
+const normalizeAllocationInput = (project, input = {}, current = null) => {
+  let accounts = current?.accounts || [];
+  if (input.accounts !== undefined) {
+    if (!Array.isArray(input.accounts)) {
+      throw new Error('售票账号格式无效');
+    }
+    accounts = [...new Set(input.accounts.map((username) => normalizeUsername(String(username))).filter(Boolean))];
+    const missing = accounts.find((username) => !getAccount(username));
+    if (missing) {
+      throw new Error(`账号不存在：${missing}`);
     }
   }
-  seats.forEach((seat) => {
-    if (sequence) {
-      if (seat.ticketNumber && !seat.ticketSequenceValue) {
-        const derived = deriveSequenceValue(sequence, seat.ticketNumber);
-        if (derived !== null) {
-          seat.ticketSequenceValue = derived;
-        }
-      }
-      if (!force && seat.ticketSequenceValue) {
-        if (seat.ticketSequenceValue > sequence.nextValue) {
-          sequence.nextValue = seat.ticketSequenceValue;
-        }
-        if (seat.ticketNumber && seat.status !== 'disabled') {
-          seat.ticketCode = seat.ticketNumber;
-          return;
-        }
-      }
+  let claimCode = current?.claimCode || null;
+  if (input.claimCode !== undefined) {
+    claimCode = typeof input.claimCode === 'string' ? input.claimCode.trim().toUpperCase() : '';
+    if (claimCode && !/^[A-Z0-9]{4,12}$/.test(claimCode)) {
+      throw new Error('领取码需为 4-12 位字母或数字');
     }
-    if (!force && seat.ticketNumber && seat.status !== 'disabled') {
-      seat.ticketCode = seat.ticketNumber;
-      return;
+    if (claimCode && project.holds.some((hold) => hold.id !== current?.id && hold.claimCode === claimCode)) {
+      throw new Error('领取码已被其他分配使用');
     }
-    assignTicketNumberToSeat(project, seat, { force });
-  });
+    claimCode = claimCode || null;
+  }
+  return { accounts, claimCode };
 };
 
-const regenerateSeatTicketNumbers = (project, config = null) => {
-  if (config && config.mode === 'sequence') {
-    const { template, startValue } = config.sequence || {};
-    const match = template && template.match(/(X+)$/);
-    if (!match) {
-      throw new Error('票号模板必须以连续的 X 结尾');
+// `zoneCounts` maps zone ids to a number of seats; the first available seats of each zone, in
+// section and row order, are taken.
+const pickZoneSeats = (project, zoneCounts, excluded = new Set()) => {
+  if (!zoneCounts || typeof zoneCounts !== 'object') return [];
+  const sectionOrder = new Map(project.sections.map((section, index) => [section.id, index]));
+  const candidates = Object.entries(project.seats)
+    .filter(([id, seat]) => seat.status === 'available' && !excluded.has(id))
+    .sort(
+      ([, a], [, b]) =>
+        (sectionOrder.get(a.sectionId) ?? 0) - (sectionOrder.get(b.sectionId) ?? 0) || a.row - b.row || a.col - b.col
+    );
+  return Object.entries(zoneCounts).flatMap(([zoneId, value]) => {
+    const count = Number(value);
+    if (!count) return [];
+    const zone = getProjectZone(project, zoneId);
+    if (!zone) {
+      throw new Error('票区不存在');
     }
-    const width = match[1].length;
-    if (!startValue || String(startValue).length !== width) {
-      throw new Error('流水码起始长度需与模板中 X 的数量一致');
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error('分配数量必须为非负整数');
     }
-    const numericStart = parseInt(String(startValue), 10);
-    if (Number.isNaN(numericStart)) {
-      throw new Error('流水码起始必须是数字');
+    const seats = candidates.filter(([, seat]) => seat.zoneId === zoneId).slice(0, count);
+    if (seats.length < count) {
+      throw new Error(`票区「${zone.name}」可分配座位不足（剩余 ${seats.length}）`);
     }
-    project.ticketing = {
-      mode: 'sequence',
-      sequence: {
-        template,
-        width,
-        startValue: numericStart,
-        nextValue: numericStart - 1,
-        maxValue: 10 ** width - 1,
-        prefix: template.slice(0, -width),
-        startString: String(startValue).padStart(width, '0'),
-      },
-    };
-  } else if (config && config.mode === 'random') {
-    project.ticketing = { mode: 'random', sequence: null };
+    return seats.map(([id]) => id);
+  });
+};
+
+const canSellHeldSeat = (project, seat, username) => {
+  const hold = getProjectHold(project, seat.holdId);
+  return Boolean(username && hold?.accounts?.includes(normalizeUsername(username)));
+};
+
+const collectHoldableSeats = (project, seatIds, holdId = null) => {
+  if (!Array.isArray(seatIds) || !seatIds.length) {
+    throw new Error('请选择要预留的座位');
   }
-  ensureSeatTicketNumbers(project, { force: true });
+  return [...new Set(seatIds)].map((id) => {
+    const seat = project.seats[id];
+    if (!seat) {
+      throw new Error('座位不存在');
+    }
+    if (seat.status === 'held' && holdId && seat.holdId === holdId) {
+      return seat;
+    }
+    if (seat.status !== 'available') {
+      throw new Error(`${describeSeat(project, seat)} 当前不可预留`);
+    }
+    return seat;
+  });
 };
 
-const releaseSeatLock = (seat) => {
-  seat.lockedBy = null;
-  seat.lockExpiresAt = null;
-  if (seat.status === 'locked') {
+const releaseHeldSeat = (seat) => {
+  if (seat.status === 'held') {
     seat.status = 'available';
   }
+  seat.holdId = null;
 };
 
-const enforceLockTimeouts = () => {
-  const now = Date.now();
-  let changedProjects = new Set();
-  Object.values(state.projects).forEach((project) => {
-    let changed = false;
-    Object.values(project.seats).forEach((seat) => {
-      if (seat.lockExpiresAt && seat.lockExpiresAt <= now) {
-        releaseSeatLock(seat);
-        changed = true;
-      }
-    });
-    if (changed) {
-      project.updatedAt = Date.now();
-      changedProjects.add(project.id);
+// Where an allocation's seats ended up: still held, being sold, sold, or back on general sale.
+const summarizeHoldUsage = (project, hold) => {
+  const usage = { held: 0, locked: 0, sold: 0, checkedIn: 0, released: hold.releasedSeats || 0 };
+  Object.values(project.seats).forEach((seat) => {
+    if (seat.holdId === hold.id && seat.status === 'held') {
+      usage.held += 1;
+    } else if (seat.holdId === hold.id && seat.status === 'locked') {
+      usage.locked += 1;
+    } else if (seat.allocationId === hold.id && seat.status === 'sold') {
+      usage.sold += 1;
+      if (seat.checkedInAt) usage.checkedIn += 1;
     }
   });
-  if (changedProjects.size > 0) {
-    saveState().catch((err) => console.error('Failed to persist state after lock timeout', err));
-    changedProjects.forEach((projectId) => broadcastProject(projectId));
-  }
+  usage.total = usage.held + usage.locked + usage.sold + usage.released;
+  return usage;
 };
 
-setInterval(enforceLockTimeouts, 5 * 1000);
+const serializeHoldReport = (project) =>
+  project.holds.map((hold) => ({
+    ...hold,
+    usage: summarizeHoldUsage(project, hold),
+    seats: Object.entries(project.seats)
+      .filter(([, seat]) => seat.status === 'held' && seat.holdId === hold.id)
+      .map(([id, seat]) => ({
+        seatId: id,
+        seatDisplay: describeSeat(project, seat),
+        zoneName: getProjectZone(project, seat.zoneId)?.name || null,
+        price: seat.price,
+      })),
+  }));
 
-const parseSession = (req) => {
-  try {
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionId = cookies[SESSION_COOKIE_NAME];
-    if (!sessionId) return null;
-    const session = sessions.get(sessionId);
-    if (!session) return null;
-    if (Date.now() - session.createdAt > SESSION_TTL_MS) {
-      sessions.delete(sessionId);
-      return null;
-    }
-    return { ...session, sessionId };
-  } catch {
-    return null;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Renders an A4 print sheet of ticket stubs; cols × rows tickets per page, cut lines dashed.
+const buildTicketSheetHtml = async (project, seats, { cols, rows }) => {
+  const ticketWidth = 190 / cols;
+  const ticketHeight = 277 / rows;
+  const qrSize = Math.min(ticketWidth * 0.45, ticketHeight * 0.75);
+  const performance = project.performance || {};
+  const performanceText = [
+    performance.label,
+    performance.startsAt ? new Date(performance.startsAt).toLocaleString('zh-CN', { hour12: false }) : '',
+  ]
+    .filter(Boolean)
+    .join(' ');
+  const tickets = [];
+  for (const seat of seats) {
+    const code = seat.ticketCode || seat.ticketNumber;
+    const qrSvg = await QRCode.toString(code, { type: 'svg', margin: 0 });
+    const zone = getProjectZone(project, seat.zoneId);
+    tickets.push(`
+      <div class="ticket">
+        <div class="ticket__info">
+          <div class="ticket__show">${escapeHtml(project.name)}</div>
+          ${performanceText ? `<div class="ticket__meta">${escapeHtml(performanceText)}</div>` : ''}
+          <div class="ticket__seat">${escapeHtml(describeSeat(project, seat))}</div>
+          <div class="ticket__meta">${zone ? `${escapeHtml(zone.name)} · ` : ''}¥${seat.price ?? '-'}</div>
+          <div class="ticket__code">${escapeHtml(code)}</div>
+        </div>
+        <div class="ticket__qr">${qrSvg}</div>
+      </div>`);
+  }
+  const perPage = cols * rows;
+  const pages = [];
+  for (let index = 0; index < tickets.length; index += perPage) {
+    pages.push(`<section class="page">${tickets.slice(index, index + perPage).join('')}</section>`);
+  }
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(project.name)} - 票面打印</title>
+<style>
+  @page { size: A4; margin: 10mm; }
+  body { margin: 0; font-family: 'PingFang SC', 'Microsoft YaHei', sans-serif; color: #12324d; }
+  .page {
+    display: grid;
+    grid-template-columns: repeat(${cols}, ${ticketWidth.toFixed(2)}mm);
+    grid-auto-rows: ${ticketHeight.toFixed(2)}mm;
+    page-break-after: always;
+  }
+  .page:last-child { page-break-after: auto; }
+  .ticket {
+    box-sizing: border-box;
+    border: 1px dashed #9aa9bb;
+    padding: 3mm;
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 2mm;
+    overflow: hidden;
+  }
+  .ticket__info { display: flex; flex-direction: column; gap: 1mm; min-width: 0; }
+  .ticket__show { font-weight: 700; font-size: 11pt; }
+  .ticket__seat { font-weight: 700; font-size: 13pt; }
+  .ticket__meta { font-size: 8pt; color: #4b5d70; }
+  .ticket__code { font-family: monospace; font-size: 7pt; word-break: break-all; }
+  .ticket__qr { flex: none; width: ${qrSize.toFixed(2)}mm; height: ${qrSize.toFixed(2)}mm; }
+  .ticket__qr svg { width: 100%; height: 100%; }
+</style>
+</head>
+<body>
+${pages.join('\n') || '<p>没有可打印的票面。</p>'}
+</body>
+</html>`;
+};
+
+// 80mm thermal-printer receipt for a combined checkout.
+const buildCheckoutReceiptHtml = (checkout, sale, order) => {
+  const lines = [
+    ...(sale?.seats || []).map(
+      (seat) => `
+      <tr>
+        <td>${escapeHtml(seat.seatDisplay)}${seat.ticketTypeName ? `（${escapeHtml(seat.ticketTypeName)}）` : ''}
+          <div class="receipt__code">${escapeHtml(seat.ticketNumber || '')}</div></td>
+        <td class="receipt__amount">¥${seat.price.toFixed(2)}</td>
+      </tr>`
+    ),
+    ...(order?.items || []).map(
+      (item) => `
+      <tr>
+        <td>${escapeHtml(item.name)} × ${item.quantity}</td>
+        <td class="receipt__amount">¥${item.subtotal.toFixed(2)}</td>
+      </tr>`
+    ),
+  ];
+  const totals = [
+    ['原价合计', checkout.totalBefore],
+    checkout.discount ? [`${checkout.checkoutModeName}`, -checkout.discount] : null,
+    ['应收', checkout.totalAmount],
+    checkout.amountReceived !== null ? ['实收', checkout.amountReceived] : null,
+    checkout.changeGiven ? ['找零', checkout.changeGiven] : null,
+  ].filter(Boolean);
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8" />
+<title>小票 ${escapeHtml(checkout.id.slice(0, 8))}</title>
+<style>
+  @page { size: 80mm auto; margin: 4mm; }
+  body { margin: 0; width: 72mm; font-family: 'PingFang SC', 'Microsoft YaHei', sans-serif; font-size: 9pt; color: #000; }
+  h1 { font-size: 12pt; text-align: center; margin: 0 0 2mm; }
+  .receipt__meta { text-align: center; font-size: 8pt; margin-bottom: 2mm; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 1mm 0; vertical-align: top; }
+  .receipt__amount { text-align: right; white-space: nowrap; }
+  .receipt__code { font-family: monospace; font-size: 7pt; word-break: break-all; }
+  .receipt__totals { border-top: 1px dashed #000; margin-top: 2mm; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(sale?.projectName || state.projects[checkout.projectId]?.name || '')}</h1>
+<div class="receipt__meta">
+  ${escapeHtml(new Date(checkout.createdAt).toLocaleString('zh-CN', { hour12: false }))} · ${escapeHtml(checkout.seller)}
+  <br />单号 ${escapeHtml(checkout.id.slice(0, 8).toUpperCase())} · ${escapeHtml(PAYMENT_METHOD_NAMES[checkout.paymentMethod])}
+</div>
+<table>${lines.join('')}</table>
+<table class="receipt__totals">
+${totals
+  .map(([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td class="receipt__amount">¥${amount.toFixed(2)}</td></tr>`)
+  .join('\n')}
+</table>
+</body>
+</html>`;
+};
+
+const getProductImageSource = (product) => {
+  if (!product) return null;
+  if (product.imagePath) return product.imagePath;
+  if (typeof product.imageData === 'string' && product.imageData.startsWith('data:')) {
+    return product.imageData;
+  }
+  if (typeof product.imageData === 'string' && product.imageData.startsWith(MERCH_IMAGE_URL_PREFIX)) {
+    return product.imageData;
   }
+  return null;
 };
 
-const setSessionCookie = (res, sessionId) => {
-  const cookieValue = cookie.serialize(SESSION_COOKIE_NAME, sessionId, {
-    httpOnly: true,
-    sameSite: 'lax',
-    maxAge: SESSION_TTL_MS / 1000,
-    path: '/',
-  });
-  res.setHeader('Set-Cookie', cookieValue);
+const serializeProduct = (product) => ({
+  id: product.id,
+  name: product.name,
+  price: product.price,
+  stock: product.stock,
+  description: product.description || '',
+  imageData: getProductImageSource(product),
+  enabled: product.enabled !== false,
+  createdAt: product.createdAt,
+  updatedAt: product.updatedAt,
+});
+
+const serializeCheckoutMode = (mode) => ({
+  id: mode.id,
+  name: mode.name,
+  type: mode.type,
+  value: mode.value,
+  threshold: mode.threshold ?? null,
+  cutAmount: mode.cutAmount ?? null,
+  stackLimit: mode.stackLimit ?? null,
+  bundleProductId: mode.bundleProductId ?? null,
+  scope: mode.scope || 'merch',
+  minQuantity: mode.minQuantity ?? null,
+  description: mode.description || '',
+  enabled: mode.enabled !== false,
+  createdAt: mode.createdAt,
+  updatedAt: mode.updatedAt,
+});
+
+const normalizeCheckoutModePayload = (payload = {}, existing = null) => {
+  const base = existing
+    ? {
+        name: existing.name,
+        type: existing.type,
+        value: existing.value,
+        threshold: existing.threshold ?? null,
+        cutAmount: existing.cutAmount ?? null,
+        stackLimit: existing.stackLimit ?? null,
+        bundleProductId: existing.bundleProductId ?? null,
+        scope: existing.scope || 'merch',
+        minQuantity: existing.minQuantity ?? null,
+        description: existing.description || '',
+        enabled: existing.enabled !== false,
+      }
+    : {
+        name: '',
+        type: 'standard',
+        value: 1,
+        threshold: null,
+        cutAmount: null,
+        stackLimit: null,
+        bundleProductId: null,
+        scope: 'merch',
+        minQuantity: null,
+        description: '',
+        enabled: true,
+      };
+
+  if (payload.name && typeof payload.name === 'string') {
+    base.name = payload.name.trim();
+  }
+  if (payload.description !== undefined) {
+    base.description = typeof payload.description === 'string' ? payload.description.trim() : '';
+  }
+  if (payload.enabled !== undefined) {
+    base.enabled = Boolean(payload.enabled);
+  }
+  if (payload.scope !== undefined) {
+    if (!CHECKOUT_MODE_SCOPES.includes(payload.scope)) {
+      throw new Error('适用范围无效');
+    }
+    base.scope = payload.scope;
+  }
+  if (payload.minQuantity !== undefined) {
+    const minQuantity = payload.minQuantity === null || payload.minQuantity === '' ? null : Number(payload.minQuantity);
+    if (minQuantity !== null && (!Number.isInteger(minQuantity) || minQuantity < 1)) {
+      throw new Error('起用数量必须为正整数');
+    }
+    base.minQuantity = minQuantity;
+  }
+
+  if (payload.type && ['standard', 'discount', 'fullcut', 'bundle'].includes(payload.type)) {
+    base.type = payload.type;
+  }
+  if (base.type !== 'bundle') {
+    base.bundleProductId = null;
+  }
+
+  if (base.type === 'standard') {
+    base.value = 1;
+    base.threshold = null;
+    base.cutAmount = null;
+    base.stackLimit = null;
+  } else if (base.type === 'discount') {
+    const raw = payload.value ?? payload.discountRate ?? base.value;
+    const numeric = Number(raw);
+    if (!Number.isFinite(numeric) || numeric <= 0) {
+      throw new Error('请输入有效的折扣比例');
+    }
+    base.value = numeric > 1 ? numeric / 10 : numeric;
+    if (base.value <= 0 || base.value > 1) {
+      throw new Error('折扣需介于 0-1（或 0-10 折）之间');
+    }
+    base.threshold = null;
+    base.cutAmount = null;
+    base.stackLimit = null;
+  } else if (base.type === 'fullcut') {
+    const threshold = Number(payload.threshold ?? base.threshold);
+    const cutAmount = Number(payload.cutAmount ?? base.cutAmount);
+    let stackLimit =
+      payload.stackLimit === 'unlimited'
+        ? 'unlimited'
+        : Number(payload.stackLimit ?? base.stackLimit ?? 1);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new Error('满减门槛必须为正数');
+    }
+    if (!Number.isFinite(cutAmount) || cutAmount <= 0) {
+      throw new Error('满减优惠金额必须为正数');
+    }
+    if (stackLimit === 0) {
+      stackLimit = 'unlimited';
+    }
+    if (stackLimit !== 'unlimited' && (!Number.isFinite(stackLimit) || stackLimit <= 0)) {
+      throw new Error('可叠加次数必须大于 0，或设置为无限叠加');
+    }
+    base.threshold = threshold;
+    base.cutAmount = cutAmount;
+    base.stackLimit = stackLimit === 'unlimited' ? null : Math.floor(stackLimit);
+    base.value = 1;
+  } else if (base.type === 'bundle') {
+    const bundleProductId = payload.bundleProductId ?? base.bundleProductId;
+    const cutAmount = Number(payload.cutAmount ?? base.cutAmount);
+    const stackLimit = payload.stackLimit === undefined ? base.stackLimit : Number(payload.stackLimit) || null;
+    if (!bundleProductId || !state.merch?.products?.[bundleProductId]) {
+      throw new Error('请选择与门票捆绑的商品');
+    }
+    if (!Number.isFinite(cutAmount) || cutAmount <= 0) {
+      throw new Error('套票优惠金额必须为正数');
+    }
+    if (stackLimit !== null && (!Number.isInteger(stackLimit) || stackLimit < 0)) {
+      throw new Error('可叠加次数必须为正整数');
+    }
+    base.bundleProductId = bundleProductId;
+    base.cutAmount = cutAmount;
+    base.stackLimit = stackLimit;
+    base.threshold = null;
+    base.value = 1;
+    base.scope = 'both';
+  }
+
+  return base;
 };
 
-const clearSessionCookie = (res) => {
-  const cookieValue = cookie.serialize(SESSION_COOKIE_NAME, '', {
-    httpOnly: true,
-    sameSite: 'lax',
-    expires: new Date(0),
-    path: '/',
-  });
-  res.setHeader('Set-Cookie', cookieValue);
+const parseSeatNumber = (seatLabel) => {
+  if (!seatLabel) return null;
+  const match = seatLabel.match(/^(.+)排(\d+)号$/);
+  if (!match) return null;
+  return Number(match[2]);
 };
 
-const requireRole = (role) => (req, res, next) => {
-  const session = parseSession(req);
-  if (!session) {
-    return res.status(401).json({ error: '未登录' });
+const createDefaultLabeling = () => ({ seatOrder: 'center', rowNaming: 'number', rowNames: [] });
+
+const normalizeLabeling = (input) => {
+  const labeling = createDefaultLabeling();
+  if (!input || typeof input !== 'object') return labeling;
+  if (input.seatOrder != null) {
+    if (!SEAT_ORDER_SCHEMES.includes(input.seatOrder)) {
+      throw new Error('座位编号方式无效');
+    }
+    labeling.seatOrder = input.seatOrder;
   }
-  if (role === 'admin' && session.role !== 'admin') {
-    return res.status(403).json({ error: '无权限' });
+  if (input.rowNaming != null) {
+    if (!ROW_NAMING_SCHEMES.includes(input.rowNaming)) {
+      throw new Error('排号命名方式无效');
+    }
+    labeling.rowNaming = input.rowNaming;
+  }
+  if (labeling.rowNaming === 'custom') {
+    const names = Array.isArray(input.rowNames)
+      ? input.rowNames
+      : String(input.rowNames || '').split(/[,，\n]/);
+    labeling.rowNames = names.map((value) => String(value ?? '').trim()).filter(Boolean);
+    if (!labeling.rowNames.length) {
+      throw new Error('请填写自定义排名');
+    }
   }
-  req.session = session;
-  return next();
+  return labeling;
 };
 
-const requireAnyRole = (req, res, next) => {
-  const session = parseSession(req);
-  if (!session) {
-    return res.status(401).json({ error: '未登录' });
+// 0 -> A, 25 -> Z, 26 -> AA, like spreadsheet columns.
+const toRowLetters = (index) => {
+  let value = index + 1;
+  let letters = '';
+  while (value > 0) {
+    const remainder = (value - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    value = Math.floor((value - 1) / 26);
   }
-  req.session = session;
-  next();
+  return letters;
+};
+
+const formatRowName = (labeling, row) => {
+  if (labeling?.rowNaming === 'letter') return toRowLetters(row);
+  if (labeling?.rowNaming === 'custom' && labeling.rowNames[row]) return labeling.rowNames[row];
+  return String(row + 1);
+};
+
+const formatSeatLabel = (labeling, row, number) => `${formatRowName(labeling, row)}排${number}号`;
+
+// Bundle modes pair tickets with a product, so they only make sense in a combined checkout.
+const checkoutModeAppliesTo = (mode, scope) =>
+  mode.type === 'bundle' ? scope === 'both' : [scope, 'both'].includes(mode.scope || 'merch');
+
+// `quantity` is the item or ticket count, checked against the mode's optional minQuantity.
+// `basket` ({tickets, products: {productId: quantity}}) is only passed by combined checkouts.
+const applyCheckoutModeToTotal = (mode, total, quantity, basket = null) => {
+  if (!mode || mode.enabled === false) {
+    return { totalAfter: total, discount: 0 };
+  }
+  if (mode.minQuantity && quantity < mode.minQuantity) {
+    return { totalAfter: total, discount: 0 };
+  }
+  if (mode.type === 'discount' || mode.type === 'percentage') {
+    const multiplier = Math.min(1, Math.max(0, Number(mode.value) || 1));
+    const totalAfter = Math.max(0, Math.round(total * multiplier * 100) / 100);
+    return { totalAfter, discount: Math.round((total - totalAfter) * 100) / 100 };
+  }
+  if (mode.type === 'fullcut') {
+    const threshold = Math.max(0, Number(mode.threshold) || 0);
+    const cutAmount = Math.max(0, Number(mode.cutAmount) || 0);
+    const stackLimit = Number.isFinite(Number(mode.stackLimit))
+      ? Math.max(1, Math.floor(Number(mode.stackLimit)))
+      : null;
+    if (!threshold || !cutAmount) {
+      return { totalAfter: total, discount: 0 };
+    }
+    const possibleStacks = Math.floor(total / threshold);
+    const stacks = stackLimit ? Math.min(possibleStacks, stackLimit) : possibleStacks;
+    const discount = Math.max(0, Math.min(total, stacks * cutAmount));
+    return { totalAfter: total - discount, discount };
+  }
+  if (mode.type === 'bundle' && basket) {
+    const pairs = Math.min(basket.tickets, basket.products[mode.bundleProductId] || 0);
+    const stacks = mode.stackLimit ? Math.min(pairs, mode.stackLimit) : pairs;
+    const discount = Math.round(Math.min(total, stacks * (Number(mode.cutAmount) || 0)) * 100) / 100;
+    return { totalAfter: Math.round((total - discount) * 100) / 100, discount };
+  }
+  return { totalAfter: total, discount: 0 };
+};
+
+const normalizeUsername = (username = '') => username.trim().toLowerCase();
+
+const hashPassword = async (plain) => bcrypt.hash(String(plain), PASSWORD_SALT_ROUNDS);
+
+const verifyPassword = async (plain, hash) => bcrypt.compare(String(plain), hash);
+
+const ensureAccount = async (username, password, role, { overridePassword = false } = {}) => {
+  if (!username || !password) return null;
+  const key = normalizeUsername(username);
+  const existing = state.accounts[key];
+  if (existing && !overridePassword) {
+    if (existing.role !== role) {
+      existing.role = role;
+      existing.updatedAt = Date.now();
+    }
+    return existing;
+  }
+  const passwordHash = await hashPassword(password);
+  const account = {
+    username: username.trim(),
+    passwordHash,
+    role,
+    createdAt: existing?.createdAt || Date.now(),
+    updatedAt: Date.now(),
+  };
+  state.accounts[key] = account;
+  return account;
+};
+
+const getAccount = (username) => state.accounts[normalizeUsername(username)] || null;
+
+const removeAccount = (username) => {
+  const key = normalizeUsername(username);
+  if (state.accounts[key]) {
+    delete state.accounts[key];
+    return true;
+  }
+  return false;
 };
 
-const guardPage = (role) => (req, res, next) => {
-  const session = parseSession(req);
-  if (!session) {
-    return res.redirect(`/High_School_Musical/login.html?role=${role}`);
+const countAccountsByRole = (role) =>
+  Object.values(state.accounts).filter((account) => account.role === role).length;
+
+const ensureDefaultAccounts = async () => {
+  if (!state.accounts || typeof state.accounts !== 'object') {
+    state.accounts = {};
+  }
+  const accountsArray = Object.values(state.accounts);
+  const hasAdmin = accountsArray.some((account) => account.role === 'admin');
+  if (!hasAdmin) {
+    await ensureAccount(DEFAULT_ADMIN_USERNAME, DEFAULT_ADMIN_PASSWORD, 'admin');
+  } else if (!state.accounts[normalizeUsername(DEFAULT_ADMIN_USERNAME)]) {
+    await ensureAccount(DEFAULT_ADMIN_USERNAME, DEFAULT_ADMIN_PASSWORD, 'admin');
+  }
+
+  const hasSales = accountsArray.some((account) => account.role === 'sales');
+  if (!hasSales && DEFAULT_SALES_PASSWORD) {
+    await ensureAccount(DEFAULT_SALES_USERNAME, DEFAULT_SALES_PASSWORD, 'sales');
+  }
+};
+
+const ensureDataFile = async () => {
+  try {
+    await fs.access(DATA_FILE);
+  } catch {
+    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+    await fs.writeFile(DATA_FILE, JSON.stringify(state, null, 2), 'utf8');
+  }
+};
+
+const migrateLegacyState = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.projects) return raw;
+  const { rows, cols, seats } = raw;
+  if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows <= 0 || cols <= 0) {
+    return null;
+  }
+  const projectId = uuidv4();
+  return {
+    projects: {
+      [projectId]: {
+        id: projectId,
+        name: '默认项目',
+        rows,
+        cols,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        seats: seats || {},
+      },
+    },
+  };
+};
+
+const loadState = async () => {
+  try {
+    const raw = await fs.readFile(DATA_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      const migrated = migrateLegacyState(parsed) || parsed;
+      const projects = migrated.projects && typeof migrated.projects === 'object' ? migrated.projects : {};
+      const accounts = migrated.accounts && typeof migrated.accounts === 'object' ? migrated.accounts : {};
+      const shows = migrated.shows && typeof migrated.shows === 'object' ? migrated.shows : {};
+      const venueTemplates =
+        migrated.venueTemplates && typeof migrated.venueTemplates === 'object' ? migrated.venueTemplates : {};
+      state = {
+        projects,
+        shows,
+        venueTemplates,
+        accounts,
+        merch: migrated.merch || undefined,
+        ticketSales: Array.isArray(migrated.ticketSales) ? migrated.ticketSales : [],
+        ticketRefunds: Array.isArray(migrated.ticketRefunds) ? migrated.ticketRefunds : [],
+        checkouts: Array.isArray(migrated.checkouts) ? migrated.checkouts : [],
+      };
+    }
+  } catch (error) {
+    console.warn('Failed to load state file, using defaults.', error);
+  }
+  ensureMerchState();
+};
+
+const saveState = async () => {
+  await fs.writeFile(DATA_FILE, JSON.stringify(state, null, 2), 'utf8');
+};
+
+const createEmptyProject = ({ name, rows, cols, sections = null, labeling = null }) => {
+  const id = uuidv4();
+  const createdAt = Date.now();
+  const layout =
+    Array.isArray(sections) && sections.length
+      ? sections.map((section, index) => ({
+          ...section,
+          id: index === 0 ? DEFAULT_SECTION_ID : createSectionId(),
+        }))
+      : [{ id: DEFAULT_SECTION_ID, name: DEFAULT_SECTION_NAME, rows, cols, stageOrientation: 'top' }];
+  const seats = {};
+  layout.forEach((section) => Object.assign(seats, buildSectionSeats(section)));
+  return {
+    id,
+    name,
+    rows: layout[0].rows,
+    cols: layout[0].cols,
+    createdAt,
+    updatedAt: createdAt,
+    sections: layout,
+    labeling: labeling || createDefaultLabeling(),
+    zones: [],
+    holds: [],
+    seats,
+    ticketing: {
+      mode: 'random',
+      sequence: null,
+    },
+    priceColorAssignments: {},
+    seatLabelProgress: {},
+  };
+};
+
+// The sale-free part of a project: sections, enabled seats, prices, labeling and ticket template.
+const buildLayoutSnapshot = (project) => {
+  ensureProjectMetadata(project);
+  ensureProjectTicketing(project);
+  const seats = {};
+  Object.entries(project.seats).forEach(([id, seat]) => {
+    const enabled = seat.status !== 'disabled';
+    seats[id] = {
+      sectionId: seat.sectionId,
+      row: seat.row,
+      col: seat.col,
+      status: enabled ? 'available' : 'disabled',
+      // Sold seats may carry an old price; the layout uses the zone's current one.
+      price: enabled ? getProjectZone(project, seat.zoneId)?.price ?? seat.price : null,
+      zoneId: enabled ? seat.zoneId : null,
+      attributes: [...(seat.attributes || [])],
+    };
+  });
+  const sequence = project.ticketing.mode === 'sequence' ? project.ticketing.sequence : null;
+  return {
+    rows: project.rows,
+    cols: project.cols,
+    sections: project.sections.map((section) => ({ ...section })),
+    labeling: { ...project.labeling, rowNames: [...(project.labeling.rowNames || [])] },
+    zones: project.zones.map((zone) => ({ ...zone })),
+    ticketTypes: project.ticketTypes.map((type) => ({ ...type })),
+    seats,
+    priceColorAssignments: { ...project.priceColorAssignments },
+    ticketing:
+      sequence && sequence.template
+        ? { mode: 'sequence', sequence: { template: sequence.template, startValue: sequence.startValue } }
+        : { mode: 'random', sequence: null },
+  };
+};
+
+// Highest sequence value issued so far by any project numbering tickets with this template.
+const getSequenceHighWater = (template) =>
+  Object.values(state.projects).reduce((max, project) => {
+    const sequence = project.ticketing?.mode === 'sequence' ? project.ticketing.sequence : null;
+    if (!sequence || sequence.template !== template) return max;
+    const seatMax = Object.values(project.seats || {}).reduce(
+      (value, seat) => Math.max(value, seat.ticketSequenceValue || 0),
+      0
+    );
+    return Math.max(max, sequence.nextValue || 0, seatMax);
+  }, 0);
+
+// Sales and check-in state always start fresh; prices and the ticket template are optional.
+// With continueNumbering the copy picks up after the last number any project issued with the template.
+const createProjectFromLayout = (
+  layout,
+  { name, carryPrices = true, carryTicketing = true, continueNumbering = false }
+) => {
+  const project = createEmptyProject({
+    name,
+    rows: layout.rows,
+    cols: layout.cols,
+    labeling: { ...layout.labeling, rowNames: [...(layout.labeling?.rowNames || [])] },
+  });
+  project.sections = layout.sections.map((section) => ({ ...section }));
+  project.seats = {};
+  Object.entries(layout.seats).forEach(([id, seat]) => {
+    const enabled = seat.status !== 'disabled';
+    project.seats[id] = {
+      ...createEmptySeat(seat.row, seat.col, seat.sectionId),
+      status: enabled ? 'available' : 'disabled',
+      price: enabled && carryPrices ? seat.price : null,
+      zoneId: enabled && carryPrices ? seat.zoneId || null : null,
+      attributes: normalizeSeatAttributes(seat.attributes),
+    };
+  });
+  project.zones = carryPrices ? (layout.zones || []).map((zone) => ({ ...zone })) : [];
+  project.ticketTypes = carryPrices ? (layout.ticketTypes || []).map((type) => ({ ...type })) : [];
+  project.priceColorAssignments = carryPrices ? { ...layout.priceColorAssignments } : {};
+  if (carryTicketing && layout.ticketing?.mode === 'sequence') {
+    project.ticketing = {
+      mode: 'sequence',
+      sequence: { ...layout.ticketing.sequence },
+    };
+    if (continueNumbering) {
+      const sequence = project.ticketing.sequence;
+      const startValue = parseInt(String(sequence.startValue ?? '1'), 10) || 1;
+      sequence.startValue = Math.max(startValue, getSequenceHighWater(sequence.template) + 1);
+    }
+  }
+  ensureProjectSections(project);
+  assignSeatLabels(project);
+  ensureSeatTicketNumbers(project, { force: true });
+  return project;
+};
+
+const cloneProjectLayout = (source, options) => createProjectFromLayout(buildLayoutSnapshot(source), options);
+
+const SEAT_IN_USE_STATUSES = ['sold', 'locked', 'held'];
+
+// Brings another performance of the same show in line with a layout snapshot. Seats that are sold,
+// locked or held keep their sale state; everything else takes the layout's status, zone and price.
+const applyLayoutToPerformance = (project, layout) => {
+  ensureProjectMetadata(project);
+  const zoneIds = new Set((layout.zones || []).map((zone) => zone.id));
+  const typeIds = new Set((layout.ticketTypes || []).map((type) => type.id));
+  const sectionIds = new Set(layout.sections.map((section) => section.id));
+  Object.entries(project.seats).forEach(([id, seat]) => {
+    if (!SEAT_IN_USE_STATUSES.includes(seat.status)) return;
+    const target = layout.seats[id];
+    if (!target || target.status === 'disabled') {
+      throw new Error(`${describeSeat(project, seat)} 已售出或锁定，不能在该场次删除或停用`);
+    }
+    if (seat.zoneId && !zoneIds.has(seat.zoneId)) {
+      throw new Error(`${describeSeat(project, seat)} 所在票区已被删除，无法同步`);
+    }
+    if (seat.ticketTypeId && !typeIds.has(seat.ticketTypeId)) {
+      throw new Error(`${describeSeat(project, seat)} 使用的票种已被删除，无法同步`);
+    }
+  });
+  const gate = (project.gates || []).find(
+    (entry) => entry.zoneIds.some((id) => !zoneIds.has(id)) || entry.sectionIds.some((id) => !sectionIds.has(id))
+  );
+  if (gate) {
+    throw new Error(`检票口「${gate.name}」指定的分区或票区已被删除，请先修改该检票口`);
+  }
+
+  project.rows = layout.rows;
+  project.cols = layout.cols;
+  project.sections = layout.sections.map((section) => ({ ...section }));
+  project.labeling = { ...layout.labeling, rowNames: [...(layout.labeling?.rowNames || [])] };
+  project.zones = (layout.zones || []).map((zone) => ({ ...zone }));
+  project.ticketTypes = (layout.ticketTypes || []).map((type) => ({ ...type }));
+  project.priceColorAssignments = { ...layout.priceColorAssignments };
+  Object.keys(project.seats).forEach((id) => {
+    if (!layout.seats[id]) delete project.seats[id];
+  });
+  Object.entries(layout.seats).forEach(([id, target]) => {
+    let seat = project.seats[id];
+    if (!seat) {
+      seat = createEmptySeat(target.row, target.col, target.sectionId);
+      project.seats[id] = seat;
+    }
+    seat.attributes = normalizeSeatAttributes(target.attributes);
+    if (SEAT_IN_USE_STATUSES.includes(seat.status)) {
+      applySeatZone(project, seat, target.zoneId);
+      return;
+    }
+    const enabled = target.status !== 'disabled';
+    seat.status = enabled ? 'available' : 'disabled';
+    seat.price = enabled ? target.price : null;
+    seat.zoneId = enabled ? target.zoneId || null : null;
+    if (!enabled) {
+      seat.ticketNumber = null;
+      seat.ticketCode = null;
+      seat.ticketSequenceValue = null;
+    }
+  });
+  project.seatLabelProgress = {};
+  ensureProjectSections(project);
+  ensureProjectZones(project);
+  ensureProjectHolds(project);
+  refreshPriceAssignments(project);
+  assignSeatLabels(project);
+  ensureSeatTicketNumbers(project);
+};
+
+const ensureVenueTemplates = () => {
+  if (!state.venueTemplates || typeof state.venueTemplates !== 'object') {
+    state.venueTemplates = {};
+  }
+};
+
+const summarizeVenueTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  sections: template.sections.map(({ id, name, rows, cols }) => ({ id, name, rows, cols })),
+  enabledSeats: Object.values(template.seats).filter((seat) => seat.status !== 'disabled').length,
+  ticketingMode: template.ticketing?.mode || 'random',
+  sourceProjectId: template.sourceProjectId || null,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+});
+
+const ensureShowsState = () => {
+  if (!state.shows || typeof state.shows !== 'object') {
+    state.shows = {};
+  }
+};
+
+// Projects created before shows existed become the first performance of a new show on demand.
+const ensureShowForProject = (project) => {
+  ensureShowsState();
+  if (project.showId && state.shows[project.showId]) {
+    return state.shows[project.showId];
+  }
+  const now = Date.now();
+  const show = { id: uuidv4(), name: project.name, createdAt: now, updatedAt: now };
+  state.shows[show.id] = show;
+  project.showId = show.id;
+  if (!project.performance) {
+    project.performance = { label: '', startsAt: null };
+  }
+  return show;
+};
+
+const comparePerformances = (a, b) => {
+  const startA = a.performance?.startsAt ?? Number.MAX_SAFE_INTEGER;
+  const startB = b.performance?.startsAt ?? Number.MAX_SAFE_INTEGER;
+  if (startA !== startB) return startA - startB;
+  return (a.createdAt || 0) - (b.createdAt || 0);
+};
+
+const describePerformance = (project) => {
+  const { label, startsAt } = project.performance || {};
+  if (label) return label;
+  return startsAt ? new Date(startsAt).toLocaleString('zh-CN', { hour12: false }) : '未命名场次';
+};
+
+const getShowPerformances = (showId) =>
+  Object.values(state.projects)
+    .filter((project) => project.showId === showId)
+    .sort(comparePerformances);
+
+const normalizePerformanceInput = (input = {}) => {
+  const label = typeof input.label === 'string' ? input.label.trim() : '';
+  let startsAt = null;
+  if (input.startsAt != null && input.startsAt !== '') {
+    startsAt = typeof input.startsAt === 'number' ? input.startsAt : Date.parse(input.startsAt);
+    if (!Number.isFinite(startsAt)) {
+      throw new Error('演出时间无效');
+    }
+  }
+  if (!label && startsAt == null) {
+    throw new Error('请填写场次名称或演出时间');
+  }
+  return { label, startsAt };
+};
+
+const summarizeProjectSeats = (project) => {
+  let availableSeats = 0;
+  let heldSeats = 0;
+  let soldSeats = 0;
+  let checkedIn = 0;
+  Object.values(project.seats || {}).forEach((seat) => {
+    if (seat.status === 'available') availableSeats += 1;
+    if (seat.status === 'held') heldSeats += 1;
+    if (seat.status === 'sold') {
+      soldSeats += 1;
+      if (seat.checkedInAt) checkedIn += 1;
+    }
+  });
+  return { availableSeats, heldSeats, soldSeats, checkedIn };
+};
+
+const generateTicketCode = (projectId, row, col) => {
+  const prettyRow = String(row + 1).padStart(2, '0');
+  const prettyCol = String(col + 1).padStart(2, '0');
+  return `P${projectId.slice(0, 4).toUpperCase()}-${prettyRow}${prettyCol}-${uuidv4()
+    .slice(0, 8)
+    .toUpperCase()}`;
+};
+
+const isTicketSigningEnabled = (project) => Boolean(project.ticketSigning?.enabled && project.ticketSigning.privateKey);
+
+const buildTicketSignatureMessage = (projectId, id, ticketNumber) => `${projectId}|${id}|${ticketNumber}`;
+
+// Signed codes look like `<ticketNumber>~<seatId>~<base64url Ed25519 signature>` so scanners holding
+// the exported public key can verify them without the server.
+const signSeatTicketCode = (project, seat) => {
+  const id = seatId(seat.row, seat.col, seat.sectionId);
+  const message = buildTicketSignatureMessage(project.id, id, seat.ticketNumber);
+  const signature = crypto.sign(null, Buffer.from(message), project.ticketSigning.privateKey).toString('base64url');
+  return [seat.ticketNumber, id, signature].join(SIGNED_CODE_SEPARATOR);
+};
+
+const syncSeatTicketCode = (project, seat) => {
+  if (!seat.ticketNumber) {
+    seat.ticketCode = null;
+    return;
+  }
+  seat.ticketCode = isTicketSigningEnabled(project) ? signSeatTicketCode(project, seat) : seat.ticketNumber;
+};
+
+/** Returns the signed fields when `code` carries a valid signature for this project, otherwise null. */
+const verifySignedTicketCode = (project, code) => {
+  if (!project.ticketSigning?.publicKey || typeof code !== 'string') return null;
+  const parts = code.trim().split(SIGNED_CODE_SEPARATOR);
+  if (parts.length < 3) return null;
+  const signature = parts.pop();
+  const id = parts.pop();
+  const ticketNumber = parts.join(SIGNED_CODE_SEPARATOR);
+  const signatureBytes = Buffer.from(signature, 'base64url');
+  if (signatureBytes.toString('base64url') !== signature) return null;
+  try {
+    const valid = crypto.verify(
+      null,
+      Buffer.from(buildTicketSignatureMessage(project.id, id, ticketNumber)),
+      project.ticketSigning.publicKey,
+      signatureBytes
+    );
+    return valid ? { ticketNumber, seatId: id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const matchesSeatTicketCode = (project, seat, code) => {
+  if (!code || !seat.ticketNumber) return false;
+  if (code === seat.ticketCode) return true;
+  // Seats re-keyed by a grid resize keep their number but get a freshly signed code.
+  return verifySignedTicketCode(project, code)?.ticketNumber === seat.ticketNumber;
+};
+
+const setTicketSigning = (project, enabled) => {
+  if (enabled && !project.ticketSigning?.privateKey) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    project.ticketSigning = {
+      enabled: true,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      createdAt: Date.now(),
+    };
+  } else if (project.ticketSigning) {
+    project.ticketSigning.enabled = enabled;
+  }
+  Object.values(project.seats).forEach((seat) => syncSeatTicketCode(project, seat));
+};
+
+// targetRows holds sectionRowKey() values; plain row numbers address the default section.
+const assignSeatLabels = (project, targetRows = null) => {
+  ensureProjectMetadata(project);
+  let rowFilter = null;
+  if (targetRows != null) {
+    const candidates =
+      targetRows instanceof Set
+        ? [...targetRows]
+        : Array.isArray(targetRows)
+        ? targetRows
+        : [targetRows];
+    rowFilter = new Set(candidates.map((value) => String(value)));
+    if (rowFilter.size === 0) {
+      rowFilter = null;
+    }
+  }
+  project.sections.forEach((section) => assignSectionSeatLabels(project, section, rowFilter));
+};
+
+const assignSectionSeatLabels = (project, section, rowFilter) => {
+  const { seats, labeling } = project;
+  const { rows, cols } = section;
+  const centerLeftIndex = Math.floor((cols - 1) / 2);
+  const centerRightIndex = centerLeftIndex + 1;
+
+  for (let row = 0; row < rows; row += 1) {
+    if (rowFilter && !rowFilter.has(sectionRowKey(section.id, row))) continue;
+    const activeSeats = [];
+
+    for (let col = 0; col < cols; col += 1) {
+      const id = seatId(row, col, section.id);
+      const seat = seats[id];
+      if (!seat) continue;
+      ensureSeatCheckinState(seat);
+
+      if (seat.status === 'disabled') {
+        seat.seatLabel = null;
+        continue;
+      }
+      activeSeats.push({ seat, col });
+    }
+
+    // Each scheme replaces the row's progress so counters from another scheme never linger.
+    const progressKey = sectionRowKey(section.id, row);
+    if (labeling.seatOrder === 'ltr' || labeling.seatOrder === 'rtl') {
+      activeSeats
+        .sort((a, b) => (labeling.seatOrder === 'ltr' ? a.col - b.col : b.col - a.col))
+        .forEach((entry, index) => {
+          entry.seat.seatLabel = formatSeatLabel(labeling, row, index + 1);
+        });
+      project.seatLabelProgress[progressKey] = { next: activeSeats.length + 1 };
+      continue;
+    }
+
+    const leftSeats = activeSeats.filter((entry) => entry.col <= centerLeftIndex);
+    const rightSeats = activeSeats.filter((entry) => entry.col > centerLeftIndex);
+
+    leftSeats
+      .sort((a, b) => {
+        const distA = centerLeftIndex - a.col;
+        const distB = centerLeftIndex - b.col;
+        if (distA !== distB) return distA - distB;
+        return b.col - a.col;
+      })
+      .forEach((entry, index) => {
+        const labelNumber = 1 + index * 2;
+        entry.seat.seatLabel = formatSeatLabel(labeling, row, labelNumber);
+      });
+
+    rightSeats
+      .sort((a, b) => {
+        const distA = a.col - centerRightIndex;
+        const distB = b.col - centerRightIndex;
+        if (distA !== distB) return distA - distB;
+        return a.col - b.col;
+      })
+      .forEach((entry, index) => {
+        const labelNumber = 2 + index * 2;
+        entry.seat.seatLabel = formatSeatLabel(labeling, row, labelNumber);
+      });
+
+    const progress = {
+      leftNext: leftSeats.length > 0 ? leftSeats.length * 2 + 1 : 1,
+      rightNext: rightSeats.length > 0 ? rightSeats.length * 2 + 2 : 2,
+    };
+    if (progress.leftNext % 2 === 0) progress.leftNext += 1;
+    if (progress.rightNext % 2 !== 0) progress.rightNext += 1;
+    project.seatLabelProgress[progressKey] = progress;
+  }
+};
+
+const sanitizeSeatsUpdate = (project, updates = []) => {
+  ensureProjectMetadata(project);
+  const normalized = {};
+  updates.forEach((seat) => {
+    if (
+      !seat ||
+      typeof seat !== 'object' ||
+      !Number.isInteger(seat.row) ||
+      !Number.isInteger(seat.col)
+    ) {
+      return;
+    }
+    const sectionId = typeof seat.sectionId === 'string' && seat.sectionId ? seat.sectionId : DEFAULT_SECTION_ID;
+    const section = getProjectSection(project, sectionId);
+    if (!section) {
+      return;
+    }
+    if (seat.row < 0 || seat.col < 0 || seat.row >= section.rows || seat.col >= section.cols) {
+      return;
+    }
+    const allowedStatuses = ['disabled', 'available', 'locked', 'held', 'sold'];
+    let status;
+    if (seat.status !== undefined) {
+      status = allowedStatuses.includes(seat.status) ? seat.status : 'disabled';
+    }
+    let price;
+    if (seat.price !== undefined) {
+      price = typeof seat.price === 'number' && Number.isFinite(seat.price) && seat.price >= 0 ? seat.price : null;
+    }
+    let ticketNumber;
+    if (seat.ticketNumber !== undefined) {
+      ticketNumber = typeof seat.ticketNumber === 'string' ? seat.ticketNumber.trim() || null : null;
+    }
+    normalized[seatId(seat.row, seat.col, sectionId)] = {
+      sectionId,
+      row: seat.row,
+      col: seat.col,
+      status,
+      price,
+      zoneId: resolveSeatZoneInput(project, { zoneId: seat.zoneId, price, status }),
+      attributes: Array.isArray(seat.attributes) ? normalizeSeatAttributes(seat.attributes) : undefined,
+      ticketNumber,
+    };
+  });
+  return normalized;
+};
+
+const ensureProjectTicketing = (project) => {
+  if (!project.ticketing || typeof project.ticketing !== 'object') {
+    project.ticketing = { mode: 'random', sequence: null };
+  }
+  if (!project.ticketing.mode) {
+    project.ticketing.mode = 'random';
+  }
+  if (project.ticketing.mode !== 'sequence') {
+    project.ticketing.sequence = null;
+  } else {
+    project.ticketing.sequence = {
+      template: project.ticketing.sequence?.template || null,
+      width: project.ticketing.sequence?.width || 0,
+      startValue: project.ticketing.sequence?.startValue || 1,
+      nextValue:
+        typeof project.ticketing.sequence?.nextValue === 'number'
+          ? project.ticketing.sequence.nextValue
+          : (project.ticketing.sequence?.startValue || 1) - 1,
+      maxValue: project.ticketing.sequence?.maxValue || 0,
+      prefix: project.ticketing.sequence?.prefix || '',
+    };
+  }
+};
+
+const prepareSequenceState = (project) => {
+  ensureProjectTicketing(project);
+  if (project.ticketing.mode !== 'sequence') return null;
+  const sequence = project.ticketing.sequence;
+  if (!sequence || !sequence.template) return null;
+  const match = sequence.template.match(/(X+)$/);
+  if (!match) return null;
+  const width = match[1].length;
+  const prefix = sequence.template.slice(0, -width);
+  const startValue = parseInt(String(sequence.startValue ?? '1'), 10);
+  if (Number.isNaN(startValue)) return null;
+  const maxValue = 10 ** width - 1;
+  sequence.width = width;
+  sequence.prefix = prefix;
+  sequence.startValue = startValue;
+  sequence.startString = String(sequence.startValue).padStart(width, '0');
+  sequence.maxValue = maxValue;
+  if (typeof sequence.nextValue !== 'number' || sequence.nextValue < startValue - 1) {
+    sequence.nextValue = startValue - 1;
+  }
+  return sequence;
+};
+
+const formatSequenceTicketNumber = (sequence, value) => {
+  if (!sequence) return null;
+  const digits = String(value).padStart(sequence.width, '0');
+  if (digits.length > sequence.width) return null;
+  return `${sequence.prefix}${digits}`;
+};
+
+const deriveSequenceValue = (sequence, ticketNumber) => {
+  if (!sequence || !ticketNumber) return null;
+  if (!ticketNumber.startsWith(sequence.prefix)) return null;
+  const digits = ticketNumber.slice(sequence.prefix.length);
+  if (!/^\d+$/.test(digits) || digits.length !== sequence.width) return null;
+  const value = parseInt(digits, 10);
+  if (Number.isNaN(value)) return null;
+  return value;
+};
+
+const findVoidedTicket = (project, code) => {
+  const normalized = String(code || '').trim();
+  if (!normalized) return null;
+  return (project.voidedTickets || []).find(
+    (entry) => entry.ticketNumber === normalized || entry.ticketCode === normalized
+  ) || null;
+};
+
+const assignTicketNumberToSeat = (project, seat, { force = false } = {}) => {
+  ensureProjectTicketing(project);
+  if (!seat) return;
+  if (seat.status === 'disabled') {
+    seat.ticketNumber = null;
+    seat.ticketCode = null;
+    seat.ticketSequenceValue = null;
+    return;
+  }
+  if (!force && seat.ticketNumber) {
+    syncSeatTicketCode(project, seat);
+    return;
+  }
+  if (project.ticketing.mode === 'sequence') {
+    const sequence = prepareSequenceState(project);
+    if (!sequence) {
+      const ticketNumber = generateTicketCode(project.id, seat.row, seat.col);
+      seat.ticketNumber = ticketNumber;
+      syncSeatTicketCode(project, seat);
+      seat.ticketSequenceValue = null;
+      return;
+    }
+    let nextValue = sequence.nextValue + 1;
+    while (findVoidedTicket(project, formatSequenceTicketNumber(sequence, nextValue))) {
+      nextValue += 1;
+    }
+    if (nextValue > sequence.maxValue) {
+      throw new Error('票号流水已超出范围');
+    }
+    sequence.nextValue = nextValue;
+    const ticketNumber = formatSequenceTicketNumber(sequence, nextValue);
+    seat.ticketNumber = ticketNumber;
+    syncSeatTicketCode(project, seat);
+    seat.ticketSequenceValue = nextValue;
+  } else {
+    const ticketNumber = generateTicketCode(project.id, seat.row, seat.col);
+    seat.ticketNumber = ticketNumber;
+    syncSeatTicketCode(project, seat);
+    seat.ticketSequenceValue = null;
+  }
+};
+
+const ensureSeatTicketNumbers = (project, { force = false } = {}) => {
+  ensureProjectTicketing(project);
+  ensureProjectMetadata(project);
+  const sectionOrder = new Map(project.sections.map((section, index) => [section.id, index]));
+  const seats = Object.values(project.seats || {}).sort((a, b) => {
+    const orderA = sectionOrder.get(a.sectionId) ?? 0;
+    const orderB = sectionOrder.get(b.sectionId) ?? 0;
+    if (orderA !== orderB) return orderA - orderB;
+    if (a.row !== b.row) return a.row - b.row;
+    const numA = parseSeatNumber(a.seatLabel) ?? a.col + 1;
+    const numB = parseSeatNumber(b.seatLabel) ?? b.col + 1;
+    return numA - numB;
+  });
+  const sequence = prepareSequenceState(project);
+  if (sequence && force) {
+    sequence.nextValue = sequence.startValue - 1;
+  }
+  if (sequence) {
+    const activeSeatCount = seats.filter((seat) => seat.status !== 'disabled').length;
+    const potentialMax = sequence.startValue - 1 + activeSeatCount;
+    if (potentialMax > sequence.maxValue) {
+      throw new Error('可用流水号不足以覆盖启用座位数量');
+    }
+  }
+  seats.forEach((seat) => {
+    if (sequence) {
+      if (seat.ticketNumber && !seat.ticketSequenceValue) {
+        const derived = deriveSequenceValue(sequence, seat.ticketNumber);
+        if (derived !== null) {
+          seat.ticketSequenceValue = derived;
+        }
+      }
+      if (!force && seat.ticketSequenceValue) {
+        if (seat.ticketSequenceValue > sequence.nextValue) {
+          sequence.nextValue = seat.ticketSequenceValue;
+        }
+        if (seat.ticketNumber && seat.status !== 'disabled') {
+          syncSeatTicketCode(project, seat);
+          return;
+        }
+      }
+    }
+    if (!force && seat.ticketNumber && seat.status !== 'disabled') {
+      syncSeatTicketCode(project, seat);
+      return;
+    }
+    assignTicketNumberToSeat(project, seat, { force });
+  });
+};
+
+const recordTicketHistory = (project, seat, type, { reason = '', handledBy = 'unknown' } = {}) => {
+  project.ticketHistory.push({
+    id: uuidv4(),
+    type,
+    seatId: seatId(seat.row, seat.col, seat.sectionId),
+    seatDisplay: describeSeat(project, seat),
+    ticketNumber: seat.ticketNumber,
+    reason,
+    handledBy,
+    createdAt: Date.now(),
+  });
+};
+
+// Blacklists the seat's current ticket and gives the seat a fresh, unissued number.
+// The new number is taken first, so an exhausted sequence throws before anything is voided.
+const voidSeatTicket = (project, seat, { reason, handledBy }) => {
+  ensureProjectMetadata(project);
+  if (!seat.ticketNumber) return;
+  const voided = { ...seat };
+  assignTicketNumberToSeat(project, seat, { force: true });
+  recordTicketHistory(project, voided, 'void', { reason, handledBy });
+  project.voidedTickets.push({
+    ticketNumber: voided.ticketNumber,
+    ticketCode: voided.ticketCode,
+    seatId: seatId(seat.row, seat.col, seat.sectionId),
+    seatDisplay: describeSeat(project, voided),
+    reason,
+    voidedBy: handledBy,
+    voidedAt: Date.now(),
+  });
+  resetSeatCheckin(seat);
+};
+
+// Per-sale state that follows the customer when a sale moves to another seat.
+const SEAT_SALE_FIELDS = [
+  'issuedAt',
+  'checkedInAt',
+  'checkedInBy',
+  'checkedInGateId',
+  'checkedOutAt',
+  'ticketTypeId',
+  'soldPrice',
+  'customer',
+  'allocationId',
+];
+
+const clearSeatSale = (seat) => {
+  SEAT_SALE_FIELDS.forEach((field) => {
+    seat[field] = null;
+  });
+};
+
+const validateSeatExchange = (source, target) => {
+  if (!source || source.status !== 'sold') return '原座位未售出';
+  if (source.awaitingReissue) return '原座位的票已作废，请先补发';
+  if (!target) return '目标座位不存在';
+  if (target === source) return '目标座位与原座位相同';
+  return null;
+};
+
+/**
+ * Moves a sale from `source` to `target`. With `keepTicketCode` the customer's ticket
+ * number follows them; otherwise the old ticket is voided and the target seat's own
+ * ticket is issued. Returns the exchange record with the price difference.
+ */
+const exchangeSeatSale = (project, source, target, { keepTicketCode = false, note = '', handledBy = 'unknown' } = {}) => {
+  ensureProjectMetadata(project);
+  const fromDisplay = describeSeat(project, source);
+  const toDisplay = describeSeat(project, target);
+  const ticketType = getProjectTicketType(project, source.ticketTypeId);
+  const fromPrice = source.soldPrice ?? source.price ?? 0;
+  const toPrice = resolveTicketTypePrice(ticketType, target.price);
+  const originalTicketNumber = source.ticketNumber;
+  const saleEntry = findSeatSaleEntry(project, seatId(source.row, source.col, source.sectionId));
+  const saleFields = Object.fromEntries(SEAT_SALE_FIELDS.map((field) => [field, source[field] ?? null]));
+  if (keepTicketCode) {
+    const sourceTicket = [source.ticketNumber, source.ticketSequenceValue];
+    [source.ticketNumber, source.ticketSequenceValue] = [target.ticketNumber, target.ticketSequenceValue];
+    [target.ticketNumber, target.ticketSequenceValue] = sourceTicket;
+    syncSeatTicketCode(project, source);
+    syncSeatTicketCode(project, target);
+    Object.assign(target, saleFields);
+  } else {
+    // Voiding can fail on an exhausted sequence, so the target is only touched once it succeeded.
+    voidSeatTicket(project, source, { reason: `换座至 ${toDisplay}`, handledBy });
+    Object.assign(target, saleFields, { issuedAt: Date.now() });
+  }
+  target.soldPrice = toPrice;
+  clearSeatSale(source);
+  Object.assign(target, { status: 'sold', lockedBy: null, lockExpiresAt: null, holdId: null, awaitingReissue: false });
+  Object.assign(source, { status: 'available', lockedBy: null, lockExpiresAt: null, holdId: null, awaitingReissue: false });
+  assignTicketNumberToSeat(project, source);
+  assignTicketNumberToSeat(project, target);
+  const priceDifference = toPrice - fromPrice;
+  const exchange = {
+    id: uuidv4(),
+    fromSeatId: seatId(source.row, source.col, source.sectionId),
+    fromSeatDisplay: fromDisplay,
+    fromPrice,
+    toSeatId: seatId(target.row, target.col, target.sectionId),
+    toSeatDisplay: toDisplay,
+    toPrice,
+    priceDifference,
+    adjustment: priceDifference > 0 ? 'charge' : priceDifference < 0 ? 'refund' : 'none',
+    originalTicketNumber,
+    ticketNumber: target.ticketNumber,
+    reissued: !keepTicketCode,
+    note,
+    handledBy,
+    createdAt: Date.now(),
+  };
+  if (saleEntry) {
+    // The sale now covers the new seat, so refunds and reports find it there at the price actually charged.
+    const { sale, entry } = saleEntry;
+    Object.assign(entry, {
+      seatId: exchange.toSeatId,
+      seatDisplay: toDisplay,
+      ticketNumber: target.ticketNumber,
+      price: toPrice,
+    });
+    if (priceDifference) {
+      sale.totalBefore = roundCurrency(sale.totalBefore + priceDifference);
+      sale.totalAmount = roundCurrency(sale.totalAmount + priceDifference);
+      sale.adjustments = [
+        ...(sale.adjustments || []),
+        {
+          exchangeId: exchange.id,
+          amount: roundCurrency(priceDifference),
+          reason: `换座 ${fromDisplay} → ${toDisplay}`,
+          handledBy,
+          createdAt: exchange.createdAt,
+        },
+      ];
+    }
+    updateTicketSaleChange(sale);
+    exchange.saleId = sale.id;
+  }
+  project.exchanges.push(exchange);
+  recordTicketHistory(project, target, 'exchange', { reason: `${fromDisplay} → ${toDisplay}`, handledBy });
+  return exchange;
+};
+
+// Newest sale entry still covering the seat; a seat refunded and sold again has one entry per sale.
+const findSeatSaleEntry = (project, id) => {
+  ensureTicketSales();
+  for (const sale of state.ticketSales) {
+    if (sale.projectId !== project.id) continue;
+    const entry = sale.seats.find((item) => item.seatId === id && !item.refundId);
+    if (entry) return { sale, entry };
+  }
+  return null;
+};
+
+// What the buyer actually paid for the seat, with the sale's checkout discount shared out by price.
+const getRefundableAmount = (seat, saleEntry) => {
+  if (!saleEntry) return roundCurrency(seat.soldPrice ?? seat.price ?? 0);
+  const { sale, entry } = saleEntry;
+  const share = sale.totalBefore ? (entry.price || 0) / sale.totalBefore : 0;
+  return roundCurrency(sale.totalAmount * share);
+};
+
+/**
+ * Refunds a sold seat: voids its ticket, records the refund and puts the seat back on sale,
+ * or into `hold` when one is given.
+ */
+const refundSeatSale = (project, id, { amount, method, reason, approvedBy, hold = null }) => {
+  const seat = project.seats[id];
+  const saleEntry = findSeatSaleEntry(project, id);
+  const ticketNumber = seat.ticketNumber;
+  const seatDisplay = describeSeat(project, seat);
+  if (seat.awaitingReissue) {
+    resetSeatCheckin(seat);
+  } else {
+    voidSeatTicket(project, seat, { reason: `退票：${reason}`, handledBy: approvedBy });
+  }
+  clearSeatSale(seat);
+  Object.assign(seat, {
+    status: hold ? 'held' : 'available',
+    holdId: hold ? hold.id : null,
+    lockedBy: null,
+    lockExpiresAt: null,
+    awaitingReissue: false,
+  });
+  const refund = {
+    id: uuidv4(),
+    projectId: project.id,
+    projectName: project.name,
+    saleId: saleEntry?.sale.id || null,
+    seatId: id,
+    seatDisplay,
+    ticketNumber,
+    amount,
+    method,
+    reason,
+    approvedBy,
+    releasedTo: hold ? 'hold' : 'sale',
+    holdId: hold ? hold.id : null,
+    createdAt: Date.now(),
+  };
+  if (saleEntry) {
+    saleEntry.entry.refundId = refund.id;
+    saleEntry.sale.refundedAmount = roundCurrency((saleEntry.sale.refundedAmount || 0) + amount);
+    saleEntry.sale.updatedAt = refund.createdAt;
+  }
+  ensureTicketRefunds();
+  state.ticketRefunds.unshift(refund);
+  recordTicketHistory(project, seat, 'refund', { reason: `${seatDisplay} 退款 ¥${amount}：${reason}`, handledBy: approvedBy });
+  return refund;
+};
+
+const regenerateSeatTicketNumbers = (project, config = null) => {
+  if (config && config.mode === 'sequence') {
+    const { template, startValue } = config.sequence || {};
+    const match = template && template.match(/(X+)$/);
+    if (!match) {
+      throw new Error('票号模板必须以连续的 X 结尾');
+    }
+    const width = match[1].length;
+    if (!startValue || String(startValue).length !== width) {
+      throw new Error('流水码起始长度需与模板中 X 的数量一致');
+    }
+    const numericStart = parseInt(String(startValue), 10);
+    if (Number.isNaN(numericStart)) {
+      throw new Error('流水码起始必须是数字');
+    }
+    project.ticketing = {
+      mode: 'sequence',
+      sequence: {
+        template,
+        width,
+        startValue: numericStart,
+        nextValue: numericStart - 1,
+        maxValue: 10 ** width - 1,
+        prefix: template.slice(0, -width),
+        startString: String(startValue).padStart(width, '0'),
+      },
+    };
+  } else if (config && config.mode === 'random') {
+    project.ticketing = { mode: 'random', sequence: null };
+  }
+  ensureSeatTicketNumbers(project, { force: true });
+};
+
+const releaseSeatLock = (seat) => {
+  seat.lockedBy = null;
+  seat.lockExpiresAt = null;
+  if (seat.status === 'locked') {
+    seat.status = seat.holdId ? 'held' : 'available';
+  }
+};
+
+const enforceLockTimeouts = () => {
+  const now = Date.now();
+  const releasedByProject = new Map();
+  Object.values(state.projects).forEach((project) => {
+    const released = [];
+    let changed = false;
+    Object.entries(project.seats).forEach(([id, seat]) => {
+      if (chargingReservations.has(chargingKey(project, seat.lockedBy))) return;
+      if (seat.lockExpiresAt && seat.lockExpiresAt <= now) {
+        releaseSeatLock(seat);
+        released.push(id);
+        changed = true;
+      }
+    });
+    (project.reservations || []).forEach((reservation) => {
+      if (reservation.status !== 'pending' || !reservation.expiresAt || reservation.expiresAt > now) return;
+      if (isReservationCharging(project, reservation)) return;
+      reservation.status = 'expired';
+      reservation.updatedAt = now;
+      syncWaitlistWithReservation(project, reservation);
+      changed = true;
+    });
+    (project.holds || []).forEach((hold) => {
+      if (!hold.expiresAt || hold.expiresAt > now || hold.releasedAt) return;
+      Object.entries(project.seats).forEach(([id, seat]) => {
+        if (seat.holdId !== hold.id) return;
+        if (seat.status === 'held') {
+          hold.releasedSeats = (hold.releasedSeats || 0) + 1;
+          released.push(id);
+        }
+        releaseHeldSeat(seat);
+      });
+      hold.releasedAt = now;
+      changed = true;
+    });
+    if (changed) {
+      ensureProjectHolds(project);
+      project.updatedAt = Date.now();
+      releasedByProject.set(project.id, released);
+    }
+  });
+  if (releasedByProject.size > 0) {
+    saveState().catch((err) => console.error('Failed to persist state after lock timeout', err));
+    releasedByProject.forEach((released, projectId) => {
+      broadcastProject(projectId);
+      notifyWaitlist(state.projects[projectId], released);
+    });
+  }
+};
+
+setInterval(enforceLockTimeouts, 5 * 1000);
+
+const parseSession = (req) => {
+  try {
+    const cookies = cookie.parse(req.headers.cookie || '');
+    const sessionId = cookies[SESSION_COOKIE_NAME];
+    if (!sessionId) return null;
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    if (Date.now() - session.createdAt > SESSION_TTL_MS) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return { ...session, sessionId };
+  } catch {
+    return null;
+  }
+};
+
+const setSessionCookie = (res, sessionId) => {
+  const cookieValue = cookie.serialize(SESSION_COOKIE_NAME, sessionId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: SESSION_TTL_MS / 1000,
+    path: '/',
+  });
+  res.setHeader('Set-Cookie', cookieValue);
+};
+
+const clearSessionCookie = (res) => {
+  const cookieValue = cookie.serialize(SESSION_COOKIE_NAME, '', {
+    httpOnly: true,
+    sameSite: 'lax',
+    expires: new Date(0),
+    path: '/',
+  });
+  res.setHeader('Set-Cookie', cookieValue);
+};
+
+const requireRole = (role) => (req, res, next) => {
+  const session = parseSession(req);
+  if (!session) {
+    return res.status(401).json({ error: '未登录' });
+  }
+  if (role === 'admin' && session.role !== 'admin') {
+    return res.status(403).json({ error: '无权限' });
+  }
+  req.session = session;
+  return next();
+};
+
+const requireAnyRole = (req, res, next) => {
+  const session = parseSession(req);
+  if (!session) {
+    return res.status(401).json({ error: '未登录' });
+  }
+  req.session = session;
+  next();
+};
+
+const guardPage = (role) => (req, res, next) => {
+  const session = parseSession(req);
+  if (!session) {
+    return res.redirect(`/High_School_Musical/login.html?role=${role}`);
+  }
+  if (role === 'admin' && session.role !== 'admin') {
+    return res.redirect('/High_School_Musical/login.html?role=admin');
+  }
+  if (role === 'sales' && !['sales', 'admin'].includes(session.role)) {
+    return res.redirect('/High_School_Musical/login.html?role=sales');
+  }
+  next();
+};
+
+app.get('/High_School_Musical/admin.html', guardPage('admin'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/High_School_Musical/sales.html', guardPage('sales'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'sales.html'));
+});
+
+app.use(express.static(path.join(__dirname, 'public')));
+
+app.get('/High_School_Musical/api/auth/session', (req, res) => {
+  const session = parseSession(req);
+  if (!session) {
+    return res.json({ authenticated: false, role: null, username: null });
+  }
+  return res.json({ authenticated: true, role: session.role, username: session.username });
+});
+
+app.post('/High_School_Musical/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: '请输入用户名与密码' });
+  }
+  const account = getAccount(username);
+  if (!account) {
+    return res.status(401).json({ error: '用户名或密码错误' });
+  }
+  const verified = await verifyPassword(password, account.passwordHash).catch(() => false);
+  if (!verified) {
+    return res.status(401).json({ error: '用户名或密码错误' });
+  }
+  const sessionId = uuidv4();
+  sessions.set(sessionId, {
+    role: account.role,
+    username: account.username,
+    createdAt: Date.now(),
+  });
+  setSessionCookie(res, sessionId);
+  return res.json({ ok: true, role: account.role, username: account.username });
+});
+
+app.post('/High_School_Musical/api/auth/logout', requireAnyRole, (req, res) => {
+  if (req.session) {
+    sessions.delete(req.session.sessionId);
+  }
+  clearSessionCookie(res);
+  res.json({ ok: true });
+});
+
+app.get('/High_School_Musical/api/accounts', requireRole('admin'), (_req, res) => {
+  const accounts = Object.values(state.accounts)
+    .map(({ username, role, createdAt, updatedAt }) => ({ username, role, createdAt, updatedAt }))
+    .sort((a, b) => {
+      if (a.role === b.role) {
+        return a.username.localeCompare(b.username);
+      }
+      return a.role.localeCompare(b.role);
+    });
+  res.json({ accounts });
+});
+
+app.post('/High_School_Musical/api/accounts', requireRole('admin'), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+    return res.status(400).json({ error: '用户名与密码不能为空' });
+  }
+  if (!['admin', 'sales'].includes(role)) {
+    return res.status(400).json({ error: '角色无效' });
+  }
+  if (state.accounts[normalizeUsername(username)]) {
+    return res.status(409).json({ error: '该用户名已存在' });
+  }
+  await ensureAccount(username, password, role, { overridePassword: true });
+  await saveState();
+  broadcastAdminUpdate();
+  res.json({ ok: true });
+});
+
+app.get('/High_School_Musical/api/merch/products', requireAnyRole, (_req, res) => {
+  ensureMerchState();
+  const products = Object.values(state.merch.products).map(serializeProduct);
+  res.json({ products });
+});
+
+app.post('/High_School_Musical/api/merch/products', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const { name, price, stock, description, imageData, enabled = true } = req.body || {};
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: '请输入商品名称' });
+  }
+  const numericPrice = Number(price);
+  if (!Number.isFinite(numericPrice) || numericPrice < 0) {
+    return res.status(400).json({ error: '价格必须为非负数字' });
+  }
+  const numericStock = Number.isFinite(Number(stock)) ? Math.max(0, Math.floor(Number(stock))) : 0;
+  if (numericStock < 0) {
+    return res.status(400).json({ error: '库存数量无效' });
+  }
+  const id = uuidv4();
+  let imagePath = null;
+  if (imageData) {
+    try {
+      imagePath = await saveMerchImageFromDataUrl(imageData);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  const product = {
+    id,
+    name: name.trim(),
+    price: Math.round(numericPrice * 100) / 100,
+    stock: numericStock,
+    description: typeof description === 'string' ? description.trim() : '',
+    imageData: null,
+    imagePath,
+    enabled: Boolean(enabled),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  state.merch.products[id] = product;
+  await saveState();
+  res.json({ product: serializeProduct(product) });
+});
+
+app.put('/api/merch/products/:productId', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const product = state.merch.products[req.params.productId];
+  if (!product) {
+    return res.status(404).json({ error: '商品不存在' });
+  }
+  const payload = req.body || {};
+  if (payload.name && typeof payload.name === 'string') {
+    product.name = payload.name.trim();
+  }
+  if (payload.price !== undefined) {
+    const numericPrice = Number(payload.price);
+    if (!Number.isFinite(numericPrice) || numericPrice < 0) {
+      return res.status(400).json({ error: '价格必须为非负数字' });
+    }
+    product.price = Math.round(numericPrice * 100) / 100;
+  }
+  if (payload.stock !== undefined) {
+    const numericStock = Number.isFinite(Number(payload.stock))
+      ? Math.max(0, Math.floor(Number(payload.stock)))
+      : null;
+    if (numericStock === null) {
+      return res.status(400).json({ error: '库存数量无效' });
+    }
+    product.stock = numericStock;
+  }
+  if (payload.description !== undefined) {
+    product.description = typeof payload.description === 'string' ? payload.description.trim() : '';
+  }
+  if (payload.imageData !== undefined) {
+    if (payload.imageData) {
+      try {
+        const newPath = await saveMerchImageFromDataUrl(payload.imageData, product.imagePath);
+        product.imagePath = newPath;
+        product.imageData = null;
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    } else {
+      await deleteMerchImageFile(product.imagePath);
+      product.imagePath = null;
+      product.imageData = null;
+    }
+  }
+  if (payload.enabled !== undefined) {
+    product.enabled = Boolean(payload.enabled);
+  }
+  product.updatedAt = Date.now();
+  await saveState();
+  res.json({ product: serializeProduct(product) });
+});
+
+app.delete('/api/merch/products/:productId', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const product = state.merch.products[req.params.productId];
+  if (!product) {
+    return res.status(404).json({ error: '商品不存在' });
+  }
+  createStateBackup(`delete-product-${product.id}`).catch(() => {});
+  await deleteMerchImageFile(product.imagePath);
+  delete state.merch.products[req.params.productId];
+  await saveState();
+  res.json({ ok: true });
+});
+
+app.get('/api/merch/modes', requireAnyRole, (_req, res) => {
+  ensureMerchState();
+  const modes = Object.values(state.merch.checkoutModes).map(serializeCheckoutMode);
+  res.json({ modes });
+});
+
+app.post('/api/merch/modes', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const { name } = req.body || {};
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: '请输入结账模式名称' });
+  }
+  let definitions;
+  try {
+    definitions = normalizeCheckoutModePayload(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const id = uuidv4();
+  const mode = {
+    id,
+    ...definitions,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  state.merch.checkoutModes[id] = mode;
+  await saveState();
+  res.json({ mode: serializeCheckoutMode(mode) });
+});
+
+app.put('/api/merch/modes/:modeId', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const mode = state.merch.checkoutModes[req.params.modeId];
+  if (!mode) {
+    return res.status(404).json({ error: '结账模式不存在' });
+  }
+  let updated;
+  try {
+    updated = normalizeCheckoutModePayload(req.body, mode);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  Object.assign(mode, updated, { updatedAt: Date.now() });
+  await saveState();
+  res.json({ mode: serializeCheckoutMode(mode) });
+});
+
+app.delete('/api/merch/modes/:modeId', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const mode = state.merch.checkoutModes[req.params.modeId];
+  if (!mode) {
+    return res.status(404).json({ error: '结账模式不存在' });
+  }
+  createStateBackup(`delete-mode-${mode.id}`).catch(() => {});
+  delete state.merch.checkoutModes[req.params.modeId];
+  if (!Object.keys(state.merch.checkoutModes).length) {
+    await ensureMerchState();
+  }
+  await saveState();
+  res.json({ ok: true });
+});
+
+app.get('/api/merch/orders', requireRole('admin'), (req, res) => {
+  ensureMerchState();
+  const { since, until } = req.query || {};
+  const parsedSince = since ? Number(since) : null;
+  const parsedUntil = until ? Number(until) : null;
+  const orders = state.merch.orders
+    .filter((order) => {
+      if (parsedSince && order.createdAt < parsedSince) return false;
+      if (parsedUntil && order.createdAt > parsedUntil) return false;
+      return true;
+    })
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, 500)
+    .map((order) => (order.customer ? { ...order, customer: maskCustomer(order.customer) } : order));
+  res.json({ orders });
+});
+
+const requireSalesOrAdmin = (req, res, next) => {
+  const session = parseSession(req);
+  if (!session) {
+    return res.status(401).json({ error: '未登录' });
+  }
+  if (!['sales', 'admin'].includes(session.role)) {
+    return res.status(403).json({ error: '无权限' });
+  }
+  req.session = session;
+  return next();
+};
+
+const resolveCheckoutMode = (checkoutModeId, scope = 'merch') => {
+  if (!checkoutModeId) return null;
+  const mode = state.merch.checkoutModes[checkoutModeId];
+  return mode && mode.enabled !== false && checkoutModeAppliesTo(mode, scope) ? mode : null;
+};
+
+const CHECKOUT_SCOPE_ERRORS = {
+  merch: '该结账模式不适用于文创',
+  tickets: '该结账模式不适用于售票',
+  both: '该结账模式不适用于合并结账',
+};
+
+// Like resolveCheckoutMode, but a mode the cashier picked must exist, be enabled and fit the checkout.
+const requireCheckoutMode = (checkoutModeId, scope = 'merch') => {
+  if (!checkoutModeId) return null;
+  const mode = state.merch.checkoutModes[checkoutModeId];
+  if (!mode) {
+    throw new Error('结账模式不存在');
+  }
+  if (mode.enabled === false) {
+    throw new Error('该结账模式已停用');
+  }
+  if (!checkoutModeAppliesTo(mode, scope)) {
+    throw new Error(CHECKOUT_SCOPE_ERRORS[scope]);
+  }
+  return mode;
+};
+
+const normalizeOrderItems = (items = []) => {
+  if (!Array.isArray(items) || !items.length) {
+    throw new Error('请至少添加一条商品记录');
+  }
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw new Error(`第 ${index + 1} 条商品数据无效`);
+    }
+    const name = (item.name || item.productName || '').trim();
+    if (!name) {
+      throw new Error(`第 ${index + 1} 条商品缺少名称`);
+    }
+    const unitPrice = Number(item.unitPrice ?? item.price);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw new Error(`第 ${index + 1} 条商品单价无效`);
+    }
+    const quantity = Math.max(1, Math.floor(Number(item.quantity) || 0));
+    const subtotal = Math.round(unitPrice * quantity * 100) / 100;
+    return {
+      productId: item.productId || null,
+      name,
+      quantity,
+      unitPrice: Math.round(unitPrice * 100) / 100,
+      subtotal,
+    };
+  });
+};
+
+// Resolves cart entries against the catalog and stock; nothing is deducted until commitMerchStock.
+const parseMerchCartItems = (items) => {
+  if (!Array.isArray(items) || !items.length) {
+    throw new Error('请选择至少一件商品');
+  }
+  const parsedItems = [];
+  for (const entry of items) {
+    if (!entry || typeof entry !== 'object') continue;
+    const product = state.merch.products[entry.productId];
+    if (!product || product.enabled === false) {
+      throw new Error('存在无效商品');
+    }
+    const quantity = Math.max(1, Math.floor(Number(entry.quantity) || 0));
+    if (product.stock < quantity) {
+      throw new Error(`商品「${product.name}」库存不足`);
+    }
+    parsedItems.push({ product, quantity });
+  }
+  if (!parsedItems.length) {
+    throw new Error('未找到有效商品');
+  }
+  const orderItems = parsedItems.map(({ product, quantity }) => ({
+    productId: product.id,
+    name: product.name,
+    quantity,
+    unitPrice: product.price,
+    subtotal: Math.round(product.price * quantity * 100) / 100,
+  }));
+  const totalBefore = Math.round(orderItems.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+  return { parsedItems, orderItems, totalBefore };
+};
+
+const commitMerchStock = (parsedItems) => {
+  parsedItems.forEach(({ product, quantity }) => {
+    product.stock -= quantity;
+    if (product.stock < 0) product.stock = 0;
+    product.updatedAt = Date.now();
+  });
+};
+
+app.post('/api/merch/orders', requireSalesOrAdmin, async (req, res) => {
+  ensureMerchState();
+  const { items, checkoutModeId, note } = req.body || {};
+  let cart;
+  let customer;
+  try {
+    cart = parseMerchCartItems(items);
+    customer = normalizeCustomerInput(req.body?.customer);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const { parsedItems, orderItems, totalBefore } = cart;
+
+  let mode;
+  try {
+    mode = requireCheckoutMode(checkoutModeId);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { totalAfter, discount } = applyCheckoutModeToTotal(
+    mode,
+    totalBefore,
+    orderItems.reduce((sum, item) => sum + item.quantity, 0)
+  );
+  commitMerchStock(parsedItems);
+
+  const order = {
+    id: uuidv4(),
+    items: orderItems,
+    checkoutModeId: mode ? mode.id : null,
+    checkoutModeName: mode ? mode.name : '原价',
+    discount,
+    totalBefore,
+    totalAfter: Math.round(totalAfter * 100) / 100,
+    handledBy: req.session?.username || 'unknown',
+    customer,
+    note: typeof note === 'string' ? note.trim() : '',
+    createdAt: Date.now(),
+  };
+  state.merch.orders.unshift(order);
+  state.merch.orders = state.merch.orders.slice(0, 2000);
+  await saveState();
+  res.json({ order });
+});
+
+app.post('/api/merch/orders/manual', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  let orderItems;
+  try {
+    orderItems = normalizeOrderItems(req.body?.items);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  let mode;
+  try {
+    mode = requireCheckoutMode(req.body?.checkoutModeId);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const totalBefore =
+    Math.round(orderItems.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+  const { totalAfter, discount } = applyCheckoutModeToTotal(
+    mode,
+    totalBefore,
+    orderItems.reduce((sum, item) => sum + item.quantity, 0)
+  );
+  const handledBy =
+    typeof req.body?.handledBy === 'string' && req.body.handledBy.trim()
+      ? req.body.handledBy.trim()
+      : req.session?.username || 'admin';
+  const order = {
+    id: uuidv4(),
+    items: orderItems,
+    checkoutModeId: mode ? mode.id : null,
+    checkoutModeName: mode ? mode.name : '原价',
+    discount,
+    totalBefore,
+    totalAfter: Math.round(totalAfter * 100) / 100,
+    handledBy,
+    note: typeof req.body?.note === 'string' ? req.body.note.trim() : '',
+    createdAt: Number(req.body?.createdAt) || Date.now(),
+    manual: true,
+  };
+  state.merch.orders.unshift(order);
+  state.merch.orders = state.merch.orders.slice(0, 2000);
+  await saveState();
+  res.json({ order });
+});
+
+app.put('/api/merch/orders/:orderId', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const index = state.merch.orders.findIndex((order) => order.id === req.params.orderId);
+  if (index === -1) {
+    return res.status(404).json({ error: '记录不存在' });
+  }
+  const existing = state.merch.orders[index];
+  if (existing.checkoutId) {
+    return res.status(400).json({ error: '该订单与门票合并结账，不能单独修改' });
+  }
+  let updatedItems = existing.items;
+  if (req.body?.items) {
+    try {
+      updatedItems = normalizeOrderItems(req.body.items);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  let mode;
+  try {
+    // A newly picked mode is checked; the order's existing mode is kept as far as it still applies.
+    mode =
+      req.body?.checkoutModeId !== undefined
+        ? requireCheckoutMode(req.body.checkoutModeId)
+        : resolveCheckoutMode(existing.checkoutModeId);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const totalBefore =
+    Math.round(updatedItems.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+  const { totalAfter, discount } = applyCheckoutModeToTotal(
+    mode,
+    totalBefore,
+    updatedItems.reduce((sum, item) => sum + item.quantity, 0)
+  );
+  const updatedOrder = {
+    ...existing,
+    items: updatedItems,
+    checkoutModeId: mode ? mode.id : null,
+    checkoutModeName: mode ? mode.name : '原价',
+    discount,
+    totalBefore,
+    totalAfter: Math.round(totalAfter * 100) / 100,
+    note:
+      req.body?.note !== undefined ? (typeof req.body.note === 'string' ? req.body.note.trim() : '') : existing.note,
+    handledBy:
+      req.body?.handledBy !== undefined
+        ? (typeof req.body.handledBy === 'string' ? req.body.handledBy.trim() : existing.handledBy)
+        : existing.handledBy,
+    createdAt:
+      req.body?.createdAt !== undefined && Number.isFinite(Number(req.body.createdAt))
+        ? Number(req.body.createdAt)
+        : existing.createdAt,
+    manual: existing.manual || Boolean(req.body?.manual),
+  };
+  state.merch.orders[index] = updatedOrder;
+  await saveState();
+  res.json({ order: updatedOrder });
+});
+
+app.delete('/api/merch/orders/:orderId', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const index = state.merch.orders.findIndex((order) => order.id === req.params.orderId);
+  if (index === -1) {
+    return res.status(404).json({ error: '记录不存在' });
+  }
+  createStateBackup(`delete-order-${req.params.orderId}`).catch(() => {});
+  state.merch.orders.splice(index, 1);
+  await saveState();
+  res.json({ ok: true });
+});
+
+app.get('/api/merch/orders/export', requireRole('admin'), (req, res) => {
+  ensureMerchState();
+  res.json({ orders: state.merch.orders });
+});
+
+app.post('/api/merch/orders/import', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  const { orders, mode = 'replace' } = req.body || {};
+  if (!Array.isArray(orders)) {
+    return res.status(400).json({ error: '导入数据格式无效' });
+  }
+  const normalizedOrders = [];
+  try {
+    orders.forEach((entry) => {
+      const items = normalizeOrderItems(entry.items || []);
+      const modeInstance = resolveCheckoutMode(entry.checkoutModeId);
+      const totalBefore = Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+      const result = applyCheckoutModeToTotal(
+        modeInstance,
+        totalBefore,
+        items.reduce((sum, item) => sum + item.quantity, 0)
+      );
+      normalizedOrders.push({
+        id: entry.id && typeof entry.id === 'string' ? entry.id : uuidv4(),
+        items,
+        checkoutModeId: modeInstance ? modeInstance.id : null,
+        checkoutModeName: modeInstance ? modeInstance.name : '原价',
+        discount: result.discount,
+        totalBefore,
+        totalAfter: Math.round(result.totalAfter * 100) / 100,
+        handledBy: entry.handledBy || 'imported',
+        note: typeof entry.note === 'string' ? entry.note.trim() : '',
+        createdAt: Number(entry.createdAt) || Date.now(),
+        manual: Boolean(entry.manual),
+      });
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  createStateBackup('import-orders').catch(() => {});
+  if (mode === 'append') {
+    state.merch.orders = [...normalizedOrders, ...state.merch.orders].slice(0, 2000);
+  } else {
+    state.merch.orders = normalizedOrders.slice(0, 2000);
+  }
+  await saveState();
+  res.json({ count: normalizedOrders.length });
+});
+
+app.post('/api/merch/orders/clear', requireRole('admin'), async (req, res) => {
+  ensureMerchState();
+  if (!state.merch.orders.length) {
+    return res.json({ ok: true, cleared: 0 });
+  }
+  createStateBackup('clear-orders').catch(() => {});
+  const cleared = state.merch.orders.length;
+  state.merch.orders = [];
+  await saveState();
+  res.json({ ok: true, cleared });
+});
+
+app.get('/api/ticket-sales', requireRole('admin'), (req, res) => {
+  ensureTicketSales();
+  const { projectId, paymentMethod, seller, since, until, customer } = req.query || {};
+  const parsedSince = since ? Number(since) : null;
+  const parsedUntil = until ? Number(until) : null;
+  const customerQuery = typeof customer === 'string' ? customer.trim().toLowerCase() : '';
+  const matchesParty = (sale) => {
+    if (seller && sale.seller !== seller) return false;
+    if (customerQuery) {
+      const { name = '', grade = '', phone = '', studentId = '' } = sale.customer || {};
+      return [name.toLowerCase(), grade.toLowerCase(), phone, studentId.toLowerCase()].some((value) =>
+        value.includes(customerQuery)
+      );
+    }
+    return true;
+  };
+  const sales = state.ticketSales
+    .filter((sale) => {
+      if (projectId && sale.projectId !== projectId) return false;
+      if (paymentMethod && sale.paymentMethod !== paymentMethod) return false;
+      if (parsedSince && sale.createdAt < parsedSince) return false;
+      if (parsedUntil && sale.createdAt > parsedUntil) return false;
+      return matchesParty(sale);
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+  ensureTicketRefunds();
+  // A refund in the period may belong to a sale from before it, so match the seller/customer on every sale.
+  const partySaleIds =
+    seller || customerQuery
+      ? new Set(state.ticketSales.filter(matchesParty).map((sale) => sale.id))
+      : null;
+  // Refunds follow the same filters by when and how the money went back, so a period's net is what stayed in the till.
+  const refunds = state.ticketRefunds.filter((refund) => {
+    if (projectId && refund.projectId !== projectId) return false;
+    if (paymentMethod && refund.method !== paymentMethod) return false;
+    if (partySaleIds && !partySaleIds.has(refund.saleId)) return false;
+    if (parsedSince && refund.createdAt < parsedSince) return false;
+    if (parsedUntil && refund.createdAt > parsedUntil) return false;
+    return true;
+  });
+  const summary = TICKET_PAYMENT_METHODS.map((method) => {
+    const matching = sales.filter((sale) => sale.paymentMethod === method);
+    const refunded = roundCurrency(
+      refunds.filter((refund) => refund.method === method).reduce((sum, refund) => sum + refund.amount, 0)
+    );
+    const totalAmount = roundCurrency(matching.reduce((sum, sale) => sum + sale.totalAmount, 0));
+    return {
+      paymentMethod: method,
+      count: matching.length,
+      tickets: matching.reduce((sum, sale) => sum + sale.seats.length, 0),
+      totalAmount,
+      refunds: refunds.filter((refund) => refund.method === method).length,
+      refunded,
+      netAmount: roundCurrency(totalAmount - refunded),
+      discount: roundCurrency(matching.reduce((sum, sale) => sum + (sale.discount || 0), 0)),
+      amountReceived: roundCurrency(matching.reduce((sum, sale) => sum + (sale.amountReceived ?? sale.totalAmount), 0)),
+      changeGiven: roundCurrency(matching.reduce((sum, sale) => sum + (sale.changeGiven || 0), 0)),
+    };
+  });
+  const byTicketType = new Map();
+  sales.forEach((sale) => {
+    sale.seats.forEach((seat) => {
+      const name = seat.ticketTypeName || '全价';
+      const entry = byTicketType.get(name) || { ticketTypeName: name, tickets: 0, totalAmount: 0 };
+      entry.tickets += 1;
+      entry.totalAmount = roundCurrency(entry.totalAmount + (seat.price || 0));
+      byTicketType.set(name, entry);
+    });
+  });
+  res.json({
+    sales: sales.map((sale) => (sale.customer ? { ...sale, customer: maskCustomer(sale.customer) } : sale)),
+    summary,
+    byTicketType: [...byTicketType.values()],
+    refunds,
+  });
+});
+
+app.put('/api/ticket-sales/:saleId', requireRole('admin'), async (req, res) => {
+  ensureTicketSales();
+  const sale = state.ticketSales.find((entry) => entry.id === req.params.saleId);
+  if (!sale) {
+    return res.status(404).json({ error: '售票记录不存在' });
+  }
+  const { paymentMethod, amountReceived, note } = req.body || {};
+  if (paymentMethod !== undefined && !TICKET_PAYMENT_METHODS.includes(paymentMethod)) {
+    return res.status(400).json({ error: '收款方式无效' });
+  }
+  const received = normalizeAmountReceived(amountReceived);
+  if (received === undefined) {
+    return res.status(400).json({ error: '实收金额必须为非负数字' });
+  }
+  if (paymentMethod !== undefined) sale.paymentMethod = paymentMethod;
+  if (amountReceived !== undefined) sale.amountReceived = received;
+  if (typeof note === 'string') sale.note = note.trim();
+  updateTicketSaleChange(sale);
+  await saveState();
+  res.json({ sale: { ...sale, customer: maskCustomer(sale.customer) } });
+});
+
+app.get('/api/checkouts/:checkoutId/receipt', requireSalesOrAdmin, (req, res) => {
+  ensureCheckouts();
+  const checkout = state.checkouts.find((entry) => entry.id === req.params.checkoutId);
+  if (!checkout) {
+    return res.status(404).json({ error: '结账记录不存在' });
+  }
+  const sale = (state.ticketSales || []).find((entry) => entry.id === checkout.ticketSaleId) || null;
+  const order = state.merch?.orders.find((entry) => entry.id === checkout.merchOrderId) || null;
+  res.type('html').send(buildCheckoutReceiptHtml(checkout, sale, order));
+});
+
+app.get('/api/ticket-sales/export', requireRole('admin'), (req, res) => {
+  ensureTicketSales();
+  ensureTicketRefunds();
+  res.json({ sales: state.ticketSales, refunds: state.ticketRefunds });
+});
+
+app.post('/api/checkins/seat', requireRole('admin'), async (req, res) => {
+  const { ticketNumber, action } = req.body || {};
+  if (!ticketNumber || typeof ticketNumber !== 'string') {
+    return res.status(400).json({ error: '请输入票号' });
+  }
+  const normalized = ticketNumber.trim();
+  let foundSeat = null;
+  let foundProject = null;
+  Object.values(state.projects).some((project) => {
+    const seat = findSeatByTicketCode(project, normalized);
+    if (seat) {
+      foundSeat = seat;
+      foundProject = project;
+      return true;
+    }
+    return false;
+  });
+  if (!foundSeat || !foundProject) {
+    const voidedProject = Object.values(state.projects).find((project) => findVoidedTicket(project, normalized));
+    if (voidedProject) {
+      const voided = findVoidedTicket(voidedProject, normalized);
+      return res.status(400).json({ error: `该票已作废：${voided.reason}`, voided: true, voidedTicket: voided });
+    }
+    return res.status(404).json({ error: '未找到该票号' });
+  }
+  ensureSeatCheckinState(foundSeat);
+  if (action === 'clear') {
+    resetSeatCheckin(foundSeat);
+    appendCheckinLog({
+      id: uuidv4(),
+      ...buildSeatCheckinPayload(foundProject, foundSeat),
+      status: 'cleared',
+      message: '管理端清除检票状态',
+      handledBy: req.session?.username || 'admin',
+      createdAt: Date.now(),
+    });
+    await saveState();
+    broadcastProject(foundProject.id);
+    return res.json({ ok: true, seat: buildSeatCheckinPayload(foundProject, foundSeat) });
+  }
+  // action === 'checked'
+  foundSeat.checkedInAt = Date.now();
+  foundSeat.checkedInBy = req.session?.username || 'admin';
+  foundSeat.checkedInGateId = null;
+  foundSeat.checkedOutAt = null;
+  appendCheckinLog({
+    id: uuidv4(),
+    ...buildSeatCheckinPayload(foundProject, foundSeat),
+    status: 'override',
+    message: '管理端标记为已检',
+    handledBy: foundSeat.checkedInBy,
+    createdAt: foundSeat.checkedInAt,
+  });
+  await saveState();
+  broadcastProject(foundProject.id);
+  res.json({ ok: true, seat: buildSeatCheckinPayload(foundProject, foundSeat) });
+});
+
+app.patch('/api/accounts/:username', requireRole('admin'), async (req, res) => {
+  const targetUsername = req.params.username;
+  const account = getAccount(targetUsername);
+  if (!account) {
+    return res.status(404).json({ error: '账号不存在' });
+  }
+  const { password, role } = req.body || {};
+  if (role && !['admin', 'sales'].includes(role)) {
+    return res.status(400).json({ error: '角色无效' });
+  }
+  if (role && role !== account.role) {
+    if (account.role === 'admin' && role !== 'admin' && countAccountsByRole('admin') <= 1) {
+      return res.status(400).json({ error: '至少需要保留一个管理员账号' });
+    }
+    account.role = role;
+  }
+  if (password) {
+    account.passwordHash = await hashPassword(password);
+  }
+  account.updatedAt = Date.now();
+  state.accounts[normalizeUsername(account.username)] = account;
+  await saveState();
+  broadcastAdminUpdate();
+  res.json({ ok: true });
+});
+
+app.delete('/api/accounts/:username', requireRole('admin'), (req, res) => {
+  const targetUsername = req.params.username;
+  const account = getAccount(targetUsername);
+  if (!account) {
+    return res.status(404).json({ error: '账号不存在' });
+  }
+  if (account.role === 'admin' && countAccountsByRole('admin') <= 1) {
+    return res.status(400).json({ error: '至少需要保留一个管理员账号' });
+  }
+  const currentSession = parseSession(req);
+  if (currentSession && normalizeUsername(currentSession.username) === normalizeUsername(targetUsername)) {
+    return res.status(400).json({ error: '无法删除当前登录账号' });
+  }
+  createStateBackup(`delete-account-${normalizeUsername(targetUsername)}`).catch(() => {});
+  removeAccount(targetUsername);
+  saveState().catch((err) => console.error('Failed to save state after delete account', err));
+  broadcastAdminUpdate();
+  res.json({ ok: true });
+});
+
+app.get('/api/projects', requireAnyRole, (_req, res) => {
+  ensureShowsState();
+  const projects = Object.values(state.projects).map((project) => ({
+    id: project.id,
+    name: project.name,
+    rows: project.rows,
+    cols: project.cols,
+    sections: (project.sections || []).map(({ id, name, rows, cols }) => ({ id, name, rows, cols })),
+    showId: project.showId || null,
+    performance: project.performance || null,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    waitlistCount: (project.waitlist || []).filter((entry) => entry.status === 'waiting').length,
+    ...summarizeProjectSeats(project),
+  }));
+  const statsById = new Map(projects.map((entry) => [entry.id, entry]));
+  const shows = Object.values(state.shows).map((show) => {
+    const performances = getShowPerformances(show.id).map((project) => {
+      const { availableSeats, soldSeats, checkedIn } = statsById.get(project.id);
+      return {
+        projectId: project.id,
+        label: project.performance?.label || '',
+        startsAt: project.performance?.startsAt ?? null,
+        availableSeats,
+        soldSeats,
+        checkedIn,
+      };
+    });
+    const totals = performances.reduce(
+      (acc, item) => ({
+        availableSeats: acc.availableSeats + item.availableSeats,
+        soldSeats: acc.soldSeats + item.soldSeats,
+        checkedIn: acc.checkedIn + item.checkedIn,
+      }),
+      { availableSeats: 0, soldSeats: 0, checkedIn: 0 }
+    );
+    return { id: show.id, name: show.name, performances, totals };
+  });
+  res.json({ projects, shows });
+});
+
+app.post('/api/projects', requireRole('admin'), (req, res) => {
+  const {
+    name,
+    rows,
+    cols,
+    sections,
+    ticketing,
+    labeling,
+    templateId,
+    cloneFromProjectId,
+    carryPrices = true,
+    carryTicketing = true,
+  } = req.body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: '请输入项目名称' });
+  }
+  if (templateId || cloneFromProjectId) {
+    let source;
+    if (templateId) {
+      ensureVenueTemplates();
+      source = state.venueTemplates[templateId];
+      if (!source) {
+        return res.status(404).json({ error: '场馆模板不存在' });
+      }
+    } else {
+      const sourceProject = state.projects[cloneFromProjectId];
+      if (!sourceProject) {
+        return res.status(404).json({ error: '要复制的项目不存在' });
+      }
+      source = buildLayoutSnapshot(sourceProject);
+    }
+    let cloned;
+    try {
+      cloned = createProjectFromLayout(source, {
+        name: name.trim(),
+        carryPrices: carryPrices !== false,
+        carryTicketing: carryTicketing !== false,
+        continueNumbering: true,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    state.projects[cloned.id] = cloned;
+    saveState().catch((err) => console.error('Failed to save state after create project', err));
+    broadcastProject(cloned.id);
+    return res.json({ project: cloned });
+  }
+  let layout;
+  let labelingConfig;
+  try {
+    layout =
+      Array.isArray(sections) && sections.length
+        ? sections.map((section, index) => normalizeSectionInput(section, `分区${index + 1}`))
+        : [normalizeSectionInput({ name: DEFAULT_SECTION_NAME, rows, cols })];
+    labelingConfig = normalizeLabeling(labeling);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const project = createEmptyProject({ name: name.trim(), sections: layout, labeling: labelingConfig });
+  try {
+    if (ticketing) {
+      regenerateSeatTicketNumbers(project, ticketing);
+    } else {
+      ensureSeatTicketNumbers(project, { force: true });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  assignSeatLabels(project);
+  state.projects[project.id] = project;
+  saveState().catch((err) => console.error('Failed to save state after create project', err));
+  broadcastProject(project.id);
+  res.json({ project });
+});
+
+app.delete('/api/projects/:projectId', requireRole('admin'), (req, res) => {
+  const { projectId } = req.params;
+  if (!state.projects[projectId]) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  createStateBackup(`delete-project-${projectId}`).catch(() => {});
+  const { showId } = state.projects[projectId];
+  delete state.projects[projectId];
+  if (showId && state.shows?.[showId] && !getShowPerformances(showId).length) {
+    delete state.shows[showId];
+  }
+  saveState().catch((err) => console.error('Failed to save state after delete project', err));
+  res.json({ ok: true });
+});
+
+const maskSeatCustomers = (seats) =>
+  Object.fromEntries(
+    Object.entries(seats).map(([id, seat]) => [id, seat.customer ? { ...seat, customer: maskCustomer(seat.customer) } : seat])
+  );
+
+const serializeProject = (project, { revealCustomerPhones = false } = {}) => {
+  ensureProjectTicketing(project);
+  return {
+    id: project.id,
+    name: project.name,
+    rows: project.rows,
+    cols: project.cols,
+    sections: project.sections,
+    labeling: project.labeling,
+    zones: project.zones,
+    holds: project.holds,
+    ticketTypes: project.ticketTypes,
+    gates: project.gates || [],
+    checkinPolicy: project.checkinPolicy || { ...DEFAULT_CHECKIN_POLICY },
+    showId: project.showId || null,
+    performance: project.performance || null,
+    onlineBooking: project.onlineBooking || { ...DEFAULT_ONLINE_BOOKING },
+    purchaseLimits: project.purchaseLimits || { ...DEFAULT_PURCHASE_LIMITS },
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    seats: revealCustomerPhones ? project.seats : maskSeatCustomers(project.seats),
+    ticketing: project.ticketing,
+    ticketSigning: {
+      enabled: isTicketSigningEnabled(project),
+      publicKey: project.ticketSigning?.publicKey || null,
+    },
+    priceColorAssignments: project.priceColorAssignments,
+    seatLabelProgress: project.seatLabelProgress,
+  };
+};
+
+function broadcastProject(projectId) {
+  const project = state.projects[projectId];
+  if (!project) return;
+  io.to(`project:${projectId}`).emit('project:update', {
+    projectId,
+    project: serializeProject(project),
+  });
+}
+
+const listAccountsForClient = () =>
+  Object.values(state.accounts)
+    .map(({ username, role, createdAt, updatedAt }) => ({ username, role, createdAt, updatedAt }))
+    .sort((a, b) => {
+      if (a.role === b.role) {
+        return a.username.localeCompare(b.username);
+      }
+      return a.role.localeCompare(b.role);
+    });
+
+const broadcastAdminUpdate = () => {
+  io.emit('admin:accounts:update', { accounts: listAccountsForClient() });
+};
+
+app.get('/api/projects/:projectId', requireAnyRole, (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  res.json({ project: serializeProject(project) });
+});
+
+app.get('/api/projects/:projectId/export', requireRole('admin'), (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  res.json({ project: serializeProject(project, { revealCustomerPhones: true }) });
+});
+
+// Buyer list for calling customers back; full phone numbers only with ?revealPhone=1.
+app.get('/api/projects/:projectId/customers', requireRole('admin'), (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const revealPhone = req.query.revealPhone === '1';
+  const customers = Object.entries(project.seats)
+    .filter(([, seat]) => seat.status === 'sold' && seat.customer)
+    .map(([id, seat]) => ({
+      seatId: id,
+      seatDisplay: describeSeat(project, seat),
+      ticketNumber: seat.ticketNumber,
+      checkedInAt: seat.checkedInAt || null,
+      ...(revealPhone ? seat.customer : maskCustomer(seat.customer)),
+    }));
+  res.json({ customers });
+});
+
+app.get('/api/projects/:projectId/checkin/stats', requireSalesOrAdmin, (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const stats = computeCheckinStats(project);
+  res.json({ stats });
+});
+
+/** Resolves a scanned code to an admissible sold seat, or an HTTP status and error body explaining the rejection. */
+const resolveCheckinSeat = (project, ticketCode) => {
+  const voided = findVoidedTicket(project, ticketCode.split(SIGNED_CODE_SEPARATOR)[0]);
+  if (voided) {
+    return { status: 400, error: { error: `该票已作废：${voided.reason}`, voided: true, voidedTicket: voided } };
+  }
+  let lookupCode = ticketCode;
+  if (isTicketSigningEnabled(project)) {
+    const verified = verifySignedTicketCode(project, ticketCode);
+    if (!verified) {
+      return { status: 400, error: { error: '票码签名无效，可能为伪造或被篡改的票' } };
+    }
+    lookupCode = verified.ticketNumber;
+  }
+  const seat = findSeatByTicketCode(project, lookupCode);
+  if (!seat) {
+    return { status: 404, error: { error: '未找到该票号' } };
+  }
+  ensureSeatCheckinState(seat);
+  if (seat.status !== 'sold') {
+    return { status: 400, error: { error: '票未售出或已作废', seat: buildSeatCheckinPayload(project, seat) } };
+  }
+  if (seat.awaitingReissue) {
+    return {
+      status: 400,
+      error: { error: '该座位的原票已作废，待补发新票', voided: true, seat: buildSeatCheckinPayload(project, seat) },
+    };
+  }
+  return { seat };
+};
+
+app.post('/api/projects/:projectId/checkin', requireSalesOrAdmin, async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const ticketCode = typeof req.body?.ticketCode === 'string' ? req.body.ticketCode.trim() : '';
+  const scannerId = typeof req.body?.scannerId === 'string' ? req.body.scannerId : '';
+  const gateId = typeof req.body?.gateId === 'string' ? req.body.gateId : '';
+  const direction = req.body?.direction === 'out' ? 'out' : 'in';
+  if (!ticketCode) {
+    return res.status(400).json({ error: '请提供票号' });
+  }
+  ensureProjectMetadata(project);
+  const resolved = resolveCheckinSeat(project, ticketCode);
+  if (resolved.error) {
+    return res.status(resolved.status).json(resolved.error);
+  }
+  const { seat } = resolved;
+  // Holders may leave through any door; only entries are held to the gate's sections and zones.
+  const gateError = direction === 'in' ? checkSeatGate(project, seat, gateId) : null;
+  if (gateError) {
+    return res.status(gateError.status).json(gateError.error);
+  }
+  const payload = buildSeatCheckinPayload(project, seat);
+  const move = direction === 'out' || seat.checkedInAt ? applyReentryScan(project, seat, direction, Date.now()) : null;
+  if (move?.error) {
+    return res.status(400).json({ error: move.error, seat: payload });
+  }
+  if (move) {
+    const gate = getProjectGate(project, gateId);
+    project.updatedAt = Date.now();
+    const movedPayload = buildSeatCheckinPayload(project, seat);
+    appendCheckinLog({
+      id: uuidv4(),
+      ...movedPayload,
+      gateId: gate?.id || null,
+      gateName: gate?.name || null,
+      status: move.status,
+      message: move.message,
+      handledBy: req.session?.username || scannerId || 'unknown',
+      createdAt: Date.now(),
+    });
+    await saveState();
+    broadcastProject(project.id);
+    return res.json({ ok: true, action: move.status, seat: movedPayload, stats: computeCheckinStats(project) });
+  }
+  if (seat.checkedInAt) {
+    return res.status(409).json({
+      error: '已检票',
+      seat: payload,
+      checkedInAt: seat.checkedInAt,
+      checkedInBy: seat.checkedInBy,
+    });
+  }
+  seat.checkedInAt = Date.now();
+  seat.checkedInBy = req.session?.username || scannerId || 'unknown';
+  seat.checkedInGateId = getProjectGate(project, gateId) ? gateId : null;
+  project.updatedAt = Date.now();
+  const updatedPayload = buildSeatCheckinPayload(project, seat);
+  appendCheckinLog({
+    id: uuidv4(),
+    ...updatedPayload,
+    status: 'success',
+    message: '检票成功',
+    handledBy: updatedPayload.checkedInBy,
+    createdAt: seat.checkedInAt,
+  });
+  await saveState();
+  broadcastProject(project.id);
+  const stats = computeCheckinStats(project);
+  res.json({ ok: true, action: 'success', seat: updatedPayload, stats });
+});
+
+app.get('/api/projects/:projectId/checkin/manifest', requireSalesOrAdmin, (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  const tickets = Object.values(project.seats || {})
+    .filter((seat) => seat && seat.status === 'sold' && seat.ticketNumber && !seat.awaitingReissue)
+    .map((seat) => {
+      ensureSeatCheckinState(seat);
+      return {
+        seatId: seatId(seat.row, seat.col, seat.sectionId),
+        seatDisplay: describeSeat(project, seat),
+        sectionId: seat.sectionId || DEFAULT_SECTION_ID,
+        zoneId: seat.zoneId || null,
+        ticketNumber: seat.ticketNumber,
+        ticketCode: seat.ticketCode || seat.ticketNumber,
+        ticketTypeName: getProjectTicketType(project, seat.ticketTypeId)?.name || null,
+        checkedInAt: seat.checkedInAt,
+        checkedInBy: seat.checkedInBy,
+        checkedOutAt: seat.checkedOutAt || null,
+      };
+    });
+  res.json({
+    projectId: project.id,
+    projectName: project.name,
+    signed: isTicketSigningEnabled(project),
+    gates: project.gates,
+    reentry: project.checkinPolicy.reentry,
+    tickets,
+    voided: (project.voidedTickets || []).map((entry) => entry.ticketNumber),
+    generatedAt: Date.now(),
+  });
+});
+
+app.post('/api/projects/:projectId/checkin/sync', requireSalesOrAdmin, async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const scannerId = typeof req.body?.scannerId === 'string' ? req.body.scannerId : '';
+  const scans = Array.isArray(req.body?.scans) ? req.body.scans : [];
+  if (!scans.length || scans.length > 2000) {
+    return res.status(400).json({ error: '离线检票记录数量无效' });
+  }
+  ensureProjectMetadata(project);
+  ensureCheckinLogs();
+  const handledBy = req.session?.username || scannerId || 'unknown';
+  const defaultGateId = typeof req.body?.gateId === 'string' ? req.body.gateId : '';
+  const now = Date.now();
+  const results = [];
+  const conflicts = [];
+  // Oldest scans first so the earliest admission at any door is the one that stands.
+  const ordered = scans
+    .map((scan) => ({
+      id: typeof scan?.id === 'string' ? scan.id.slice(0, 64) : '',
+      ticketCode: typeof scan?.ticketCode === 'string' ? scan.ticketCode.trim() : '',
+      gateId: typeof scan?.gateId === 'string' ? scan.gateId : defaultGateId,
+      direction: scan?.direction === 'out' ? 'out' : 'in',
+      scannedAt: Math.min(now, Number(scan?.scannedAt) || now),
+    }))
+    .sort((a, b) => a.scannedAt - b.scannedAt);
+  ordered.forEach((scan) => {
+    if (!scan.id || !scan.ticketCode) {
+      results.push({ id: scan.id, status: 'rejected', message: '记录无效' });
+      return;
+    }
+    if (state.checkInLogs.some((log) => log.offlineScanId === scan.id)) {
+      results.push({ id: scan.id, status: 'duplicate', message: '该记录已同步' });
+      return;
+    }
+    const resolved = resolveCheckinSeat(project, scan.ticketCode);
+    if (resolved.error) {
+      results.push({ id: scan.id, status: 'rejected', message: resolved.error.error, seat: resolved.error.seat || null });
+      return;
+    }
+    const { seat } = resolved;
+    const gateError = scan.direction === 'in' ? checkSeatGate(project, seat, scan.gateId) : null;
+    if (gateError) {
+      results.push({ id: scan.id, status: 'rejected', message: gateError.error.error, seat: gateError.error.seat || null });
+      return;
+    }
+    const gateId = getProjectGate(project, scan.gateId) ? scan.gateId : null;
+    const move =
+      scan.direction === 'out' || seat.checkedInAt ? applyReentryScan(project, seat, scan.direction, scan.scannedAt) : null;
+    if (move?.error) {
+      results.push({ id: scan.id, status: 'rejected', message: move.error, seat: buildSeatCheckinPayload(project, seat) });
+      return;
+    }
+    if (move) {
+      const payload = buildSeatCheckinPayload(project, seat);
+      appendCheckinLog({
+        id: uuidv4(),
+        ...payload,
+        gateId,
+        gateName: getProjectGate(project, gateId)?.name || null,
+        status: move.status,
+        message: move.message,
+        handledBy,
+        offlineScanId: scan.id,
+        createdAt: scan.scannedAt,
+      });
+      results.push({ id: scan.id, status: 'accepted', action: move.status, message: move.message, seat: payload });
+      return;
+    }
+    if (seat.checkedInAt) {
+      const previous = { at: seat.checkedInAt, by: seat.checkedInBy, gateId: seat.checkedInGateId || null };
+      if (scan.scannedAt < seat.checkedInAt) {
+        seat.checkedInAt = scan.scannedAt;
+        seat.checkedInBy = handledBy;
+        seat.checkedInGateId = gateId;
+      }
+      const payload = buildSeatCheckinPayload(project, seat);
+      const conflict = {
+        id: scan.id,
+        ticketNumber: seat.ticketNumber,
+        seatId: payload.seatId,
+        seatDisplay: payload.seatDisplay,
+        kept: { at: seat.checkedInAt, by: seat.checkedInBy, gateId: seat.checkedInGateId || null },
+        duplicate: scan.scannedAt < previous.at ? previous : { at: scan.scannedAt, by: handledBy, gateId },
+      };
+      const describeScan = (entry) =>
+        `${entry.by}${entry.gateId ? `（${getProjectGate(project, entry.gateId)?.name}）` : ''} 于 ${new Date(
+          entry.at
+        ).toLocaleString('zh-CN')}`;
+      conflicts.push(conflict);
+      const message = `重复检票：${describeScan(conflict.kept)} 已检，${describeScan(conflict.duplicate)} 再次扫码`;
+      appendCheckinLog({
+        id: uuidv4(),
+        ...payload,
+        status: 'conflict',
+        message,
+        handledBy,
+        offlineScanId: scan.id,
+        createdAt: scan.scannedAt,
+      });
+      results.push({ id: scan.id, status: 'conflict', message, seat: payload, conflict });
+      return;
+    }
+    seat.checkedInAt = scan.scannedAt;
+    seat.checkedInBy = handledBy;
+    seat.checkedInGateId = gateId;
+    const payload = buildSeatCheckinPayload(project, seat);
+    appendCheckinLog({
+      id: uuidv4(),
+      ...payload,
+      status: 'success',
+      message: '离线检票已同步',
+      handledBy,
+      offlineScanId: scan.id,
+      createdAt: scan.scannedAt,
+    });
+    results.push({ id: scan.id, status: 'accepted', action: 'success', message: '检票成功', seat: payload });
+  });
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ results, conflicts, stats: computeCheckinStats(project) });
+});
+
+app.get('/api/checkins', requireRole('admin'), (req, res) => {
+  ensureCheckinLogs();
+  const { projectId, ticketNumber, limit = 500 } = req.query || {};
+  const lim = Math.min(2000, Math.max(1, Number(limit) || 500));
+  const logs = state.checkInLogs
+    .filter((log) => (!projectId ? true : log.projectId === projectId))
+    .filter((log) => (!ticketNumber ? true : log.ticketNumber === String(ticketNumber).trim()))
+    .slice(0, lim);
+  res.json({ logs });
+});
+
+app.post('/api/projects/:projectId/import', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  const payload = (req.body && (req.body.project || req.body)) || {};
+  if (!payload || typeof payload !== 'object') {
+    return res.status(400).json({ error: '导入数据无效' });
+  }
+  const incomingSections = Array.isArray(payload.sections) && payload.sections.length ? payload.sections : null;
+  if (incomingSections) {
+    const mismatch =
+      incomingSections.length !== project.sections.length ||
+      incomingSections.some((section, index) => {
+        const current = project.sections[index];
+        return (
+          !section ||
+          section.id !== current.id ||
+          section.rows !== current.rows ||
+          section.cols !== current.cols
+        );
+      });
+    if (mismatch) {
+      return res.status(400).json({ error: '导入数据的分区布局与现有项目不一致' });
+    }
+  } else if (project.sections.length > 1) {
+    return res.status(400).json({ error: '导入数据的分区布局与现有项目不一致' });
+  } else if (
+    (payload.rows && payload.rows !== project.rows) ||
+    (payload.cols && payload.cols !== project.cols)
+  ) {
+    return res.status(400).json({ error: '导入数据的行列数与现有项目不一致' });
+  }
+  let incomingLabeling = null;
+  if (payload.labeling) {
+    try {
+      incomingLabeling = normalizeLabeling(payload.labeling);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  if (payload.name && typeof payload.name === 'string' && payload.name.trim()) {
+    project.name = payload.name.trim();
+  }
+  const incomingSeats = payload.seats && typeof payload.seats === 'object' ? payload.seats : null;
+  if (!incomingSeats) {
+    return res.status(400).json({ error: '导入数据缺少座位信息' });
+  }
+  const allowedStatuses = ['disabled', 'available', 'locked', 'held', 'sold'];
+  Object.entries(project.seats).forEach(([id, seat]) => {
+    ensureSeatCheckinState(seat);
+    const incoming = incomingSeats[id];
+    if (!incoming || typeof incoming !== 'object') {
+      seat.status = 'disabled';
+      seat.price = null;
+      seat.ticketNumber = null;
+      seat.ticketCode = null;
+      seat.ticketSequenceValue = null;
+      seat.seatLabel = null;
+      seat.lockedBy = null;
+      seat.lockExpiresAt = null;
+      seat.issuedAt = null;
+      resetSeatCheckin(seat);
+      return;
+    }
+    const status = allowedStatuses.includes(incoming.status) ? incoming.status : 'disabled';
+    seat.status = status;
+    const incomingPrice = incoming.price;
+    if (status === 'disabled') {
+      seat.price = null;
+    } else if (typeof incomingPrice === 'number' && Number.isFinite(incomingPrice)) {
+      seat.price = incomingPrice;
+      ensurePriceColorAssignment(project, seat.price);
+    } else {
+      seat.price = null;
+    }
+    const ticketNumber = typeof incoming.ticketNumber === 'string' ? incoming.ticketNumber.trim() : '';
+    seat.ticketNumber = ticketNumber || null;
+    seat.ticketCode = seat.ticketNumber;
+    seat.ticketSequenceValue =
+      typeof incoming.ticketSequenceValue === 'number' && Number.isFinite(incoming.ticketSequenceValue)
+        ? incoming.ticketSequenceValue
+        : null;
+    if (status === 'sold') {
+      seat.issuedAt = typeof incoming.issuedAt === 'number' ? incoming.issuedAt : Date.now();
+    } else {
+      seat.issuedAt = null;
+    }
+    seat.zoneId = typeof incoming.zoneId === 'string' ? incoming.zoneId : null;
+    seat.holdId = status === 'held' && typeof incoming.holdId === 'string' ? incoming.holdId : null;
+    seat.attributes = normalizeSeatAttributes(incoming.attributes);
+    seat.lockedBy = null;
+    seat.lockExpiresAt = null;
+    const incomingLabel = typeof incoming.seatLabel === 'string' ? incoming.seatLabel.trim() : '';
+    seat.seatLabel = incomingLabel || null;
+    seat.checkedInAt =
+      status === 'sold' && typeof incoming.checkedInAt === 'number' ? incoming.checkedInAt : null;
+    seat.checkedInBy =
+      status === 'sold' && typeof incoming.checkedInBy === 'string' ? incoming.checkedInBy : null;
+    seat.checkedInGateId =
+      status === 'sold' && getProjectGate(project, incoming.checkedInGateId) ? incoming.checkedInGateId : null;
+    seat.checkedOutAt =
+      seat.checkedInAt && typeof incoming.checkedOutAt === 'number' ? incoming.checkedOutAt : null;
+  });
+
+  if (incomingSections) {
+    incomingSections.forEach((section, index) => {
+      const current = project.sections[index];
+      if (typeof section.name === 'string' && section.name.trim()) {
+        current.name = section.name.trim();
+      }
+      if (STAGE_ORIENTATIONS.includes(section.stageOrientation)) {
+        current.stageOrientation = section.stageOrientation;
+      }
+    });
+  }
+  if (payload.ticketing && typeof payload.ticketing === 'object') {
+    project.ticketing = payload.ticketing;
+  }
+  if (payload.priceColorAssignments && typeof payload.priceColorAssignments === 'object') {
+    project.priceColorAssignments = { ...payload.priceColorAssignments };
+  }
+  if (payload.seatLabelProgress && typeof payload.seatLabelProgress === 'object') {
+    project.seatLabelProgress = { ...payload.seatLabelProgress };
+  }
+  if (incomingLabeling) {
+    project.labeling = incomingLabeling;
+  }
+  if (Array.isArray(payload.holds)) {
+    project.holds = payload.holds
+      .filter((hold) => hold && typeof hold.id === 'string')
+      .map((hold) => ({
+        id: hold.id,
+        name: typeof hold.name === 'string' && hold.name.trim() ? hold.name.trim() : '预留',
+        owner: typeof hold.owner === 'string' ? hold.owner : '',
+        note: typeof hold.note === 'string' ? hold.note : '',
+        expiresAt: typeof hold.expiresAt === 'number' ? hold.expiresAt : null,
+        createdAt: typeof hold.createdAt === 'number' ? hold.createdAt : Date.now(),
+        updatedAt: Date.now(),
+      }));
+  } else {
+    project.holds = [];
+  }
+  if (Array.isArray(payload.zones)) {
+    project.zones = payload.zones
+      .filter((zone) => zone && typeof zone.id === 'string' && Number.isFinite(Number(zone.price)))
+      .map((zone) => ({
+        id: zone.id,
+        name: typeof zone.name === 'string' && zone.name.trim() ? zone.name.trim() : `¥${Number(zone.price)}`,
+        price: Number(zone.price),
+        color: typeof zone.color === 'string' ? zone.color : getNextZoneColor(project),
+        description: typeof zone.description === 'string' ? zone.description : '',
+      }));
+  }
+
+  ensureProjectMetadata(project);
+  ensureProjectTicketing(project);
+  refreshPriceAssignments(project);
+  assignSeatLabels(project);
+  try {
+    ensureSeatTicketNumbers(project);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
+});
+
+app.put('/api/projects/:projectId', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  const { name, seats: seatUpdates } = req.body || {};
+  if (name && typeof name === 'string' && name.trim()) {
+    project.name = name.trim();
+    const show = project.showId ? state.shows?.[project.showId] : null;
+    if (show && show.name !== project.name) {
+      // Performances share the show name, so keep siblings in step.
+      show.name = project.name;
+      show.updatedAt = Date.now();
+      getShowPerformances(show.id).forEach((sibling) => {
+        if (sibling.id === project.id) return;
+        sibling.name = project.name;
+        broadcastProject(sibling.id);
+      });
+    }
+  }
+  if (Array.isArray(seatUpdates)) {
+    let normalized;
+    try {
+      normalized = sanitizeSeatsUpdate(project, seatUpdates);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const reusedVoided = Object.entries(normalized).find(
+      ([id, payload]) =>
+        payload.ticketNumber &&
+        payload.ticketNumber !== project.seats[id]?.ticketNumber &&
+        findVoidedTicket(project, payload.ticketNumber)
+    );
+    if (reusedVoided) {
+      return res.status(400).json({ error: `票号 ${reusedVoided[1].ticketNumber} 已作废，不能再次使用` });
+    }
+    // Paid seats go back on sale only through a refund, so the ledger and the sale totals stay in step.
+    const paidSeatId = Object.keys(normalized).find(
+      (id) =>
+        project.seats[id]?.status === 'sold' &&
+        normalized[id].status &&
+        !['sold', 'held'].includes(normalized[id].status) &&
+        findSeatSaleEntry(project, id)
+    );
+    if (paidSeatId) {
+      return res
+        .status(400)
+        .json({ error: `${describeSeat(project, project.seats[paidSeatId])} 已有售票记录，请通过退票释放座位` });
+    }
+    const reservedSeatId = Object.keys(normalized).find(
+      (id) =>
+        normalized[id].status &&
+        normalized[id].status !== 'held' &&
+        getSeatReservation(project, project.seats[id])
+    );
+    if (reservedSeatId) {
+      const reservation = getSeatReservation(project, project.seats[reservedSeatId]);
+      return res.status(400).json({
+        error: `${describeSeat(project, project.seats[reservedSeatId])} 属于预约 ${reservation.code}，请先取消该预约`,
+      });
+    }
+    const handledBy = req.session?.username || 'admin';
+    const affectedRows = new Set();
+    // Voiding a released ticket can run out of sequence numbers part-way, so the batch applies all or nothing.
+    const snapshot = structuredClone(project);
+    try {
+      Object.entries(normalized).forEach(([id, payload]) => {
+        const seat = project.seats[id];
+        if (!seat) return;
+        const wasSold = seat.status === 'sold';
+        const previousTicket = {
+          ticketNumber: seat.ticketNumber,
+          ticketCode: seat.ticketCode,
+          ticketSequenceValue: seat.ticketSequenceValue,
+        };
+        if (Number.isInteger(payload.row)) {
+          affectedRows.add(sectionRowKey(payload.sectionId, payload.row));
+        } else if (Number.isInteger(seat.row)) {
+          affectedRows.add(sectionRowKey(seat.sectionId, seat.row));
+        }
+        if (payload.ticketNumber !== undefined) {
+          const ticketNumber = payload.ticketNumber || null;
+          seat.ticketNumber = ticketNumber;
+          seat.ticketCode = ticketNumber;
+          if (project.ticketing?.mode === 'sequence') {
+            const sequence = prepareSequenceState(project);
+            const value = deriveSequenceValue(sequence, ticketNumber);
+            seat.ticketSequenceValue = value;
+            if (sequence && value && value > sequence.nextValue) {
+              sequence.nextValue = value;
+            }
+          } else {
+            seat.ticketSequenceValue = null;
+          }
+        }
+        if (payload.status && payload.status !== 'held') {
+          // Holds are only placed through the holds API; any other status releases them.
+          const status = payload.status;
+          seat.holdId = null;
+          if (wasSold && status !== 'sold') {
+            Object.assign(seat, previousTicket);
+            voidSeatTicket(project, seat, { reason: '管理端修改座位状态', handledBy });
+            clearSeatSale(seat);
+            seat.awaitingReissue = false;
+          }
+          if (status === 'available') {
+            seat.status = 'available';
+            seat.lockedBy = null;
+            seat.lockExpiresAt = null;
+            seat.issuedAt = null;
+            resetSeatCheckin(seat);
+            if (seat.price != null) {
+              ensurePriceColorAssignment(project, seat.price);
+            }
+          } else if (status === 'locked') {
+            seat.status = 'locked';
+            seat.lockedBy = null;
+            seat.lockExpiresAt = null;
+            resetSeatCheckin(seat);
+          } else if (status === 'sold') {
+            seat.status = 'sold';
+            seat.lockedBy = null;
+            seat.lockExpiresAt = null;
+            seat.issuedAt = Date.now();
+          } else {
+            seat.status = 'disabled';
+            seat.lockedBy = null;
+            seat.lockExpiresAt = null;
+            seat.issuedAt = null;
+            seat.price = null;
+            seat.ticketNumber = null;
+            seat.ticketCode = null;
+            seat.ticketSequenceValue = null;
+            resetSeatCheckin(seat);
+          }
+        }
+        if (payload.price !== undefined) {
+          if (seat.status === 'disabled') {
+            seat.price = null;
+          } else {
+            seat.price = payload.price;
+            if (seat.price != null) {
+              ensurePriceColorAssignment(project, seat.price);
+            }
+          }
+        }
+        if (payload.zoneId !== undefined) {
+          applySeatZone(project, seat, payload.zoneId);
+        }
+        if (payload.attributes !== undefined) {
+          seat.attributes = payload.attributes;
+        }
+      });
+      ensureProjectZones(project);
+      ensureProjectHolds(project);
+      refreshPriceAssignments(project);
+      assignSeatLabels(project, affectedRows);
+      ensureSeatTicketNumbers(project);
+    } catch (error) {
+      restoreProjectSnapshot(project, snapshot);
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
+});
+
+app.post('/api/projects/:projectId/ticketing', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const config = req.body || {};
+  try {
+    if (!config.mode) {
+      regenerateSeatTicketNumbers(project, null);
+    } else {
+      regenerateSeatTicketNumbers(project, config);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
+});
+
+app.post('/api/projects/:projectId/ticketing/signing', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  try {
+    ensureSeatTicketNumbers(project);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  setTicketSigning(project, Boolean(req.body?.enabled));
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
+});
+
+app.get('/api/projects/:projectId/ticketing/verification-key', requireRole('admin'), (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  if (!project.ticketSigning?.publicKey) {
+    return res.status(400).json({ error: '该项目尚未启用票码签名' });
+  }
+  res.json({
+    projectId: project.id,
+    projectName: project.name,
+    algorithm: 'Ed25519',
+    publicKey: project.ticketSigning.publicKey,
+    codeFormat: `<ticketNumber>${SIGNED_CODE_SEPARATOR}<seatId>${SIGNED_CODE_SEPARATOR}<signature base64url>`,
+    signedMessage: '<projectId>|<seatId>|<ticketNumber>',
+  });
+});
+
+app.post('/api/projects/:projectId/ticketing/regenerate', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  try {
+    let config = project.ticketing;
+    if (project.ticketing?.mode === 'sequence' && project.ticketing.sequence) {
+      const seq = project.ticketing.sequence;
+      config = {
+        mode: 'sequence',
+        sequence: {
+          template: seq.template,
+          startValue: seq.startString || String(seq.startValue).padStart(seq.width || 0, '0'),
+        },
+      };
+    }
+    regenerateSeatTicketNumbers(project, config);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
+});
+
+app.patch('/api/projects/:projectId/seats/:seatId', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const seat = project.seats[req.params.seatId];
+  if (!seat) {
+    return res.status(404).json({ error: '座位不存在' });
+  }
+  const { status, price, zoneId, attributes, ticketNumber } = req.body || {};
+  ensureProjectMetadata(project);
+  let seatZoneId;
+  try {
+    seatZoneId = resolveSeatZoneInput(project, { zoneId, price, status });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const normalizedTicket = ticketNumber ? String(ticketNumber).trim() : null;
+  if (normalizedTicket && normalizedTicket !== seat.ticketNumber && findVoidedTicket(project, normalizedTicket)) {
+    return res.status(400).json({ error: '该票号已作废，不能再次使用' });
+  }
+  // Everything that can be rejected is checked before the seat is touched.
+  if (
+    price !== undefined &&
+    price !== null &&
+    price !== '' &&
+    !(typeof price === 'number' && Number.isFinite(price) && price >= 0)
+  ) {
+    return res.status(400).json({ error: '票价必须为非负数字' });
+  }
+  if (status && !['available', 'locked', 'held', 'sold', 'disabled'].includes(status)) {
+    return res.status(400).json({ error: '无效的座位状态' });
+  }
+  if (status === 'held' && seat.status !== 'held') {
+    return res.status(400).json({ error: '请通过预留功能设置预留座位' });
+  }
+  const wasSold = seat.status === 'sold';
+  if (wasSold && status && !['sold', 'held'].includes(status) && findSeatSaleEntry(project, req.params.seatId)) {
+    return res.status(400).json({ error: '该座位已有售票记录，请通过退票释放座位' });
+  }
+  const seatReservation = status ? getSeatReservation(project, seat) : null;
+  if (seatReservation) {
+    return res.status(400).json({ error: `该座位属于预约 ${seatReservation.code}，请先取消该预约` });
+  }
+  const snapshot = structuredClone(project);
+  const previousTicket = {
+    ticketNumber: seat.ticketNumber,
+    ticketCode: seat.ticketCode,
+    ticketSequenceValue: seat.ticketSequenceValue,
+  };
+  if (price !== undefined) {
+    seat.price = price === null || price === '' ? null : price;
+  }
+  if (ticketNumber !== undefined) {
+    seat.ticketNumber = normalizedTicket;
+    seat.ticketCode = normalizedTicket;
+    if (project.ticketing?.mode === 'sequence') {
+      const sequence = prepareSequenceState(project);
+      const value = deriveSequenceValue(sequence, normalizedTicket);
+      seat.ticketSequenceValue = value;
+      if (sequence && value && value > sequence.nextValue) {
+        sequence.nextValue = value;
+      }
+    } else {
+      seat.ticketSequenceValue = null;
+    }
+  }
+  if (status) {
+    if (status !== 'held') {
+      seat.holdId = null;
+    }
+    if (wasSold && status !== 'sold') {
+      // A ticket that leaves the sold state must never scan again.
+      Object.assign(seat, previousTicket);
+      try {
+        voidSeatTicket(project, seat, {
+          reason: '管理端修改座位状态',
+          handledBy: req.session?.username || 'admin',
+        });
+      } catch (error) {
+        restoreProjectSnapshot(project, snapshot);
+        return res.status(400).json({ error: error.message });
+      }
+      clearSeatSale(seat);
+      seat.awaitingReissue = false;
+    }
+    if (status === 'available') {
+      seat.status = 'available';
+      seat.lockedBy = null;
+      seat.lockExpiresAt = null;
+      seat.issuedAt = null;
+      resetSeatCheckin(seat);
+    } else if (status === 'locked') {
+      seat.status = 'locked';
+      seat.lockedBy = null;
+      seat.lockExpiresAt = null;
+      resetSeatCheckin(seat);
+    } else if (status === 'sold') {
+      seat.status = 'sold';
+      seat.lockedBy = null;
+      seat.lockExpiresAt = null;
+      seat.issuedAt = Date.now();
+    } else if (status === 'disabled') {
+      seat.status = 'disabled';
+      seat.lockedBy = null;
+      seat.lockExpiresAt = null;
+      seat.issuedAt = null;
+      seat.price = null;
+      seat.ticketNumber = null;
+      seat.ticketCode = null;
+      seat.ticketSequenceValue = null;
+      resetSeatCheckin(seat);
+    }
+  }
+  if (seatZoneId !== undefined) {
+    applySeatZone(project, seat, seatZoneId);
+  }
+  if (Array.isArray(attributes)) {
+    seat.attributes = normalizeSeatAttributes(attributes);
+  }
+  ensureProjectZones(project);
+  ensureProjectHolds(project);
+  assignSeatLabels(project);
+  try {
+    ensureSeatTicketNumbers(project);
+  } catch (error) {
+    restoreProjectSnapshot(project, snapshot);
+    return res.status(400).json({ error: error.message });
+  }
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ ok: true, seat });
+});
+
+app.post('/api/projects/:projectId/seats/:seatId/void', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  if (role === 'admin' && session.role !== 'admin') {
-    return res.redirect('/High_School_Musical/login.html?role=admin');
+  const seat = project.seats[req.params.seatId];
+  if (!seat) {
+    return res.status(404).json({ error: '座位不存在' });
   }
-  if (role === 'sales' && !['sales', 'admin'].includes(session.role)) {
-    return res.redirect('/High_School_Musical/login.html?role=sales');
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: '请填写作废原因' });
   }
-  next();
-};
-
-app.get('/High_School_Musical/admin.html', guardPage('admin'), (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-});
-
-app.get('/High_School_Musical/sales.html', guardPage('sales'), (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'sales.html'));
-});
-
-app.use(express.static(path.join(__dirname, 'public')));
-
-app.get('/High_School_Musical/api/auth/session', (req, res) => {
-  const session = parseSession(req);
-  if (!session) {
-    return res.json({ authenticated: false, role: null, username: null });
+  if (seat.status !== 'sold' || seat.awaitingReissue) {
+    return res.status(400).json({ error: '只有已售且未作废的座位可以作废' });
   }
-  return res.json({ authenticated: true, role: session.role, username: session.username });
-});
-
-app.post('/High_School_Musical/api/auth/login', async (req, res) => {
-  const { username, password } = req.body || {};
-  if (!username || !password) {
-    return res.status(400).json({ error: '请输入用户名与密码' });
+  if (req.body?.release && findSeatSaleEntry(project, req.params.seatId)) {
+    return res.status(400).json({ error: '该座位已有售票记录，请通过退票释放座位' });
   }
-  const account = getAccount(username);
-  if (!account) {
-    return res.status(401).json({ error: '用户名或密码错误' });
+  try {
+    voidSeatTicket(project, seat, { reason, handledBy: req.session?.username || 'admin' });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  const verified = await verifyPassword(password, account.passwordHash).catch(() => false);
-  if (!verified) {
-    return res.status(401).json({ error: '用户名或密码错误' });
+  if (req.body?.release) {
+    seat.status = 'available';
+    clearSeatSale(seat);
+    seat.awaitingReissue = false;
+  } else {
+    seat.awaitingReissue = true;
   }
-  const sessionId = uuidv4();
-  sessions.set(sessionId, {
-    role: account.role,
-    username: account.username,
-    createdAt: Date.now(),
-  });
-  setSessionCookie(res, sessionId);
-  return res.json({ ok: true, role: account.role, username: account.username });
-});
-
-app.post('/High_School_Musical/api/auth/logout', requireAnyRole, (req, res) => {
-  if (req.session) {
-    sessions.delete(req.session.sessionId);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  if (req.body?.release) {
+    notifyWaitlist(project, [req.params.seatId]);
   }
-  clearSessionCookie(res);
-  res.json({ ok: true });
+  res.json({ ok: true, seat, project: serializeProject(project) });
 });
 
-app.get('/High_School_Musical/api/accounts', requireRole('admin'), (_req, res) => {
-  const accounts = Object.values(state.accounts)
-    .map(({ username, role, createdAt, updatedAt }) => ({ username, role, createdAt, updatedAt }))
-    .sort((a, b) => {
-      if (a.role === b.role) {
-        return a.username.localeCompare(b.username);
-      }
-      return a.role.localeCompare(b.role);
-    });
-  res.json({ accounts });
+app.post('/api/projects/:projectId/seats/:seatId/reissue', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const seat = project.seats[req.params.seatId];
+  if (!seat) {
+    return res.status(404).json({ error: '座位不存在' });
+  }
+  if (seat.status !== 'sold' || !seat.awaitingReissue) {
+    return res.status(400).json({ error: '请先作废原票' });
+  }
+  ensureProjectMetadata(project);
+  seat.awaitingReissue = false;
+  seat.issuedAt = Date.now();
+  recordTicketHistory(project, seat, 'reissue', { handledBy: req.session?.username || 'admin' });
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ ok: true, seat, ticketCode: seat.ticketCode || seat.ticketNumber, project: serializeProject(project) });
 });
 
-app.post('/High_School_Musical/api/accounts', requireRole('admin'), async (req, res) => {
-  const { username, password, role } = req.body || {};
-  if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
-    return res.status(400).json({ error: '用户名与密码不能为空' });
+app.post('/api/projects/:projectId/seats/:seatId/exchange', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  if (!['admin', 'sales'].includes(role)) {
-    return res.status(400).json({ error: '角色无效' });
+  const source = project.seats[req.params.seatId];
+  if (!source) {
+    return res.status(404).json({ error: '座位不存在' });
   }
-  if (state.accounts[normalizeUsername(username)]) {
-    return res.status(409).json({ error: '该用户名已存在' });
+  const { targetSeatId, keepTicketCode, note } = req.body || {};
+  const target = project.seats[targetSeatId];
+  const invalid = validateSeatExchange(source, target);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
   }
-  await ensureAccount(username, password, role, { overridePassword: true });
+  if (target.status !== 'available') {
+    return res.status(400).json({ error: '目标座位不可售' });
+  }
+  let exchange;
+  try {
+    exchange = exchangeSeatSale(project, source, target, {
+      keepTicketCode: Boolean(keepTicketCode),
+      note: typeof note === 'string' ? note.trim() : '',
+      handledBy: req.session?.username || 'admin',
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  project.updatedAt = Date.now();
   await saveState();
-  broadcastAdminUpdate();
-  res.json({ ok: true });
+  broadcastProject(project.id);
+  res.json({ ok: true, exchange, project: serializeProject(project) });
 });
 
-app.get('/High_School_Musical/api/merch/products', requireAnyRole, (_req, res) => {
-  ensureMerchState();
-  const products = Object.values(state.merch.products).map(serializeProduct);
-  res.json({ products });
+app.get('/api/projects/:projectId/seats/:seatId/refund', requireRole('admin'), (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const seat = project.seats[req.params.seatId];
+  if (!seat || seat.status !== 'sold') {
+    return res.status(400).json({ error: '只有已售座位可以退票' });
+  }
+  const saleEntry = findSeatSaleEntry(project, req.params.seatId);
+  res.json({
+    refundableAmount: getRefundableAmount(seat, saleEntry),
+    paymentMethod: saleEntry?.sale.paymentMethod || null,
+    saleId: saleEntry?.sale.id || null,
+  });
 });
 
-app.post('/High_School_Musical/api/merch/products', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const { name, price, stock, description, imageData, enabled = true } = req.body || {};
-  if (!name || typeof name !== 'string') {
-    return res.status(400).json({ error: '请输入商品名称' });
+app.post('/api/projects/:projectId/seats/:seatId/refund', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  const numericPrice = Number(price);
-  if (!Number.isFinite(numericPrice) || numericPrice < 0) {
-    return res.status(400).json({ error: '价格必须为非负数字' });
+  const seat = project.seats[req.params.seatId];
+  if (!seat) {
+    return res.status(404).json({ error: '座位不存在' });
   }
-  const numericStock = Number.isFinite(Number(stock)) ? Math.max(0, Math.floor(Number(stock))) : 0;
-  if (numericStock < 0) {
-    return res.status(400).json({ error: '库存数量无效' });
+  if (seat.status !== 'sold') {
+    return res.status(400).json({ error: '只有已售座位可以退票' });
   }
-  const id = uuidv4();
-  let imagePath = null;
-  if (imageData) {
-    try {
-      imagePath = await saveMerchImageFromDataUrl(imageData);
-    } catch (error) {
-      return res.status(400).json({ error: error.message });
-    }
+  ensureProjectMetadata(project);
+  const { amount, method, reason, holdId } = req.body || {};
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmedReason) {
+    return res.status(400).json({ error: '请填写退款原因' });
   }
-  const product = {
-    id,
-    name: name.trim(),
-    price: Math.round(numericPrice * 100) / 100,
-    stock: numericStock,
-    description: typeof description === 'string' ? description.trim() : '',
-    imageData: null,
-    imagePath,
-    enabled: Boolean(enabled),
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
-  };
-  state.merch.products[id] = product;
-  await saveState();
-  res.json({ product: serializeProduct(product) });
-});
-
-app.put('/api/merch/products/:productId', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const product = state.merch.products[req.params.productId];
-  if (!product) {
-    return res.status(404).json({ error: '商品不存在' });
+  if (!TICKET_PAYMENT_METHODS.includes(method)) {
+    return res.status(400).json({ error: '请选择退款方式' });
   }
-  const payload = req.body || {};
-  if (payload.name && typeof payload.name === 'string') {
-    product.name = payload.name.trim();
+  const refundable = getRefundableAmount(seat, findSeatSaleEntry(project, req.params.seatId));
+  const parsedAmount = amount === undefined || amount === null || amount === '' ? refundable : Number(amount);
+  if (!Number.isFinite(parsedAmount) || parsedAmount < 0) {
+    return res.status(400).json({ error: '退款金额必须为非负数字' });
   }
-  if (payload.price !== undefined) {
-    const numericPrice = Number(payload.price);
-    if (!Number.isFinite(numericPrice) || numericPrice < 0) {
-      return res.status(400).json({ error: '价格必须为非负数字' });
-    }
-    product.price = Math.round(numericPrice * 100) / 100;
+  if (parsedAmount > refundable) {
+    return res.status(400).json({ error: `退款金额不能超过实付 ¥${refundable}` });
   }
-  if (payload.stock !== undefined) {
-    const numericStock = Number.isFinite(Number(payload.stock))
-      ? Math.max(0, Math.floor(Number(payload.stock)))
-      : null;
-    if (numericStock === null) {
-      return res.status(400).json({ error: '库存数量无效' });
-    }
-    product.stock = numericStock;
+  const hold = holdId ? getProjectHold(project, holdId) : null;
+  if (holdId && (!hold || hold.releasedAt)) {
+    return res.status(400).json({ error: '预留不存在或已释放' });
   }
-  if (payload.description !== undefined) {
-    product.description = typeof payload.description === 'string' ? payload.description.trim() : '';
+  let refund;
+  try {
+    refund = refundSeatSale(project, req.params.seatId, {
+      amount: roundCurrency(parsedAmount),
+      method,
+      reason: trimmedReason,
+      approvedBy: req.session?.username || 'admin',
+      hold,
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  if (payload.imageData !== undefined) {
-    if (payload.imageData) {
-      try {
-        const newPath = await saveMerchImageFromDataUrl(payload.imageData, product.imagePath);
-        product.imagePath = newPath;
-        product.imageData = null;
-      } catch (error) {
-        return res.status(400).json({ error: error.message });
-      }
-    } else {
-      await deleteMerchImageFile(product.imagePath);
-      product.imagePath = null;
-      product.imageData = null;
-    }
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  notifyWaitlist(project, [req.params.seatId]);
+  res.json({ ok: true, refund, project: serializeProject(project) });
+});
+
+app.get('/api/projects/:projectId/ticket-history', requireRole('admin'), (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  if (payload.enabled !== undefined) {
-    product.enabled = Boolean(payload.enabled);
+  ensureProjectMetadata(project);
+  res.json({
+    history: [...project.ticketHistory].sort((a, b) => b.createdAt - a.createdAt),
+    voidedTickets: project.voidedTickets,
+    exchanges: project.exchanges,
+  });
+});
+
+app.get('/api/venue-templates', requireRole('admin'), (_req, res) => {
+  ensureVenueTemplates();
+  const templates = Object.values(state.venueTemplates)
+    .map(summarizeVenueTemplate)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  res.json({ templates });
+});
+
+app.post('/api/venue-templates', requireRole('admin'), async (req, res) => {
+  const { name, projectId } = req.body || {};
+  const project = state.projects[projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  product.updatedAt = Date.now();
+  const templateName = typeof name === 'string' && name.trim() ? name.trim() : project.name;
+  ensureVenueTemplates();
+  const now = Date.now();
+  const template = {
+    id: uuidv4(),
+    name: templateName,
+    sourceProjectId: project.id,
+    createdAt: now,
+    updatedAt: now,
+    ...buildLayoutSnapshot(project),
+  };
+  state.venueTemplates[template.id] = template;
   await saveState();
-  res.json({ product: serializeProduct(product) });
+  res.json({ template: summarizeVenueTemplate(template) });
 });
 
-app.delete('/api/merch/products/:productId', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const product = state.merch.products[req.params.productId];
-  if (!product) {
-    return res.status(404).json({ error: '商品不存在' });
+app.delete('/api/venue-templates/:templateId', requireRole('admin'), async (req, res) => {
+  ensureVenueTemplates();
+  if (!state.venueTemplates[req.params.templateId]) {
+    return res.status(404).json({ error: '场馆模板不存在' });
   }
-  createStateBackup(`delete-product-${product.id}`).catch(() => {});
-  await deleteMerchImageFile(product.imagePath);
-  delete state.merch.products[req.params.productId];
+  delete state.venueTemplates[req.params.templateId];
+  await saveState();
+  res.json({ ok: true });
+});
+
+app.post('/api/projects/:projectId/performances', requireRole('admin'), async (req, res) => {
+  const source = state.projects[req.params.projectId];
+  if (!source) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  let performance;
+  try {
+    performance = normalizePerformanceInput(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const show = ensureShowForProject(source);
+  let project;
+  try {
+    project = cloneProjectLayout(source, { name: show.name, continueNumbering: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  project.showId = show.id;
+  project.performance = performance;
+  state.projects[project.id] = project;
+  show.updatedAt = Date.now();
   await saveState();
-  res.json({ ok: true });
+  broadcastProject(project.id);
+  res.json({ show, project: serializeProject(project) });
 });
 
-app.get('/api/merch/modes', requireAnyRole, (_req, res) => {
-  ensureMerchState();
-  const modes = Object.values(state.merch.checkoutModes).map(serializeCheckoutMode);
-  res.json({ modes });
+// Pushes this performance's seat layout, zones, prices and ticket types to every other performance of the show.
+app.post('/api/projects/:projectId/performances/sync', requireRole('admin'), async (req, res) => {
+  const source = state.projects[req.params.projectId];
+  if (!source) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  const show = ensureShowForProject(source);
+  const siblings = getShowPerformances(show.id).filter((project) => project.id !== source.id);
+  if (!siblings.length) {
+    return res.status(400).json({ error: '该演出没有其他场次' });
+  }
+  const layout = buildLayoutSnapshot(source);
+  const snapshots = siblings.map((project) => structuredClone(project));
+  try {
+    siblings.forEach((project) => {
+      try {
+        applyLayoutToPerformance(project, layout);
+      } catch (error) {
+        throw new Error(`${describePerformance(project)}：${error.message}`);
+      }
+    });
+  } catch (error) {
+    siblings.forEach((project, index) => restoreProjectSnapshot(project, snapshots[index]));
+    return res.status(400).json({ error: error.message });
+  }
+  const now = Date.now();
+  siblings.forEach((project) => {
+    project.updatedAt = now;
+  });
+  show.updatedAt = now;
+  await saveState();
+  siblings.forEach((project) => broadcastProject(project.id));
+  res.json({ show, projects: siblings.map((project) => serializeProject(project)) });
 });
 
-app.post('/api/merch/modes', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const { name } = req.body || {};
-  if (!name || typeof name !== 'string') {
-    return res.status(400).json({ error: '请输入结账模式名称' });
+app.patch('/api/projects/:projectId/performance', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  let definitions;
+  let performance;
   try {
-    definitions = normalizeCheckoutModePayload(req.body);
+    performance = normalizePerformanceInput(req.body || {});
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
-  const id = uuidv4();
-  const mode = {
-    id,
-    ...definitions,
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
-  };
-  state.merch.checkoutModes[id] = mode;
+  const show = ensureShowForProject(project);
+  project.performance = performance;
+  project.updatedAt = Date.now();
+  show.updatedAt = project.updatedAt;
   await saveState();
-  res.json({ mode: serializeCheckoutMode(mode) });
+  broadcastProject(project.id);
+  res.json({ show, project: serializeProject(project) });
 });
 
-app.put('/api/merch/modes/:modeId', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const mode = state.merch.checkoutModes[req.params.modeId];
-  if (!mode) {
-    return res.status(404).json({ error: '结账模式不存在' });
+app.patch('/api/projects/:projectId/online-booking', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  let updated;
+  ensureProjectMetadata(project);
   try {
-    updated = normalizeCheckoutModePayload(req.body, mode);
+    project.onlineBooking = normalizeOnlineBookingInput(req.body || {}, project.onlineBooking);
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
-  Object.assign(mode, updated, { updatedAt: Date.now() });
+  project.updatedAt = Date.now();
   await saveState();
-  res.json({ mode: serializeCheckoutMode(mode) });
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
 });
 
-app.delete('/api/merch/modes/:modeId', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const mode = state.merch.checkoutModes[req.params.modeId];
-  if (!mode) {
-    return res.status(404).json({ error: '结账模式不存在' });
+app.patch('/api/projects/:projectId/purchase-limits', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  createStateBackup(`delete-mode-${mode.id}`).catch(() => {});
-  delete state.merch.checkoutModes[req.params.modeId];
-  if (!Object.keys(state.merch.checkoutModes).length) {
-    await ensureMerchState();
+  ensureProjectMetadata(project);
+  try {
+    project.purchaseLimits = normalizePurchaseLimitsInput(req.body || {}, project.purchaseLimits);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
+  project.updatedAt = Date.now();
   await saveState();
-  res.json({ ok: true });
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
 });
 
-app.get('/api/merch/orders', requireRole('admin'), (req, res) => {
-  ensureMerchState();
-  const { since, until } = req.query || {};
-  const parsedSince = since ? Number(since) : null;
-  const parsedUntil = until ? Number(until) : null;
-  const orders = state.merch.orders
-    .filter((order) => {
-      if (parsedSince && order.createdAt < parsedSince) return false;
-      if (parsedUntil && order.createdAt > parsedUntil) return false;
-      return true;
-    })
-    .sort((a, b) => b.createdAt - a.createdAt)
-    .slice(0, 500);
-  res.json({ orders });
+const getBookableProject = (projectId) => {
+  const project = state.projects[projectId];
+  if (!project) return null;
+  ensureProjectMetadata(project);
+  return project.onlineBooking.enabled ? project : null;
+};
+
+app.get('/api/public/projects', (_req, res) => {
+  const projects = Object.keys(state.projects)
+    .map(getBookableProject)
+    .filter(Boolean)
+    .map((project) => ({
+      id: project.id,
+      name: project.name,
+      performance: project.performance || null,
+      available: Object.values(project.seats).filter(isSeatBookable).length,
+    }));
+  res.json({ projects, paymentProviders: listPaymentProviders() });
 });
 
-const requireSalesOrAdmin = (req, res, next) => {
-  const session = parseSession(req);
-  if (!session) {
-    return res.status(401).json({ error: '未登录' });
+app.get('/api/public/projects/:projectId', (req, res) => {
+  const project = getBookableProject(req.params.projectId);
+  if (!project) {
+    return res.status(404).json({ error: '该场次未开放在线预约' });
   }
-  if (!['sales', 'admin'].includes(session.role)) {
-    return res.status(403).json({ error: '无权限' });
+  const claimHold = findClaimHold(project, req.query.claim);
+  if (req.query.claim && !claimHold) {
+    return res.status(404).json({ error: '领取码无效或已过期' });
   }
-  req.session = session;
-  return next();
-};
-
-const resolveCheckoutMode = (checkoutModeId) => {
-  if (!checkoutModeId) return null;
-  const mode = state.merch.checkoutModes[checkoutModeId];
-  return mode && mode.enabled !== false ? mode : null;
-};
+  res.json({ project: serializePublicProject(project, claimHold) });
+});
 
-const normalizeOrderItems = (items = []) => {
-  if (!Array.isArray(items) || !items.length) {
-    throw new Error('请至少添加一条商品记录');
+app.post('/api/public/projects/:projectId/reservations', async (req, res) => {
+  const project = getBookableProject(req.params.projectId);
+  if (!project) {
+    return res.status(404).json({ error: '该场次未开放在线预约' });
   }
-  return items.map((item, index) => {
-    if (!item || typeof item !== 'object') {
-      throw new Error(`第 ${index + 1} 条商品数据无效`);
-    }
-    const name = (item.name || item.productName || '').trim();
-    if (!name) {
-      throw new Error(`第 ${index + 1} 条商品缺少名称`);
-    }
-    const unitPrice = Number(item.unitPrice ?? item.price);
-    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
-      throw new Error(`第 ${index + 1} 条商品单价无效`);
-    }
-    const quantity = Math.max(1, Math.floor(Number(item.quantity) || 0));
-    const subtotal = Math.round(unitPrice * quantity * 100) / 100;
-    return {
-      productId: item.productId || null,
-      name,
-      quantity,
-      unitPrice: Math.round(unitPrice * 100) / 100,
-      subtotal,
-    };
-  });
-};
-
-app.post('/api/merch/orders', requireSalesOrAdmin, async (req, res) => {
-  ensureMerchState();
-  const { items, checkoutModeId, note } = req.body || {};
-  if (!Array.isArray(items) || !items.length) {
-    return res.status(400).json({ error: '请选择至少一件商品' });
+  let customer;
+  try {
+    customer = normalizeCustomerInput(req.body?.customer);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  const parsedItems = [];
-  for (const entry of items) {
-    if (!entry || typeof entry !== 'object') continue;
-    const product = state.merch.products[entry.productId];
-    if (!product || product.enabled === false) {
-      return res.status(400).json({ error: '存在无效商品' });
-    }
-    const quantity = Math.max(1, Math.floor(Number(entry.quantity) || 0));
-    if (product.stock < quantity) {
-      return res.status(400).json({ error: `商品「${product.name}」库存不足` });
-    }
-    parsedItems.push({ product, quantity });
+  if (!customer?.name || !customer.phone) {
+    return res.status(400).json({ error: '请填写姓名和手机号' });
   }
-  if (!parsedItems.length) {
-    return res.status(400).json({ error: '未找到有效商品' });
+  const seatIds = Array.isArray(req.body?.seatIds) ? [...new Set(req.body.seatIds.map(String))] : [];
+  if (!seatIds.length) {
+    return res.status(400).json({ error: '请选择座位' });
   }
-
-  const mode = checkoutModeId ? state.merch.checkoutModes[checkoutModeId] : null;
-  if (checkoutModeId && !mode) {
-    return res.status(400).json({ error: '结账模式不存在' });
+  if (seatIds.length > project.onlineBooking.maxSeats) {
+    return res.status(400).json({ error: `每次最多预约 ${project.onlineBooking.maxSeats} 个座位` });
+  }
+  if (project.reservations.some((entry) => isReservationActive(entry) && entry.customer.phone === customer.phone)) {
+    return res.status(409).json({ error: '该手机号已有未完成的预约，请先取消或到售票处办理' });
+  }
+  const claimHold = findClaimHold(project, req.body?.claimCode);
+  if (req.body?.claimCode && !claimHold) {
+    return res.status(400).json({ error: '领取码无效或已过期' });
   }
-
-  let totalBefore = 0;
-  const orderItems = parsedItems.map(({ product, quantity }) => {
-    const subtotal = Math.round(product.price * quantity * 100) / 100;
-    totalBefore += subtotal;
-    return {
-      productId: product.id,
-      name: product.name,
-      quantity,
-      unitPrice: product.price,
-      subtotal,
-    };
-  });
-  totalBefore = Math.round(totalBefore * 100) / 100;
-  const { totalAfter, discount } = applyCheckoutModeToTotal(mode, totalBefore);
-
-  parsedItems.forEach(({ product, quantity }) => {
-    product.stock -= quantity;
-    if (product.stock < 0) product.stock = 0;
-    product.updatedAt = Date.now();
-  });
-
-  const order = {
-    id: uuidv4(),
-    items: orderItems,
-    checkoutModeId: mode ? mode.id : null,
-    checkoutModeName: mode ? mode.name : '原价',
-    discount,
-    totalBefore,
-    totalAfter: Math.round(totalAfter * 100) / 100,
-    handledBy: req.session?.username || 'unknown',
-    note: typeof note === 'string' ? note.trim() : '',
-    createdAt: Date.now(),
-  };
-  state.merch.orders.unshift(order);
-  state.merch.orders = state.merch.orders.slice(0, 2000);
-  await saveState();
-  res.json({ order });
-});
-
-app.post('/api/merch/orders/manual', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  let orderItems;
   try {
-    orderItems = normalizeOrderItems(req.body?.items);
+    checkPurchaseLimits(project, { seatCount: seatIds.length, customer });
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
-  const mode = resolveCheckoutMode(req.body?.checkoutModeId);
-  const totalBefore =
-    Math.round(orderItems.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
-  const { totalAfter, discount } = applyCheckoutModeToTotal(mode, totalBefore);
-  const handledBy =
-    typeof req.body?.handledBy === 'string' && req.body.handledBy.trim()
-      ? req.body.handledBy.trim()
-      : req.session?.username || 'admin';
-  const order = {
-    id: uuidv4(),
-    items: orderItems,
-    checkoutModeId: mode ? mode.id : null,
-    checkoutModeName: mode ? mode.name : '原价',
-    discount,
-    totalBefore,
-    totalAfter: Math.round(totalAfter * 100) / 100,
-    handledBy,
-    note: typeof req.body?.note === 'string' ? req.body.note.trim() : '',
-    createdAt: Number(req.body?.createdAt) || Date.now(),
-    manual: true,
-  };
-  state.merch.orders.unshift(order);
-  state.merch.orders = state.merch.orders.slice(0, 2000);
-  await saveState();
-  res.json({ order });
-});
-
-app.put('/api/merch/orders/:orderId', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const index = state.merch.orders.findIndex((order) => order.id === req.params.orderId);
-  if (index === -1) {
-    return res.status(404).json({ error: '记录不存在' });
-  }
-  const existing = state.merch.orders[index];
-  let updatedItems = existing.items;
-  if (req.body?.items) {
-    try {
-      updatedItems = normalizeOrderItems(req.body.items);
-    } catch (error) {
-      return res.status(400).json({ error: error.message });
-    }
+  const seats = seatIds.map((id) => project.seats[id]);
+  if (seats.some((seat) => !seat || !isSeatBookable(seat, claimHold))) {
+    return res.status(409).json({ error: '部分座位已被占用，请重新选择' });
   }
-  const mode = resolveCheckoutMode(req.body?.checkoutModeId ?? existing.checkoutModeId);
-  const totalBefore =
-    Math.round(updatedItems.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
-  const { totalAfter, discount } = applyCheckoutModeToTotal(mode, totalBefore);
-  const updatedOrder = {
-    ...existing,
-    items: updatedItems,
-    checkoutModeId: mode ? mode.id : null,
-    checkoutModeName: mode ? mode.name : '原价',
-    discount,
-    totalBefore,
-    totalAfter: Math.round(totalAfter * 100) / 100,
-    note:
-      req.body?.note !== undefined ? (typeof req.body.note === 'string' ? req.body.note.trim() : '') : existing.note,
-    handledBy:
-      req.body?.handledBy !== undefined
-        ? (typeof req.body.handledBy === 'string' ? req.body.handledBy.trim() : existing.handledBy)
-        : existing.handledBy,
-    createdAt:
-      req.body?.createdAt !== undefined && Number.isFinite(Number(req.body.createdAt))
-        ? Number(req.body.createdAt)
-        : existing.createdAt,
-    manual: existing.manual || Boolean(req.body?.manual),
+  const now = Date.now();
+  const code = createReservationCode(project);
+  const expiresAt = now + project.onlineBooking.holdMinutes * 60 * 1000;
+  seats.forEach((seat) => {
+    seat.status = 'locked';
+    seat.lockedBy = reservationLockOwner(code);
+    seat.lockExpiresAt = expiresAt;
+  });
+  const reservation = {
+    code,
+    seatIds,
+    customer,
+    total: roundCurrency(seats.reduce((sum, seat) => sum + seat.price, 0)),
+    status: 'pending',
+    payment: null,
+    expiresAt,
+    saleId: null,
+    confirmedBy: null,
+    createdAt: now,
+    updatedAt: now,
   };
-  state.merch.orders[index] = updatedOrder;
+  project.reservations.unshift(reservation);
+  project.updatedAt = now;
   await saveState();
-  res.json({ order: updatedOrder });
+  broadcastProject(project.id);
+  res.json({ reservation: serializePublicReservation(project, reservation) });
 });
 
-app.delete('/api/merch/orders/:orderId', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const index = state.merch.orders.findIndex((order) => order.id === req.params.orderId);
-  if (index === -1) {
-    return res.status(404).json({ error: '记录不存在' });
+app.get('/api/public/projects/:projectId/reservations/:code', (req, res) => {
+  const project = state.projects[req.params.projectId];
+  const reservation = project ? findReservation(project, req.params.code) : null;
+  if (!reservation) {
+    return res.status(404).json({ error: '预约不存在' });
   }
-  createStateBackup(`delete-order-${req.params.orderId}`).catch(() => {});
-  state.merch.orders.splice(index, 1);
-  await saveState();
-  res.json({ ok: true });
+  res.json({ reservation: serializePublicReservation(project, reservation) });
 });
 
-app.get('/api/merch/orders/export', requireRole('admin'), (req, res) => {
-  ensureMerchState();
-  res.json({ orders: state.merch.orders });
-});
-
-app.post('/api/merch/orders/import', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  const { orders, mode = 'replace' } = req.body || {};
-  if (!Array.isArray(orders)) {
-    return res.status(400).json({ error: '导入数据格式无效' });
+app.post('/api/public/projects/:projectId/reservations/:code/cancel', async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  const reservation = project ? findReservation(project, req.params.code) : null;
+  if (!reservation) {
+    return res.status(404).json({ error: '预约不存在' });
   }
-  const normalizedOrders = [];
+  let customer;
   try {
-    orders.forEach((entry) => {
-      const items = normalizeOrderItems(entry.items || []);
-      const modeInstance = resolveCheckoutMode(entry.checkoutModeId);
-      const totalBefore = Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
-      const result = applyCheckoutModeToTotal(modeInstance, totalBefore);
-      normalizedOrders.push({
-        id: entry.id && typeof entry.id === 'string' ? entry.id : uuidv4(),
-        items,
-        checkoutModeId: modeInstance ? modeInstance.id : null,
-        checkoutModeName: modeInstance ? modeInstance.name : '原价',
-        discount: result.discount,
-        totalBefore,
-        totalAfter: Math.round(result.totalAfter * 100) / 100,
-        handledBy: entry.handledBy || 'imported',
-        note: typeof entry.note === 'string' ? entry.note.trim() : '',
-        createdAt: Number(entry.createdAt) || Date.now(),
-        manual: Boolean(entry.manual),
-      });
-    });
+    customer = normalizeCustomerInput({ phone: req.body?.phone });
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
-  createStateBackup('import-orders').catch(() => {});
-  if (mode === 'append') {
-    state.merch.orders = [...normalizedOrders, ...state.merch.orders].slice(0, 2000);
-  } else {
-    state.merch.orders = normalizedOrders.slice(0, 2000);
+  if (customer?.phone !== reservation.customer.phone) {
+    return res.status(403).json({ error: '手机号与预约不符' });
+  }
+  if (reservation.status !== 'pending') {
+    const message =
+      reservation.status === 'paid' ? '已在线支付的预约请到售票处办理' : `该预约${RESERVATION_STATUS_NAMES[reservation.status]}`;
+    return res.status(409).json({ error: message });
   }
+  if (isReservationCharging(project, reservation)) {
+    return res.status(409).json({ error: '该预约正在支付，请稍后再试' });
+  }
+  releaseReservationSeats(project, reservation);
+  reservation.status = 'cancelled';
+  reservation.updatedAt = Date.now();
+  syncWaitlistWithReservation(project, reservation);
+  project.updatedAt = reservation.updatedAt;
   await saveState();
-  res.json({ count: normalizedOrders.length });
+  broadcastProject(project.id);
+  notifyWaitlist(project, reservation.seatIds);
+  res.json({ reservation: serializePublicReservation(project, reservation) });
 });
 
-app.post('/api/merch/orders/clear', requireRole('admin'), async (req, res) => {
-  ensureMerchState();
-  if (!state.merch.orders.length) {
-    return res.json({ ok: true, cleared: 0 });
+app.post('/api/public/projects/:projectId/reservations/:code/pay', async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  const reservation = project ? findReservation(project, req.params.code) : null;
+  if (!reservation) {
+    return res.status(404).json({ error: '预约不存在' });
   }
-  createStateBackup('clear-orders').catch(() => {});
-  const cleared = state.merch.orders.length;
-  state.merch.orders = [];
+  const providerId = req.body?.provider;
+  if (!listPaymentProviders().some((provider) => provider.id === providerId)) {
+    return res.status(400).json({ error: '不支持的支付方式' });
+  }
+  if (reservation.status !== 'pending') {
+    return res.status(409).json({ error: `该预约${RESERVATION_STATUS_NAMES[reservation.status]}` });
+  }
+  if (reservation.expiresAt <= Date.now()) {
+    return res.status(409).json({ error: '该预约已过期' });
+  }
+  if (isReservationCharging(project, reservation)) {
+    return res.status(409).json({ error: '该预约正在支付，请勿重复提交' });
+  }
+  const key = chargingKey(project, reservationLockOwner(reservation.code));
+  chargingReservations.add(key);
+  let result;
+  try {
+    result = await RESERVATION_PAYMENT_PROVIDERS[providerId].charge(reservation, reservation.total);
+  } catch (error) {
+    return res.status(402).json({ error: error.message || '支付失败' });
+  } finally {
+    chargingReservations.delete(key);
+  }
+  if (reservation.status !== 'pending') {
+    // The hold is protected while charging, so this only happens if the reservation was closed some other way.
+    // The money was taken, so it is recorded and booked for refund rather than lost.
+    reservation.payment = {
+      provider: providerId,
+      reference: result.reference,
+      amount: reservation.total,
+      paidAt: Date.now(),
+    };
+    recordReservationRefund(project, reservation, {
+      amount: reservation.total,
+      reason: `支付完成时预约${RESERVATION_STATUS_NAMES[reservation.status]}，原路退回`,
+      approvedBy: 'system',
+    });
+    reservation.updatedAt = Date.now();
+    await saveState();
+    return res
+      .status(409)
+      .json({ error: `该预约${RESERVATION_STATUS_NAMES[reservation.status]}，已支付的款项将原路退回` });
+  }
+  const now = Date.now();
+  const owner = reservationLockOwner(reservation.code);
+  reservation.seatIds.forEach((id) => {
+    const seat = project.seats[id];
+    if (seat && seat.lockedBy === owner) seat.lockExpiresAt = null;
+  });
+  reservation.payment = { provider: providerId, reference: result.reference, amount: reservation.total, paidAt: now };
+  reservation.status = 'paid';
+  reservation.expiresAt = null;
+  reservation.updatedAt = now;
+  project.updatedAt = now;
   await saveState();
-  res.json({ ok: true, cleared });
+  broadcastProject(project.id);
+  res.json({ reservation: serializePublicReservation(project, reservation) });
 });
 
-app.post('/api/checkins/seat', requireRole('admin'), async (req, res) => {
-  const { ticketNumber, action } = req.body || {};
-  if (!ticketNumber || typeof ticketNumber !== 'string') {
-    return res.status(400).json({ error: '请输入票号' });
+app.get('/api/projects/:projectId/reservations', requireSalesOrAdmin, (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  const normalized = ticketNumber.trim();
-  let foundSeat = null;
-  let foundProject = null;
-  Object.values(state.projects).some((project) => {
-    const seat = findSeatByTicketCode(project, normalized);
-    if (seat) {
-      foundSeat = seat;
-      foundProject = project;
-      return true;
+  ensureProjectMetadata(project);
+  const status = typeof req.query.status === 'string' ? req.query.status : '';
+  const code = typeof req.query.code === 'string' ? req.query.code.trim().toUpperCase() : '';
+  const reservations = project.reservations
+    .filter((entry) => (!status || entry.status === status) && (!code || entry.code === code))
+    .map((entry) => serializeReservationForStaff(project, entry));
+  res.json({ reservations });
+});
+
+app.post('/api/projects/:projectId/reservations/:code/cancel', requireSalesOrAdmin, async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  const reservation = project ? findReservation(project, req.params.code) : null;
+  if (!reservation) {
+    return res.status(404).json({ error: '预约不存在' });
+  }
+  if (!isReservationActive(reservation)) {
+    return res.status(409).json({ error: `该预约${RESERVATION_STATUS_NAMES[reservation.status]}` });
+  }
+  if (reservation.payment && req.session.role !== 'admin') {
+    return res.status(403).json({ error: '已在线支付的预约需由管理员取消' });
+  }
+  if (isReservationCharging(project, reservation)) {
+    return res.status(409).json({ error: '该预约正在支付，请稍后再试' });
+  }
+  let refund = null;
+  if (reservation.payment) {
+    // The online payment goes back through the refund ledger, so cancelling always leaves a record.
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: '取消已支付的预约需填写退款原因' });
     }
-    return false;
+    const paid = reservation.payment.amount;
+    const { amount } = req.body;
+    const parsedAmount = amount === undefined || amount === null || amount === '' ? paid : Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount < 0) {
+      return res.status(400).json({ error: '退款金额必须为非负数字' });
+    }
+    if (parsedAmount > paid) {
+      return res.status(400).json({ error: `退款金额不能超过实付 ¥${paid}` });
+    }
+    refund = recordReservationRefund(project, reservation, {
+      amount: parsedAmount,
+      reason,
+      approvedBy: req.session.username,
+    });
+  }
+  releaseReservationSeats(project, reservation);
+  reservation.status = 'cancelled';
+  reservation.updatedAt = Date.now();
+  syncWaitlistWithReservation(project, reservation);
+  project.updatedAt = reservation.updatedAt;
+  await saveState();
+  broadcastProject(project.id);
+  notifyWaitlist(project, reservation.seatIds);
+  res.json({ reservation: serializeReservationForStaff(project, reservation), refund });
+});
+
+app.get('/api/projects/:projectId/waitlist', requireSalesOrAdmin, (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  res.json({
+    waitlist: project.waitlist
+      .slice()
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((entry) => serializeWaitlistEntry(project, entry)),
   });
-  if (!foundSeat || !foundProject) {
-    return res.status(404).json({ error: '未找到该票号' });
+});
+
+app.post('/api/projects/:projectId/waitlist', requireSalesOrAdmin, async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  ensureSeatCheckinState(foundSeat);
-  if (action === 'clear') {
-    resetSeatCheckin(foundSeat);
-    appendCheckinLog({
-      id: uuidv4(),
-      ...buildSeatCheckinPayload(foundProject, foundSeat),
-      status: 'cleared',
-      message: '管理端清除检票状态',
-      handledBy: req.session?.username || 'admin',
-      createdAt: Date.now(),
-    });
-    await saveState();
-    broadcastProject(foundProject.id);
-    return res.json({ ok: true, seat: buildSeatCheckinPayload(foundProject, foundSeat) });
+  ensureProjectMetadata(project);
+  let customer;
+  try {
+    customer = normalizeCustomerInput(req.body?.customer);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  // action === 'checked'
-  foundSeat.checkedInAt = Date.now();
-  foundSeat.checkedInBy = req.session?.username || 'admin';
-  appendCheckinLog({
+  if (!customer?.name || !customer.phone) {
+    return res.status(400).json({ error: '请填写姓名和手机号' });
+  }
+  const partySize = Number(req.body?.partySize ?? 1);
+  if (!Number.isInteger(partySize) || partySize < 1 || partySize > 20) {
+    return res.status(400).json({ error: '人数需为 1 到 20' });
+  }
+  const zoneId = req.body?.zoneId || null;
+  if (zoneId && !getProjectZone(project, zoneId)) {
+    return res.status(400).json({ error: '票区不存在' });
+  }
+  if (project.waitlist.some((entry) => entry.status === 'waiting' && entry.customer.phone === customer.phone)) {
+    return res.status(409).json({ error: '该手机号已在候补名单中' });
+  }
+  const now = Date.now();
+  const entry = {
     id: uuidv4(),
-    ...buildSeatCheckinPayload(foundProject, foundSeat),
-    status: 'override',
-    message: '管理端标记为已检',
-    handledBy: foundSeat.checkedInBy,
-    createdAt: foundSeat.checkedInAt,
-  });
+    customer,
+    partySize,
+    zoneId,
+    note: typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 200) : '',
+    status: 'waiting',
+    reservationCode: null,
+    createdBy: req.session?.username || 'unknown',
+    createdAt: now,
+    updatedAt: now,
+  };
+  project.waitlist.push(entry);
+  project.updatedAt = now;
   await saveState();
-  broadcastProject(foundProject.id);
-  res.json({ ok: true, seat: buildSeatCheckinPayload(foundProject, foundSeat) });
+  broadcastProject(project.id);
+  const position = project.waitlist.filter((item) => item.status === 'waiting').length;
+  res.json({ entry: serializeWaitlistEntry(project, entry), position });
 });
 
-app.patch('/api/accounts/:username', requireRole('admin'), async (req, res) => {
-  const targetUsername = req.params.username;
-  const account = getAccount(targetUsername);
-  if (!account) {
-    return res.status(404).json({ error: '账号不存在' });
+// Books seats for a waiting party as a reservation held for `minutes`; the box office confirms it by code.
+app.post('/api/projects/:projectId/waitlist/:entryId/offer', requireSalesOrAdmin, async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  const { password, role } = req.body || {};
-  if (role && !['admin', 'sales'].includes(role)) {
-    return res.status(400).json({ error: '角色无效' });
+  ensureProjectMetadata(project);
+  const entry = project.waitlist.find((item) => item.id === req.params.entryId);
+  if (!entry) {
+    return res.status(404).json({ error: '候补记录不存在' });
   }
-  if (role && role !== account.role) {
-    if (account.role === 'admin' && role !== 'admin' && countAccountsByRole('admin') <= 1) {
-      return res.status(400).json({ error: '至少需要保留一个管理员账号' });
-    }
-    account.role = role;
+  if (entry.status !== 'waiting') {
+    return res.status(409).json({ error: `该候补${WAITLIST_STATUS_NAMES[entry.status]}` });
   }
-  if (password) {
-    account.passwordHash = await hashPassword(password);
+  const minutes = Number(req.body?.minutes ?? WAITLIST_OFFER_MINUTES);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 240) {
+    return res.status(400).json({ error: '留座时长需为 1 到 240 分钟' });
   }
-  account.updatedAt = Date.now();
-  state.accounts[normalizeUsername(account.username)] = account;
+  let seatIds;
+  try {
+    seatIds = pickWaitlistSeats(project, entry);
+  } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+  const now = Date.now();
+  const code = createReservationCode(project);
+  const expiresAt = now + minutes * 60 * 1000;
+  const seats = seatIds.map((id) => project.seats[id]);
+  seats.forEach((seat) => {
+    seat.status = 'locked';
+    seat.lockedBy = reservationLockOwner(code);
+    seat.lockExpiresAt = expiresAt;
+  });
+  const reservation = {
+    code,
+    seatIds,
+    customer: entry.customer,
+    total: roundCurrency(seats.reduce((sum, seat) => sum + (seat.price || 0), 0)),
+    status: 'pending',
+    payment: null,
+    expiresAt,
+    saleId: null,
+    confirmedBy: null,
+    waitlistId: entry.id,
+    createdAt: now,
+    updatedAt: now,
+  };
+  project.reservations.push(reservation);
+  entry.status = 'offered';
+  entry.reservationCode = code;
+  entry.updatedAt = now;
+  project.updatedAt = now;
   await saveState();
-  broadcastAdminUpdate();
-  res.json({ ok: true });
+  broadcastProject(project.id);
+  res.json({
+    entry: serializeWaitlistEntry(project, entry),
+    reservation: serializeReservationForStaff(project, reservation),
+  });
 });
 
-app.delete('/api/accounts/:username', requireRole('admin'), (req, res) => {
-  const targetUsername = req.params.username;
-  const account = getAccount(targetUsername);
-  if (!account) {
-    return res.status(404).json({ error: '账号不存在' });
+app.post('/api/projects/:projectId/waitlist/:entryId/cancel', requireSalesOrAdmin, async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  if (account.role === 'admin' && countAccountsByRole('admin') <= 1) {
-    return res.status(400).json({ error: '至少需要保留一个管理员账号' });
+  ensureProjectMetadata(project);
+  const entry = project.waitlist.find((item) => item.id === req.params.entryId);
+  if (!entry) {
+    return res.status(404).json({ error: '候补记录不存在' });
+  }
+  if (entry.status !== 'waiting' && entry.status !== 'offered') {
+    return res.status(409).json({ error: `该候补${WAITLIST_STATUS_NAMES[entry.status]}` });
+  }
+  const reservation = entry.reservationCode ? findReservation(project, entry.reservationCode) : null;
+  const released = [];
+  if (reservation && isReservationActive(reservation)) {
+    releaseReservationSeats(project, reservation);
+    reservation.status = 'cancelled';
+    reservation.updatedAt = Date.now();
+    released.push(...reservation.seatIds);
+  }
+  entry.status = 'cancelled';
+  entry.updatedAt = Date.now();
+  project.updatedAt = entry.updatedAt;
+  await saveState();
+  broadcastProject(project.id);
+  notifyWaitlist(project, released);
+  res.json({ entry: serializeWaitlistEntry(project, entry) });
+});
+
+app.patch('/api/shows/:showId', requireRole('admin'), async (req, res) => {
+  ensureShowsState();
+  const show = state.shows[req.params.showId];
+  if (!show) {
+    return res.status(404).json({ error: '演出不存在' });
+  }
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: '请输入演出名称' });
+  }
+  show.name = name;
+  show.updatedAt = Date.now();
+  getShowPerformances(show.id).forEach((project) => {
+    project.name = name;
+    project.updatedAt = show.updatedAt;
+    broadcastProject(project.id);
+  });
+  await saveState();
+  res.json({ show });
+});
+
+app.post('/api/projects/:projectId/sections', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  const currentSession = parseSession(req);
-  if (currentSession && normalizeUsername(currentSession.username) === normalizeUsername(targetUsername)) {
-    return res.status(400).json({ error: '无法删除当前登录账号' });
+  ensureProjectMetadata(project);
+  let input;
+  try {
+    input = normalizeSectionInput(req.body || {}, `分区${project.sections.length + 1}`);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  createStateBackup(`delete-account-${normalizeUsername(targetUsername)}`).catch(() => {});
-  removeAccount(targetUsername);
-  saveState().catch((err) => console.error('Failed to save state after delete account', err));
-  broadcastAdminUpdate();
-  res.json({ ok: true });
+  const section = { id: createSectionId(), ...input };
+  project.sections.push(section);
+  Object.assign(project.seats, buildSectionSeats(section));
+  assignSeatLabels(project);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ section, project: serializeProject(project) });
 });
 
-app.get('/api/projects', requireAnyRole, (_req, res) => {
-  const projects = Object.values(state.projects).map((project) => ({
-    id: project.id,
-    name: project.name,
-    rows: project.rows,
-    cols: project.cols,
-    createdAt: project.createdAt,
-    updatedAt: project.updatedAt,
-    availableSeats: Object.values(project.seats).filter((seat) => seat.status === 'available')
-      .length,
-  }));
-  res.json({ projects });
+app.patch('/api/projects/:projectId/sections/:sectionId', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  const section = getProjectSection(project, req.params.sectionId);
+  if (!section) {
+    return res.status(404).json({ error: '分区不存在' });
+  }
+  const { name, stageOrientation } = req.body || {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: '请输入分区名称' });
+    }
+    section.name = name.trim();
+  }
+  if (stageOrientation !== undefined) {
+    if (!STAGE_ORIENTATIONS.includes(stageOrientation)) {
+      return res.status(400).json({ error: '舞台方向无效' });
+    }
+    section.stageOrientation = stageOrientation;
+  }
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ section, project: serializeProject(project) });
+});
+
+app.post('/api/projects/:projectId/zones', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  let zone;
+  try {
+    zone = { id: createZoneId(), ...normalizeZoneInput(project, req.body || {}) };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  project.zones.push(zone);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ zone, project: serializeProject(project) });
 });
 
-app.post('/api/projects', requireRole('admin'), (req, res) => {
-  const { name, rows, cols, ticketing } = req.body || {};
-  if (!name || typeof name !== 'string' || !name.trim()) {
-    return res.status(400).json({ error: '请输入项目名称' });
-  }
-  if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows <= 0 || cols <= 0) {
-    return res.status(400).json({ error: '行列数必须为正整数' });
+app.patch('/api/projects/:projectId/zones/:zoneId', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  if (rows > 200 || cols > 200) {
-    return res.status(400).json({ error: '行列数过大，建议控制在 200 以内' });
+  ensureProjectMetadata(project);
+  const zone = getProjectZone(project, req.params.zoneId);
+  if (!zone) {
+    return res.status(404).json({ error: '票区不存在' });
   }
-  const project = createEmptyProject({ name: name.trim(), rows, cols });
   try {
-    if (ticketing) {
-      regenerateSeatTicketNumbers(project, ticketing);
-    } else {
-      ensureSeatTicketNumbers(project, { force: true });
-    }
+    Object.assign(zone, normalizeZoneInput(project, req.body || {}, zone));
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
-  assignSeatLabels(project);
-  state.projects[project.id] = project;
-  saveState().catch((err) => console.error('Failed to save state after create project', err));
+  Object.values(project.seats).forEach((seat) => {
+    if (seat.zoneId === zone.id && seat.status !== 'sold') {
+      seat.price = zone.price;
+    }
+  });
+  refreshPriceAssignments(project);
+  project.updatedAt = Date.now();
+  await saveState();
   broadcastProject(project.id);
-  res.json({ project });
+  res.json({ zone, project: serializeProject(project) });
 });
 
-app.delete('/api/projects/:projectId', requireRole('admin'), (req, res) => {
-  const { projectId } = req.params;
-  if (!state.projects[projectId]) {
+app.delete('/api/projects/:projectId/zones/:zoneId', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
-  createStateBackup(`delete-project-${projectId}`).catch(() => {});
-  delete state.projects[projectId];
-  saveState().catch((err) => console.error('Failed to save state after delete project', err));
-  res.json({ ok: true });
-});
-
-const serializeProject = (project) => {
-  ensureProjectTicketing(project);
-  return {
-    id: project.id,
-    name: project.name,
-    rows: project.rows,
-    cols: project.cols,
-    createdAt: project.createdAt,
-    updatedAt: project.updatedAt,
-    seats: project.seats,
-    ticketing: project.ticketing,
-    priceColorAssignments: project.priceColorAssignments,
-    seatLabelProgress: project.seatLabelProgress,
-  };
-};
-
-function broadcastProject(projectId) {
-  const project = state.projects[projectId];
-  if (!project) return;
-  io.to(`project:${projectId}`).emit('project:update', {
-    projectId,
-    project: serializeProject(project),
+  ensureProjectMetadata(project);
+  const zone = getProjectZone(project, req.params.zoneId);
+  if (!zone) {
+    return res.status(404).json({ error: '票区不存在' });
+  }
+  const zoneSeats = Object.values(project.seats).filter((seat) => seat.zoneId === zone.id);
+  if (zoneSeats.some((seat) => seat.status === 'sold' || seat.status === 'locked')) {
+    return res.status(400).json({ error: '该票区存在已售或锁定的座位，无法删除' });
+  }
+  // Dropping the last zone from a gate would silently turn it into an admit-all entrance.
+  const zoneGate = (project.gates || []).find((gate) => gate.zoneIds.includes(zone.id));
+  if (zoneGate) {
+    return res.status(400).json({ error: `检票口「${zoneGate.name}」仍指定该票区，请先修改或删除检票口` });
+  }
+  zoneSeats.forEach((seat) => {
+    seat.zoneId = null;
+    seat.price = null;
   });
-}
-
-const listAccountsForClient = () =>
-  Object.values(state.accounts)
-    .map(({ username, role, createdAt, updatedAt }) => ({ username, role, createdAt, updatedAt }))
-    .sort((a, b) => {
-      if (a.role === b.role) {
-        return a.username.localeCompare(b.username);
-      }
-      return a.role.localeCompare(b.role);
-    });
+  project.zones = project.zones.filter((entry) => entry.id !== zone.id);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
+});
 
-const broadcastAdminUpdate = () => {
-  io.emit('admin:accounts:update', { accounts: listAccountsForClient() });
-};
+app.post('/api/projects/:projectId/ticket-types', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  let ticketType;
+  try {
+    ticketType = { id: createTicketTypeId(), ...normalizeTicketTypeInput(project, req.body || {}) };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  project.ticketTypes.push(ticketType);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ ticketType, project: serializeProject(project) });
+});
 
-app.get('/api/projects/:projectId', requireAnyRole, (req, res) => {
+app.patch('/api/projects/:projectId/ticket-types/:typeId', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
-  res.json({ project: serializeProject(project) });
+  ensureProjectMetadata(project);
+  const ticketType = getProjectTicketType(project, req.params.typeId);
+  if (!ticketType) {
+    return res.status(404).json({ error: '票种不存在' });
+  }
+  let updates;
+  try {
+    updates = normalizeTicketTypeInput(project, req.body || {}, ticketType);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (updates.quota !== null && updates.quota < countTicketTypeSold(project, ticketType.id)) {
+    return res.status(400).json({ error: '限额不能低于已售数量' });
+  }
+  Object.assign(ticketType, updates);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ ticketType, project: serializeProject(project) });
 });
 
-app.get('/api/projects/:projectId/export', requireRole('admin'), (req, res) => {
+app.delete('/api/projects/:projectId/ticket-types/:typeId', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
+  ensureProjectMetadata(project);
+  const ticketType = getProjectTicketType(project, req.params.typeId);
+  if (!ticketType) {
+    return res.status(404).json({ error: '票种不存在' });
+  }
+  if (countTicketTypeSold(project, ticketType.id)) {
+    return res.status(400).json({ error: '该票种已有售出的座位，无法删除' });
+  }
+  project.ticketTypes = project.ticketTypes.filter((entry) => entry.id !== ticketType.id);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
   res.json({ project: serializeProject(project) });
 });
 
-app.get('/api/projects/:projectId/checkin/stats', requireSalesOrAdmin, (req, res) => {
+app.patch('/api/projects/:projectId/checkin-policy', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
-  const stats = computeCheckinStats(project);
-  res.json({ stats });
+  ensureProjectMetadata(project);
+  if (typeof req.body?.reentry !== 'boolean') {
+    return res.status(400).json({ error: '请指定是否允许再次入场' });
+  }
+  project.checkinPolicy = { ...project.checkinPolicy, reentry: req.body.reentry };
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
 });
 
-app.post('/api/projects/:projectId/checkin', requireSalesOrAdmin, async (req, res) => {
+app.post('/api/projects/:projectId/gates', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
-  const ticketCode = typeof req.body?.ticketCode === 'string' ? req.body.ticketCode.trim() : '';
-  const scannerId = typeof req.body?.scannerId === 'string' ? req.body.scannerId : '';
-  if (!ticketCode) {
-    return res.status(400).json({ error: '请提供票号' });
+  ensureProjectMetadata(project);
+  let gate;
+  try {
+    gate = { id: createGateId(), ...normalizeGateInput(project, req.body || {}) };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  let seat = findSeatByTicketCode(project, ticketCode);
-  if (!seat) {
-    return res.status(404).json({ error: '未找到该票号' });
+  project.gates.push(gate);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ gate, project: serializeProject(project) });
+});
+
+app.patch('/api/projects/:projectId/gates/:gateId', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  ensureSeatCheckinState(seat);
-  const payload = buildSeatCheckinPayload(project, seat);
-  if (seat.status !== 'sold') {
-    return res.status(400).json({ error: '票未售出或已作废', seat: payload });
+  ensureProjectMetadata(project);
+  const gate = getProjectGate(project, req.params.gateId);
+  if (!gate) {
+    return res.status(404).json({ error: '入口不存在' });
   }
-  if (seat.checkedInAt) {
-    return res.status(409).json({
-      error: '已检票',
-      seat: payload,
-      checkedInAt: seat.checkedInAt,
-      checkedInBy: seat.checkedInBy,
-    });
+  try {
+    Object.assign(gate, normalizeGateInput(project, req.body || {}, gate));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  seat.checkedInAt = Date.now();
-  seat.checkedInBy = req.session?.username || scannerId || 'unknown';
   project.updatedAt = Date.now();
-  const updatedPayload = buildSeatCheckinPayload(project, seat);
-  appendCheckinLog({
-    id: uuidv4(),
-    ...updatedPayload,
-    status: 'success',
-    message: '检票成功',
-    handledBy: updatedPayload.checkedInBy,
-    createdAt: seat.checkedInAt,
-  });
   await saveState();
   broadcastProject(project.id);
-  const stats = computeCheckinStats(project);
-  res.json({ ok: true, seat: updatedPayload, stats });
-});
-
-app.get('/api/checkins', requireRole('admin'), (req, res) => {
-  ensureCheckinLogs();
-  const { projectId, limit = 500 } = req.query || {};
-  const lim = Math.min(2000, Math.max(1, Number(limit) || 500));
-  const logs = state.checkInLogs
-    .filter((log) => (!projectId ? true : log.projectId === projectId))
-    .slice(0, lim);
-  res.json({ logs });
+  res.json({ gate, project: serializeProject(project) });
 });
 
-app.post('/api/projects/:projectId/import', requireRole('admin'), async (req, res) => {
+// Past check-ins keep their gate id so the per-gate stats fold them into "未指定入口".
+app.delete('/api/projects/:projectId/gates/:gateId', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
   ensureProjectMetadata(project);
-  const payload = (req.body && (req.body.project || req.body)) || {};
-  if (!payload || typeof payload !== 'object') {
-    return res.status(400).json({ error: '导入数据无效' });
+  const gate = getProjectGate(project, req.params.gateId);
+  if (!gate) {
+    return res.status(404).json({ error: '入口不存在' });
   }
-  if (
-    (payload.rows && payload.rows !== project.rows) ||
-    (payload.cols && payload.cols !== project.cols)
-  ) {
-    return res.status(400).json({ error: '导入数据的行列数与现有项目不一致' });
+  project.gates = project.gates.filter((entry) => entry.id !== gate.id);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  res.json({ project: serializeProject(project) });
+});
+
+app.get('/api/projects/:projectId/ticket-sheet', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
-  if (payload.name && typeof payload.name === 'string' && payload.name.trim()) {
-    project.name = payload.name.trim();
+  ensureProjectMetadata(project);
+  const { zoneId, seatId: onlySeatId } = req.query;
+  if (zoneId && !getProjectZone(project, zoneId)) {
+    return res.status(404).json({ error: '票区不存在' });
   }
-  const incomingSeats = payload.seats && typeof payload.seats === 'object' ? payload.seats : null;
-  if (!incomingSeats) {
-    return res.status(400).json({ error: '导入数据缺少座位信息' });
+  if (onlySeatId && !project.seats[onlySeatId]) {
+    return res.status(404).json({ error: '座位不存在' });
   }
-  const allowedStatuses = ['disabled', 'available', 'locked', 'sold'];
-  Object.entries(project.seats).forEach(([id, seat]) => {
-    ensureSeatCheckinState(seat);
-    const incoming = incomingSeats[id];
-    if (!incoming || typeof incoming !== 'object') {
-      seat.status = 'disabled';
-      seat.price = null;
-      seat.ticketNumber = null;
-      seat.ticketCode = null;
-      seat.ticketSequenceValue = null;
-      seat.seatLabel = null;
-      seat.lockedBy = null;
-      seat.lockExpiresAt = null;
-      seat.issuedAt = null;
-      resetSeatCheckin(seat);
-      return;
-    }
-    const status = allowedStatuses.includes(incoming.status) ? incoming.status : 'disabled';
-    seat.status = status;
-    const incomingPrice = incoming.price;
-    if (status === 'disabled') {
-      seat.price = null;
-    } else if (typeof incomingPrice === 'number' && Number.isFinite(incomingPrice)) {
-      seat.price = incomingPrice;
-      ensurePriceColorAssignment(project, seat.price);
-    } else {
-      seat.price = null;
-    }
-    const ticketNumber = typeof incoming.ticketNumber === 'string' ? incoming.ticketNumber.trim() : '';
-    seat.ticketNumber = ticketNumber || null;
-    seat.ticketCode = seat.ticketNumber;
-    seat.ticketSequenceValue =
-      typeof incoming.ticketSequenceValue === 'number' && Number.isFinite(incoming.ticketSequenceValue)
-        ? incoming.ticketSequenceValue
-        : null;
-    if (status === 'sold') {
-      seat.issuedAt = typeof incoming.issuedAt === 'number' ? incoming.issuedAt : Date.now();
-    } else {
-      seat.issuedAt = null;
-    }
-    seat.lockedBy = null;
-    seat.lockExpiresAt = null;
-    const incomingLabel = typeof incoming.seatLabel === 'string' ? incoming.seatLabel.trim() : '';
-    seat.seatLabel = incomingLabel || null;
-    seat.checkedInAt =
-      status === 'sold' && typeof incoming.checkedInAt === 'number' ? incoming.checkedInAt : null;
-    seat.checkedInBy =
-      status === 'sold' && typeof incoming.checkedInBy === 'string' ? incoming.checkedInBy : null;
-  });
-
-  if (payload.ticketing && typeof payload.ticketing === 'object') {
-    project.ticketing = payload.ticketing;
+  const cols = req.query.cols === undefined ? 2 : Number(req.query.cols);
+  const rows = req.query.rows === undefined ? 5 : Number(req.query.rows);
+  if (
+    !Number.isInteger(cols) ||
+    !Number.isInteger(rows) ||
+    cols < 1 ||
+    rows < 1 ||
+    cols > TICKET_SHEET_MAX_COLS ||
+    rows > TICKET_SHEET_MAX_ROWS
+  ) {
+    return res.status(400).json({ error: '每页排版参数无效' });
   }
-  if (payload.priceColorAssignments && typeof payload.priceColorAssignments === 'object') {
-    project.priceColorAssignments = { ...payload.priceColorAssignments };
+  try {
+    ensureSeatTicketNumbers(project);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  if (payload.seatLabelProgress && typeof payload.seatLabelProgress === 'object') {
-    project.seatLabelProgress = { ...payload.seatLabelProgress };
+  const sectionOrder = new Map(project.sections.map((section, index) => [section.id, index]));
+  const seats = Object.values(project.seats)
+    .filter((seat) => seat.status !== 'disabled' && (seat.ticketCode || seat.ticketNumber))
+    .filter((seat) => !zoneId || seat.zoneId === zoneId)
+    .filter((seat) => !onlySeatId || seatId(seat.row, seat.col, seat.sectionId) === onlySeatId)
+    .sort(
+      (a, b) =>
+        (sectionOrder.get(a.sectionId) ?? 0) - (sectionOrder.get(b.sectionId) ?? 0) ||
+        a.row - b.row ||
+        a.col - b.col
+    );
+  const html = await buildTicketSheetHtml(project, seats, { cols, rows });
+  await saveState();
+  res.type('html').send(html);
+});
+
+app.get('/api/projects/:projectId/holds', requireRole('admin'), (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
   }
+  ensureProjectMetadata(project);
+  res.json({ holds: serializeHoldReport(project) });
+});
 
+app.post('/api/projects/:projectId/holds', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
   ensureProjectMetadata(project);
-  ensureProjectTicketing(project);
-  refreshPriceAssignments(project);
-  assignSeatLabels(project);
+  let hold;
+  let seats;
   try {
-    ensureSeatTicketNumbers(project);
+    const seatIds = Array.isArray(req.body?.seatIds) ? req.body.seatIds : [];
+    const zoneSeatIds = pickZoneSeats(project, req.body?.zoneCounts, new Set(seatIds));
+    seats = collectHoldableSeats(project, [...seatIds, ...zoneSeatIds]);
+    const now = Date.now();
+    hold = {
+      id: `hold-${uuidv4().slice(0, 8)}`,
+      ...normalizeHoldInput(req.body || {}),
+      ...normalizeAllocationInput(project, req.body || {}),
+      releasedSeats: 0,
+      releasedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
+  project.holds.push(hold);
+  seats.forEach((seat) => {
+    seat.status = 'held';
+    seat.holdId = hold.id;
+  });
   project.updatedAt = Date.now();
   await saveState();
   broadcastProject(project.id);
-  res.json({ project: serializeProject(project) });
+  res.json({ hold, project: serializeProject(project) });
 });
 
-app.put('/api/projects/:projectId', requireRole('admin'), async (req, res) => {
+app.patch('/api/projects/:projectId/holds/:holdId', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
   ensureProjectMetadata(project);
-  const { name, seats: seatUpdates } = req.body || {};
-  if (name && typeof name === 'string' && name.trim()) {
-    project.name = name.trim();
+  const hold = getProjectHold(project, req.params.holdId);
+  if (!hold) {
+    return res.status(404).json({ error: '预留不存在' });
   }
-  if (Array.isArray(seatUpdates)) {
-    const normalized = sanitizeSeatsUpdate(project, seatUpdates);
-    const affectedRows = new Set();
-    Object.entries(normalized).forEach(([id, payload]) => {
-      const seat = project.seats[id];
-      if (!seat) return;
-      if (Number.isInteger(payload.row)) {
-        affectedRows.add(payload.row);
-      } else if (Number.isInteger(seat.row)) {
-        affectedRows.add(seat.row);
-      }
-      if (payload.ticketNumber !== undefined) {
-        const ticketNumber = payload.ticketNumber || null;
-        seat.ticketNumber = ticketNumber;
-        seat.ticketCode = ticketNumber;
-        if (project.ticketing?.mode === 'sequence') {
-          const sequence = prepareSequenceState(project);
-          const value = deriveSequenceValue(sequence, ticketNumber);
-          seat.ticketSequenceValue = value;
-          if (sequence && value && value > sequence.nextValue) {
-            sequence.nextValue = value;
-          }
-        } else {
-          seat.ticketSequenceValue = null;
-        }
-      }
-      if (payload.status) {
-        const status = payload.status;
-        if (status === 'available') {
-          seat.status = 'available';
-          seat.lockedBy = null;
-          seat.lockExpiresAt = null;
-          seat.issuedAt = null;
-          resetSeatCheckin(seat);
-          if (seat.price != null) {
-            ensurePriceColorAssignment(project, seat.price);
-          }
-        } else if (status === 'locked') {
-          seat.status = 'locked';
-          seat.lockedBy = null;
-          seat.lockExpiresAt = null;
-          resetSeatCheckin(seat);
-        } else if (status === 'sold') {
-          seat.status = 'sold';
-          seat.lockedBy = null;
-          seat.lockExpiresAt = null;
-          seat.issuedAt = Date.now();
-        } else {
-          seat.status = 'disabled';
-          seat.lockedBy = null;
-          seat.lockExpiresAt = null;
-          seat.issuedAt = null;
-          seat.price = null;
-          seat.ticketNumber = null;
-          seat.ticketCode = null;
-          seat.ticketSequenceValue = null;
-          resetSeatCheckin(seat);
-        }
-      }
-      if (payload.price !== undefined) {
-        if (seat.status === 'disabled') {
-          seat.price = null;
-        } else {
-          seat.price = payload.price;
-          if (seat.price != null) {
-            ensurePriceColorAssignment(project, seat.price);
-          }
-        }
-      }
+  try {
+    const seats = req.body?.seatIds ? collectHoldableSeats(project, req.body.seatIds, hold.id) : [];
+    Object.assign(hold, normalizeHoldInput(req.body || {}, hold), normalizeAllocationInput(project, req.body || {}, hold), {
+      updatedAt: Date.now(),
     });
-    refreshPriceAssignments(project);
-    assignSeatLabels(project, affectedRows);
-    try {
-      ensureSeatTicketNumbers(project);
-    } catch (error) {
-      return res.status(400).json({ error: error.message });
+    if (hold.releasedAt && (!hold.expiresAt || hold.expiresAt > Date.now())) {
+      hold.releasedAt = null;
     }
+    seats.forEach((seat) => {
+      seat.status = 'held';
+      seat.holdId = hold.id;
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
   project.updatedAt = Date.now();
   await saveState();
   broadcastProject(project.id);
-  res.json({ project: serializeProject(project) });
+  res.json({ hold, project: serializeProject(project) });
 });
 
-app.post('/api/projects/:projectId/ticketing', requireRole('admin'), async (req, res) => {
+// Releases held seats back to sale: the listed seats, or every seat of the given hold.
+app.post('/api/projects/:projectId/holds/release', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
-  const config = req.body || {};
-  try {
-    if (!config.mode) {
-      regenerateSeatTicketNumbers(project, null);
-    } else {
-      regenerateSeatTicketNumbers(project, config);
-    }
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
+  ensureProjectMetadata(project);
+  const { holdId, seatIds } = req.body || {};
+  let seats;
+  if (Array.isArray(seatIds) && seatIds.length) {
+    seats = seatIds.map((id) => project.seats[id]).filter((seat) => seat && seat.status === 'held');
+  } else if (holdId && getProjectHold(project, holdId)) {
+    seats = Object.values(project.seats).filter((seat) => seat.holdId === holdId);
+  } else {
+    return res.status(400).json({ error: '请选择要释放的预留' });
+  }
+  if (!seats.length) {
+    return res.status(400).json({ error: '没有可释放的预留座位' });
+  }
+  seats.forEach((seat) => {
+    const hold = getProjectHold(project, seat.holdId);
+    if (hold && seat.status === 'held') hold.releasedSeats = (hold.releasedSeats || 0) + 1;
+    releaseHeldSeat(seat);
+  });
+  ensureProjectHolds(project);
+  project.updatedAt = Date.now();
+  await saveState();
+  broadcastProject(project.id);
+  notifyWaitlist(project, seats.map((seat) => seatId(seat.row, seat.col, seat.sectionId)));
+  res.json({ released: seats.length, project: serializeProject(project) });
+});
+
+// Removes a hold or allocation together with its report; seats still held go back on sale.
+app.delete('/api/projects/:projectId/holds/:holdId', requireRole('admin'), async (req, res) => {
+  const project = state.projects[req.params.projectId];
+  if (!project) {
+    return res.status(404).json({ error: '项目不存在' });
+  }
+  ensureProjectMetadata(project);
+  const hold = getProjectHold(project, req.params.holdId);
+  if (!hold) {
+    return res.status(404).json({ error: '预留不存在' });
   }
+  const released = Object.keys(project.seats).filter((id) => project.seats[id].holdId === hold.id);
+  released.forEach((id) => releaseHeldSeat(project.seats[id]));
+  project.holds = project.holds.filter((entry) => entry.id !== hold.id);
   project.updatedAt = Date.now();
   await saveState();
   broadcastProject(project.id);
+  notifyWaitlist(project, released);
   res.json({ project: serializeProject(project) });
 });
 
-app.post('/api/projects/:projectId/ticketing/regenerate', requireRole('admin'), async (req, res) => {
+app.post('/api/projects/:projectId/grid', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
+  ensureProjectMetadata(project);
+  const { sectionId = DEFAULT_SECTION_ID, operation, index, count = 1 } = req.body || {};
+  const section = getProjectSection(project, sectionId);
+  if (!section) {
+    return res.status(404).json({ error: '分区不存在' });
+  }
+  await createStateBackup(`resize-grid-${project.id}-${section.id}`);
+  // Labels and ticket numbers are checked after the grid has moved, so a failure puts the whole project back.
+  const snapshot = structuredClone(project);
+  let moves;
   try {
-    let config = project.ticketing;
-    if (project.ticketing?.mode === 'sequence' && project.ticketing.sequence) {
-      const seq = project.ticketing.sequence;
-      config = {
-        mode: 'sequence',
-        sequence: {
-          template: seq.template,
-          startValue: seq.startString || String(seq.startValue).padStart(seq.width || 0, '0'),
-        },
-      };
-    }
-    regenerateSeatTicketNumbers(project, config);
+    moves = resizeSectionGrid(project, section, { operation, index: Number(index), count: Number(count) });
+    assignSeatLabels(project);
+    ensureSeatTicketNumbers(project);
   } catch (error) {
+    restoreProjectSnapshot(project, snapshot);
     return res.status(400).json({ error: error.message });
   }
+  remapStoredSeatIds(project, moves);
   project.updatedAt = Date.now();
   await saveState();
   broadcastProject(project.id);
   res.json({ project: serializeProject(project) });
 });
 
-app.patch('/api/projects/:projectId/seats/:seatId', requireRole('admin'), async (req, res) => {
+app.delete('/api/projects/:projectId/sections/:sectionId', requireRole('admin'), async (req, res) => {
   const project = state.projects[req.params.projectId];
   if (!project) {
     return res.status(404).json({ error: '项目不存在' });
   }
-  const seat = project.seats[req.params.seatId];
-  if (!seat) {
-    return res.status(404).json({ error: '座位不存在' });
+  ensureProjectMetadata(project);
+  const section = getProjectSection(project, req.params.sectionId);
+  if (!section) {
+    return res.status(404).json({ error: '分区不存在' });
   }
-  const { status, price, ticketNumber } = req.body || {};
-  if (price !== undefined) {
-    if (price === null || price === '') {
-      seat.price = null;
-    } else if (typeof price === 'number' && Number.isFinite(price) && price >= 0) {
-      seat.price = price;
-    } else {
-      return res.status(400).json({ error: '票价必须为非负数字' });
-    }
+  if (project.sections.length <= 1) {
+    return res.status(400).json({ error: '至少需要保留一个分区' });
   }
-  if (ticketNumber !== undefined) {
-    const normalizedTicket = ticketNumber ? String(ticketNumber).trim() : null;
-    seat.ticketNumber = normalizedTicket;
-    seat.ticketCode = normalizedTicket;
-    if (project.ticketing?.mode === 'sequence') {
-      const sequence = prepareSequenceState(project);
-      const value = deriveSequenceValue(sequence, normalizedTicket);
-      seat.ticketSequenceValue = value;
-      if (sequence && value && value > sequence.nextValue) {
-        sequence.nextValue = value;
-      }
-    } else {
-      seat.ticketSequenceValue = null;
-    }
+  const sectionSeats = Object.entries(project.seats).filter(
+    ([, seat]) => (seat.sectionId || DEFAULT_SECTION_ID) === section.id
+  );
+  if (sectionSeats.some(([, seat]) => seat.status === 'sold' || seat.status === 'locked')) {
+    return res.status(400).json({ error: '分区内存在已售或锁定的座位，无法删除' });
   }
-  if (status) {
-    const allowedStatuses = ['available', 'locked', 'sold', 'disabled'];
-    if (!allowedStatuses.includes(status)) {
-      return res.status(400).json({ error: '无效的座位状态' });
-    }
-    if (status === 'available') {
-      seat.status = 'available';
-      seat.lockedBy = null;
-      seat.lockExpiresAt = null;
-      seat.issuedAt = null;
-      resetSeatCheckin(seat);
-    } else if (status === 'locked') {
-      seat.status = 'locked';
-      seat.lockedBy = null;
-      seat.lockExpiresAt = null;
-      resetSeatCheckin(seat);
-    } else if (status === 'sold') {
-      seat.status = 'sold';
-      seat.lockedBy = null;
-      seat.lockExpiresAt = null;
-      seat.issuedAt = Date.now();
-    } else if (status === 'disabled') {
-      seat.status = 'disabled';
-      seat.lockedBy = null;
-      seat.lockExpiresAt = null;
-      seat.issuedAt = null;
-      seat.price = null;
-      seat.ticketNumber = null;
-      seat.ticketCode = null;
-      seat.ticketSequenceValue = null;
-      resetSeatCheckin(seat);
-    }
+  const sectionGate = project.gates.find((gate) => gate.sectionIds.includes(section.id));
+  if (sectionGate) {
+    return res.status(400).json({ error: `检票口「${sectionGate.name}」仍指定该分区，请先修改或删除检票口` });
   }
-  assignSeatLabels(project);
-  try {
-    ensureSeatTicketNumbers(project);
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
+  await createStateBackup(`delete-section-${project.id}-${section.id}`);
+  sectionSeats.forEach(([id]) => {
+    delete project.seats[id];
+  });
+  for (let row = 0; row < section.rows; row += 1) {
+    delete project.seatLabelProgress[sectionRowKey(section.id, row)];
   }
+  project.sections = project.sections.filter((entry) => entry.id !== section.id);
+  ensureProjectMetadata(project);
+  refreshPriceAssignments(project);
   project.updatedAt = Date.now();
   await saveState();
   broadcastProject(project.id);
-  res.json({ ok: true, seat });
+  res.json({ project: serializeProject(project) });
 });
 
 app.use((err, req, res, next) => {
@@ -2182,7 +6466,7 @@ io.on('connection', (socket) => {
     return ack({ ok: true, project: serializeProject(project) });
   });
 
-  socket.on('lock-seat', async ({ projectId, seatId: requestedId }, ack = () => {}) => {
+  socket.on('lock-seat', async ({ projectId, seatId: requestedId, overrideLimits }, ack = () => {}) => {
     const project = state.projects[projectId];
     if (!project) {
       return ack({ ok: false, message: '项目不存在' });
@@ -2197,6 +6481,9 @@ io.on('connection', (socket) => {
     if (seat.status === 'disabled') {
       return ack({ ok: false, message: '座位未启用' });
     }
+    if (seat.status === 'held' && !canSellHeldSeat(project, seat, socket.data.session?.username)) {
+      return ack({ ok: false, message: '座位已预留' });
+    }
     if (!seat.ticketNumber) {
       try {
         assignTicketNumberToSeat(project, seat, { force: true });
@@ -2207,6 +6494,22 @@ io.on('connection', (socket) => {
     if (seat.status === 'locked' && seat.lockedBy && seat.lockedBy !== socket.id) {
       return ack({ ok: false, message: '座位已被其他终端锁定' });
     }
+    if (seat.lockedBy !== socket.id) {
+      ensureProjectMetadata(project);
+      const limit = project.purchaseLimits.perTerminal;
+      try {
+        enforcePurchaseLimits(
+          () => {
+            if (limit && countTerminalLocks(project, socket.id) >= limit) {
+              throw purchaseLimitError(`每个终端同时最多锁定 ${limit} 个座位`);
+            }
+          },
+          { override: overrideLimits, session: socket.data.session }
+        );
+      } catch (error) {
+        return ack({ ok: false, message: error.message, limitExceeded: Boolean(error.limitExceeded) });
+      }
+    }
     seat.status = 'locked';
     seat.lockedBy = socket.id;
     seat.lockExpiresAt = Date.now() + LOCK_TIMEOUT_MS;
@@ -2238,32 +6541,340 @@ io.on('connection', (socket) => {
     return ack({ ok: true });
   });
 
-  socket.on('seat:issue', async ({ projectId, seatId: requestedId, ticketCode }, ack = () => {}) => {
+  socket.on('seat:issue', async (payload, ack = () => {}) => {
+    const {
+      projectId,
+      seatId: requestedId,
+      ticketCode,
+      ticketTypeId,
+      saleId,
+      paymentMethod,
+      amountReceived,
+      checkoutModeId,
+      customer: customerInput,
+      overrideLimits,
+    } = payload || {};
     const project = state.projects[projectId];
     if (!project) {
       return ack({ ok: false, message: '项目不存在' });
     }
-    const seat = project.seats[requestedId];
-    if (!seat) {
-      return ack({ ok: false, message: '座位不存在' });
+    let prepared;
+    let customer;
+    try {
+      prepared = prepareSeatIssue(project, { seatId: requestedId, ticketCode, ticketTypeId }, socket.id);
+      customer = normalizeCustomerInput(customerInput);
+    } catch (error) {
+      return ack({ ok: false, message: error.message });
     }
-    if (!ticketCode || ticketCode !== seat.ticketCode) {
-      return ack({ ok: false, message: '票码不匹配' });
+    if (!COUNTER_PAYMENT_METHODS.includes(paymentMethod)) {
+      return ack({ ok: false, message: '请选择收款方式' });
     }
-    if (seat.lockedBy !== socket.id) {
-      return ack({ ok: false, message: '当前终端未锁定该座位' });
+    const received = normalizeAmountReceived(amountReceived);
+    if (received === undefined) {
+      return ack({ ok: false, message: '实收金额必须为非负数字' });
     }
-    seat.status = 'sold';
-    seat.lockedBy = null;
-    seat.lockExpiresAt = null;
-    seat.issuedAt = Date.now();
-    if (!seat.seatLabel) {
-      assignSeatLabels(project, new Set([seat.row]));
+    ensureMerchState();
+    let checkoutMode;
+    try {
+      checkoutMode = requireCheckoutMode(checkoutModeId, 'tickets');
+    } catch (error) {
+      return ack({ ok: false, message: error.message });
+    }
+    ensureTicketSales();
+    let sale = null;
+    if (saleId) {
+      sale = state.ticketSales.find((entry) => entry.id === saleId);
+      if (!sale || sale.terminal !== socket.id || sale.projectId !== project.id) {
+        return ack({ ok: false, message: '售票单不属于当前终端' });
+      }
+    }
+    const buyer = customer || sale?.customer || null;
+    let overriddenBy;
+    try {
+      overriddenBy = enforcePurchaseLimits(
+        () =>
+          checkPurchaseLimits(project, {
+            seatCount: 1,
+            transactionSeats: (sale?.seats.length || 0) + 1,
+            customer: buyer,
+          }),
+        { override: overrideLimits, session: socket.data.session }
+      );
+    } catch (error) {
+      return ack({ ok: false, message: error.message, limitExceeded: Boolean(error.limitExceeded) });
+    }
+    if (!sale) {
+      sale = createTicketSale(project, { seller: socket.data.session?.username || 'unknown', terminal: socket.id });
+      state.ticketSales.unshift(sale);
+    }
+    if (overriddenBy) {
+      sale.limitOverriddenBy = overriddenBy;
     }
+    sale.paymentMethod = paymentMethod;
+    sale.amountReceived = received;
+    sale.customer = buyer;
+    issuePreparedSeat(project, sale, prepared, buyer);
+    recalculateTicketSale(sale, checkoutMode);
     project.updatedAt = Date.now();
     await saveState();
     broadcastProject(project.id);
-    return ack({ ok: true });
+    return ack({ ok: true, sale });
+  });
+
+  // Seats and merch paid together: everything is validated before any seat or stock changes.
+  socket.on('checkout:submit', async (payload, ack = () => {}) => {
+    const {
+      projectId,
+      seats = [],
+      merchItems = [],
+      checkoutModeId,
+      paymentMethod,
+      amountReceived,
+      note,
+      customer: customerInput,
+      overrideLimits,
+    } = payload || {};
+    const project = state.projects[projectId];
+    if (!project) {
+      return ack({ ok: false, message: '项目不存在' });
+    }
+    if (!Array.isArray(seats) || !Array.isArray(merchItems) || (!seats.length && !merchItems.length)) {
+      return ack({ ok: false, message: '购物车为空' });
+    }
+    if (!COUNTER_PAYMENT_METHODS.includes(paymentMethod)) {
+      return ack({ ok: false, message: '请选择收款方式' });
+    }
+    const received = normalizeAmountReceived(amountReceived);
+    if (received === undefined) {
+      return ack({ ok: false, message: '实收金额必须为非负数字' });
+    }
+    ensureMerchState();
+    let checkoutMode;
+    try {
+      checkoutMode = requireCheckoutMode(checkoutModeId, 'both');
+    } catch (error) {
+      return ack({ ok: false, message: error.message });
+    }
+    const pendingByType = new Map();
+    let preparedSeats;
+    let cart = null;
+    let customer;
+    let overriddenBy = null;
+    try {
+      customer = normalizeCustomerInput(customerInput);
+      if (new Set(seats.map((entry) => entry?.seatId)).size !== seats.length) {
+        throw new Error('座位重复');
+      }
+      preparedSeats = seats.map((entry) => prepareSeatIssue(project, entry || {}, socket.id, pendingByType));
+      if (seats.length) {
+        overriddenBy = enforcePurchaseLimits(
+          () => checkPurchaseLimits(project, { seatCount: seats.length, customer }),
+          { override: overrideLimits, session: socket.data.session }
+        );
+      }
+      if (merchItems.length) {
+        cart = parseMerchCartItems(merchItems);
+      }
+    } catch (error) {
+      return ack({ ok: false, message: error.message, limitExceeded: Boolean(error.limitExceeded) });
+    }
+
+    const ticketTotal = roundCurrency(preparedSeats.reduce((sum, entry) => sum + (entry.soldPrice || 0), 0));
+    const merchTotal = cart ? cart.totalBefore : 0;
+    const totalBefore = roundCurrency(ticketTotal + merchTotal);
+    const products = {};
+    (cart?.orderItems || []).forEach((item) => {
+      products[item.productId] = (products[item.productId] || 0) + item.quantity;
+    });
+    const itemCount = (cart?.orderItems || []).reduce((sum, item) => sum + item.quantity, 0);
+    const { totalAfter, discount } = applyCheckoutModeToTotal(
+      checkoutMode,
+      totalBefore,
+      preparedSeats.length + itemCount,
+      { tickets: preparedSeats.length, products }
+    );
+    const ticketDiscount = totalBefore ? roundCurrency((discount * ticketTotal) / totalBefore) : 0;
+    const merchDiscount = roundCurrency(discount - ticketDiscount);
+    const seller = socket.data.session?.username || 'unknown';
+    const checkout = {
+      id: uuidv4(),
+      projectId: project.id,
+      ticketSaleId: null,
+      merchOrderId: null,
+      checkoutModeId: checkoutMode ? checkoutMode.id : null,
+      checkoutModeName: checkoutMode ? checkoutMode.name : '原价',
+      totalBefore,
+      discount: roundCurrency(discount),
+      totalAmount: roundCurrency(totalAfter),
+      paymentMethod,
+      amountReceived: received,
+      changeGiven: received === null ? null : roundCurrency(Math.max(0, received - totalAfter)),
+      seller,
+      createdAt: Date.now(),
+    };
+
+    let sale = null;
+    if (preparedSeats.length) {
+      ensureTicketSales();
+      sale = createTicketSale(project, { seller, terminal: socket.id });
+      preparedSeats.forEach((entry) => issuePreparedSeat(project, sale, entry, customer));
+      Object.assign(sale, {
+        checkoutId: checkout.id,
+        customer,
+        checkoutModeId: checkout.checkoutModeId,
+        checkoutModeName: checkout.checkoutModeName,
+        totalBefore: ticketTotal,
+        discount: ticketDiscount,
+        totalAmount: roundCurrency(ticketTotal - ticketDiscount),
+        paymentMethod,
+        amountReceived: null,
+        changeGiven: null,
+        updatedAt: Date.now(),
+      });
+      if (overriddenBy) {
+        sale.limitOverriddenBy = overriddenBy;
+      }
+      state.ticketSales.unshift(sale);
+      checkout.ticketSaleId = sale.id;
+      project.updatedAt = Date.now();
+    }
+    let order = null;
+    if (cart) {
+      commitMerchStock(cart.parsedItems);
+      order = {
+        id: uuidv4(),
+        items: cart.orderItems,
+        checkoutId: checkout.id,
+        checkoutModeId: checkout.checkoutModeId,
+        checkoutModeName: checkout.checkoutModeName,
+        discount: merchDiscount,
+        totalBefore: merchTotal,
+        totalAfter: roundCurrency(merchTotal - merchDiscount),
+        handledBy: seller,
+        customer,
+        note: typeof note === 'string' ? note.trim() : '',
+        createdAt: Date.now(),
+      };
+      state.merch.orders.unshift(order);
+      state.merch.orders = state.merch.orders.slice(0, 2000);
+      checkout.merchOrderId = order.id;
+    }
+    ensureCheckouts();
+    state.checkouts.unshift(checkout);
+    await saveState();
+    if (sale) {
+      broadcastProject(project.id);
+    }
+    return ack({ ok: true, checkout, sale, order });
+  });
+
+  // Turns an online reservation into a ticket sale at the box office. Seats stay locked by the
+  // reservation, so they are checked against its lock owner instead of this terminal.
+  socket.on('reservation:confirm', async (payload, ack = () => {}) => {
+    const { projectId, code, ticketTypeIds, paymentMethod, amountReceived, overrideLimits } = payload || {};
+    const project = state.projects[projectId];
+    if (!project) {
+      return ack({ ok: false, message: '项目不存在' });
+    }
+    ensureProjectMetadata(project);
+    const reservation = findReservation(project, code);
+    if (!reservation) {
+      return ack({ ok: false, message: '预约不存在' });
+    }
+    if (!isReservationActive(reservation)) {
+      return ack({ ok: false, message: `该预约${RESERVATION_STATUS_NAMES[reservation.status]}` });
+    }
+    if (reservation.status === 'pending' && reservation.expiresAt <= Date.now()) {
+      return ack({ ok: false, message: '该预约已过期' });
+    }
+    const paidOnline = Boolean(reservation.payment);
+    if (!paidOnline && !COUNTER_PAYMENT_METHODS.includes(paymentMethod)) {
+      return ack({ ok: false, message: '请选择收款方式' });
+    }
+    const received = paidOnline ? null : normalizeAmountReceived(amountReceived);
+    if (received === undefined) {
+      return ack({ ok: false, message: '实收金额必须为非负数字' });
+    }
+    const owner = reservationLockOwner(reservation.code);
+    const pendingByType = new Map();
+    let prepared;
+    let overriddenBy;
+    try {
+      overriddenBy = enforcePurchaseLimits(
+        () => checkPurchaseLimits(project, { seatCount: reservation.seatIds.length, customer: reservation.customer, reservation }),
+        { override: overrideLimits, session: socket.data.session }
+      );
+      prepared = reservation.seatIds.map((id) => {
+        const seat = project.seats[id];
+        if (seat && !seat.ticketNumber) {
+          assignTicketNumberToSeat(project, seat, { force: true });
+        }
+        // Online payments were charged at full price, so concessions only apply when paying here.
+        const ticketTypeId = paidOnline ? null : ticketTypeIds?.[id] || null;
+        return prepareSeatIssue(project, { seatId: id, ticketCode: seat?.ticketCode, ticketTypeId }, owner, pendingByType);
+      });
+    } catch (error) {
+      return ack({ ok: false, message: error.message, limitExceeded: Boolean(error.limitExceeded) });
+    }
+    ensureTicketSales();
+    const sale = createTicketSale(project, { seller: socket.data.session?.username || 'unknown', terminal: socket.id });
+    if (overriddenBy) {
+      sale.limitOverriddenBy = overriddenBy;
+    }
+    sale.paymentMethod = paidOnline ? 'online' : paymentMethod;
+    sale.amountReceived = received;
+    sale.customer = reservation.customer;
+    sale.reservationCode = reservation.code;
+    prepared.forEach((entry) => issuePreparedSeat(project, sale, entry, reservation.customer));
+    recalculateTicketSale(sale, null);
+    state.ticketSales.unshift(sale);
+    reservation.status = 'confirmed';
+    reservation.saleId = sale.id;
+    reservation.confirmedBy = sale.seller;
+    reservation.expiresAt = null;
+    reservation.updatedAt = Date.now();
+    syncWaitlistWithReservation(project, reservation);
+    project.updatedAt = reservation.updatedAt;
+    await saveState();
+    broadcastProject(project.id);
+    return ack({ ok: true, sale, reservation: serializeReservationForStaff(project, reservation) });
+  });
+
+  socket.on('seat:exchange', async ({ projectId, ticketCode, targetSeatId, keepTicketCode }, ack = () => {}) => {
+    const project = state.projects[projectId];
+    if (!project) {
+      return ack({ ok: false, message: '项目不存在' });
+    }
+    const code = typeof ticketCode === 'string' ? ticketCode.trim() : '';
+    const verified = verifySignedTicketCode(project, code);
+    if (isTicketSigningEnabled(project) && !verified) {
+      return ack({ ok: false, message: '票码签名无效，可能为伪造或被篡改的票' });
+    }
+    const source = findSeatByTicketCode(project, verified?.ticketNumber || code);
+    if (!source) {
+      return ack({ ok: false, message: '未找到原票' });
+    }
+    const target = project.seats[targetSeatId];
+    const invalid = validateSeatExchange(source, target);
+    if (invalid) {
+      return ack({ ok: false, message: invalid });
+    }
+    if (target.lockedBy !== socket.id) {
+      return ack({ ok: false, message: '当前终端未锁定目标座位' });
+    }
+    let exchange;
+    try {
+      exchange = exchangeSeatSale(project, source, target, {
+        keepTicketCode: Boolean(keepTicketCode),
+        handledBy: socket.data.session?.username || socket.id,
+      });
+    } catch (error) {
+      return ack({ ok: false, message: error.message });
+    }
+    project.updatedAt = Date.now();
+    await saveState();
+    broadcastProject(project.id);
+    return ack({ ok: true, exchange });
   });
 
   socket.on('request-ticket-code', async ({ projectId, seatId: requestedId }, ack = () => {}) => {
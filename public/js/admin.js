@@ -4,9 +4,12 @@ const projectListEl = document.getElementById('project-list');
 const seatCanvas = document.getElementById('seat-canvas');
 const inputProjectName = document.getElementById('input-project-name');
 const selectedCountEl = document.getElementById('selected-count');
-const priceInput = document.getElementById('input-seat-price');
-const btnApplyPrice = document.getElementById('btn-apply-price');
+const seatZoneSelect = document.getElementById('select-seat-zone');
+const btnApplyZone = document.getElementById('btn-apply-zone');
 const btnDisableSeats = document.getElementById('btn-disable-seats');
+const selectSeatAttribute = document.getElementById('select-seat-attribute');
+const btnAddSeatAttribute = document.getElementById('btn-add-seat-attribute');
+const btnRemoveSeatAttribute = document.getElementById('btn-remove-seat-attribute');
 const btnResetSelection = document.getElementById('btn-reset-selection');
 const btnSaveProject = document.getElementById('btn-save-project');
 const btnDeleteProject = document.getElementById('btn-delete-project');
@@ -14,6 +17,112 @@ const btnNewProject = document.getElementById('btn-new-project');
 const btnLogout = document.getElementById('btn-logout');
 const btnBackHome = document.getElementById('btn-back-home');
 const statusEl = document.getElementById('admin-status');
+const stageLabelEl = document.getElementById('admin-stage-label');
+const sectionListEl = document.getElementById('section-list');
+const btnAddSection = document.getElementById('btn-add-section');
+const dialogSectionForm = document.getElementById('dialog-section-form');
+const inputSectionId = document.getElementById('input-section-id');
+const inputSectionName = document.getElementById('input-section-name');
+const inputSectionRows = document.getElementById('input-section-rows');
+const inputSectionCols = document.getElementById('input-section-cols');
+const selectSectionStage = document.getElementById('select-section-stage');
+const btnSaveSection = document.getElementById('btn-save-section');
+const sectionFormStatus = document.getElementById('section-form-status');
+const inputPerformanceLabel = document.getElementById('input-performance-label');
+const inputPerformanceStarts = document.getElementById('input-performance-starts');
+const btnSavePerformance = document.getElementById('btn-save-performance');
+const btnAddPerformance = document.getElementById('btn-add-performance');
+const btnSyncPerformances = document.getElementById('btn-sync-performances');
+const performanceListEl = document.getElementById('performance-list');
+const performanceStatus = document.getElementById('performance-status');
+const selectOnlineBookingEnabled = document.getElementById('select-online-booking-enabled');
+const inputOnlineBookingHold = document.getElementById('input-online-booking-hold');
+const inputOnlineBookingMax = document.getElementById('input-online-booking-max');
+const btnSaveOnlineBooking = document.getElementById('btn-save-online-booking');
+const linkOnlineBooking = document.getElementById('link-online-booking');
+const onlineBookingStatus = document.getElementById('online-booking-status');
+const purchaseLimitInputs = {
+  perTransaction: document.getElementById('input-limit-per-transaction'),
+  perCustomer: document.getElementById('input-limit-per-customer'),
+  perTerminal: document.getElementById('input-limit-per-terminal'),
+};
+const btnSavePurchaseLimits = document.getElementById('btn-save-purchase-limits');
+const purchaseLimitsStatus = document.getElementById('purchase-limits-status');
+const dialogGridResize = document.getElementById('dialog-grid-resize');
+const inputGridSectionId = document.getElementById('input-grid-section-id');
+const gridResizeSummary = document.getElementById('grid-resize-summary');
+const selectGridOperation = document.getElementById('select-grid-operation');
+const gridResizeIndexLabel = document.getElementById('grid-resize-index-label');
+const inputGridIndex = document.getElementById('input-grid-index');
+const inputGridCount = document.getElementById('input-grid-count');
+const gridResizeStatus = document.getElementById('grid-resize-status');
+const btnApplyGridResize = document.getElementById('btn-apply-grid-resize');
+const zoneListEl = document.getElementById('zone-list');
+const btnAddZone = document.getElementById('btn-add-zone');
+const zoneStatus = document.getElementById('zone-status');
+const dialogZoneForm = document.getElementById('dialog-zone-form');
+const inputZoneId = document.getElementById('input-zone-id');
+const inputZoneName = document.getElementById('input-zone-name');
+const inputZonePrice = document.getElementById('input-zone-price');
+const inputZoneColor = document.getElementById('input-zone-color');
+const inputZoneDescription = document.getElementById('input-zone-description');
+const zoneFormStatus = document.getElementById('zone-form-status');
+const btnSaveZone = document.getElementById('btn-save-zone');
+const ticketTypeListEl = document.getElementById('ticket-type-list');
+const btnAddTicketType = document.getElementById('btn-add-ticket-type');
+const ticketTypeStatus = document.getElementById('ticket-type-status');
+const dialogTicketTypeForm = document.getElementById('dialog-ticket-type-form');
+const inputTicketTypeId = document.getElementById('input-ticket-type-id');
+const inputTicketTypeName = document.getElementById('input-ticket-type-name');
+const selectTicketTypePricing = document.getElementById('select-ticket-type-pricing');
+const labelTicketTypeDiscount = document.getElementById('label-ticket-type-discount');
+const inputTicketTypeDiscount = document.getElementById('input-ticket-type-discount');
+const labelTicketTypePrice = document.getElementById('label-ticket-type-price');
+const inputTicketTypePrice = document.getElementById('input-ticket-type-price');
+const inputTicketTypeQuota = document.getElementById('input-ticket-type-quota');
+const inputTicketTypeDescription = document.getElementById('input-ticket-type-description');
+const gateListEl = document.getElementById('gate-list');
+const btnAddGate = document.getElementById('btn-add-gate');
+const gateStatus = document.getElementById('gate-status');
+const dialogGateForm = document.getElementById('dialog-gate-form');
+const inputGateId = document.getElementById('input-gate-id');
+const inputGateName = document.getElementById('input-gate-name');
+const selectGateSections = document.getElementById('select-gate-sections');
+const selectGateZones = document.getElementById('select-gate-zones');
+const gateFormStatus = document.getElementById('gate-form-status');
+const btnSaveGate = document.getElementById('btn-save-gate');
+const checkinGateStats = document.getElementById('checkin-gate-stats');
+const inputCheckinReentry = document.getElementById('input-checkin-reentry');
+const btnCheckinHistory = document.getElementById('btn-checkin-history');
+const ticketTypeFormStatus = document.getElementById('ticket-type-form-status');
+const btnSaveTicketType = document.getElementById('btn-save-ticket-type');
+const selectSheetZone = document.getElementById('select-sheet-zone');
+const inputSheetCols = document.getElementById('input-sheet-cols');
+const inputSheetRows = document.getElementById('input-sheet-rows');
+const btnPrintSheet = document.getElementById('btn-print-sheet');
+const sheetStatus = document.getElementById('sheet-status');
+const btnHoldSeats = document.getElementById('btn-hold-seats');
+const btnReleaseSelectedHolds = document.getElementById('btn-release-selected-holds');
+const holdListEl = document.getElementById('hold-list');
+const btnExportHolds = document.getElementById('btn-export-holds');
+const btnAddAllocation = document.getElementById('btn-add-allocation');
+const btnExportAllocations = document.getElementById('btn-export-allocations');
+const holdStatus = document.getElementById('hold-status');
+const dialogHoldForm = document.getElementById('dialog-hold-form');
+const inputHoldId = document.getElementById('input-hold-id');
+const holdFormSummary = document.getElementById('hold-form-summary');
+const inputHoldName = document.getElementById('input-hold-name');
+const inputHoldOwner = document.getElementById('input-hold-owner');
+const inputHoldExpires = document.getElementById('input-hold-expires');
+const inputHoldNote = document.getElementById('input-hold-note');
+const holdZoneCountsEl = document.getElementById('hold-zone-counts');
+const inputHoldAccounts = document.getElementById('input-hold-accounts');
+const inputHoldClaimCode = document.getElementById('input-hold-claim-code');
+const holdFormStatus = document.getElementById('hold-form-status');
+const btnSaveHold = document.getElementById('btn-save-hold');
+const btnSaveTemplate = document.getElementById('btn-save-template');
+const templateListEl = document.getElementById('template-list');
+const templateStatus = document.getElementById('template-status');
 const priceLegendList = document.getElementById('price-legend-list');
 const workspaceHint = document.getElementById('workspace-hint');
 const zoneSummaryList = document.getElementById('zone-summary-list');
@@ -23,12 +132,35 @@ const inputTicketTemplate = document.getElementById('input-ticket-template');
 const inputTicketStart = document.getElementById('input-ticket-start');
 const btnApplyTicketing = document.getElementById('btn-apply-ticketing');
 const btnRegenerateTicketing = document.getElementById('btn-regenerate-ticketing');
+const selectTicketSigning = document.getElementById('select-ticket-signing');
+const btnExportVerificationKey = document.getElementById('btn-export-verification-key');
 const btnCancelTicketing = document.getElementById('btn-cancel-ticketing');
 const ticketingStatusEl = document.getElementById('ticketing-status');
 const seatTableBody = document.querySelector('#seat-ticket-table tbody');
 const seatTableStatus = document.getElementById('seat-table-status');
 const btnRefreshSeatTable = document.getElementById('btn-refresh-seat-table');
 const btnExportSeatTable = document.getElementById('btn-export-seat-table');
+const btnExportTicketHistory = document.getElementById('btn-export-ticket-history');
+const btnExportCustomers = document.getElementById('btn-export-customers');
+const inputRevealPhone = document.getElementById('input-reveal-phone');
+const dialogExchangeForm = document.getElementById('dialog-exchange-form');
+const inputExchangeSource = document.getElementById('input-exchange-source');
+const exchangeFormSummary = document.getElementById('exchange-form-summary');
+const selectExchangeTarget = document.getElementById('select-exchange-target');
+const selectExchangeTicket = document.getElementById('select-exchange-ticket');
+const inputExchangeNote = document.getElementById('input-exchange-note');
+const exchangePriceHint = document.getElementById('exchange-price-hint');
+const exchangeFormStatus = document.getElementById('exchange-form-status');
+const btnSaveExchange = document.getElementById('btn-save-exchange');
+const dialogRefundForm = document.getElementById('dialog-refund-form');
+const inputRefundSeat = document.getElementById('input-refund-seat');
+const refundFormSummary = document.getElementById('refund-form-summary');
+const inputRefundAmount = document.getElementById('input-refund-amount');
+const selectRefundMethod = document.getElementById('select-refund-method');
+const inputRefundReason = document.getElementById('input-refund-reason');
+const selectRefundRelease = document.getElementById('select-refund-release');
+const refundFormStatus = document.getElementById('refund-form-status');
+const btnSaveRefund = document.getElementById('btn-save-refund');
 const seatTableSearchInput = document.getElementById('input-seat-search');
 const btnExportProject = document.getElementById('btn-export-project');
 const btnImportProject = document.getElementById('btn-import-project');
@@ -63,6 +195,11 @@ const inputModeDiscount = document.getElementById('input-mode-discount');
 const inputModeThreshold = document.getElementById('input-mode-threshold');
 const inputModeCut = document.getElementById('input-mode-cut');
 const inputModeStack = document.getElementById('input-mode-stack');
+const selectModeBundleProduct = document.getElementById('select-mode-bundle-product');
+const inputModeBundleCut = document.getElementById('input-mode-bundle-cut');
+const inputModeBundleStack = document.getElementById('input-mode-bundle-stack');
+const selectModeScope = document.getElementById('select-mode-scope');
+const inputModeMinQuantity = document.getElementById('input-mode-min-quantity');
 const inputModeDescription = document.getElementById('input-mode-description');
 const btnResetModeForm = document.getElementById('btn-reset-mode-form');
 const checkoutModeTableBody = document.querySelector('#checkout-mode-table tbody');
@@ -88,6 +225,16 @@ const dialogMerchProduct = document.getElementById('dialog-merch-product');
 const dialogModeForm = document.getElementById('dialog-mode-form');
 const dialogOrderForm = document.getElementById('dialog-order-form');
 const selectCheckinProject = document.getElementById('select-checkin-project');
+const selectTicketSaleProject = document.getElementById('select-ticket-sale-project');
+const selectTicketSaleMethod = document.getElementById('select-ticket-sale-method');
+const inputTicketSaleCustomer = document.getElementById('input-ticket-sale-customer');
+const btnRefreshTicketSales = document.getElementById('btn-refresh-ticket-sales');
+const btnExportTicketSales = document.getElementById('btn-export-ticket-sales');
+const btnExportTicketSalesJson = document.getElementById('btn-export-ticket-sales-json');
+const ticketSaleSummaryEl = document.getElementById('ticket-sale-summary');
+const ticketRefundListEl = document.getElementById('ticket-refund-list');
+const ticketSalesTableBody = document.querySelector('#ticket-sales-table tbody');
+const ticketSaleStatus = document.getElementById('ticket-sale-status');
 const btnRefreshCheckins = document.getElementById('btn-refresh-checkins');
 const btnExportCheckins = document.getElementById('btn-export-checkins');
 const checkinLogTable = document.getElementById('checkin-log-table');
@@ -108,6 +255,15 @@ const newProjectTicketingMode = document.getElementById('new-project-ticketing-m
 const newProjectSequenceSection = document.getElementById('new-project-sequence');
 const newProjectTicketTemplate = document.getElementById('new-project-ticket-template');
 const newProjectTicketStart = document.getElementById('new-project-ticket-start');
+const newProjectSeatOrder = document.getElementById('new-project-seat-order');
+const newProjectRowNaming = document.getElementById('new-project-row-naming');
+const newProjectRowNamesField = document.getElementById('new-project-row-names-field');
+const newProjectRowNames = document.getElementById('new-project-row-names');
+const newProjectSource = document.getElementById('new-project-source');
+const newProjectSourceOptions = document.getElementById('new-project-source-options');
+const newProjectCarryPrices = document.getElementById('new-project-carry-prices');
+const newProjectCarryTicketing = document.getElementById('new-project-carry-ticketing');
+const newProjectBlankFields = document.getElementById('new-project-blank-fields');
 
 const projectItemTemplate = document.getElementById('project-item-template');
 
@@ -132,13 +288,15 @@ const MERCH_REFRESH_INTERVAL_MS = 15000;
 const socket = io({ withCredentials: true, transports: ['websocket', 'polling'] });
 
 let projects = [];
+let shows = [];
+let venueTemplates = [];
 let activeProject = null;
 let seatElements = new Map();
 let seatGridElement = null;
 let seatGridSignature = null;
 let selectedSeats = new Set();
 let modifiedSeats = new Map();
-let priceColorMap = new Map();
+let zoneColorMap = new Map();
 let isDragging = false;
 let dragOrigin = null;
 let dragSelectionBase = new Set();
@@ -159,6 +317,11 @@ let checkoutModes = [];
 let merchOrders = [];
 let editingOrderId = null;
 let checkinLogs = [];
+let checkinTicketFilter = '';
+let ticketSales = [];
+let ticketSaleSummary = [];
+let ticketSaleTypeSummary = [];
+let ticketRefunds = [];
 let merchAutoRefreshTimer = null;
 let merchRefreshInFlight = false;
 
@@ -171,9 +334,26 @@ const ACCOUNT_ROLE_LABELS = {
   sales: '售票员',
 };
 
+const DEFAULT_SECTION_ID = 'main';
+
+const STAGE_ORIENTATION_LABELS = {
+  top: '舞台在上方',
+  bottom: '舞台在下方',
+  left: '舞台在左侧',
+  right: '舞台在右侧',
+};
+
+const SEAT_ATTRIBUTES = [
+  { id: 'wheelchair', label: '轮椅位', icon: '♿' },
+  { id: 'companion', label: '陪同座', icon: '伴' },
+  { id: 'restricted-view', label: '视线受限', icon: '限' },
+  { id: 'near-exit', label: '近出口', icon: '出' },
+];
+
 const SEAT_STATUS_LABELS = {
   available: '空闲',
   locked: '锁定',
+  held: '预留',
   sold: '已签发',
   disabled: '禁用',
 };
@@ -203,21 +383,49 @@ const ensureActiveProjectMetadata = () => {
   if (!activeProject.seatLabelProgress || typeof activeProject.seatLabelProgress !== 'object') {
     activeProject.seatLabelProgress = {};
   }
+  if (!activeProject.labeling || typeof activeProject.labeling !== 'object') {
+    activeProject.labeling = { seatOrder: 'center', rowNaming: 'number', rowNames: [] };
+  }
+  if (!Array.isArray(activeProject.zones)) {
+    activeProject.zones = [];
+  }
+  if (!Array.isArray(activeProject.holds)) {
+    activeProject.holds = [];
+  }
 };
 
-const ensureLocalPriceColor = (price) => {
-  if (price == null || !activeProject) return null;
-  ensureActiveProjectMetadata();
-  const key = String(price);
-  if (!activeProject.priceColorAssignments[key]) {
-    const used = new Set(Object.values(activeProject.priceColorAssignments));
-    let color = PRICE_COLORS.find((candidate) => !used.has(candidate));
-    if (!color) {
-      color = PRICE_COLORS[used.size % PRICE_COLORS.length];
-    }
-    activeProject.priceColorAssignments[key] = color;
+const toRowLetters = (index) => {
+  let value = index + 1;
+  let letters = '';
+  while (value > 0) {
+    const remainder = (value - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    value = Math.floor((value - 1) / 26);
   }
-  return activeProject.priceColorAssignments[key];
+  return letters;
+};
+
+const formatRowName = (labeling, row) => {
+  if (labeling?.rowNaming === 'letter') return toRowLetters(row);
+  if (labeling?.rowNaming === 'custom' && labeling.rowNames?.[row]) return labeling.rowNames[row];
+  return String(row + 1);
+};
+
+const formatSeatLabel = (labeling, row, number) => `${formatRowName(labeling, row)}排${number}号`;
+
+const getProjectZones = () => {
+  if (!activeProject) return [];
+  ensureActiveProjectMetadata();
+  return [...activeProject.zones].sort((a, b) => b.price - a.price || a.name.localeCompare(b.name, 'zh-CN'));
+};
+
+const getZone = (zoneId) => (activeProject?.zones || []).find((zone) => zone.id === zoneId) || null;
+
+const formatZoneLabel = (zone) => (zone ? `${zone.name}（¥${zone.price}）` : '未设置票区');
+
+const getNextZoneColor = () => {
+  const used = new Set((activeProject?.zones || []).map((zone) => zone.color));
+  return PRICE_COLORS.find((color) => !used.has(color)) || PRICE_COLORS[used.size % PRICE_COLORS.length];
 };
 
 const captureTicketingSnapshot = () => {
@@ -330,6 +538,8 @@ const updateActiveView = (view) => {
     setModeFormStatus('');
     refreshMerchData();
     startMerchAutoRefresh();
+  } else if (view === 'ticket-sales') {
+    loadTicketSales();
   }
 };
 
@@ -366,24 +576,7 @@ const syncActiveProject = async ({ silent = false, refreshSeatTable = false, ref
     const data = await response.json();
     if (data?.project) {
       mergeIncomingProject(data.project, { refreshSeatTable, refreshTicketing });
-      const availableSeats = Object.values(data.project.seats || {}).filter(
-        (seat) => seat.status === 'available'
-      ).length;
-      const projectSummary = {
-        id: data.project.id,
-        name: data.project.name,
-        rows: data.project.rows,
-        cols: data.project.cols,
-        availableSeats,
-        createdAt: data.project.createdAt,
-        updatedAt: data.project.updatedAt,
-      };
-      const existingIndex = projects.findIndex((item) => item.id === data.project.id);
-      if (existingIndex >= 0) {
-        projects[existingIndex] = { ...projects[existingIndex], ...projectSummary };
-      } else {
-        projects.push(projectSummary);
-      }
+      upsertProjectSummary(data.project);
       renderProjectList();
       if (!silent) {
         setStatus('已同步最新座位状态。');
@@ -422,6 +615,16 @@ newProjectTicketingMode.addEventListener('change', () => {
   }
 });
 
+newProjectSource.addEventListener('change', () => {
+  const fromSource = Boolean(newProjectSource.value);
+  newProjectSourceOptions.classList.toggle('hidden', !fromSource);
+  newProjectBlankFields.classList.toggle('hidden', fromSource);
+});
+
+newProjectRowNaming.addEventListener('change', () => {
+  newProjectRowNamesField.classList.toggle('hidden', newProjectRowNaming.value !== 'custom');
+});
+
 inputTicketTemplate.addEventListener('input', () => {
   evaluateTicketingDirty();
 });
@@ -430,7 +633,83 @@ inputTicketStart.addEventListener('input', () => {
   evaluateTicketingDirty();
 });
 
-const seatKey = (row, col) => `r${row}-c${col}`;
+const seatKey = (row, col, sectionId = DEFAULT_SECTION_ID) =>
+  !sectionId || sectionId === DEFAULT_SECTION_ID ? `r${row}-c${col}` : `${sectionId}:r${row}-c${col}`;
+
+const sectionRowKey = (sectionId, row) =>
+  !sectionId || sectionId === DEFAULT_SECTION_ID ? String(row) : `${sectionId}:${row}`;
+
+const getProjectSections = (project = activeProject) => {
+  if (!project) return [];
+  if (Array.isArray(project.sections) && project.sections.length) return project.sections;
+  return [
+    { id: DEFAULT_SECTION_ID, name: '主区', rows: project.rows, cols: project.cols, stageOrientation: 'top' },
+  ];
+};
+
+const getSectionName = (sectionId, project = activeProject) => {
+  const section = getProjectSections(project).find((item) => item.id === (sectionId || DEFAULT_SECTION_ID));
+  return section ? section.name : '';
+};
+
+const describeProjectLayout = (project) => {
+  const sections = getProjectSections(project);
+  if (sections.length <= 1) {
+    return `${project.rows}×${project.cols}`;
+  }
+  return sections.map((section) => `${section.name} ${section.rows}×${section.cols}`).join('、');
+};
+
+const upsertProjectSummary = (project) => {
+  const availableSeats = Object.values(project.seats || {}).filter((seat) => seat.status === 'available').length;
+  const summary = {
+    id: project.id,
+    name: project.name,
+    rows: project.rows,
+    cols: project.cols,
+    sections: getProjectSections(project).map(({ id, name, rows, cols }) => ({ id, name, rows, cols })),
+    showId: project.showId || null,
+    performance: project.performance || null,
+    availableSeats,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+  };
+  const existingIndex = projects.findIndex((item) => item.id === project.id);
+  if (existingIndex >= 0) {
+    projects[existingIndex] = { ...projects[existingIndex], ...summary };
+  } else {
+    projects.push(summary);
+  }
+};
+
+const formatPerformance = (performance) => {
+  if (!performance) return '';
+  const parts = [];
+  if (performance.label) parts.push(performance.label);
+  if (performance.startsAt) {
+    parts.push(
+      new Date(performance.startsAt).toLocaleString([], {
+        month: 'numeric',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    );
+  }
+  return parts.join(' ');
+};
+
+const formatProjectTitle = (project) => {
+  const performance = project.showId ? formatPerformance(project.performance) : '';
+  return performance ? `${project.name} · ${performance}` : project.name;
+};
+
+const comparePerformances = (a, b) => {
+  const startA = a.performance?.startsAt ?? Number.MAX_SAFE_INTEGER;
+  const startB = b.performance?.startsAt ?? Number.MAX_SAFE_INTEGER;
+  if (startA !== startB) return startA - startB;
+  return (a.createdAt || 0) - (b.createdAt || 0);
+};
 
 const extractSeatNumber = (seat, fallback) => {
   if (!seat || !seat.seatLabel) return fallback;
@@ -540,13 +819,167 @@ const renderCheckinProjects = () => {
   const options = ['<option value="">全部项目</option>'];
   projects
     .slice()
-    .sort((a, b) => a.name.localeCompare(b.name))
+    .sort((a, b) => a.name.localeCompare(b.name) || comparePerformances(a, b))
     .forEach((project) => {
-      options.push(`<option value="${project.id}">${project.name}</option>`);
+      options.push(`<option value="${project.id}">${formatProjectTitle(project)}</option>`);
     });
   selectCheckinProject.innerHTML = options.join('');
 };
 
+const PAYMENT_METHOD_LABELS = { cash: '现金', wechat: '微信支付', card: '银行卡', online: '在线支付' };
+const CHECKOUT_MODE_SCOPE_LABELS = { merch: '文创', tickets: '售票', both: '文创与售票' };
+const CHECKOUT_MODE_TYPE_LABELS = { standard: '原价', discount: '折扣', fullcut: '满减', bundle: '套票' };
+
+const formatCustomer = (customer) =>
+  customer ? [customer.name, customer.grade, customer.studentId, customer.phone].filter(Boolean).join(' · ') : '';
+
+// Phones arrive masked (138****5678): match the last digits, or the visible ends of a full number.
+const matchesCustomer = (customer, query) => {
+  if (!customer || !query) return false;
+  const phone = customer.phone || '';
+  const digits = query.replace(/\D/g, '');
+  if (digits && phone.includes(digits)) return true;
+  if (digits.length >= 7 && phone.startsWith(digits.slice(0, 3)) && phone.endsWith(digits.slice(-4))) return true;
+  return [customer.name, customer.grade, customer.studentId].some(
+    (value) => value && value.toLowerCase().includes(query)
+  );
+};
+
+const renderTicketSaleProjects = () => {
+  const current = selectTicketSaleProject.value;
+  const options = ['<option value="">全部项目</option>'];
+  projects
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name) || comparePerformances(a, b))
+    .forEach((project) => {
+      options.push(`<option value="${project.id}">${formatProjectTitle(project)}</option>`);
+    });
+  selectTicketSaleProject.innerHTML = options.join('');
+  selectTicketSaleProject.value = current;
+};
+
+const setTicketSaleStatus = (message, isError = false) => {
+  ticketSaleStatus.textContent = message || '';
+  ticketSaleStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const renderTicketSales = () => {
+  ticketSaleSummaryEl.innerHTML = ticketSaleSummary
+    .filter((entry) => entry.count || entry.refunds)
+    .map(
+      (entry) => `
+        <li class="section-list__item">
+          <strong>${PAYMENT_METHOD_LABELS[entry.paymentMethod]}</strong>
+          <span class="hint">${entry.count} 单 / ${entry.tickets} 张，优惠 ${formatCurrency(entry.discount)}，应收 ${formatCurrency(entry.totalAmount)}，实收 ${formatCurrency(
+            entry.amountReceived
+          )}，找零 ${formatCurrency(entry.changeGiven)}，退款 ${entry.refunds} 笔 ${formatCurrency(
+            entry.refunded
+          )}，净收入 ${formatCurrency(entry.netAmount)}</span>
+        </li>`
+    )
+    .concat(
+      ticketSaleTypeSummary.map(
+        (entry) => `
+        <li class="section-list__item">
+          <strong>${entry.ticketTypeName}</strong>
+          <span class="hint">${entry.tickets} 张，${formatCurrency(entry.totalAmount)}</span>
+        </li>`
+      )
+    )
+    .join('');
+  ticketRefundListEl.innerHTML = '';
+  if (!ticketRefunds.length) {
+    ticketRefundListEl.innerHTML = '<li class="hint">暂无退款。</li>';
+  }
+  ticketRefunds.forEach((refund) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.innerHTML = `
+      <strong>${formatCurrency(refund.amount)} · ${PAYMENT_METHOD_LABELS[refund.method] || refund.method}</strong>
+      <span class="hint"></span>
+    `;
+    li.querySelector('.hint').textContent = [
+      new Date(refund.createdAt).toLocaleString(),
+      refund.projectName,
+      refund.reservationCode
+        ? `预约 ${refund.reservationCode}：${refund.seatDisplay}`
+        : `${refund.seatDisplay}（原票 ${refund.ticketNumber || '-'}）`,
+      refund.reason,
+      `${refund.approvedBy} 批准`,
+      refund.releasedTo === 'hold' ? '座位转入预留' : '座位重新开售',
+    ].join(' · ');
+    ticketRefundListEl.appendChild(li);
+  });
+  ticketSalesTableBody.innerHTML = '';
+  if (!ticketSales.length) {
+    ticketSalesTableBody.innerHTML = '<tr><td colspan="11">暂无售票记录。</td></tr>';
+    return;
+  }
+  ticketSales.forEach((sale) => {
+    const tr = document.createElement('tr');
+    tr.dataset.saleId = sale.id;
+    const methodOptions = Object.entries(PAYMENT_METHOD_LABELS)
+      .map(([value, label]) => `<option value="${value}" ${sale.paymentMethod === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    tr.innerHTML = `
+      <td>${new Date(sale.createdAt).toLocaleString()}</td>
+      <td>${sale.projectName || '-'}</td>
+      <td>${sale.seats
+        .map((seat) => {
+          const label = seat.ticketTypeName ? `${seat.seatDisplay}（${seat.ticketTypeName}）` : seat.seatDisplay;
+          return seat.refundId ? `${label}[已退]` : label;
+        })
+        .join('、')}<p class="hint" data-role="customer"></p></td>
+      <td>${sale.discount ? `${sale.checkoutModeName} -${formatCurrency(sale.discount)}` : '-'}</td>
+      <td>${formatCurrency(sale.totalAmount)}</td>
+      <td>${sale.refundedAmount ? formatCurrency(sale.refundedAmount) : '-'}</td>
+      <td><select data-role="payment-method" aria-label="收款方式">${methodOptions}</select></td>
+      <td>
+        <input data-role="amount-received" type="number" min="0" step="0.01" aria-label="实收金额"
+          value="${sale.amountReceived ?? ''}" placeholder="${sale.totalAmount}" />
+      </td>
+      <td>${sale.changeGiven != null ? formatCurrency(sale.changeGiven) : '-'}</td>
+      <td>${sale.seller || '-'}</td>
+      <td><button class="button button--secondary" data-action="save-ticket-sale" type="button">保存</button></td>
+    `;
+    tr.querySelector('[data-role="customer"]').textContent = [
+      formatCustomer(sale.customer),
+      sale.reservationCode ? `预约码 ${sale.reservationCode}` : '',
+      sale.limitOverriddenBy ? `${sale.limitOverriddenBy} 突破限购` : '',
+      ...(sale.adjustments || []).map(
+        (adjustment) => `${adjustment.reason} ${adjustment.amount > 0 ? '补' : '退'}${formatCurrency(Math.abs(adjustment.amount))}`
+      ),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    ticketSalesTableBody.appendChild(tr);
+  });
+};
+
+const buildTicketSaleQuery = () => {
+  const params = new URLSearchParams();
+  if (selectTicketSaleProject.value) params.set('projectId', selectTicketSaleProject.value);
+  if (selectTicketSaleMethod.value) params.set('paymentMethod', selectTicketSaleMethod.value);
+  if (inputTicketSaleCustomer.value.trim()) params.set('customer', inputTicketSaleCustomer.value.trim());
+  return params.toString();
+};
+
+const loadTicketSales = async () => {
+  try {
+    const response = await authFetch(`/api/ticket-sales?${buildTicketSaleQuery()}`);
+    if (!response.ok) throw new Error('获取售票记录失败');
+    const data = await response.json();
+    ticketSales = data.sales || [];
+    ticketSaleSummary = data.summary || [];
+    ticketSaleTypeSummary = data.byTicketType || [];
+    ticketRefunds = data.refunds || [];
+    renderTicketSales();
+    setTicketSaleStatus('');
+  } catch (error) {
+    setTicketSaleStatus(error.message, true);
+  }
+};
+
 const setCheckinLogStatus = (message, isError = false) => {
   if (!checkinLogStatus) return;
   checkinLogStatus.textContent = message || '';
@@ -567,10 +1000,10 @@ const renderCheckinLogs = (logs = []) => {
     tr.innerHTML = `
       <td>${new Date(log.createdAt).toLocaleString()}</td>
       <td>${log.projectName || log.projectId || '-'}</td>
-      <td>${log.seatLabel || '-'}</td>
+      <td>${log.seatDisplay || log.seatLabel || '-'}</td>
       <td>${log.ticketNumber || '-'}</td>
       <td>${log.status || '-'}</td>
-      <td>${log.checkedInBy || log.handledBy || '-'}</td>
+      <td>${log.checkedInBy || log.handledBy || '-'}${log.gateName ? `（${log.gateName}）` : ''}</td>
       <td>${log.message || '-'}</td>
       <td>
         <button class="button button--secondary" data-action="checkin-edit" data-id="${log.id}">编辑</button>
@@ -580,6 +1013,42 @@ const renderCheckinLogs = (logs = []) => {
   });
 };
 
+const renderCheckinGateStats = (stats) => {
+  if (!checkinGateStats) return;
+  if (!stats || !stats.checkedIn) {
+    checkinGateStats.textContent = stats ? `已检 0 / 总票数 ${stats.totalSold}` : '';
+    return;
+  }
+  const gateNames = new Map(stats.byGate.map((entry) => [entry.gateId || 'none', entry.gateName]));
+  const byGate = stats.byGate.map((entry) => `${entry.gateName} ${entry.checkedIn}`).join('，');
+  const timeline = stats.timeline
+    .map((bucket) => {
+      const time = new Date(bucket.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const gates = Object.entries(bucket.byGate)
+        .map(([gateId, count]) => `${gateNames.get(gateId) || '未指定入口'} ${count}`)
+        .join(' / ');
+      return `${time} 起 ${bucket.checkedIn} 人${gates ? `（${gates}）` : ''}`;
+    })
+    .join('；');
+  checkinGateStats.innerHTML = `
+    <p>已检 ${stats.checkedIn} / 总票数 ${stats.totalSold}${byGate ? `：${byGate}` : ''}，场内 ${stats.inside} 人</p>
+    <p>入场时段：${timeline}</p>
+  `;
+};
+
+const loadCheckinGateStats = async () => {
+  if (!checkinGateStats) return;
+  const projectId = selectCheckinProject?.value;
+  if (!projectId) {
+    renderCheckinGateStats(null);
+    return;
+  }
+  const response = await authFetch(`/api/projects/${projectId}/checkin/stats`);
+  if (!response.ok) throw new Error('获取检票统计失败');
+  const data = await response.json();
+  renderCheckinGateStats(data.stats);
+};
+
 const loadCheckinLogs = async () => {
   if (!checkinLogTable) return;
   setCheckinLogStatus('正在拉取检票记录...');
@@ -588,12 +1057,16 @@ const loadCheckinLogs = async () => {
     if (selectCheckinProject?.value) {
       params.set('projectId', selectCheckinProject.value);
     }
+    if (checkinTicketFilter) {
+      params.set('ticketNumber', checkinTicketFilter);
+    }
     const response = await authFetch(`/api/checkins?${params.toString()}`);
     if (!response.ok) throw new Error('获取检票记录失败');
     const data = await response.json();
     checkinLogs = data.logs || [];
     renderCheckinLogs(checkinLogs);
-    setCheckinLogStatus('');
+    await loadCheckinGateStats();
+    setCheckinLogStatus(checkinTicketFilter ? `仅显示票号 ${checkinTicketFilter} 的出入记录，点击刷新查看全部。` : '');
   } catch (error) {
     setCheckinLogStatus(error.message, true);
   }
@@ -649,12 +1122,23 @@ const updateModeFieldVisibility = () => {
   const type = selectModeType.value;
   const discountField = document.querySelector('.mode-field--discount');
   const fullcutField = document.querySelector('.mode-field--fullcut');
+  const bundleField = document.querySelector('.mode-field--bundle');
   if (discountField) {
     discountField.classList.toggle('hidden', type !== 'discount');
   }
   if (fullcutField) {
     fullcutField.classList.toggle('hidden', type !== 'fullcut');
   }
+  bundleField.classList.toggle('hidden', type !== 'bundle');
+  if (type === 'bundle') {
+    const current = selectModeBundleProduct.value;
+    selectModeBundleProduct.innerHTML = merchProducts
+      .map((product) => `<option value="${product.id}">${product.name}（${formatCurrency(product.price)}）</option>`)
+      .join('');
+    if (current) selectModeBundleProduct.value = current;
+    selectModeScope.value = 'both';
+  }
+  selectModeScope.disabled = type === 'bundle';
 };
 
 const readFileAsDataUrl = (file) =>
@@ -759,29 +1243,43 @@ socket.on('connect_error', (error) => {
 const recomputeSeatLabels = () => {
   if (!activeProject) return;
   ensureActiveProjectMetadata();
-  const { rows, cols, seats } = activeProject;
+  getProjectSections().forEach((section) => recomputeSectionSeatLabels(section));
+};
+
+const recomputeSectionSeatLabels = (section) => {
+  const { seats, labeling } = activeProject;
+  const { rows, cols } = section;
   const centerLeftIndex = Math.floor((cols - 1) / 2);
   const centerRightIndex = centerLeftIndex + 1;
 
   for (let row = 0; row < rows; row += 1) {
-    const leftSeats = [];
-    const rightSeats = [];
+    const activeSeats = [];
 
     for (let col = 0; col < cols; col += 1) {
-      const id = seatKey(row, col);
+      const id = seatKey(row, col, section.id);
       const seat = seats[id];
       if (!seat) continue;
       if (seat.status === 'disabled') {
         seat.seatLabel = null;
         continue;
       }
-      if (col <= centerLeftIndex) {
-        leftSeats.push({ seat, col });
-      } else {
-        rightSeats.push({ seat, col });
-      }
+      activeSeats.push({ seat, col });
     }
 
+    const progressKey = sectionRowKey(section.id, row);
+    if (labeling.seatOrder === 'ltr' || labeling.seatOrder === 'rtl') {
+      activeSeats
+        .sort((a, b) => (labeling.seatOrder === 'ltr' ? a.col - b.col : b.col - a.col))
+        .forEach((entry, index) => {
+          entry.seat.seatLabel = formatSeatLabel(labeling, row, index + 1);
+        });
+      activeProject.seatLabelProgress[progressKey] = { next: activeSeats.length + 1 };
+      continue;
+    }
+
+    const leftSeats = activeSeats.filter((entry) => entry.col <= centerLeftIndex);
+    const rightSeats = activeSeats.filter((entry) => entry.col > centerLeftIndex);
+
     leftSeats
       .sort((a, b) => {
         const distA = centerLeftIndex - a.col;
@@ -791,7 +1289,7 @@ const recomputeSeatLabels = () => {
       })
       .forEach((entry, index) => {
         const labelNumber = 1 + index * 2;
-        entry.seat.seatLabel = `${row + 1}排${labelNumber}号`;
+        entry.seat.seatLabel = formatSeatLabel(labeling, row, labelNumber);
       });
 
     rightSeats
@@ -803,7 +1301,7 @@ const recomputeSeatLabels = () => {
       })
       .forEach((entry, index) => {
         const labelNumber = 2 + index * 2;
-        entry.seat.seatLabel = `${row + 1}排${labelNumber}号`;
+        entry.seat.seatLabel = formatSeatLabel(labeling, row, labelNumber);
       });
 
     const progress = {
@@ -812,7 +1310,7 @@ const recomputeSeatLabels = () => {
     };
     if (progress.leftNext % 2 === 0) progress.leftNext += 1;
     if (progress.rightNext % 2 !== 0) progress.rightNext += 1;
-    activeProject.seatLabelProgress[String(row)] = progress;
+    activeProject.seatLabelProgress[progressKey] = progress;
   }
 };
 
@@ -928,24 +1426,7 @@ const saveActiveProject = async ({ manual = false, reason = 'manual' } = {}) =>
       refreshSeatTable: reason !== 'auto',
       refreshTicketing: true,
     });
-    const availableSeats = Object.values(data.project.seats || {}).filter(
-      (seat) => seat.status === 'available'
-    ).length;
-    const projectSummary = {
-      id: data.project.id,
-      name: data.project.name,
-      rows: data.project.rows,
-      cols: data.project.cols,
-      availableSeats,
-      createdAt: data.project.createdAt,
-      updatedAt: data.project.updatedAt,
-    };
-    const existingIndex = projects.findIndex((item) => item.id === data.project.id);
-    if (existingIndex >= 0) {
-      projects[existingIndex] = { ...projects[existingIndex], ...projectSummary };
-    } else {
-      projects.push(projectSummary);
-    }
+    upsertProjectSummary(data.project);
     renderProjectList();
     updateSelectedCount();
     updateSaveButtonState();
@@ -968,38 +1449,26 @@ const saveActiveProject = async ({ manual = false, reason = 'manual' } = {}) =>
   }
 };
 
-const buildPriceColorMap = () => {
+const buildZoneColorMap = () => {
   if (!activeProject) return;
-  ensureActiveProjectMetadata();
-  priceColorMap = new Map();
-  const activePrices = new Set();
-  Object.values(activeProject.seats || {}).forEach((seat) => {
-    if (seat && seat.status !== 'disabled' && seat.price != null) {
-      activePrices.add(String(seat.price));
-    }
-  });
-  [...activePrices]
-    .sort((a, b) => Number(a) - Number(b))
-    .forEach((priceKey) => {
-      const priceValue = Number(priceKey);
-      const color = ensureLocalPriceColor(priceValue);
-      if (color) {
-        priceColorMap.set(priceValue, color);
-      }
-    });
+  zoneColorMap = new Map(getProjectZones().map((zone) => [zone.id, zone.color]));
 };
 
 const renderPriceLegend = () => {
   priceLegendList.innerHTML = '';
-  if (!priceColorMap.size) {
+  const zones = getProjectZones();
+  if (!zones.length) {
     const empty = document.createElement('li');
-    empty.textContent = '暂无已启用座位';
+    empty.textContent = '暂无票区';
     priceLegendList.appendChild(empty);
     return;
   }
-  priceColorMap.forEach((color, price) => {
+  zones.forEach((zone) => {
     const item = document.createElement('li');
-    item.innerHTML = `<span class="price-chip" style="--chip-color: ${color};"></span>¥${price}`;
+    item.innerHTML = `<span class="price-chip" style="--chip-color: ${zone.color};"></span>${formatZoneLabel(zone)}`;
+    if (zone.description) {
+      item.title = zone.description;
+    }
     priceLegendList.appendChild(item);
   });
 };
@@ -1012,9 +1481,11 @@ const colorSeatElement = (seat, el) => {
     'seat--locked',
     'seat--sold',
     'seat--pending',
+    'seat--reserved',
     'seat--priced'
   );
   el.style.removeProperty('--seat-price-color');
+  renderSeatAttributeBadge(el, seat);
   if (!seat || seat.status === 'disabled') {
     el.classList.add('seat--disabled');
     return;
@@ -1023,20 +1494,45 @@ const colorSeatElement = (seat, el) => {
     el.classList.add('seat--sold');
   } else if (seat.status === 'locked') {
     el.classList.add('seat--locked');
+  } else if (seat.status === 'held') {
+    el.classList.add('seat--reserved');
   } else {
     el.classList.add('seat--available');
   }
-  if (seat.price != null && priceColorMap.has(seat.price)) {
+  if (seat.zoneId && zoneColorMap.has(seat.zoneId)) {
     el.classList.add('seat--priced');
-    el.style.setProperty('--seat-price-color', priceColorMap.get(seat.price));
+    el.style.setProperty('--seat-price-color', zoneColorMap.get(seat.zoneId));
   }
+  const attributeText = formatSeatAttributes(seat);
   if (seat.seatLabel) {
-    el.dataset.label = seat.seatLabel;
+    el.dataset.label = attributeText ? `${seat.seatLabel}（${attributeText}）` : seat.seatLabel;
   } else {
     delete el.dataset.label;
   }
 };
 
+const formatSeatAttributes = (seat) =>
+  SEAT_ATTRIBUTES.filter((attribute) => seat?.attributes?.includes(attribute.id))
+    .map((attribute) => attribute.label)
+    .join('、');
+
+const renderSeatAttributeBadge = (el, seat) => {
+  let badge = el.querySelector('.seat-attrs');
+  const icons = SEAT_ATTRIBUTES.filter((attribute) => seat?.attributes?.includes(attribute.id))
+    .map((attribute) => attribute.icon)
+    .join('');
+  if (!icons) {
+    badge?.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'seat-attrs';
+    el.appendChild(badge);
+  }
+  badge.textContent = icons;
+};
+
 const refreshSeatElements = (seatIds = null) => {
   if (!activeProject) return;
   let ids;
@@ -1083,6 +1579,11 @@ const resetModeForm = () => {
   if (inputModeThreshold) inputModeThreshold.value = '';
   if (inputModeCut) inputModeCut.value = '';
   if (inputModeStack) inputModeStack.value = '0';
+  selectModeBundleProduct.value = '';
+  inputModeBundleCut.value = '';
+  inputModeBundleStack.value = '0';
+  selectModeScope.value = 'merch';
+  inputModeMinQuantity.value = '';
   inputModeDescription.value = '';
   setModeFormStatus('');
   updateModeFieldVisibility();
@@ -1090,24 +1591,16 @@ const resetModeForm = () => {
 
 const collectSeatIdsForRows = (rows) => {
   if (!activeProject || rows == null) return [];
-  const list = [];
   const iterator =
     rows instanceof Set || Array.isArray(rows) ? rows : typeof rows[Symbol.iterator] === 'function' ? rows : [rows];
-  for (const value of iterator) {
-    const row = Number(value);
-    if (!Number.isInteger(row) || row < 0 || row >= activeProject.rows) continue;
-    for (let col = 0; col < activeProject.cols; col += 1) {
-      const id = seatKey(row, col);
-      if (activeProject.seats[id]) {
-        list.push(id);
-      }
-    }
-  }
-  return list;
+  const rowKeys = new Set([...iterator].map((value) => String(value)));
+  return Object.entries(activeProject.seats || {})
+    .filter(([, seat]) => seat && rowKeys.has(sectionRowKey(seat.sectionId, seat.row)))
+    .map(([id]) => id);
 };
 
 const refreshPriceLegend = () => {
-  buildPriceColorMap();
+  buildZoneColorMap();
   renderPriceLegend();
 };
 
@@ -1141,13 +1634,15 @@ const updateZoneSummary = () => {
   const summaryMap = new Map();
   Object.values(activeProject.seats || {}).forEach((seat) => {
     if (!seat || seat.status === 'disabled') return;
-    const key = seat.price != null ? seat.price : null;
+    const zone = getZone(seat.zoneId);
+    const key = zone ? zone.id : null;
     if (!summaryMap.has(key)) {
       summaryMap.set(key, {
-        price: key,
+        zone,
         total: 0,
         available: 0,
         locked: 0,
+        held: 0,
         sold: 0,
       });
     }
@@ -1157,16 +1652,18 @@ const updateZoneSummary = () => {
       bucket.sold += 1;
     } else if (seat.status === 'locked') {
       bucket.locked += 1;
+    } else if (seat.status === 'held') {
+      bucket.held += 1;
     } else {
       bucket.available += 1;
     }
   });
   const items = [...summaryMap.values()];
   items.sort((a, b) => {
-    if (a.price == null && b.price == null) return 0;
-    if (a.price == null) return 1;
-    if (b.price == null) return -1;
-    return b.price - a.price;
+    if (!a.zone && !b.zone) return 0;
+    if (!a.zone) return 1;
+    if (!b.zone) return -1;
+    return b.zone.price - a.zone.price;
   });
   if (!items.length) {
     zoneSummaryList.innerHTML = '<li>暂无启用座位</li>';
@@ -1175,8 +1672,7 @@ const updateZoneSummary = () => {
   zoneSummaryList.innerHTML = '';
   items.forEach((item) => {
     const li = document.createElement('li');
-    const priceLabel = item.price != null ? `¥${item.price}` : '未设置票价';
-    li.textContent = `${priceLabel}：可售 ${item.available} / 锁定 ${item.locked} / 已售 ${item.sold}`;
+    li.textContent = `${formatZoneLabel(item.zone)}：可售 ${item.available} / 锁定 ${item.locked} / 预留 ${item.held} / 已售 ${item.sold}`;
     zoneSummaryList.appendChild(li);
   });
 };
@@ -1197,12 +1693,13 @@ const updateTicketingControls = () => {
   applySnapshotToTicketingInputs();
   setTicketingDirty(false);
   evaluateTicketingDirty();
+  selectTicketSigning.value = activeProject.ticketSigning?.enabled ? 'on' : 'off';
 };
 
 const refreshSeatTable = ({ fromSearch = false } = {}) => {
   if (!activeProject) {
     seatTableBody.innerHTML = '';
-    seatTableBody.insertAdjacentHTML('beforeend', '<tr><td colspan="6">请选择项目</td></tr>');
+    seatTableBody.insertAdjacentHTML('beforeend', '<tr><td colspan="7">请选择项目</td></tr>');
     if (seatTableSearchInput) {
       seatTableSearchInput.value = '';
       seatTableSearchInput.disabled = true;
@@ -1219,10 +1716,16 @@ const refreshSeatTable = ({ fromSearch = false } = {}) => {
     return Number.isFinite(numeric) ? numeric : seat.col + 1;
   };
 
+  const sectionOrder = new Map(getProjectSections().map((section, index) => [section.id, index]));
   const seats = Object.entries(activeProject.seats || {})
     .filter(([, seat]) => seat.status !== 'disabled')
     .map(([id, seat]) => ({ id, seat, sortNumber: getSeatSortNumber(seat) }))
     .sort((a, b) => {
+      const orderA = sectionOrder.get(a.seat.sectionId || DEFAULT_SECTION_ID) ?? 0;
+      const orderB = sectionOrder.get(b.seat.sectionId || DEFAULT_SECTION_ID) ?? 0;
+      if (orderA !== orderB) {
+        return orderA - orderB;
+      }
       if (a.seat.row !== b.seat.row) {
         return a.seat.row - b.seat.row;
       }
@@ -1230,7 +1733,7 @@ const refreshSeatTable = ({ fromSearch = false } = {}) => {
     });
   if (!seats.length) {
     seatTableBody.innerHTML = '';
-    seatTableBody.insertAdjacentHTML('beforeend', '<tr><td colspan="6">暂无启用座位</td></tr>');
+    seatTableBody.insertAdjacentHTML('beforeend', '<tr><td colspan="7">暂无启用座位</td></tr>');
     if (fromSearch) {
       setSeatTableStatus('');
     }
@@ -1239,26 +1742,31 @@ const refreshSeatTable = ({ fromSearch = false } = {}) => {
   const query = seatTableSearchQuery.trim().toLowerCase();
   const filteredSeats = query
     ? seats.filter(({ id, seat }) => {
-        const seatLabel = seat.seatLabel || `${seat.row + 1}排${seat.col + 1}号`;
+        const seatLabel = seat.seatLabel || formatSeatLabel(activeProject.labeling, seat.row, seat.col + 1);
         const statusLabel = SEAT_STATUS_LABELS[seat.status] || seat.status || '';
         const tokens = [
+          getSectionName(seat.sectionId),
           seatLabel,
           statusLabel,
           seat.ticketNumber || '',
           seat.price != null ? String(seat.price) : '',
           seat.price != null ? `¥${seat.price}` : '',
+          getZone(seat.zoneId)?.name || '',
+          formatSeatAttributes(seat),
           String(seat.row + 1),
           String(seat.col + 1),
           id,
         ];
-        return tokens.some((token) => token && token.toLowerCase().includes(query));
+        return (
+          tokens.some((token) => token && token.toLowerCase().includes(query)) || matchesCustomer(seat.customer, query)
+        );
       })
     : seats;
   if (!filteredSeats.length) {
     seatTableBody.innerHTML = '';
     seatTableBody.insertAdjacentHTML(
       'beforeend',
-      `<tr><td colspan="6">未找到与当前搜索匹配的座位。</td></tr>`
+      `<tr><td colspan="7">未找到与当前搜索匹配的座位。</td></tr>`
     );
     if (fromSearch) {
       setSeatTableStatus(`未找到与“${seatTableSearchQuery.trim()}”匹配的座位。`, true);
@@ -1266,19 +1774,29 @@ const refreshSeatTable = ({ fromSearch = false } = {}) => {
     return;
   }
   const fragment = document.createDocumentFragment();
+  const zones = getProjectZones();
   filteredSeats.forEach(({ id, seat }) => {
+    const zoneOptions = zones
+      .map(
+        (zone) =>
+          `<option value="${zone.id}" ${seat.zoneId === zone.id ? 'selected' : ''}>${formatZoneLabel(zone)}</option>`
+      )
+      .join('');
     const tr = document.createElement('tr');
     tr.dataset.seatId = id;
-    const seatLabel = seat.seatLabel || `${seat.row + 1}排${seat.col + 1}号`;
-    const statusValue = seat.status === 'sold' ? 'sold' : seat.status === 'locked' ? 'locked' : 'available';
+    const seatLabel = seat.seatLabel || formatSeatLabel(activeProject.labeling, seat.row, seat.col + 1);
+    const statusValue = ['sold', 'locked', 'held'].includes(seat.status) ? seat.status : 'available';
+    const attributeText = formatSeatAttributes(seat);
 
     tr.innerHTML = `
+      <td>${getSectionName(seat.sectionId) || '-'}</td>
       <td>${seat.row + 1}</td>
-      <td>${seatLabel}</td>
+      <td>${seatLabel}${attributeText ? `<p class="hint">${attributeText}</p>` : ''}</td>
       <td>
         <select data-role="status" name="seat-status" aria-label="座位状态">
           <option value="available" ${statusValue === 'available' ? 'selected' : ''}>空闲</option>
           <option value="locked" ${statusValue === 'locked' ? 'selected' : ''}>锁定</option>
+          ${statusValue === 'held' ? '<option value="held" selected>预留</option>' : ''}
           <option value="sold" ${statusValue === 'sold' ? 'selected' : ''}>已签发</option>
         </select>
       </td>
@@ -1290,24 +1808,35 @@ const refreshSeatTable = ({ fromSearch = false } = {}) => {
           aria-label="票号"
           value="${seat.ticketNumber ? seat.ticketNumber : ''}"
         />
+        ${seat.status === 'sold' && seat.ticketTypeId ? `<p class="hint">${getTicketTypeName(seat.ticketTypeId)}</p>` : ''}
+        ${seat.awaitingReissue ? '<p class="hint">原票已作废，待补发</p>' : ''}
+        ${seat.status === 'sold' && seat.customer ? '<p class="hint" data-role="customer"></p>' : ''}
       </td>
       <td>
-        <input
-          data-role="price"
-          type="number"
-          inputmode="decimal"
-          min="0"
-          step="0.01"
-          placeholder="未设置"
-          name="seat-price"
-          aria-label="票价"
-          value="${seat.price != null ? seat.price : ''}"
-        />
+        <select data-role="zone" name="seat-zone" aria-label="票区">
+          <option value="" ${seat.zoneId ? '' : 'selected'}>未设置</option>
+          ${zoneOptions}
+        </select>
       </td>
       <td>
         <button class="button button--primary" data-action="save" type="button">保存</button>
+        ${
+          seat.status === 'sold'
+            ? seat.awaitingReissue
+              ? '<button class="button" data-action="reissue" type="button">补发</button>'
+              : `<button class="button" data-action="exchange" type="button">换座</button>
+                 <button class="button button--danger" data-action="void" type="button">作废</button>`
+            : ''
+        }
+        ${
+          seat.status === 'sold'
+            ? '<button class="button button--danger" data-action="refund" type="button">退票</button>'
+            : ''
+        }
       </td>
     `;
+    const customerHint = tr.querySelector('[data-role="customer"]');
+    if (customerHint) customerHint.textContent = `购票人：${formatCustomer(seat.customer)}`;
     fragment.appendChild(tr);
   });
   seatTableBody.innerHTML = '';
@@ -1406,7 +1935,7 @@ const renderCheckoutModes = () => {
   if (!checkoutModeTableBody) return;
   checkoutModeTableBody.innerHTML = '';
   if (!checkoutModes.length) {
-    checkoutModeTableBody.innerHTML = '<tr><td colspan="6">暂无结账模式。</td></tr>';
+    checkoutModeTableBody.innerHTML = '<tr><td colspan="7">暂无结账模式。</td></tr>';
     return;
   }
   checkoutModes
@@ -1421,11 +1950,20 @@ const renderCheckoutModes = () => {
       } else if (mode.type === 'fullcut') {
         const stackLabel = mode.stackLimit ? `×${mode.stackLimit}` : '（无限叠加）';
         paramText = `满 ${mode.threshold} 减 ${mode.cutAmount} ${stackLabel}`;
+      } else if (mode.type === 'bundle') {
+        const product = merchProducts.find((item) => item.id === mode.bundleProductId);
+        paramText = `门票 + ${product ? product.name : '商品'} 每套减 ${mode.cutAmount}${
+          mode.stackLimit ? `，最多 ${mode.stackLimit} 套` : ''
+        }`;
+      }
+      if (mode.minQuantity) {
+        paramText += `，${mode.minQuantity} 件起`;
       }
       tr.innerHTML = `
         <td>${mode.name}</td>
-        <td>${mode.type === 'fullcut' ? '满减' : mode.type === 'discount' ? '折扣' : '原价'}</td>
+        <td>${CHECKOUT_MODE_TYPE_LABELS[mode.type] || '原价'}</td>
         <td>${paramText}</td>
+        <td>${CHECKOUT_MODE_SCOPE_LABELS[mode.scope] || CHECKOUT_MODE_SCOPE_LABELS.merch}</td>
         <td>${mode.description || '-'}</td>
         <td>${mode.enabled === false ? '已停用' : '启用中'}</td>
         <td>
@@ -1443,10 +1981,12 @@ const renderCheckoutModes = () => {
 const syncOrderCheckoutSelect = () => {
   if (!selectOrderCheckoutMode) return;
   const options = ['<option value="">原价</option>'];
-  checkoutModes.forEach((mode) => {
-    const suffix = mode.enabled === false ? '（已停用）' : '';
-    options.push(`<option value="${mode.id}">${mode.name}${suffix}</option>`);
-  });
+  checkoutModes
+    .filter((mode) => mode.scope !== 'tickets' && mode.type !== 'bundle')
+    .forEach((mode) => {
+      const suffix = mode.enabled === false ? '（已停用）' : '';
+      options.push(`<option value="${mode.id}">${mode.name}${suffix}</option>`);
+    });
   selectOrderCheckoutMode.innerHTML = options.join('');
   if (editingOrderId) {
     const current = merchOrders.find((order) => order.id === editingOrderId);
@@ -1465,9 +2005,11 @@ const renderMerchOrders = () => {
   }
   merchOrders.slice(0, 200).forEach((order) => {
     const tr = document.createElement('tr');
-    const detail = order.items
+    const detail = `${order.items
       .map((item) => `${item.name} ×${item.quantity}（${formatCurrency(item.subtotal)}）`)
-      .join('、');
+      .join('、')}${order.checkoutId ? '<br/><span class="hint">与门票合并结账</span>' : ''}${
+      order.customer ? '<br/><span class="hint" data-role="customer"></span>' : ''
+    }`;
     tr.innerHTML = `
       <td>${new Date(order.createdAt).toLocaleString()}</td>
       <td>${detail}</td>
@@ -1484,6 +2026,8 @@ const renderMerchOrders = () => {
         </div>
       </td>
     `;
+    const customerHint = tr.querySelector('[data-role="customer"]');
+    if (customerHint) customerHint.textContent = `顾客：${formatCustomer(order.customer)}`;
     merchOrdersTableBody.appendChild(tr);
   });
 };
@@ -1523,6 +2067,14 @@ const clearCanvas = (message = '请选择或新建售票项目。') => {
   updateWorkspaceAvailability();
   zoneSummaryList.innerHTML = '<li>暂无数据</li>';
   priceLegendList.innerHTML = '<li>暂无数据</li>';
+  if (stageLabelEl) {
+    stageLabelEl.hidden = false;
+  }
+  renderSectionList();
+  renderZoneList();
+  renderTicketTypeList();
+  renderGateList();
+  renderHoldList();
   if (seatTableSearchInput) {
     seatTableSearchInput.value = '';
     seatTableSearchQuery = '';
@@ -1542,7 +2094,7 @@ const handleGridPointerDown = (event) => {
   if (Number.isNaN(row) || Number.isNaN(col)) return;
   isDragging = true;
   dragMoved = false;
-  dragOrigin = { row, col };
+  dragOrigin = { row, col, sectionId: button.dataset.section || DEFAULT_SECTION_ID };
   dragSelectionBase = new Set(selectedSeats);
   pointerDownSeatId = button.dataset.seatId;
   pointerDownWasSelected = selectedSeats.has(pointerDownSeatId);
@@ -1561,6 +2113,7 @@ const handleGridPointerOver = (event) => {
   const row = Number(button.dataset.row);
   const col = Number(button.dataset.col) - 1;
   if (Number.isNaN(row) || Number.isNaN(col)) return;
+  if ((button.dataset.section || DEFAULT_SECTION_ID) !== dragOrigin.sectionId) return;
   dragMoved = true;
   selectedSeats.clear();
   dragSelectionBase.forEach((key) => selectedSeats.add(key));
@@ -1570,7 +2123,7 @@ const handleGridPointerOver = (event) => {
   const maxCol = Math.max(dragOrigin.col, col);
   for (let r = minRow; r <= maxRow; r += 1) {
     for (let c = minCol; c <= maxCol; c += 1) {
-      selectedSeats.add(seatKey(r, c));
+      selectedSeats.add(seatKey(r, c, dragOrigin.sectionId));
     }
   }
   updateSelectedCount();
@@ -1584,20 +2137,27 @@ const bindSeatGridEvents = (grid) => {
   grid.addEventListener('pointerover', handleGridPointerOver);
 };
 
-const buildSeatGrid = (force = false) => {
-  if (!activeProject) {
-    clearCanvas();
-    return;
-  }
-  const { rows, cols } = activeProject;
-  const signature = `${rows}x${cols}`;
-  if (!force && seatGridElement && seatGridSignature === signature) {
-    updateAllSeatElements();
-    return;
-  }
-  seatGridSignature = signature;
-  seatCanvas.innerHTML = '';
-  seatElements.clear();
+const buildSectionFrame = (section, content) => {
+  const frame = document.createElement('section');
+  frame.className = `seat-section seat-section--stage-${section.stageOrientation || 'top'}`;
+  frame.dataset.section = section.id;
+  const title = document.createElement('header');
+  title.className = 'seat-section__title';
+  title.textContent = `${section.name}（${section.rows}×${section.cols}）`;
+  const body = document.createElement('div');
+  body.className = 'seat-section__body';
+  const stage = document.createElement('div');
+  stage.className = 'seat-section__stage';
+  stage.textContent = '舞台';
+  body.appendChild(stage);
+  body.appendChild(content);
+  frame.appendChild(title);
+  frame.appendChild(body);
+  return frame;
+};
+
+const buildSectionGrid = (section) => {
+  const { rows, cols } = section;
   const container = document.createElement('div');
   container.className = 'seat-grid-container';
 
@@ -1613,37 +2173,44 @@ const buildSeatGrid = (force = false) => {
   const content = document.createElement('div');
   content.className = 'seat-grid-content';
 
+  // Rows are drawn nearest-to-stage first, so a stage below the block flips the row order.
+  const rowOrder = [...Array(rows).keys()];
+  if (section.stageOrientation === 'bottom') {
+    rowOrder.reverse();
+  }
+
   const rowsHeader = document.createElement('div');
   rowsHeader.className = 'seat-grid-rows';
   rowsHeader.style.gridTemplateRows = `repeat(${rows}, 34px)`;
-  for (let row = 0; row < rows; row += 1) {
+  rowOrder.forEach((row) => {
     const label = document.createElement('span');
     label.textContent = String(row + 1);
     rowsHeader.appendChild(label);
-  }
+  });
 
   const grid = document.createElement('div');
   grid.className = 'seat-grid';
   grid.style.gridTemplateColumns = `repeat(${cols}, 34px)`;
   const fragment = document.createDocumentFragment();
 
-  for (let row = 0; row < rows; row += 1) {
+  rowOrder.forEach((row) => {
     for (let col = 0; col < cols; col += 1) {
-      const id = seatKey(row, col);
+      const id = seatKey(row, col, section.id);
       const seat = activeProject.seats[id];
       const seatEl = document.createElement('button');
       seatEl.type = 'button';
       seatEl.className = 'seat-button';
+      seatEl.dataset.section = section.id;
       seatEl.dataset.row = String(row);
       seatEl.dataset.col = String(col + 1);
       seatEl.dataset.seatId = id;
       seatEl.textContent = extractSeatNumber(seat, String(col + 1));
-      seatEl.title = `行 ${row + 1} / 列 ${col + 1}`;
+      seatEl.title = `${section.name} 行 ${row + 1} / 列 ${col + 1}`;
 
       fragment.appendChild(seatEl);
       seatElements.set(id, seatEl);
     }
-  }
+  });
 
   grid.appendChild(fragment);
   bindSeatGridEvents(grid);
@@ -1652,10 +2219,49 @@ const buildSeatGrid = (force = false) => {
   content.appendChild(grid);
   container.appendChild(columnsHeader);
   container.appendChild(content);
-  seatCanvas.appendChild(container);
-  seatGridElement = grid;
+  return container;
+};
+
+const buildSeatGrid = (force = false) => {
+  if (!activeProject) {
+    clearCanvas();
+    return;
+  }
+  const sections = getProjectSections();
+  const signature = sections
+    .map((section) => `${section.id}:${section.rows}x${section.cols}:${section.stageOrientation}:${section.name}`)
+    .join('|');
+  if (!force && seatGridElement && seatGridSignature === signature) {
+    updateAllSeatElements();
+    return;
+  }
+  seatGridSignature = signature;
+  seatCanvas.innerHTML = '';
+  seatElements.clear();
+  // A single top-facing section keeps the classic canvas with the shared stage banner.
+  const framed = sections.length > 1 || sections[0].stageOrientation !== 'top';
+  if (stageLabelEl) {
+    stageLabelEl.hidden = framed;
+  }
+  const wrapper = document.createElement('div');
+  wrapper.className = 'seat-sections';
+  sections.forEach((section) => {
+    const container = buildSectionGrid(section);
+    if (!framed) {
+      wrapper.appendChild(container);
+      return;
+    }
+    wrapper.appendChild(buildSectionFrame(section, container));
+  });
+  seatCanvas.appendChild(wrapper);
+  seatGridElement = wrapper;
   seatCanvas.dataset.gridSignature = signature;
   updateAllSeatElements();
+  renderSectionList();
+  renderZoneList();
+  renderTicketTypeList();
+  renderGateList();
+  renderHoldList();
 };
 
 const resetSelection = () => {
@@ -1671,15 +2277,25 @@ const resetSelection = () => {
 const updateWorkspaceAvailability = () => {
   const hasProject = Boolean(activeProject);
   inputProjectName.disabled = !hasProject;
-  priceInput.disabled = !hasProject;
+  seatZoneSelect.disabled = !hasProject;
   btnDeleteProject.disabled = !hasProject;
   const hasSelection = hasProject && selectedSeats.size > 0;
-  btnApplyPrice.disabled = !hasSelection;
+  btnApplyZone.disabled = !hasSelection;
+  btnHoldSeats.disabled = !hasSelection;
+  btnReleaseSelectedHolds.disabled = !hasSelection;
+  btnExportHolds.disabled = !hasProject;
+  btnAddAllocation.disabled = !hasProject;
+  btnExportAllocations.disabled = !hasProject;
+  btnPrintSheet.disabled = !hasProject;
   btnDisableSeats.disabled = !hasSelection;
+  btnAddSeatAttribute.disabled = !hasSelection;
+  btnRemoveSeatAttribute.disabled = !hasSelection;
   btnResetSelection.disabled = !hasSelection;
   selectTicketingMode.disabled = !hasProject;
   btnApplyTicketing.disabled = !hasProject;
   btnRegenerateTicketing.disabled = !hasProject;
+  selectTicketSigning.disabled = !hasProject;
+  btnExportVerificationKey.disabled = !hasProject;
   if (btnCancelTicketing) {
     btnCancelTicketing.disabled = !hasProject;
   }
@@ -1709,8 +2325,10 @@ const fetchProjects = async () => {
     if (!response.ok) throw new Error('无法获取项目列表');
     const data = await response.json();
     projects = data.projects || [];
+    shows = data.shows || [];
     renderProjectList();
     renderCheckinProjects();
+    renderTicketSaleProjects();
   } catch (error) {
     setStatus(error.message, true);
     if (activeProject) {
@@ -1805,6 +2423,10 @@ const startMerchAutoRefresh = () => {
 
 const renderProjectList = () => {
   projectListEl.innerHTML = '';
+  renderPerformancePanel();
+  renderOnlineBookingPanel();
+  renderPurchaseLimitsPanel();
+  renderTemplateList();
   if (!projects.length) {
     const placeholder = document.createElement('li');
     placeholder.className = 'project-list__empty';
@@ -1812,16 +2434,29 @@ const renderProjectList = () => {
     projectListEl.appendChild(placeholder);
     return;
   }
+  // Performances of one show stay together, ordered by date.
+  const groupUpdatedAt = new Map();
+  projects.forEach((project) => {
+    const key = project.showId || project.id;
+    groupUpdatedAt.set(key, Math.max(groupUpdatedAt.get(key) || 0, project.updatedAt || 0));
+  });
   projects
     .slice()
-    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .sort((a, b) => {
+      const keyA = a.showId || a.id;
+      const keyB = b.showId || b.id;
+      if (keyA !== keyB) return groupUpdatedAt.get(keyB) - groupUpdatedAt.get(keyA) || keyA.localeCompare(keyB);
+      return comparePerformances(a, b);
+    })
     .forEach((project) => {
       const item = projectItemTemplate.content.firstElementChild.cloneNode(true);
       item.dataset.projectId = project.id;
-      item.querySelector('.project-list__name').textContent = project.name;
+      item.querySelector('.project-list__name').textContent = formatProjectTitle(project);
       item.querySelector(
         '.project-list__stats'
-      ).textContent = `${project.rows}×${project.cols}，可售座位 ${project.availableSeats}`;
+      ).textContent = `${describeProjectLayout(project)}，可售座位 ${project.availableSeats}${
+        project.waitlistCount ? `，候补 ${project.waitlistCount} 组` : ''
+      }`;
       const openBtn = item.querySelector('.project-list__open');
       openBtn.addEventListener('click', () => selectProject(project.id));
       if (activeProject && activeProject.id === project.id) {
@@ -1855,7 +2490,11 @@ const selectProject = async (projectId) => {
     updateSelectedCount();
     inputProjectName.value = activeProject.name;
     btnDeleteProject.disabled = false;
-    workspaceHint.textContent = `当前项目：${activeProject.rows} 行 × ${activeProject.cols} 列。座位编号会自动生成。`;
+    const sectionCount = getProjectSections().length;
+    workspaceHint.textContent =
+      sectionCount > 1
+        ? `当前项目：${sectionCount} 个分区（${describeProjectLayout(activeProject)}）。各分区独立编号。`
+        : `当前项目：${activeProject.rows} 行 × ${activeProject.cols} 列。座位编号会自动生成。`;
     buildSeatGrid();
     updateTicketingControls();
     refreshSeatTable();
@@ -1898,7 +2537,7 @@ const applyToSelectedSeats = (callback) => {
       callback(seat, id);
       changed = true;
       if (Number.isInteger(seat.row)) {
-        affectedRows.add(seat.row);
+        affectedRows.add(sectionRowKey(seat.sectionId, seat.row));
       }
     }
   }
@@ -1920,25 +2559,30 @@ const applyToSelectedSeats = (callback) => {
   return true;
 };
 
-btnApplyPrice.addEventListener('click', () => {
-  const priceValue = Number(priceInput.value);
-  if (!Number.isFinite(priceValue) || priceValue < 0) {
-    setStatus('票价必须是非负数字。', true);
+btnApplyZone.addEventListener('click', () => {
+  const zone = getZone(seatZoneSelect.value);
+  if (!zone) {
+    setStatus('请先选择票区，如无票区请先新增。', true);
     return;
   }
   const altered = applyToSelectedSeats((seat, id) => {
-    seat.status = 'available';
-    seat.price = priceValue;
-    ensureLocalPriceColor(priceValue);
+    // Sold seats keep the zone and price they were issued under.
+    if (seat.status === 'sold') return;
+    seat.status = ['locked', 'held'].includes(seat.status) ? seat.status : 'available';
+    seat.price = zone.price;
+    seat.zoneId = zone.id;
     modifiedSeats.set(id, {
+      sectionId: seat.sectionId,
       row: seat.row,
       col: seat.col,
-      status: 'available',
-      price: priceValue,
+      status: seat.status,
+      price: seat.price,
+      zoneId: zone.id,
+      attributes: [...(seat.attributes || [])],
     });
   });
   if (altered) {
-    setStatus('已设置票价，请保存以同步。');
+    setStatus(`已设置为票区「${zone.name}」，请保存以同步。`);
     resetSelection();
     refreshSeatTable();
   }
@@ -1948,15 +2592,19 @@ btnDisableSeats.addEventListener('click', () => {
   const altered = applyToSelectedSeats((seat, id) => {
     seat.status = 'disabled';
     seat.price = null;
+    seat.zoneId = null;
     seat.ticketCode = null;
     seat.ticketNumber = null;
     seat.ticketSequenceValue = null;
     seat.seatLabel = null;
     modifiedSeats.set(id, {
+      sectionId: seat.sectionId,
       row: seat.row,
       col: seat.col,
       status: 'disabled',
       price: null,
+      zoneId: null,
+      attributes: [...(seat.attributes || [])],
     });
   });
   if (altered) {
@@ -1966,92 +2614,439 @@ btnDisableSeats.addEventListener('click', () => {
   }
 });
 
+const updateSelectedSeatAttributes = (adding) => {
+  const attribute = SEAT_ATTRIBUTES.find((entry) => entry.id === selectSeatAttribute.value);
+  if (!attribute) return;
+  const altered = applyToSelectedSeats((seat, id) => {
+    const current = new Set(seat.attributes || []);
+    if (adding) {
+      current.add(attribute.id);
+    } else {
+      current.delete(attribute.id);
+    }
+    seat.attributes = SEAT_ATTRIBUTES.map((entry) => entry.id).filter((entryId) => current.has(entryId));
+    // Attribute-only edits omit status so sold and locked seats are left as they are.
+    modifiedSeats.set(id, {
+      ...(modifiedSeats.get(id) || { sectionId: seat.sectionId, row: seat.row, col: seat.col }),
+      attributes: seat.attributes,
+    });
+  });
+  if (altered) {
+    setStatus(`已${adding ? '添加' : '移除'}「${attribute.label}」标记，请保存以同步。`);
+    refreshSeatTable();
+  }
+};
+
+selectSeatAttribute.innerHTML = SEAT_ATTRIBUTES.map(
+  (attribute) => `<option value="${attribute.id}">${attribute.icon} ${attribute.label}</option>`
+).join('');
+btnAddSeatAttribute.addEventListener('click', () => updateSelectedSeatAttributes(true));
+btnRemoveSeatAttribute.addEventListener('click', () => updateSelectedSeatAttributes(false));
+
 btnResetSelection.addEventListener('click', () => {
   resetSelection();
 });
 
-seatTableBody.addEventListener('click', async (event) => {
-  const button = event.target.closest('button[data-action="save"]');
-  if (!button) return;
-  if (!activeProject) {
-    setSeatTableStatus('请先选择项目。', true);
+const voidSeatTicket = async (seatId) => {
+  const reason = window.prompt('请输入作废原因（如遗失、打印错误）：', '');
+  if (reason === null) return;
+  if (!reason.trim()) {
+    setSeatTableStatus('请填写作废原因。', true);
     return;
   }
-  const rowEl = button.closest('tr');
-  if (!rowEl) return;
-  const seatId = rowEl.dataset.seatId;
-  const statusSelect = rowEl.querySelector('select[data-role="status"]');
-  const ticketInput = rowEl.querySelector('input[data-role="ticket"]');
-  const priceInput = rowEl.querySelector('input[data-role="price"]');
-  if (!seatId || !statusSelect || !ticketInput || !priceInput) return;
-  const payload = {
-    status: statusSelect.value,
-    ticketNumber: ticketInput.value.trim(),
-  };
-  const priceValueRaw = priceInput.value.trim();
-  if (priceValueRaw === '') {
-    payload.price = null;
-  } else {
-    const numericPrice = Number(priceValueRaw);
-    if (!Number.isFinite(numericPrice) || numericPrice < 0) {
-      setSeatTableStatus('票价必须为非负数字。', true);
-      priceInput.focus();
-      return;
-    }
-    payload.price = numericPrice;
+  const release = window.confirm('作废后是否将座位释放为空闲？（有售票记录的座位请改用退票释放）\n确定：释放座位；取消：保留已售，稍后补发新票。');
+  if (hasPendingChanges()) {
+    await saveActiveProject({ manual: false, reason: 'auto' });
   }
-  button.disabled = true;
-  const originalLabel = button.textContent;
-  button.textContent = '保存中...';
-  setSeatTableStatus('正在保存...');
-  try {
-    const response = await authFetch(`/api/projects/${activeProject.id}/seats/${seatId}`, {
-      method: 'PATCH',
+  const response = await authFetch(
+    `/api/projects/${activeProject.id}/seats/${encodeURIComponent(seatId)}/void`,
+    {
+      method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-    if (!response.ok) {
-      const error = await response.json().catch(() => null);
-      throw new Error(error?.error || '保存失败');
-    }
-    const data = await response.json();
-    if (data?.seat) {
-      const updatedSeat = data.seat;
-      activeProject.seats[seatId] = updatedSeat;
-      ensureActiveProjectMetadata();
-      if (updatedSeat.price != null) {
-        ensureLocalPriceColor(updatedSeat.price);
-      }
-      const affectedRows = new Set();
-      if (Number.isInteger(updatedSeat.row)) {
-        affectedRows.add(updatedSeat.row);
-      }
-      recomputeSeatLabels();
-      refreshPriceLegend();
-      const idsToUpdate = collectSeatIdsForRows(affectedRows);
-      if (idsToUpdate.length) {
-        refreshSeatElements(idsToUpdate);
-      } else {
-        refreshSeatElements([seatId]);
-      }
-      refreshSeatTable();
-      updateZoneSummary();
-      updateSaveButtonState();
-      setSeatTableStatus('已更新座位信息。');
+      body: JSON.stringify({ reason: reason.trim(), release }),
     }
-    modifiedSeats.delete(seatId);
-  } catch (error) {
-    setSeatTableStatus(error.message, true);
-  } finally {
-    button.disabled = false;
-    button.textContent = originalLabel;
+  );
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || '作废失败');
   }
-});
+  mergeIncomingProject(data.project, { refreshSeatTable: true, refreshTicketing: false });
+  upsertProjectSummary(data.project);
+  setSeatTableStatus(release ? '原票已作废，座位已释放。' : '原票已作废，请补发新票。');
+};
 
-btnRefreshSeatTable.addEventListener('click', () => {
-  if (!activeProject) {
-    setSeatTableStatus('请选择项目后再刷新。', true);
-    return;
+const setExchangeFormStatus = (message, isError = false) => {
+  exchangeFormStatus.textContent = message || '';
+  exchangeFormStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const formatSeatDisplay = (seat) => {
+  const label = seat.seatLabel || formatSeatLabel(activeProject.labeling, seat.row, seat.col + 1);
+  const sectionName = getProjectSections().length > 1 ? getSectionName(seat.sectionId) : '';
+  return sectionName ? `${sectionName} ${label}` : label;
+};
+
+const updateExchangePriceHint = () => {
+  const source = activeProject?.seats[inputExchangeSource.value];
+  const target = activeProject?.seats[selectExchangeTarget.value];
+  if (!source || !target) {
+    exchangePriceHint.textContent = '';
+    return;
+  }
+  const difference = (target.price ?? 0) - (source.price ?? 0);
+  if (difference > 0) {
+    exchangePriceHint.textContent = `需补差价 ¥${difference}`;
+  } else if (difference < 0) {
+    exchangePriceHint.textContent = `需退还差价 ¥${-difference}`;
+  } else {
+    exchangePriceHint.textContent = '票价相同，无需补退差价';
+  }
+};
+
+const openExchangeForm = (seatId) => {
+  const source = activeProject.seats[seatId];
+  if (!source) return;
+  const sectionOrder = new Map(getProjectSections().map((section, index) => [section.id, index]));
+  const targets = Object.entries(activeProject.seats)
+    .filter(([, seat]) => seat.status === 'available')
+    .sort(
+      ([, a], [, b]) =>
+        (sectionOrder.get(a.sectionId) ?? 0) - (sectionOrder.get(b.sectionId) ?? 0) || a.row - b.row || a.col - b.col
+    );
+  if (!targets.length) {
+    setSeatTableStatus('当前没有可换入的空闲座位。', true);
+    return;
+  }
+  inputExchangeSource.value = seatId;
+  exchangeFormSummary.textContent = `原座位：${formatSeatDisplay(source)}（¥${source.price ?? 0}，票号 ${
+    source.ticketNumber || '-'
+  }）`;
+  selectExchangeTarget.innerHTML = targets
+    .map(([id, seat]) => `<option value="${id}">${formatSeatDisplay(seat)}（¥${seat.price ?? 0}）</option>`)
+    .join('');
+  selectExchangeTicket.value = 'keep';
+  inputExchangeNote.value = '';
+  setExchangeFormStatus('');
+  updateExchangePriceHint();
+  openDialog(dialogExchangeForm);
+};
+
+selectExchangeTarget.addEventListener('change', updateExchangePriceHint);
+
+btnSaveExchange.addEventListener('click', async () => {
+  if (!activeProject) return;
+  const seatId = inputExchangeSource.value;
+  btnSaveExchange.disabled = true;
+  try {
+    if (hasPendingChanges()) {
+      await saveActiveProject({ manual: false, reason: 'auto' });
+    }
+    const response = await authFetch(
+      `/api/projects/${activeProject.id}/seats/${encodeURIComponent(seatId)}/exchange`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          targetSeatId: selectExchangeTarget.value,
+          keepTicketCode: selectExchangeTicket.value === 'keep',
+          note: inputExchangeNote.value.trim(),
+        }),
+      }
+    );
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || '换座失败');
+    }
+    mergeIncomingProject(data.project, { refreshSeatTable: true, refreshTicketing: false });
+    upsertProjectSummary(data.project);
+    closeDialog(dialogExchangeForm);
+    const { exchange } = data;
+    const adjustment =
+      exchange.adjustment === 'charge'
+        ? `，需补差价 ¥${exchange.priceDifference}`
+        : exchange.adjustment === 'refund'
+          ? `，需退还差价 ¥${-exchange.priceDifference}`
+          : '';
+    setSeatTableStatus(
+      `已从 ${exchange.fromSeatDisplay} 换至 ${exchange.toSeatDisplay}，票号 ${exchange.ticketNumber}${adjustment}。`
+    );
+  } catch (error) {
+    setExchangeFormStatus(error.message, true);
+  } finally {
+    btnSaveExchange.disabled = false;
+  }
+});
+
+const setRefundFormStatus = (message, isError = false) => {
+  refundFormStatus.textContent = message || '';
+  refundFormStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const openRefundForm = async (seatId) => {
+  const seat = activeProject.seats[seatId];
+  if (!seat) return;
+  const response = await authFetch(`/api/projects/${activeProject.id}/seats/${encodeURIComponent(seatId)}/refund`);
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || '获取退款信息失败');
+  }
+  inputRefundSeat.value = seatId;
+  refundFormSummary.textContent = `${formatSeatDisplay(seat)}，票号 ${seat.ticketNumber || '-'}，实付 ${formatCurrency(
+    data.refundableAmount
+  )}${data.saleId ? '' : '（未找到售票记录，按票价计）'}`;
+  inputRefundAmount.value = String(data.refundableAmount);
+  inputRefundAmount.max = String(data.refundableAmount);
+  selectRefundMethod.value = data.paymentMethod || 'cash';
+  inputRefundReason.value = '';
+  selectRefundRelease.innerHTML = ['<option value="">重新开售</option>']
+    .concat(
+      (activeProject.holds || [])
+        .filter((hold) => !hold.releasedAt)
+        .map((hold) => `<option value="${hold.id}">放入预留：${hold.name}</option>`)
+    )
+    .join('');
+  setRefundFormStatus('');
+  openDialog(dialogRefundForm);
+};
+
+btnSaveRefund.addEventListener('click', async () => {
+  if (!activeProject) return;
+  const reason = inputRefundReason.value.trim();
+  if (!reason) {
+    setRefundFormStatus('请填写退款原因。', true);
+    return;
+  }
+  btnSaveRefund.disabled = true;
+  try {
+    if (hasPendingChanges()) {
+      await saveActiveProject({ manual: false, reason: 'auto' });
+    }
+    const response = await authFetch(
+      `/api/projects/${activeProject.id}/seats/${encodeURIComponent(inputRefundSeat.value)}/refund`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          amount: Number(inputRefundAmount.value),
+          method: selectRefundMethod.value,
+          reason,
+          holdId: selectRefundRelease.value || null,
+        }),
+      }
+    );
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || '退票失败');
+    }
+    mergeIncomingProject(data.project, { refreshSeatTable: true, refreshTicketing: false });
+    upsertProjectSummary(data.project);
+    closeDialog(dialogRefundForm);
+    const { refund } = data;
+    setSeatTableStatus(
+      `${refund.seatDisplay} 已退款 ${formatCurrency(refund.amount)}，原票 ${refund.ticketNumber || '-'} 已作废，座位${
+        refund.releasedTo === 'hold' ? '已转入预留' : '已重新开售'
+      }。`
+    );
+  } catch (error) {
+    setRefundFormStatus(error.message, true);
+  } finally {
+    btnSaveRefund.disabled = false;
+  }
+});
+
+const reissueSeatTicket = async (seatId) => {
+  const response = await authFetch(
+    `/api/projects/${activeProject.id}/seats/${encodeURIComponent(seatId)}/reissue`,
+    { method: 'POST' }
+  );
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || '补发失败');
+  }
+  mergeIncomingProject(data.project, { refreshSeatTable: true, refreshTicketing: false });
+  upsertProjectSummary(data.project);
+  const params = new URLSearchParams({ seatId, cols: '1', rows: '1' });
+  window.open(`/api/projects/${activeProject.id}/ticket-sheet?${params}`, '_blank');
+  setSeatTableStatus(`已补发新票 ${data.seat?.ticketNumber || ''}，打印页已在新窗口打开。`);
+};
+
+seatTableBody.addEventListener('click', async (event) => {
+  const ticketButton = event.target.closest(
+    'button[data-action="void"], button[data-action="reissue"], button[data-action="exchange"], button[data-action="refund"]'
+  );
+  if (ticketButton && activeProject) {
+    const seatId = ticketButton.closest('tr')?.dataset.seatId;
+    if (!seatId) return;
+    if (ticketButton.dataset.action === 'exchange') {
+      openExchangeForm(seatId);
+      return;
+    }
+    ticketButton.disabled = true;
+    try {
+      if (ticketButton.dataset.action === 'refund') {
+        await openRefundForm(seatId);
+      } else if (ticketButton.dataset.action === 'void') {
+        await voidSeatTicket(seatId);
+      } else {
+        await reissueSeatTicket(seatId);
+      }
+    } catch (error) {
+      setSeatTableStatus(error.message, true);
+    } finally {
+      ticketButton.disabled = false;
+    }
+    return;
+  }
+  const button = event.target.closest('button[data-action="save"]');
+  if (!button) return;
+  if (!activeProject) {
+    setSeatTableStatus('请先选择项目。', true);
+    return;
+  }
+  const rowEl = button.closest('tr');
+  if (!rowEl) return;
+  const seatId = rowEl.dataset.seatId;
+  const statusSelect = rowEl.querySelector('select[data-role="status"]');
+  const ticketInput = rowEl.querySelector('input[data-role="ticket"]');
+  const zoneSelect = rowEl.querySelector('select[data-role="zone"]');
+  if (!seatId || !statusSelect || !ticketInput || !zoneSelect) return;
+  const payload = {
+    status: statusSelect.value,
+    ticketNumber: ticketInput.value.trim(),
+    zoneId: zoneSelect.value || null,
+  };
+  button.disabled = true;
+  const originalLabel = button.textContent;
+  button.textContent = '保存中...';
+  setSeatTableStatus('正在保存...');
+  try {
+    const response = await authFetch(`/api/projects/${activeProject.id}/seats/${encodeURIComponent(seatId)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '保存失败');
+    }
+    const data = await response.json();
+    if (data?.seat) {
+      const updatedSeat = data.seat;
+      activeProject.seats[seatId] = updatedSeat;
+      ensureActiveProjectMetadata();
+      const affectedRows = new Set();
+      if (Number.isInteger(updatedSeat.row)) {
+        affectedRows.add(sectionRowKey(updatedSeat.sectionId, updatedSeat.row));
+      }
+      recomputeSeatLabels();
+      refreshPriceLegend();
+      const idsToUpdate = collectSeatIdsForRows(affectedRows);
+      if (idsToUpdate.length) {
+        refreshSeatElements(idsToUpdate);
+      } else {
+        refreshSeatElements([seatId]);
+      }
+      refreshSeatTable();
+      updateZoneSummary();
+      updateSaveButtonState();
+      setSeatTableStatus('已更新座位信息。');
+    }
+    modifiedSeats.delete(seatId);
+  } catch (error) {
+    setSeatTableStatus(error.message, true);
+  } finally {
+    button.disabled = false;
+    button.textContent = originalLabel;
+  }
+});
+
+btnExportTicketHistory.addEventListener('click', async () => {
+  if (!activeProject) {
+    setSeatTableStatus('请先选择项目。', true);
+    return;
+  }
+  try {
+    const response = await authFetch(`/api/projects/${activeProject.id}/ticket-history`);
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || '导出失败');
+    }
+    const typeLabels = { void: '作废', reissue: '补发', exchange: '换座', refund: '退票' };
+    const rows = [['时间', '操作', '座位', '票号', '原因', '操作人']];
+    (data.history || []).forEach((entry) => {
+      rows.push([
+        new Date(entry.createdAt).toLocaleString(),
+        typeLabels[entry.type] || entry.type,
+        entry.seatDisplay,
+        entry.ticketNumber || '',
+        entry.reason || '',
+        entry.handledBy || '',
+      ]);
+    });
+    if (rows.length === 1) {
+      setSeatTableStatus('当前项目没有作废、补发、换座或退票记录。', true);
+      return;
+    }
+    const csv = rows
+      .map((cols) => cols.map((value) => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+    const safeName = (activeProject.name || 'tickets').replace(/[^\w\u4e00-\u9fa5-]+/g, '_');
+    downloadTextFile(`${safeName}-作废记录.csv`, csv, 'text/csv');
+    setSeatTableStatus(`已导出 ${rows.length - 1} 条记录。`);
+  } catch (error) {
+    setSeatTableStatus(error.message, true);
+  }
+});
+
+btnExportCustomers.addEventListener('click', async () => {
+  if (!activeProject) {
+    setSeatTableStatus('请先选择项目。', true);
+    return;
+  }
+  const revealPhone = inputRevealPhone.checked;
+  if (revealPhone && !window.confirm('导出文件将包含完整手机号，请妥善保管，不要外传。继续导出？')) {
+    return;
+  }
+  try {
+    const response = await authFetch(
+      `/api/projects/${activeProject.id}/customers${revealPhone ? '?revealPhone=1' : ''}`
+    );
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || '导出失败');
+    }
+    const customers = data.customers || [];
+    if (!customers.length) {
+      setSeatTableStatus('当前项目没有登记购票人信息。', true);
+      return;
+    }
+    const rows = [['座位', '票号', '购票人', '班级/年级', '学号', '手机号', '检票时间']];
+    customers.forEach((entry) => {
+      rows.push([
+        entry.seatDisplay,
+        entry.ticketNumber || '',
+        entry.name,
+        entry.grade,
+        entry.studentId || '',
+        entry.phone,
+        entry.checkedInAt ? new Date(entry.checkedInAt).toLocaleString() : '',
+      ]);
+    });
+    const csv = rows
+      .map((cols) => cols.map((value) => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+    const safeName = (activeProject.name || 'tickets').replace(/[^\w\u4e00-\u9fa5-]+/g, '_');
+    downloadTextFile(`${safeName}-购票人.csv`, csv, 'text/csv');
+    setSeatTableStatus(`已导出 ${customers.length} 位购票人${revealPhone ? '（含完整手机号）' : ''}。`);
+  } catch (error) {
+    setSeatTableStatus(error.message, true);
+  }
+});
+
+btnRefreshSeatTable.addEventListener('click', () => {
+  if (!activeProject) {
+    setSeatTableStatus('请选择项目后再刷新。', true);
+    return;
   }
   setSeatTableStatus('正在同步最新数据...');
   btnRefreshSeatTable.disabled = true;
@@ -2069,19 +3064,31 @@ if (btnExportSeatTable) {
       return;
     }
     const rows = [
-      ['排号', '座位号', '状态', '票号', '票价'],
+      ['分区', '排号', '座位号', '状态', '票号', '票区', '票价', '票种', '实收票价', '标记', '购票人', '班级/年级', '手机号'],
     ];
+    const sectionOrder = new Map(getProjectSections().map((section, index) => [section.id, index]));
     const seatList = Object.values(activeProject.seats || {}).sort((a, b) => {
+      const orderA = sectionOrder.get(a.sectionId || DEFAULT_SECTION_ID) ?? 0;
+      const orderB = sectionOrder.get(b.sectionId || DEFAULT_SECTION_ID) ?? 0;
+      if (orderA !== orderB) return orderA - orderB;
       if (a.row !== b.row) return a.row - b.row;
       return a.col - b.col;
     });
     seatList.forEach((seat) => {
       rows.push([
-        seat.row + 1,
+        getSectionName(seat.sectionId),
+        formatRowName(activeProject.labeling, seat.row),
         seat.seatLabel || `${seat.col + 1}号`,
         SEAT_STATUS_LABELS[seat.status] || seat.status,
         seat.ticketNumber || '',
+        getZone(seat.zoneId)?.name || '',
         seat.price != null ? seat.price : '',
+        seat.status === 'sold' ? getTicketTypeName(seat.ticketTypeId) : '',
+        seat.status === 'sold' && seat.soldPrice != null ? seat.soldPrice : '',
+        formatSeatAttributes(seat),
+        seat.customer?.name || '',
+        seat.customer?.grade || '',
+        seat.customer?.phone || '',
       ]);
     });
     const csv = rows
@@ -2189,24 +3196,7 @@ if (btnImportProject && inputImportFile) {
         modifiedSeats.clear();
         selectedSeats.clear();
         mergeIncomingProject(data.project, { refreshSeatTable: true, refreshTicketing: true });
-        const availableSeats = Object.values(data.project.seats || {}).filter(
-          (seat) => seat.status === 'available'
-        ).length;
-        const summary = {
-          id: data.project.id,
-          name: data.project.name,
-          rows: data.project.rows,
-          cols: data.project.cols,
-          availableSeats,
-          createdAt: data.project.createdAt,
-          updatedAt: data.project.updatedAt,
-        };
-        const existingIndex = projects.findIndex((item) => item.id === data.project.id);
-        if (existingIndex >= 0) {
-          projects[existingIndex] = { ...projects[existingIndex], ...summary };
-        } else {
-          projects.push(summary);
-        }
+        upsertProjectSummary(data.project);
         renderProjectList();
         updateSelectedCount();
         updateSaveButtonState();
@@ -2365,6 +3355,55 @@ if (btnCancelTicketing) {
   });
 }
 
+selectTicketSigning.addEventListener('change', async () => {
+  if (!activeProject) return;
+  const enabled = selectTicketSigning.value === 'on';
+  const message = enabled
+    ? '开启签名后所有座位的二维码都会变化，已打印或已售出的旧票将无法通过检票，确定开启吗？'
+    : '关闭签名后检票将不再校验票码真伪，确定关闭吗？';
+  if (!confirmDanger(message)) {
+    selectTicketSigning.value = enabled ? 'off' : 'on';
+    return;
+  }
+  selectTicketSigning.disabled = true;
+  try {
+    const response = await authFetch(`/api/projects/${activeProject.id}/ticketing/signing`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled }),
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '设置失败');
+    }
+    const data = await response.json();
+    mergeIncomingProject(data.project, { refreshSeatTable: true, refreshTicketing: true });
+    setTicketingStatus(enabled ? '已开启票码签名。' : '已关闭票码签名。');
+  } catch (error) {
+    selectTicketSigning.value = enabled ? 'off' : 'on';
+    setTicketingStatus(error.message, true);
+  } finally {
+    selectTicketSigning.disabled = false;
+  }
+});
+
+btnExportVerificationKey.addEventListener('click', async () => {
+  if (!activeProject) return;
+  try {
+    const response = await authFetch(`/api/projects/${activeProject.id}/ticketing/verification-key`);
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '导出失败');
+    }
+    const data = await response.json();
+    const safeName = (activeProject.name || 'project').replace(/[^\w\u4e00-\u9fa5-]+/g, '_');
+    downloadTextFile(`${safeName}-验签公钥.json`, JSON.stringify(data, null, 2), 'application/json');
+    setTicketingStatus('已导出验签公钥，可导入检票设备离线校验。');
+  } catch (error) {
+    setTicketingStatus(error.message, true);
+  }
+});
+
 btnRegenerateTicketing.addEventListener('click', async () => {
   if (!activeProject) {
     setTicketingStatus('请先选择项目。', true);
@@ -2446,7 +3485,16 @@ btnNewProject.addEventListener('click', () => {
   newProjectSequenceSection.classList.add('hidden');
   newProjectTicketTemplate.value = '';
   newProjectTicketStart.value = '';
+  newProjectSeatOrder.value = 'center';
+  newProjectRowNaming.value = 'number';
+  newProjectRowNames.value = '';
+  newProjectRowNamesField.classList.add('hidden');
+  newProjectCarryPrices.value = 'carry';
+  newProjectCarryTicketing.value = 'carry';
+  populateNewProjectSources();
+  newProjectSource.dispatchEvent(new Event('change'));
   dialogNewProject.showModal();
+  loadVenueTemplates({ silent: true });
 });
 
 if (btnRefreshMerch) {
@@ -2525,6 +3573,20 @@ if (btnResetOrderForm) {
 
 if (btnRefreshCheckins) {
   btnRefreshCheckins.addEventListener('click', () => {
+    checkinTicketFilter = '';
+    loadCheckinLogs();
+  });
+}
+
+if (btnCheckinHistory) {
+  btnCheckinHistory.addEventListener('click', () => {
+    const ticket = inputCheckinTicket.value.trim();
+    if (!ticket) {
+      checkinSeatStatus.textContent = '请输入票号';
+      checkinSeatStatus.style.color = '#ed553b';
+      return;
+    }
+    checkinTicketFilter = ticket;
     loadCheckinLogs();
   });
 }
@@ -2533,6 +3595,87 @@ if (selectCheckinProject) {
   selectCheckinProject.addEventListener('change', () => loadCheckinLogs());
 }
 
+selectTicketSaleProject.addEventListener('change', () => loadTicketSales());
+selectTicketSaleMethod.addEventListener('change', () => loadTicketSales());
+inputTicketSaleCustomer.addEventListener('change', () => loadTicketSales());
+btnRefreshTicketSales.addEventListener('click', () => loadTicketSales());
+
+ticketSalesTableBody.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action="save-ticket-sale"]');
+  if (!button) return;
+  const row = button.closest('tr');
+  const amountValue = row.querySelector('input[data-role="amount-received"]').value.trim();
+  button.disabled = true;
+  try {
+    const response = await authFetch(`/api/ticket-sales/${encodeURIComponent(row.dataset.saleId)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        paymentMethod: row.querySelector('select[data-role="payment-method"]').value,
+        amountReceived: amountValue === '' ? null : Number(amountValue),
+      }),
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(data?.error || '保存失败');
+    await loadTicketSales();
+    setTicketSaleStatus('售票记录已更新。');
+  } catch (error) {
+    setTicketSaleStatus(error.message, true);
+  } finally {
+    button.disabled = false;
+  }
+});
+
+btnExportTicketSales.addEventListener('click', () => {
+  if (!ticketSales.length) {
+    setTicketSaleStatus('没有可导出的售票记录。', true);
+    return;
+  }
+  const rows = [
+    ['时间', '项目', '座位', '票种', '票号', '原价合计', '结账模式', '优惠', '应收', '已退', '收款方式', '实收', '找零', '售票员', '备注'],
+  ];
+  ticketSales.forEach((sale) => {
+    rows.push([
+      new Date(sale.createdAt).toLocaleString(),
+      sale.projectName || '',
+      sale.seats.map((seat) => seat.seatDisplay).join('、'),
+      sale.seats.map((seat) => seat.ticketTypeName || '全价').join('、'),
+      sale.seats.map((seat) => seat.ticketNumber || '').join('、'),
+      sale.totalBefore ?? sale.totalAmount,
+      sale.checkoutModeName || '原价',
+      sale.discount || 0,
+      sale.totalAmount,
+      sale.refundedAmount || 0,
+      PAYMENT_METHOD_LABELS[sale.paymentMethod] || sale.paymentMethod,
+      sale.amountReceived ?? sale.totalAmount,
+      sale.changeGiven ?? 0,
+      sale.seller || '',
+      sale.note || '',
+    ]);
+  });
+  const csv = rows
+    .map((cols) => cols.map((value) => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+    .join('\n');
+  downloadTextFile(`ticket-sales-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+  setTicketSaleStatus(`已导出 ${ticketSales.length} 条售票记录。`);
+});
+
+btnExportTicketSalesJson.addEventListener('click', async () => {
+  try {
+    const response = await authFetch('/api/ticket-sales/export');
+    if (!response.ok) throw new Error('导出失败');
+    const data = await response.json();
+    downloadTextFile(
+      `ticket-sales-${new Date().toISOString().slice(0, 10)}.json`,
+      JSON.stringify(data, null, 2),
+      'application/json'
+    );
+    setTicketSaleStatus('售票记录已导出。');
+  } catch (error) {
+    setTicketSaleStatus(error.message, true);
+  }
+});
+
 if (btnExportCheckins) {
   btnExportCheckins.addEventListener('click', async () => {
     try {
@@ -2562,7 +3705,9 @@ if (checkinLogTable) {
     if (!log) return;
     if (inputCheckinTicket) inputCheckinTicket.value = log.ticketNumber || '';
     if (selectCheckinStatus) {
-      selectCheckinStatus.value = log.status === 'success' || log.status === 'override' ? 'checked' : 'clear';
+      selectCheckinStatus.value = ['success', 'override', 'checkout', 'reentry'].includes(log.status)
+        ? 'checked'
+        : 'clear';
     }
     checkinSeatStatus.textContent = `已载入票号 ${log.ticketNumber || ''}`;
     checkinSeatStatus.style.color = '#20639b';
@@ -2836,6 +3981,8 @@ if (checkoutModeForm) {
     const payload = {
       name: inputModeName.value.trim(),
       type: selectModeType.value,
+      scope: selectModeScope.value,
+      minQuantity: inputModeMinQuantity.value.trim() || null,
       description: inputModeDescription.value.trim(),
     };
     if (!payload.name) {
@@ -2848,6 +3995,10 @@ if (checkoutModeForm) {
       payload.threshold = inputModeThreshold?.value || '';
       payload.cutAmount = inputModeCut?.value || '';
       payload.stackLimit = inputModeStack?.value || '';
+    } else if (payload.type === 'bundle') {
+      payload.bundleProductId = selectModeBundleProduct.value;
+      payload.cutAmount = inputModeBundleCut.value;
+      payload.stackLimit = inputModeBundleStack.value;
     }
     const modeId = inputModeId.value.trim();
     const method = modeId ? 'PUT' : 'POST';
@@ -2888,6 +4039,12 @@ if (checkoutModeTableBody) {
       if (inputModeThreshold) inputModeThreshold.value = mode.threshold ?? '';
       if (inputModeCut) inputModeCut.value = mode.cutAmount ?? '';
       if (inputModeStack) inputModeStack.value = mode.stackLimit ?? 0;
+      updateModeFieldVisibility();
+      selectModeBundleProduct.value = mode.bundleProductId || '';
+      inputModeBundleCut.value = mode.type === 'bundle' ? mode.cutAmount : '';
+      inputModeBundleStack.value = mode.type === 'bundle' ? mode.stackLimit ?? 0 : 0;
+      selectModeScope.value = mode.scope || 'merch';
+      inputModeMinQuantity.value = mode.minQuantity ?? '';
       inputModeDescription.value = mode.description || '';
       setModeFormStatus('已载入结账模式，可编辑后保存。');
       updateModeFieldVisibility();
@@ -2921,17 +4078,48 @@ if (btnCancelNewProject) {
   });
 }
 
-btnCreateProject.addEventListener('click', async () => {
-  const name = newProjectNameInput.value.trim();
-  const rows = Number(newProjectRowsInput.value);
-  const cols = Number(newProjectColsInput.value);
-  const ticketMode = newProjectTicketingMode.value;
-  if (!name) {
-    setNewProjectStatus('请输入项目名称', true);
-    return;
-  }
-  if (
-    !Number.isInteger(rows) ||
+const submitNewProject = async (payload) => {
+  try {
+    const response = await authFetch('/api/projects', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '创建失败');
+    }
+    const data = await response.json();
+    dialogNewProject.close();
+    await fetchProjects();
+    setStatus(`项目「${data.project.name}」创建成功，请设置座位。`);
+    selectProject(data.project.id);
+  } catch (error) {
+    setNewProjectStatus(error.message, true);
+  }
+};
+
+btnCreateProject.addEventListener('click', async () => {
+  const name = newProjectNameInput.value.trim();
+  const rows = Number(newProjectRowsInput.value);
+  const cols = Number(newProjectColsInput.value);
+  const ticketMode = newProjectTicketingMode.value;
+  if (!name) {
+    setNewProjectStatus('请输入项目名称', true);
+    return;
+  }
+  if (newProjectSource.value) {
+    const [kind, sourceId] = newProjectSource.value.split(':');
+    await submitNewProject({
+      name,
+      [kind === 'template' ? 'templateId' : 'cloneFromProjectId']: sourceId,
+      carryPrices: newProjectCarryPrices.value === 'carry',
+      carryTicketing: newProjectCarryTicketing.value === 'carry',
+    });
+    return;
+  }
+  if (
+    !Number.isInteger(rows) ||
     !Number.isInteger(cols) ||
     rows <= 0 ||
     cols <= 0 ||
@@ -2962,34 +4150,1632 @@ btnCreateProject.addEventListener('click', async () => {
       setNewProjectStatus('流水码起始值必须是数字', true);
       return;
     }
-    ticketingConfig = {
-      mode: 'sequence',
-      sequence: {
-        template: template.toUpperCase(),
-        startValue: start,
-      },
+    ticketingConfig = {
+      mode: 'sequence',
+      sequence: {
+        template: template.toUpperCase(),
+        startValue: start,
+      },
+    };
+  }
+  const labeling = {
+    seatOrder: newProjectSeatOrder.value,
+    rowNaming: newProjectRowNaming.value,
+    rowNames: [],
+  };
+  if (labeling.rowNaming === 'custom') {
+    labeling.rowNames = newProjectRowNames.value
+      .split(/[,，\n]/)
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (!labeling.rowNames.length) {
+      setNewProjectStatus('请填写自定义排名', true);
+      return;
+    }
+  }
+  await submitNewProject({ name, rows, cols, ticketing: ticketingConfig, labeling });
+});
+
+const setSectionFormStatus = (message, isError = false) => {
+  if (!sectionFormStatus) return;
+  sectionFormStatus.textContent = message || '';
+  sectionFormStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const setPerformanceStatus = (message, isError = false) => {
+  if (!performanceStatus) return;
+  performanceStatus.textContent = message || '';
+  performanceStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const toDatetimeLocalValue = (timestamp) => {
+  if (!timestamp) return '';
+  const dt = new Date(timestamp);
+  return new Date(dt.getTime() - dt.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const readPerformanceForm = () => {
+  const label = inputPerformanceLabel.value.trim();
+  let startsAt = null;
+  if (inputPerformanceStarts.value) {
+    const dt = new Date(inputPerformanceStarts.value);
+    if (Number.isNaN(dt.getTime())) {
+      throw new Error('演出时间无效');
+    }
+    startsAt = dt.getTime();
+  }
+  if (!label && startsAt == null) {
+    throw new Error('请填写场次名称或演出时间');
+  }
+  return { label, startsAt };
+};
+
+const renderPerformancePanel = () => {
+  if (!performanceListEl) return;
+  const disabled = !activeProject;
+  [inputPerformanceLabel, inputPerformanceStarts, btnSavePerformance, btnAddPerformance].forEach((el) => {
+    if (el) el.disabled = disabled;
+  });
+  if (btnSyncPerformances) {
+    btnSyncPerformances.disabled =
+      disabled || !projects.some((project) => project.showId === activeProject.showId && project.id !== activeProject.id);
+  }
+  performanceListEl.innerHTML = '';
+  if (!activeProject) {
+    inputPerformanceLabel.value = '';
+    inputPerformanceStarts.value = '';
+    performanceListEl.innerHTML = '<li class="hint">请选择项目</li>';
+    return;
+  }
+  if (document.activeElement !== inputPerformanceLabel && document.activeElement !== inputPerformanceStarts) {
+    inputPerformanceLabel.value = activeProject.performance?.label || '';
+    inputPerformanceStarts.value = toDatetimeLocalValue(activeProject.performance?.startsAt);
+  }
+  const siblings = activeProject.showId
+    ? projects.filter((project) => project.showId === activeProject.showId).sort(comparePerformances)
+    : [];
+  if (!siblings.length) {
+    performanceListEl.innerHTML = '<li class="hint">尚未设置场次，当前项目为单场演出。</li>';
+    return;
+  }
+  siblings.forEach((project) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.dataset.projectId = project.id;
+    const isActive = project.id === activeProject.id;
+    li.innerHTML = `
+      <div>
+        <strong>${formatPerformance(project.performance) || '未命名场次'}</strong>
+        <p class="hint">可售 ${project.availableSeats ?? '-'}，已售 ${project.soldSeats ?? '-'}，已检 ${
+          project.checkedIn ?? '-'
+        }</p>
+      </div>
+      <div class="table-actions">
+        <button class="button button--secondary" data-action="open-performance" type="button" ${
+          isActive ? 'disabled' : ''
+        }>${isActive ? '当前' : '打开'}</button>
+      </div>
+    `;
+    performanceListEl.appendChild(li);
+  });
+};
+
+const submitPerformance = async (url, method, successMessage) => {
+  if (!activeProject) return;
+  let payload;
+  try {
+    payload = readPerformanceForm();
+  } catch (error) {
+    setPerformanceStatus(error.message, true);
+    return;
+  }
+  btnSavePerformance.disabled = true;
+  btnAddPerformance.disabled = true;
+  try {
+    const response = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '保存失败');
+    }
+    const data = await response.json();
+    setPerformanceStatus(successMessage);
+    await fetchProjects();
+    return data;
+  } catch (error) {
+    setPerformanceStatus(error.message, true);
+    return null;
+  } finally {
+    renderPerformancePanel();
+  }
+};
+
+if (btnSavePerformance) {
+  btnSavePerformance.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const data = await submitPerformance(
+      `/api/projects/${activeProject.id}/performance`,
+      'PATCH',
+      '场次信息已保存。'
+    );
+    if (data) {
+      mergeIncomingProject(data.project, { refreshSeatTable: false, refreshTicketing: false });
+      renderPerformancePanel();
+    }
+  });
+}
+
+if (btnAddPerformance) {
+  btnAddPerformance.addEventListener('click', async () => {
+    if (!activeProject) return;
+    if (hasPendingChanges()) {
+      await saveActiveProject({ manual: false, reason: 'auto' });
+    }
+    const data = await submitPerformance(
+      `/api/projects/${activeProject.id}/performances`,
+      'POST',
+      '已按当前座位布局创建新场次。'
+    );
+    if (data) {
+      await selectProject(data.project.id);
+      setPerformanceStatus('已按当前座位布局创建新场次。');
+    }
+  });
+}
+
+if (btnSyncPerformances) {
+  btnSyncPerformances.addEventListener('click', async () => {
+    if (!activeProject) return;
+    if (!window.confirm('将当前场次的座位布局、票区、票价与票种同步到本演出的其他场次？已售或锁定的座位保持不变。')) {
+      return;
+    }
+    if (hasPendingChanges()) {
+      await saveActiveProject({ manual: false, reason: 'auto' });
+    }
+    btnSyncPerformances.disabled = true;
+    try {
+      const response = await authFetch(`/api/projects/${activeProject.id}/performances/sync`, { method: 'POST' });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '同步失败');
+      }
+      const data = await response.json();
+      await fetchProjects();
+      setPerformanceStatus(`已同步到其他 ${data.projects.length} 个场次。`);
+    } catch (error) {
+      setPerformanceStatus(error.message, true);
+    } finally {
+      renderPerformancePanel();
+    }
+  });
+}
+
+if (performanceListEl) {
+  performanceListEl.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action="open-performance"]');
+    const item = button?.closest('[data-project-id]');
+    if (!item) return;
+    selectProject(item.dataset.projectId);
+  });
+}
+
+const setOnlineBookingStatus = (message, isError = false) => {
+  if (!onlineBookingStatus) return;
+  onlineBookingStatus.textContent = message || '';
+  onlineBookingStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const renderOnlineBookingPanel = () => {
+  if (!btnSaveOnlineBooking) return;
+  [selectOnlineBookingEnabled, inputOnlineBookingHold, inputOnlineBookingMax, btnSaveOnlineBooking].forEach((el) => {
+    el.disabled = !activeProject;
+  });
+  if (!activeProject) {
+    linkOnlineBooking.hidden = true;
+    return;
+  }
+  const settings = activeProject.onlineBooking || { enabled: false, holdMinutes: 30, maxSeats: 6 };
+  selectOnlineBookingEnabled.value = String(Boolean(settings.enabled));
+  inputOnlineBookingHold.value = String(settings.holdMinutes);
+  inputOnlineBookingMax.value = String(settings.maxSeats);
+  linkOnlineBooking.hidden = !settings.enabled;
+  linkOnlineBooking.href = `/High_School_Musical/reserve.html?project=${encodeURIComponent(activeProject.id)}`;
+};
+
+if (btnSaveOnlineBooking) {
+  btnSaveOnlineBooking.addEventListener('click', async () => {
+    if (!activeProject) return;
+    btnSaveOnlineBooking.disabled = true;
+    try {
+      const response = await authFetch(`/api/projects/${activeProject.id}/online-booking`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          enabled: selectOnlineBookingEnabled.value === 'true',
+          holdMinutes: Number(inputOnlineBookingHold.value),
+          maxSeats: Number(inputOnlineBookingMax.value),
+        }),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '保存失败');
+      }
+      const data = await response.json();
+      mergeIncomingProject(data.project, { refreshSeatTable: false, refreshTicketing: false });
+      setOnlineBookingStatus(data.project.onlineBooking.enabled ? '已开放在线预约。' : '已关闭在线预约。');
+    } catch (error) {
+      setOnlineBookingStatus(error.message, true);
+    } finally {
+      renderOnlineBookingPanel();
+    }
+  });
+}
+
+const setPurchaseLimitsStatus = (message, isError = false) => {
+  if (!purchaseLimitsStatus) return;
+  purchaseLimitsStatus.textContent = message || '';
+  purchaseLimitsStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const renderPurchaseLimitsPanel = () => {
+  if (!btnSavePurchaseLimits) return;
+  [...Object.values(purchaseLimitInputs), btnSavePurchaseLimits].forEach((el) => {
+    el.disabled = !activeProject;
+  });
+  const limits = activeProject?.purchaseLimits || {};
+  Object.entries(purchaseLimitInputs).forEach(([key, input]) => {
+    input.value = limits[key] != null ? String(limits[key]) : '';
+  });
+};
+
+if (btnSavePurchaseLimits) {
+  btnSavePurchaseLimits.addEventListener('click', async () => {
+    if (!activeProject) return;
+    btnSavePurchaseLimits.disabled = true;
+    const body = Object.fromEntries(
+      Object.entries(purchaseLimitInputs).map(([key, input]) => [key, input.value.trim() ? Number(input.value) : null])
+    );
+    try {
+      const response = await authFetch(`/api/projects/${activeProject.id}/purchase-limits`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '保存失败');
+      }
+      const data = await response.json();
+      mergeIncomingProject(data.project, { refreshSeatTable: false, refreshTicketing: false });
+      setPurchaseLimitsStatus('限购规则已保存。');
+    } catch (error) {
+      setPurchaseLimitsStatus(error.message, true);
+    } finally {
+      renderPurchaseLimitsPanel();
+    }
+  });
+}
+
+const setTemplateStatus = (message, isError = false) => {
+  if (!templateStatus) return;
+  templateStatus.textContent = message || '';
+  templateStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const populateNewProjectSources = () => {
+  if (!newProjectSource) return;
+  const current = newProjectSource.value;
+  newProjectSource.innerHTML = '<option value="">空白布局</option>';
+  if (venueTemplates.length) {
+    const group = document.createElement('optgroup');
+    group.label = '场馆模板';
+    venueTemplates.forEach((template) => {
+      const option = document.createElement('option');
+      option.value = `template:${template.id}`;
+      option.textContent = `${template.name}（启用 ${template.enabledSeats} 座）`;
+      group.appendChild(option);
+    });
+    newProjectSource.appendChild(group);
+  }
+  if (projects.length) {
+    const group = document.createElement('optgroup');
+    group.label = '复制现有项目';
+    projects
+      .slice()
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .forEach((project) => {
+        const option = document.createElement('option');
+        option.value = `project:${project.id}`;
+        option.textContent = formatProjectTitle(project);
+        group.appendChild(option);
+      });
+    newProjectSource.appendChild(group);
+  }
+  newProjectSource.value = [...newProjectSource.options].some((option) => option.value === current)
+    ? current
+    : '';
+};
+
+const renderTemplateList = () => {
+  if (!templateListEl) return;
+  if (btnSaveTemplate) {
+    btnSaveTemplate.disabled = !activeProject;
+  }
+  templateListEl.innerHTML = '';
+  if (!venueTemplates.length) {
+    templateListEl.innerHTML = '<li class="hint">暂无模板</li>';
+    return;
+  }
+  venueTemplates.forEach((template) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.dataset.templateId = template.id;
+    li.innerHTML = `
+      <div>
+        <strong>${template.name}</strong>
+        <p class="hint">${template.sections.length} 个分区，启用 ${template.enabledSeats} 座，${
+          template.ticketingMode === 'sequence' ? '流水票号' : '随机票号'
+        }</p>
+      </div>
+      <div class="table-actions">
+        <button class="button button--danger" data-action="delete-template" type="button">删除</button>
+      </div>
+    `;
+    templateListEl.appendChild(li);
+  });
+};
+
+const loadVenueTemplates = async ({ silent = false } = {}) => {
+  try {
+    const response = await authFetch('/api/venue-templates');
+    if (!response.ok) throw new Error('无法获取场馆模板');
+    const data = await response.json();
+    venueTemplates = data.templates || [];
+    renderTemplateList();
+    populateNewProjectSources();
+  } catch (error) {
+    if (!silent) {
+      setTemplateStatus(error.message, true);
+    } else {
+      console.warn('[templates] refresh failed:', error);
+    }
+  }
+};
+
+if (btnSaveTemplate) {
+  btnSaveTemplate.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const name = window.prompt('请输入模板名称', activeProject.name);
+    if (name == null) return;
+    if (hasPendingChanges()) {
+      await saveActiveProject({ manual: false, reason: 'auto' });
+    }
+    btnSaveTemplate.disabled = true;
+    try {
+      const response = await authFetch('/api/venue-templates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), projectId: activeProject.id }),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '保存失败');
+      }
+      const data = await response.json();
+      setTemplateStatus(`模板「${data.template.name}」已保存。`);
+      await loadVenueTemplates();
+    } catch (error) {
+      setTemplateStatus(error.message, true);
+    } finally {
+      renderTemplateList();
+    }
+  });
+}
+
+if (templateListEl) {
+  templateListEl.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action="delete-template"]');
+    const item = button?.closest('[data-template-id]');
+    if (!item) return;
+    const template = venueTemplates.find((entry) => entry.id === item.dataset.templateId);
+    if (!template || !confirmDanger(`确定要删除模板「${template.name}」吗？`)) return;
+    button.disabled = true;
+    try {
+      const response = await authFetch(`/api/venue-templates/${template.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '删除失败');
+      }
+      setTemplateStatus(`模板「${template.name}」已删除。`);
+      await loadVenueTemplates();
+    } catch (error) {
+      setTemplateStatus(error.message, true);
+      button.disabled = false;
+    }
+  });
+}
+
+const renderSectionList = () => {
+  if (!sectionListEl) return;
+  sectionListEl.innerHTML = '';
+  if (btnAddSection) {
+    btnAddSection.disabled = !activeProject;
+  }
+  if (!activeProject) {
+    sectionListEl.innerHTML = '<li class="hint">请选择项目</li>';
+    return;
+  }
+  const sections = getProjectSections();
+  sections.forEach((section) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.dataset.sectionId = section.id;
+    li.innerHTML = `
+      <div>
+        <strong>${section.name}</strong>
+        <p class="hint">${section.rows}×${section.cols}，${STAGE_ORIENTATION_LABELS[section.stageOrientation] || ''}</p>
+      </div>
+      <div class="table-actions">
+        <button class="button button--secondary" data-action="edit-section" type="button">编辑</button>
+        <button class="button button--secondary" data-action="resize-section" type="button">调整行列</button>
+        <button class="button button--danger" data-action="delete-section" type="button" ${
+          sections.length <= 1 ? 'disabled' : ''
+        }>删除</button>
+      </div>
+    `;
+    sectionListEl.appendChild(li);
+  });
+};
+
+const openSectionForm = (section = null) => {
+  if (!dialogSectionForm) return;
+  inputSectionId.value = section ? section.id : '';
+  inputSectionName.value = section ? section.name : '';
+  inputSectionRows.value = section ? section.rows : '';
+  inputSectionCols.value = section ? section.cols : '';
+  inputSectionRows.disabled = Boolean(section);
+  inputSectionCols.disabled = Boolean(section);
+  selectSectionStage.value = section ? section.stageOrientation || 'top' : 'top';
+  setSectionFormStatus('');
+  openDialog(dialogSectionForm);
+};
+
+const applySectionResponse = (project) => {
+  mergeIncomingProject(project, { refreshSeatTable: true, refreshTicketing: false });
+  upsertProjectSummary(project);
+  renderProjectList();
+  renderSectionList();
+};
+
+if (btnAddSection) {
+  btnAddSection.addEventListener('click', () => {
+    if (!activeProject) {
+      setStatus('请先选择项目。', true);
+      return;
+    }
+    openSectionForm(null);
+  });
+}
+
+if (sectionListEl) {
+  sectionListEl.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !activeProject) return;
+    const item = button.closest('[data-section-id]');
+    const section = getProjectSections().find((entry) => entry.id === item?.dataset.sectionId);
+    if (!section) return;
+    if (button.dataset.action === 'edit-section') {
+      openSectionForm(section);
+      return;
+    }
+    if (button.dataset.action === 'resize-section') {
+      openGridResize(section);
+      return;
+    }
+    if (button.dataset.action === 'delete-section') {
+      if (!confirmDanger(`确定要删除分区「${section.name}」及其全部座位吗？`)) return;
+      button.disabled = true;
+      try {
+        const response = await authFetch(
+          `/api/projects/${activeProject.id}/sections/${encodeURIComponent(section.id)}`,
+          { method: 'DELETE' }
+        );
+        if (!response.ok) {
+          const error = await response.json().catch(() => null);
+          throw new Error(error?.error || '删除失败');
+        }
+        const data = await response.json();
+        applySectionResponse(data.project);
+        setStatus(`分区「${section.name}」已删除。`);
+      } catch (error) {
+        setStatus(error.message, true);
+        button.disabled = false;
+      }
+    }
+  });
+}
+
+const setZoneStatus = (message, isError = false) => {
+  if (!zoneStatus) return;
+  zoneStatus.textContent = message || '';
+  zoneStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const setZoneFormStatus = (message, isError = false) => {
+  if (!zoneFormStatus) return;
+  zoneFormStatus.textContent = message || '';
+  zoneFormStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const populateSeatZoneSelect = () => {
+  const previous = seatZoneSelect.value;
+  seatZoneSelect.innerHTML = '';
+  const zones = getProjectZones();
+  if (!zones.length) {
+    seatZoneSelect.innerHTML = '<option value="">请先新增票区</option>';
+    return;
+  }
+  zones.forEach((zone) => {
+    const option = document.createElement('option');
+    option.value = zone.id;
+    option.textContent = formatZoneLabel(zone);
+    seatZoneSelect.appendChild(option);
+  });
+  if (zones.some((zone) => zone.id === previous)) {
+    seatZoneSelect.value = previous;
+  }
+};
+
+const populateSheetZoneSelect = () => {
+  const previous = selectSheetZone.value;
+  selectSheetZone.innerHTML = '<option value="">全部票区</option>';
+  getProjectZones().forEach((zone) => {
+    const option = document.createElement('option');
+    option.value = zone.id;
+    option.textContent = formatZoneLabel(zone);
+    selectSheetZone.appendChild(option);
+  });
+  if ([...selectSheetZone.options].some((option) => option.value === previous)) {
+    selectSheetZone.value = previous;
+  }
+};
+
+const renderZoneList = () => {
+  populateSeatZoneSelect();
+  populateSheetZoneSelect();
+  if (!zoneListEl) return;
+  zoneListEl.innerHTML = '';
+  if (btnAddZone) {
+    btnAddZone.disabled = !activeProject;
+  }
+  if (!activeProject) {
+    zoneListEl.innerHTML = '<li class="hint">请选择项目</li>';
+    return;
+  }
+  const zones = getProjectZones();
+  if (!zones.length) {
+    zoneListEl.innerHTML = '<li class="hint">暂无票区</li>';
+    return;
+  }
+  const seatCounts = new Map();
+  Object.values(activeProject.seats || {}).forEach((seat) => {
+    if (seat?.zoneId) {
+      seatCounts.set(seat.zoneId, (seatCounts.get(seat.zoneId) || 0) + 1);
+    }
+  });
+  zones.forEach((zone) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.dataset.zoneId = zone.id;
+    li.innerHTML = `
+      <div>
+        <strong><span class="price-chip" style="--chip-color: ${zone.color};"></span>${zone.name}</strong>
+        <p class="hint">¥${zone.price}，${seatCounts.get(zone.id) || 0} 个座位${zone.description ? `，${zone.description}` : ''}</p>
+      </div>
+      <div class="table-actions">
+        <button class="button button--secondary" data-action="edit-zone" type="button">编辑</button>
+        <button class="button button--danger" data-action="delete-zone" type="button">删除</button>
+      </div>
+    `;
+    zoneListEl.appendChild(li);
+  });
+};
+
+const openZoneForm = (zone = null) => {
+  if (!dialogZoneForm) return;
+  inputZoneId.value = zone ? zone.id : '';
+  inputZoneName.value = zone ? zone.name : '';
+  inputZonePrice.value = zone ? zone.price : '';
+  inputZoneColor.value = (zone ? zone.color : getNextZoneColor()).toLowerCase();
+  inputZoneDescription.value = zone ? zone.description || '' : '';
+  setZoneFormStatus('');
+  openDialog(dialogZoneForm);
+};
+
+const applyZoneResponse = (project) => {
+  mergeIncomingProject(project, { refreshSeatTable: true, refreshTicketing: false });
+  upsertProjectSummary(project);
+  renderZoneList();
+};
+
+if (btnAddZone) {
+  btnAddZone.addEventListener('click', () => {
+    if (!activeProject) {
+      setStatus('请先选择项目。', true);
+      return;
+    }
+    openZoneForm(null);
+  });
+}
+
+if (zoneListEl) {
+  zoneListEl.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !activeProject) return;
+    const zone = getZone(button.closest('[data-zone-id]')?.dataset.zoneId);
+    if (!zone) return;
+    if (button.dataset.action === 'edit-zone') {
+      openZoneForm(zone);
+      return;
+    }
+    if (button.dataset.action === 'delete-zone') {
+      if (!confirmDanger(`确定要删除票区「${zone.name}」吗？该票区的座位将变为未设置票区。`)) return;
+      if (hasPendingChanges()) {
+        await saveActiveProject({ manual: false, reason: 'auto' });
+      }
+      button.disabled = true;
+      try {
+        const response = await authFetch(
+          `/api/projects/${activeProject.id}/zones/${encodeURIComponent(zone.id)}`,
+          { method: 'DELETE' }
+        );
+        if (!response.ok) {
+          const error = await response.json().catch(() => null);
+          throw new Error(error?.error || '删除失败');
+        }
+        const data = await response.json();
+        applyZoneResponse(data.project);
+        setZoneStatus(`票区「${zone.name}」已删除。`);
+      } catch (error) {
+        setZoneStatus(error.message, true);
+        button.disabled = false;
+      }
+    }
+  });
+}
+
+if (btnSaveZone) {
+  btnSaveZone.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const zoneId = inputZoneId.value;
+    const name = inputZoneName.value.trim();
+    const price = Number(inputZonePrice.value);
+    if (!name) {
+      setZoneFormStatus('请输入票区名称', true);
+      return;
+    }
+    if (inputZonePrice.value.trim() === '' || !Number.isFinite(price) || price < 0) {
+      setZoneFormStatus('票价必须为非负数字', true);
+      return;
+    }
+    if (hasPendingChanges()) {
+      await saveActiveProject({ manual: false, reason: 'auto' });
+    }
+    btnSaveZone.disabled = true;
+    try {
+      const url = zoneId
+        ? `/api/projects/${activeProject.id}/zones/${encodeURIComponent(zoneId)}`
+        : `/api/projects/${activeProject.id}/zones`;
+      const response = await authFetch(url, {
+        method: zoneId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          price,
+          color: inputZoneColor.value,
+          description: inputZoneDescription.value.trim(),
+        }),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '保存失败');
+      }
+      const data = await response.json();
+      closeDialog(dialogZoneForm);
+      applyZoneResponse(data.project);
+      if (!zoneId && data.zone) {
+        seatZoneSelect.value = data.zone.id;
+      }
+      setZoneStatus(zoneId ? `票区「${name}」已更新。` : `已新增票区「${name}」。`);
+    } catch (error) {
+      setZoneFormStatus(error.message, true);
+    } finally {
+      btnSaveZone.disabled = false;
+    }
+  });
+}
+
+const setTicketTypeStatus = (message, isError = false) => {
+  ticketTypeStatus.textContent = message || '';
+  ticketTypeStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const setTicketTypeFormStatus = (message, isError = false) => {
+  ticketTypeFormStatus.textContent = message || '';
+  ticketTypeFormStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const getTicketTypeName = (typeId) =>
+  (activeProject?.ticketTypes || []).find((type) => type.id === typeId)?.name || '全价';
+
+const formatTicketTypePricing = (type) =>
+  type.pricing === 'fixed' ? `固定 ¥${type.price}` : `座位票价 × ${type.discountRate}`;
+
+const renderTicketTypeList = () => {
+  ticketTypeListEl.innerHTML = '';
+  btnAddTicketType.disabled = !activeProject;
+  if (!activeProject) {
+    ticketTypeListEl.innerHTML = '<li class="hint">请选择项目</li>';
+    return;
+  }
+  const ticketTypes = activeProject.ticketTypes || [];
+  if (!ticketTypes.length) {
+    ticketTypeListEl.innerHTML = '<li class="hint">暂无票种，全部按全价出售</li>';
+    return;
+  }
+  const soldCounts = new Map();
+  Object.values(activeProject.seats || {}).forEach((seat) => {
+    if (seat?.status === 'sold' && seat.ticketTypeId) {
+      soldCounts.set(seat.ticketTypeId, (soldCounts.get(seat.ticketTypeId) || 0) + 1);
+    }
+  });
+  ticketTypes.forEach((type) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.dataset.ticketTypeId = type.id;
+    const sold = soldCounts.get(type.id) || 0;
+    li.innerHTML = `
+      <div>
+        <strong>${type.name}</strong>
+        <p class="hint">${formatTicketTypePricing(type)}，已售 ${sold}${type.quota ? ` / ${type.quota}` : ''} 张${
+          type.description ? `，${type.description}` : ''
+        }</p>
+      </div>
+      <div class="table-actions">
+        <button class="button button--secondary" data-action="edit-ticket-type" type="button">编辑</button>
+        <button class="button button--danger" data-action="delete-ticket-type" type="button">删除</button>
+      </div>
+    `;
+    ticketTypeListEl.appendChild(li);
+  });
+};
+
+const syncTicketTypePricingFields = () => {
+  const fixed = selectTicketTypePricing.value === 'fixed';
+  labelTicketTypePrice.hidden = !fixed;
+  labelTicketTypeDiscount.hidden = fixed;
+};
+
+const openTicketTypeForm = (type = null) => {
+  inputTicketTypeId.value = type ? type.id : '';
+  inputTicketTypeName.value = type ? type.name : '';
+  selectTicketTypePricing.value = type ? type.pricing : 'discount';
+  inputTicketTypeDiscount.value = type?.discountRate ?? '';
+  inputTicketTypePrice.value = type?.price ?? '';
+  inputTicketTypeQuota.value = type?.quota ?? '';
+  inputTicketTypeDescription.value = type ? type.description || '' : '';
+  syncTicketTypePricingFields();
+  setTicketTypeFormStatus('');
+  openDialog(dialogTicketTypeForm);
+};
+
+const setGateStatus = (message, isError = false) => {
+  if (!gateStatus) return;
+  gateStatus.textContent = message || '';
+  gateStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const setGateFormStatus = (message, isError = false) => {
+  gateFormStatus.textContent = message || '';
+  gateFormStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const describeGateScope = (gate) => {
+  const sections = (activeProject?.sections || [])
+    .filter((section) => gate.sectionIds.includes(section.id))
+    .map((section) => section.name);
+  const zones = (activeProject?.zones || []).filter((zone) => gate.zoneIds.includes(zone.id)).map((zone) => zone.name);
+  const parts = [];
+  if (sections.length) parts.push(`分区：${sections.join('、')}`);
+  if (zones.length) parts.push(`票区：${zones.join('、')}`);
+  return parts.length ? parts.join('；') : '不限分区和票区';
+};
+
+const renderGateList = () => {
+  if (!gateListEl) return;
+  gateListEl.innerHTML = '';
+  btnAddGate.disabled = !activeProject;
+  if (inputCheckinReentry) {
+    inputCheckinReentry.disabled = !activeProject;
+  }
+  if (!activeProject) {
+    gateListEl.innerHTML = '<li class="hint">请选择项目</li>';
+    return;
+  }
+  const gates = activeProject.gates || [];
+  if (inputCheckinReentry) {
+    inputCheckinReentry.checked = Boolean(activeProject.checkinPolicy?.reentry);
+  }
+  if (!gates.length) {
+    gateListEl.innerHTML = '<li class="hint">未设置入口，任意入口均可检票</li>';
+    return;
+  }
+  const checkedCounts = new Map();
+  Object.values(activeProject.seats || {}).forEach((seat) => {
+    if (seat?.checkedInAt && seat.checkedInGateId) {
+      checkedCounts.set(seat.checkedInGateId, (checkedCounts.get(seat.checkedInGateId) || 0) + 1);
+    }
+  });
+  gates.forEach((gate) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.dataset.gateId = gate.id;
+    li.innerHTML = `
+      <div>
+        <strong>${gate.name}</strong>
+        <p class="hint">${describeGateScope(gate)}，已检 ${checkedCounts.get(gate.id) || 0} 人</p>
+      </div>
+      <div class="table-actions">
+        <button class="button button--secondary" data-action="edit-gate" type="button">编辑</button>
+        <button class="button button--danger" data-action="delete-gate" type="button">删除</button>
+      </div>
+    `;
+    gateListEl.appendChild(li);
+  });
+};
+
+const openGateForm = (gate = null) => {
+  inputGateId.value = gate ? gate.id : '';
+  inputGateName.value = gate ? gate.name : '';
+  selectGateSections.innerHTML = (activeProject.sections || [])
+    .map(
+      (section) =>
+        `<option value="${section.id}"${gate?.sectionIds.includes(section.id) ? ' selected' : ''}>${section.name}</option>`
+    )
+    .join('');
+  selectGateZones.innerHTML = (activeProject.zones || [])
+    .map((zone) => `<option value="${zone.id}"${gate?.zoneIds.includes(zone.id) ? ' selected' : ''}>${zone.name}</option>`)
+    .join('');
+  setGateFormStatus('');
+  openDialog(dialogGateForm);
+};
+
+if (btnAddGate) {
+  btnAddGate.addEventListener('click', () => {
+    if (!activeProject) {
+      setStatus('请先选择项目。', true);
+      return;
+    }
+    openGateForm(null);
+  });
+}
+
+if (gateListEl) {
+  gateListEl.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !activeProject) return;
+    const gateId = button.closest('[data-gate-id]')?.dataset.gateId;
+    const gate = (activeProject.gates || []).find((entry) => entry.id === gateId);
+    if (!gate) return;
+    if (button.dataset.action === 'edit-gate') {
+      openGateForm(gate);
+      return;
+    }
+    if (button.dataset.action === 'delete-gate') {
+      if (!confirmDanger(`确定要删除入口「${gate.name}」吗？`)) return;
+      button.disabled = true;
+      try {
+        const response = await authFetch(`/api/projects/${activeProject.id}/gates/${encodeURIComponent(gate.id)}`, {
+          method: 'DELETE',
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+          throw new Error(data?.error || '删除失败');
+        }
+        mergeIncomingProject(data.project, { refreshSeatTable: false, refreshTicketing: false });
+        renderGateList();
+        setGateStatus(`入口「${gate.name}」已删除。`);
+      } catch (error) {
+        setGateStatus(error.message, true);
+        button.disabled = false;
+      }
+    }
+  });
+}
+
+if (inputCheckinReentry) {
+  inputCheckinReentry.addEventListener('change', async () => {
+    if (!activeProject) return;
+    const reentry = inputCheckinReentry.checked;
+    inputCheckinReentry.disabled = true;
+    try {
+      const response = await authFetch(`/api/projects/${activeProject.id}/checkin-policy`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reentry }),
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(data?.error || '保存失败');
+      }
+      mergeIncomingProject(data.project, { refreshSeatTable: false, refreshTicketing: false });
+      setGateStatus(reentry ? '已允许离场后再次入场。' : '已关闭再次入场。');
+    } catch (error) {
+      setGateStatus(error.message, true);
+    } finally {
+      renderGateList();
+    }
+  });
+}
+
+if (btnSaveGate) {
+  btnSaveGate.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const gateId = inputGateId.value;
+    const name = inputGateName.value.trim();
+    if (!name) {
+      setGateFormStatus('请输入入口名称', true);
+      return;
+    }
+    const payload = {
+      name,
+      sectionIds: [...selectGateSections.selectedOptions].map((option) => option.value),
+      zoneIds: [...selectGateZones.selectedOptions].map((option) => option.value),
     };
+    btnSaveGate.disabled = true;
+    try {
+      const url = gateId
+        ? `/api/projects/${activeProject.id}/gates/${encodeURIComponent(gateId)}`
+        : `/api/projects/${activeProject.id}/gates`;
+      const response = await authFetch(url, {
+        method: gateId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(data?.error || '保存失败');
+      }
+      closeDialog(dialogGateForm);
+      mergeIncomingProject(data.project, { refreshSeatTable: false, refreshTicketing: false });
+      renderGateList();
+      setGateStatus(gateId ? `入口「${name}」已更新。` : `已新增入口「${name}」。`);
+    } catch (error) {
+      setGateFormStatus(error.message, true);
+    } finally {
+      btnSaveGate.disabled = false;
+    }
+  });
+}
+
+const applyTicketTypeResponse = (project) => {
+  mergeIncomingProject(project, { refreshSeatTable: false, refreshTicketing: false });
+  upsertProjectSummary(project);
+  renderTicketTypeList();
+};
+
+selectTicketTypePricing.addEventListener('change', syncTicketTypePricingFields);
+
+btnAddTicketType.addEventListener('click', () => {
+  if (!activeProject) {
+    setStatus('请先选择项目。', true);
+    return;
+  }
+  openTicketTypeForm(null);
+});
+
+ticketTypeListEl.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action]');
+  if (!button || !activeProject) return;
+  const typeId = button.closest('[data-ticket-type-id]')?.dataset.ticketTypeId;
+  const type = (activeProject.ticketTypes || []).find((entry) => entry.id === typeId);
+  if (!type) return;
+  if (button.dataset.action === 'edit-ticket-type') {
+    openTicketTypeForm(type);
+    return;
   }
+  if (button.dataset.action === 'delete-ticket-type') {
+    if (!confirmDanger(`确定要删除票种「${type.name}」吗？`)) return;
+    button.disabled = true;
+    try {
+      const response = await authFetch(
+        `/api/projects/${activeProject.id}/ticket-types/${encodeURIComponent(type.id)}`,
+        { method: 'DELETE' }
+      );
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(data?.error || '删除失败');
+      }
+      applyTicketTypeResponse(data.project);
+      setTicketTypeStatus(`票种「${type.name}」已删除。`);
+    } catch (error) {
+      setTicketTypeStatus(error.message, true);
+      button.disabled = false;
+    }
+  }
+});
+
+btnSaveTicketType.addEventListener('click', async () => {
+  if (!activeProject) return;
+  const typeId = inputTicketTypeId.value;
+  const name = inputTicketTypeName.value.trim();
+  if (!name) {
+    setTicketTypeFormStatus('请输入票种名称', true);
+    return;
+  }
+  const payload = {
+    name,
+    pricing: selectTicketTypePricing.value,
+    quota: inputTicketTypeQuota.value.trim() === '' ? null : Number(inputTicketTypeQuota.value),
+    description: inputTicketTypeDescription.value.trim(),
+  };
+  if (payload.pricing === 'fixed') {
+    payload.price = inputTicketTypePrice.value.trim() === '' ? null : Number(inputTicketTypePrice.value);
+  } else {
+    payload.discountRate = Number(inputTicketTypeDiscount.value);
+  }
+  btnSaveTicketType.disabled = true;
   try {
-    const response = await authFetch('/api/projects', {
-      method: 'POST',
+    const url = typeId
+      ? `/api/projects/${activeProject.id}/ticket-types/${encodeURIComponent(typeId)}`
+      : `/api/projects/${activeProject.id}/ticket-types`;
+    const response = await authFetch(url, {
+      method: typeId ? 'PATCH' : 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, rows, cols, ticketing: ticketingConfig }),
+      body: JSON.stringify(payload),
     });
+    const data = await response.json().catch(() => null);
     if (!response.ok) {
-      const error = await response.json().catch(() => null);
-      throw new Error(error?.error || '创建失败');
+      throw new Error(data?.error || '保存失败');
     }
-    const data = await response.json();
-    dialogNewProject.close();
-    await fetchProjects();
-    setStatus(`项目「${data.project.name}」创建成功，请设置座位。`);
-    selectProject(data.project.id);
+    closeDialog(dialogTicketTypeForm);
+    applyTicketTypeResponse(data.project);
+    setTicketTypeStatus(typeId ? `票种「${name}」已更新。` : `已新增票种「${name}」。`);
   } catch (error) {
-    setNewProjectStatus(error.message, true);
+    setTicketTypeFormStatus(error.message, true);
+  } finally {
+    btnSaveTicketType.disabled = false;
+  }
+});
+
+const setSheetStatus = (message, isError = false) => {
+  sheetStatus.textContent = message || '';
+  sheetStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+btnPrintSheet.addEventListener('click', async () => {
+  if (!activeProject) return;
+  const cols = Number(inputSheetCols.value);
+  const rows = Number(inputSheetRows.value);
+  if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1 || cols > 4 || rows > 10) {
+    setSheetStatus('每行 1-4 张，每页 1-10 行。', true);
+    return;
+  }
+  if (hasPendingChanges()) {
+    await saveActiveProject({ manual: false, reason: 'auto' });
+  }
+  const params = new URLSearchParams({ cols: String(cols), rows: String(rows) });
+  if (selectSheetZone.value) {
+    params.set('zoneId', selectSheetZone.value);
   }
+  window.open(`/api/projects/${activeProject.id}/ticket-sheet?${params}`, '_blank');
+  setSheetStatus('已在新窗口打开打印页，请使用浏览器打印。');
 });
 
+const setHoldStatus = (message, isError = false) => {
+  if (!holdStatus) return;
+  holdStatus.textContent = message || '';
+  holdStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const setHoldFormStatus = (message, isError = false) => {
+  if (!holdFormStatus) return;
+  holdFormStatus.textContent = message || '';
+  holdFormStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const getHold = (holdId) => (activeProject?.holds || []).find((hold) => hold.id === holdId) || null;
+
+const formatHoldExpiry = (hold) =>
+  hold.expiresAt ? `${new Date(hold.expiresAt).toLocaleString()} 到期` : '不自动释放';
+
+const isAllocation = (hold) => Boolean(hold?.accounts?.length || hold?.claimCode);
+
+// Same buckets as the server's allocation usage report.
+const summarizeHoldUsage = (hold) => {
+  const usage = { held: 0, locked: 0, sold: 0, released: hold.releasedSeats || 0 };
+  Object.values(activeProject?.seats || {}).forEach((seat) => {
+    if (seat?.holdId === hold.id && seat.status === 'held') usage.held += 1;
+    else if (seat?.holdId === hold.id && seat.status === 'locked') usage.locked += 1;
+    else if (seat?.allocationId === hold.id && seat.status === 'sold') usage.sold += 1;
+  });
+  return usage;
+};
+
+const renderHoldZoneCounts = (visible) => {
+  holdZoneCountsEl.innerHTML = '';
+  holdZoneCountsEl.hidden = !visible;
+  if (!visible) return;
+  const zones = activeProject?.zones || [];
+  if (!zones.length) {
+    holdZoneCountsEl.innerHTML = '<p class="hint">当前项目尚未设置票区，请先在座位图中选择座位。</p>';
+    return;
+  }
+  zones.forEach((zone) => {
+    const label = document.createElement('label');
+    label.textContent = `${zone.name}（¥${zone.price}）分配数量`;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    input.placeholder = '0';
+    input.dataset.zoneId = zone.id;
+    label.appendChild(input);
+    holdZoneCountsEl.appendChild(label);
+  });
+};
+
+const renderHoldList = () => {
+  if (!holdListEl) return;
+  holdListEl.innerHTML = '';
+  if (!activeProject) {
+    holdListEl.innerHTML = '<li class="hint">请选择项目</li>';
+    return;
+  }
+  const holds = activeProject.holds || [];
+  if (!holds.length) {
+    holdListEl.innerHTML = '<li class="hint">暂无预留</li>';
+    return;
+  }
+  holds.forEach((hold) => {
+    const li = document.createElement('li');
+    li.className = 'section-list__item';
+    li.dataset.holdId = hold.id;
+    const usage = summarizeHoldUsage(hold);
+    const allocation = isAllocation(hold);
+    const details = [
+      `${usage.held} 个座位`,
+      hold.owner ? `负责人 ${hold.owner}` : '',
+      hold.releasedAt
+        ? hold.expiresAt && hold.expiresAt <= hold.releasedAt
+          ? '已到期释放'
+          : '已释放'
+        : formatHoldExpiry(hold),
+    ]
+      .filter(Boolean)
+      .join('，');
+    const allocationDetails = allocation
+      ? [
+          hold.accounts?.length ? `售票账号 ${hold.accounts.join('、')}` : '',
+          hold.claimCode ? `领取码 ${hold.claimCode}` : '',
+          `已售 ${usage.sold}，售票中 ${usage.locked}，已释放 ${usage.released}`,
+        ]
+          .filter(Boolean)
+          .join('，')
+      : '';
+    li.innerHTML = `
+      <div>
+        <strong>${hold.name}</strong>
+        <p class="hint">${details}</p>
+        ${allocationDetails ? `<p class="hint">${allocationDetails}</p>` : ''}
+        ${hold.note ? `<p class="hint">${hold.note}</p>` : ''}
+      </div>
+      <div class="table-actions">
+        <button class="button button--secondary" data-action="edit-hold" type="button">编辑</button>
+        <button class="button button--primary" data-action="release-hold" type="button" ${
+          usage.held ? '' : 'disabled'
+        }>释放开售</button>
+        ${
+          allocation || hold.releasedAt
+            ? '<button class="button button--danger" data-action="delete-hold" type="button">删除</button>'
+            : ''
+        }
+      </div>
+    `;
+    holdListEl.appendChild(li);
+  });
+};
+
+const openHoldForm = (hold = null, { allocation = false } = {}) => {
+  if (!dialogHoldForm) return;
+  inputHoldId.value = hold ? hold.id : '';
+  if (hold) {
+    holdFormSummary.textContent = `编辑预留「${hold.name}」。`;
+  } else if (allocation) {
+    holdFormSummary.textContent = `按票区填写分配数量${selectedSeats.size ? `，并包含选中的 ${selectedSeats.size} 个座位` : ''}。`;
+  } else {
+    holdFormSummary.textContent = `将预留选中的 ${selectedSeats.size} 个座位。`;
+  }
+  renderHoldZoneCounts(!hold && allocation);
+  inputHoldName.value = hold ? hold.name : '';
+  inputHoldOwner.value = hold ? hold.owner || '' : '';
+  inputHoldExpires.value = hold ? toDatetimeLocalValue(hold.expiresAt) : '';
+  inputHoldNote.value = hold ? hold.note || '' : '';
+  inputHoldAccounts.value = hold?.accounts ? hold.accounts.join(', ') : '';
+  inputHoldClaimCode.value = hold?.claimCode || '';
+  setHoldFormStatus('');
+  openDialog(dialogHoldForm);
+};
+
+const requestHoldChange = async (url, method, body) => {
+  if (hasPendingChanges()) {
+    await saveActiveProject({ manual: false, reason: 'auto' });
+  }
+  const response = await authFetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => null);
+    throw new Error(error?.error || '操作失败');
+  }
+  const data = await response.json();
+  mergeIncomingProject(data.project, { refreshSeatTable: true, refreshTicketing: false });
+  upsertProjectSummary(data.project);
+  renderHoldList();
+  return data;
+};
+
+if (btnHoldSeats) {
+  btnHoldSeats.addEventListener('click', () => {
+    if (!activeProject || !selectedSeats.size) {
+      setHoldStatus('请先选择要预留的座位。', true);
+      return;
+    }
+    openHoldForm(null);
+  });
+}
+
+if (btnAddAllocation) {
+  btnAddAllocation.addEventListener('click', () => {
+    if (!activeProject) return;
+    openHoldForm(null, { allocation: true });
+  });
+}
+
+if (btnSaveHold) {
+  btnSaveHold.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const holdId = inputHoldId.value;
+    const name = inputHoldName.value.trim();
+    if (!name) {
+      setHoldFormStatus('请输入预留名称', true);
+      return;
+    }
+    let expiresAt = null;
+    if (inputHoldExpires.value) {
+      expiresAt = new Date(inputHoldExpires.value).getTime();
+      if (!Number.isFinite(expiresAt)) {
+        setHoldFormStatus('预留到期时间无效', true);
+        return;
+      }
+    }
+    const payload = {
+      name,
+      owner: inputHoldOwner.value.trim(),
+      note: inputHoldNote.value.trim(),
+      expiresAt,
+      accounts: inputHoldAccounts.value.split(/[,，\s]+/).filter(Boolean),
+      claimCode: inputHoldClaimCode.value.trim(),
+    };
+    if (!holdId) {
+      payload.seatIds = [...selectedSeats];
+      payload.zoneCounts = Object.fromEntries(
+        [...holdZoneCountsEl.querySelectorAll('input[data-zone-id]')]
+          .filter((input) => Number(input.value) > 0)
+          .map((input) => [input.dataset.zoneId, Number(input.value)])
+      );
+      if (!payload.seatIds.length && !Object.keys(payload.zoneCounts).length) {
+        setHoldFormStatus('请选择座位或填写各票区的分配数量', true);
+        return;
+      }
+    }
+    btnSaveHold.disabled = true;
+    try {
+      const data = await requestHoldChange(
+        holdId
+          ? `/api/projects/${activeProject.id}/holds/${encodeURIComponent(holdId)}`
+          : `/api/projects/${activeProject.id}/holds`,
+        holdId ? 'PATCH' : 'POST',
+        payload
+      );
+      closeDialog(dialogHoldForm);
+      if (!holdId) {
+        resetSelection();
+      }
+      const heldCount = Object.values(data.project.seats).filter((seat) => seat.holdId === data.hold.id).length;
+      setHoldStatus(holdId ? `预留「${name}」已更新。` : `已预留 ${heldCount} 个座位。`);
+    } catch (error) {
+      setHoldFormStatus(error.message, true);
+    } finally {
+      btnSaveHold.disabled = false;
+    }
+  });
+}
+
+if (btnReleaseSelectedHolds) {
+  btnReleaseSelectedHolds.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const seatIds = [...selectedSeats].filter((id) => activeProject.seats[id]?.status === 'held');
+    if (!seatIds.length) {
+      setHoldStatus('选中的座位中没有预留座位。', true);
+      return;
+    }
+    if (!confirmDanger(`确定要将 ${seatIds.length} 个预留座位释放开售吗？`)) return;
+    try {
+      const data = await requestHoldChange(`/api/projects/${activeProject.id}/holds/release`, 'POST', { seatIds });
+      resetSelection();
+      setHoldStatus(`已释放 ${data.released} 个座位。`);
+    } catch (error) {
+      setHoldStatus(error.message, true);
+    }
+  });
+}
+
+if (holdListEl) {
+  holdListEl.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !activeProject) return;
+    const hold = getHold(button.closest('[data-hold-id]')?.dataset.holdId);
+    if (!hold) return;
+    if (button.dataset.action === 'edit-hold') {
+      openHoldForm(hold);
+      return;
+    }
+    if (button.dataset.action === 'delete-hold') {
+      const message = isAllocation(hold)
+        ? `确定要删除分配「${hold.name}」吗？未领取的座位将开放售票，使用记录一并删除。`
+        : `确定要删除已释放的预留「${hold.name}」吗？`;
+      if (!confirmDanger(message)) return;
+      button.disabled = true;
+      try {
+        await requestHoldChange(`/api/projects/${activeProject.id}/holds/${encodeURIComponent(hold.id)}`, 'DELETE');
+        setHoldStatus(`${isAllocation(hold) ? '分配' : '预留'}「${hold.name}」已删除。`);
+      } catch (error) {
+        setHoldStatus(error.message, true);
+        button.disabled = false;
+      }
+      return;
+    }
+    if (button.dataset.action === 'release-hold') {
+      if (!confirmDanger(`确定要释放预留「${hold.name}」的全部座位并开放售票吗？`)) return;
+      button.disabled = true;
+      try {
+        const data = await requestHoldChange(`/api/projects/${activeProject.id}/holds/release`, 'POST', {
+          holdId: hold.id,
+        });
+        setHoldStatus(`预留「${hold.name}」已释放 ${data.released} 个座位。`);
+      } catch (error) {
+        setHoldStatus(error.message, true);
+        button.disabled = false;
+      }
+    }
+  });
+}
+
+if (btnExportHolds) {
+  btnExportHolds.addEventListener('click', async () => {
+    if (!activeProject) return;
+    try {
+      const response = await authFetch(`/api/projects/${activeProject.id}/holds`);
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '导出失败');
+      }
+      const data = await response.json();
+      const rows = [['预留名称', '负责人', '到期时间', '备注', '座位', '票区', '票价']];
+      (data.holds || []).forEach((hold) => {
+        hold.seats.forEach((seat) => {
+          rows.push([
+            hold.name,
+            hold.owner || '',
+            hold.expiresAt ? new Date(hold.expiresAt).toLocaleString() : '',
+            hold.note || '',
+            seat.seatDisplay,
+            seat.zoneName || '',
+            seat.price != null ? seat.price : '',
+          ]);
+        });
+      });
+      if (rows.length === 1) {
+        setHoldStatus('当前项目没有预留座位。', true);
+        return;
+      }
+      const csv = rows
+        .map((cols) => cols.map((value) => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+      const safeName = (activeProject.name || 'holds').replace(/[^\w\u4e00-\u9fa5-]+/g, '_');
+      downloadTextFile(`${safeName}-预留座位.csv`, csv, 'text/csv');
+      setHoldStatus(`已导出 ${rows.length - 1} 个预留座位。`);
+    } catch (error) {
+      setHoldStatus(error.message, true);
+    }
+  });
+}
+
+if (btnExportAllocations) {
+  btnExportAllocations.addEventListener('click', async () => {
+    if (!activeProject) return;
+    try {
+      const response = await authFetch(`/api/projects/${activeProject.id}/holds`);
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '导出失败');
+      }
+      const data = await response.json();
+      const rows = [['分配名称', '售票账号', '领取码', '到期时间', '分配座位', '已售', '已检票', '售票中', '未领取', '已释放']];
+      (data.holds || []).filter(isAllocation).forEach((hold) => {
+        rows.push([
+          hold.name,
+          (hold.accounts || []).join(' '),
+          hold.claimCode || '',
+          hold.expiresAt ? new Date(hold.expiresAt).toLocaleString() : '',
+          hold.usage.total,
+          hold.usage.sold,
+          hold.usage.checkedIn,
+          hold.usage.locked,
+          hold.usage.held,
+          hold.usage.released,
+        ]);
+      });
+      if (rows.length === 1) {
+        setHoldStatus('当前项目没有班级分配。', true);
+        return;
+      }
+      const csv = rows
+        .map((cols) => cols.map((value) => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+      const safeName = (activeProject.name || 'allocations').replace(/[^\w\u4e00-\u9fa5-]+/g, '_');
+      downloadTextFile(`${safeName}-班级分配.csv`, csv, 'text/csv');
+      setHoldStatus(`已导出 ${rows.length - 1} 个班级分配的使用情况。`);
+    } catch (error) {
+      setHoldStatus(error.message, true);
+    }
+  });
+}
+
+const GRID_INDEX_LABELS = {
+  'insert-rows': '在第几行之前插入（行数 +1 表示末尾）',
+  'delete-rows': '从第几行开始删除',
+  'insert-cols': '在第几列之前插入（列数 +1 表示末尾）',
+  'delete-cols': '从第几列开始删除',
+};
+
+const setGridResizeStatus = (message, isError = false) => {
+  if (!gridResizeStatus) return;
+  gridResizeStatus.textContent = message || '';
+  gridResizeStatus.style.color = isError ? '#ed553b' : '#20639b';
+};
+
+const openGridResize = (section) => {
+  if (!dialogGridResize) return;
+  inputGridSectionId.value = section.id;
+  gridResizeSummary.textContent = `分区「${section.name}」当前 ${section.rows} 行 × ${section.cols} 列。`;
+  selectGridOperation.value = 'insert-rows';
+  gridResizeIndexLabel.textContent = GRID_INDEX_LABELS['insert-rows'];
+  inputGridIndex.value = String(section.rows + 1);
+  inputGridCount.value = '1';
+  setGridResizeStatus('');
+  openDialog(dialogGridResize);
+};
+
+if (selectGridOperation) {
+  selectGridOperation.addEventListener('change', () => {
+    gridResizeIndexLabel.textContent = GRID_INDEX_LABELS[selectGridOperation.value] || '';
+  });
+}
+
+if (btnApplyGridResize) {
+  btnApplyGridResize.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const operation = selectGridOperation.value;
+    const index = Number(inputGridIndex.value) - 1;
+    const count = Number(inputGridCount.value);
+    if (!Number.isInteger(index) || index < 0 || !Number.isInteger(count) || count <= 0) {
+      setGridResizeStatus('请填写正确的位置与数量', true);
+      return;
+    }
+    if (operation.startsWith('delete') && !confirmDanger('删除行列会移除其中的座位设置，确定继续吗？')) {
+      return;
+    }
+    if (hasPendingChanges()) {
+      await saveActiveProject({ manual: false, reason: 'auto' });
+    }
+    btnApplyGridResize.disabled = true;
+    try {
+      const response = await authFetch(`/api/projects/${activeProject.id}/grid`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sectionId: inputGridSectionId.value, operation, index, count }),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '调整失败');
+      }
+      const data = await response.json();
+      closeDialog(dialogGridResize);
+      selectedSeats.clear();
+      updateSelectedCount();
+      applySectionResponse(data.project);
+      setStatus('行列已调整，排号已重新生成。');
+    } catch (error) {
+      setGridResizeStatus(error.message, true);
+    } finally {
+      btnApplyGridResize.disabled = false;
+    }
+  });
+}
+
+if (btnSaveSection) {
+  btnSaveSection.addEventListener('click', async () => {
+    if (!activeProject) return;
+    const sectionId = inputSectionId.value;
+    const name = inputSectionName.value.trim();
+    const stageOrientation = selectSectionStage.value;
+    if (!name) {
+      setSectionFormStatus('请输入分区名称', true);
+      return;
+    }
+    let url = `/api/projects/${activeProject.id}/sections`;
+    let method = 'POST';
+    const payload = { name, stageOrientation };
+    if (sectionId) {
+      url = `${url}/${encodeURIComponent(sectionId)}`;
+      method = 'PATCH';
+    } else {
+      const rows = Number(inputSectionRows.value);
+      const cols = Number(inputSectionCols.value);
+      if (
+        !Number.isInteger(rows) ||
+        !Number.isInteger(cols) ||
+        rows <= 0 ||
+        cols <= 0 ||
+        rows > 200 ||
+        cols > 200
+      ) {
+        setSectionFormStatus('行列数需为 1-200 的整数', true);
+        return;
+      }
+      payload.rows = rows;
+      payload.cols = cols;
+    }
+    btnSaveSection.disabled = true;
+    try {
+      const response = await authFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => null);
+        throw new Error(error?.error || '保存失败');
+      }
+      const data = await response.json();
+      closeDialog(dialogSectionForm);
+      applySectionResponse(data.project);
+      setStatus(sectionId ? '分区信息已更新。' : `已新增分区「${name}」，请设置座位。`);
+    } catch (error) {
+      setSectionFormStatus(error.message, true);
+    } finally {
+      btnSaveSection.disabled = false;
+    }
+  });
+}
+
 btnLogout.addEventListener('click', async () => {
   try {
     await fetch('/api/auth/logout', { method: 'POST' });
@@ -3061,10 +5847,15 @@ const mergeIncomingProject = (project, { refreshSeatTable: shouldRefreshTable =
   modifiedSeats.forEach((pending, id) => {
     const seat = activeProject.seats[id];
     if (!seat) return;
-    seat.status = pending.status;
-    seat.price = pending.price;
-    if (seat.price != null) {
-      ensureLocalPriceColor(seat.price);
+    if (pending.status !== undefined) {
+      seat.status = pending.status;
+      seat.price = pending.price;
+    }
+    if (pending.zoneId !== undefined) {
+      seat.zoneId = pending.zoneId;
+    }
+    if (pending.attributes !== undefined) {
+      seat.attributes = pending.attributes;
     }
   });
   selectedSeats.forEach((id) => {
@@ -3102,6 +5893,13 @@ socket.on('project:update', ({ projectId, project }) => {
   renderProjectList();
 });
 
+socket.on('waitlist:match', ({ projectId, entry, available }) => {
+  if (!activeProject || activeProject.id !== projectId) return;
+  setStatus(
+    `候补提醒：${entry.customer?.name}（${entry.partySize} 人，${entry.zoneName || '任意票区'}）可安排，当前空闲 ${available} 个，请在售票终端留座。`
+  );
+});
+
 socket.on('admin:accounts:update', ({ accounts: nextAccounts }) => {
   accounts = nextAccounts || [];
   renderAccounts();
@@ -3110,8 +5908,14 @@ socket.on('admin:accounts:update', ({ accounts: nextAccounts }) => {
 updateTicketingControls();
 updateWorkspaceAvailability();
 updateSaveButtonState();
+renderSectionList();
+renderZoneList();
+renderTicketTypeList();
+renderGateList();
+renderHoldList();
 resetOrderForm();
 refreshMerchData();
 fetchProjects();
+loadVenueTemplates({ silent: true });
 fetchAccounts();
 loadCheckinLogs();
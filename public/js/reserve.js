@@ -0,0 +1,397 @@
+const projectSelect = document.getElementById('reserve-project-select');
+const btnRefresh = document.getElementById('btn-reserve-refresh');
+const claimInput = document.getElementById('input-reserve-claim');
+const reserveHint = document.getElementById('reserve-hint');
+const zoneList = document.getElementById('reserve-zone-list');
+const seatCanvas = document.getElementById('reserve-seat-canvas');
+const selectedList = document.getElementById('reserve-selected-list');
+const selectedCountEl = document.getElementById('reserve-selected-count');
+const selectedTotalEl = document.getElementById('reserve-selected-total');
+const reserveForm = document.getElementById('reserve-form');
+const customerInputs = ['name', 'grade', 'phone'].map((field) => document.getElementById(`input-reserve-${field}`));
+const statusEl = document.getElementById('reserve-status');
+const resultEl = document.getElementById('reserve-result');
+const codeEl = document.getElementById('reserve-code');
+const detailEl = document.getElementById('reserve-detail');
+const paymentActions = document.getElementById('reserve-payment-actions');
+const cancelPhoneInput = document.getElementById('input-reserve-cancel-phone');
+const btnCancel = document.getElementById('btn-reserve-cancel');
+const lookupInput = document.getElementById('input-reserve-lookup');
+const btnLookup = document.getElementById('btn-reserve-lookup');
+
+const DEFAULT_SECTION_ID = 'main';
+const REFRESH_INTERVAL_MS = 15 * 1000;
+const STATUS_LABELS = {
+  pending: '待付款',
+  paid: '已在线支付',
+  confirmed: '已出票',
+  cancelled: '已取消',
+  expired: '已过期',
+};
+
+let projects = [];
+let paymentProviders = [];
+let activeProject = null;
+let currentReservation = null;
+const selectedSeats = new Set();
+
+const seatKey = (row, col, sectionId = DEFAULT_SECTION_ID) =>
+  !sectionId || sectionId === DEFAULT_SECTION_ID ? `r${row}-c${col}` : `${sectionId}:r${row}-c${col}`;
+
+const formatCurrency = (value) => `¥${Number(value || 0).toFixed(2)}`;
+
+const showStatus = (message, isError = false) => {
+  statusEl.textContent = message;
+  statusEl.style.color = isError ? '#ed553b' : '#1f76d0';
+};
+
+const publicFetch = async (url, init = {}) => {
+  const response = await fetch(url, {
+    ...init,
+    headers: init.body ? { 'Content-Type': 'application/json' } : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || '请求失败');
+  }
+  return data;
+};
+
+const formatPerformance = (project) => {
+  const parts = [project.performance?.label || project.name];
+  if (project.performance?.startsAt) {
+    parts.push(
+      new Date(project.performance.startsAt).toLocaleString([], {
+        month: 'numeric',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    );
+  }
+  return parts.join(' ');
+};
+
+const getSections = () => {
+  if (Array.isArray(activeProject.sections) && activeProject.sections.length) return activeProject.sections;
+  return [{ id: DEFAULT_SECTION_ID, name: '主区', rows: activeProject.rows, cols: activeProject.cols }];
+};
+
+const formatSeatLabel = (seat) => {
+  const label = seat.seatLabel || `${seat.row + 1}排${seat.col + 1}号`;
+  const sections = getSections();
+  if (sections.length <= 1) return label;
+  const section = sections.find((item) => item.id === (seat.sectionId || DEFAULT_SECTION_ID));
+  return section ? `${section.name} ${label}` : label;
+};
+
+const renderZones = () => {
+  zoneList.innerHTML = '';
+  (activeProject?.zones || []).forEach((zone) => {
+    const li = document.createElement('li');
+    li.innerHTML = `<span class="price-chip" style="--chip-color: ${zone.color};"></span>`;
+    li.append(`${zone.name}：¥${zone.price}`);
+    zoneList.appendChild(li);
+  });
+};
+
+const buildSectionGrid = (section, zoneColors) => {
+  const grid = document.createElement('div');
+  grid.className = 'seat-grid';
+  grid.style.gridTemplateColumns = `repeat(${section.cols}, 34px)`;
+  const rowOrder = [...Array(section.rows).keys()];
+  if (section.stageOrientation === 'bottom') {
+    rowOrder.reverse();
+  }
+  rowOrder.forEach((row) => {
+    for (let col = 0; col < section.cols; col += 1) {
+      const id = seatKey(row, col, section.id);
+      const seat = activeProject.seats[id];
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'seat-button';
+      button.dataset.seatId = id;
+      if (!seat || seat.status === 'disabled') {
+        button.classList.add('seat--disabled');
+        button.disabled = true;
+      } else if (seat.status !== 'available') {
+        button.classList.add('seat--held');
+        button.disabled = true;
+      } else if (selectedSeats.has(id)) {
+        button.classList.add('seat--locked');
+      } else {
+        button.classList.add('seat--available');
+      }
+      if (seat?.status === 'available' && zoneColors.has(seat.zoneId)) {
+        button.classList.add('seat--priced');
+        button.style.setProperty('--seat-price-color', zoneColors.get(seat.zoneId));
+      }
+      const match = seat?.seatLabel?.match(/(\d+)(?:号|座)?$/u);
+      button.textContent = match ? match[1] : String(col + 1);
+      button.title = seat ? `${formatSeatLabel(seat)}${seat.price != null ? ` | ¥${seat.price}` : ''}` : '';
+      grid.appendChild(button);
+    }
+  });
+  return grid;
+};
+
+const renderSeatMap = () => {
+  if (!activeProject) {
+    seatCanvas.innerHTML = '<p class="placeholder">暂无开放在线预约的场次。</p>';
+    return;
+  }
+  const zoneColors = new Map((activeProject.zones || []).map((zone) => [zone.id, zone.color]));
+  const sections = getSections();
+  const wrapper = document.createElement('div');
+  wrapper.className = 'seat-sections';
+  sections.forEach((section) => {
+    const frame = document.createElement('section');
+    frame.className = `seat-section seat-section--stage-${section.stageOrientation || 'top'}`;
+    if (sections.length > 1) {
+      const title = document.createElement('header');
+      title.className = 'seat-section__title';
+      title.textContent = section.name;
+      frame.appendChild(title);
+    }
+    frame.appendChild(buildSectionGrid(section, zoneColors));
+    wrapper.appendChild(frame);
+  });
+  seatCanvas.innerHTML = '';
+  seatCanvas.appendChild(wrapper);
+};
+
+const renderSelected = () => {
+  // Seats taken by someone else since the last refresh drop out of the selection.
+  [...selectedSeats].forEach((id) => {
+    if (activeProject?.seats[id]?.status !== 'available') selectedSeats.delete(id);
+  });
+  selectedList.innerHTML = '';
+  let total = 0;
+  selectedSeats.forEach((id) => {
+    const seat = activeProject.seats[id];
+    total += seat.price || 0;
+    const li = document.createElement('li');
+    li.className = 'selected-item';
+    li.innerHTML = `
+      <div class="selected-item__info">
+        <strong></strong>
+        <span>票价：${formatCurrency(seat.price)}</span>
+      </div>
+      <div class="selected-item__actions">
+        <button class="button button--link" type="button" data-seat-id="${id}">移除</button>
+      </div>
+    `;
+    li.querySelector('strong').textContent = formatSeatLabel(seat);
+    selectedList.appendChild(li);
+  });
+  selectedCountEl.textContent = String(selectedSeats.size);
+  selectedTotalEl.textContent = formatCurrency(total);
+};
+
+const render = () => {
+  renderZones();
+  renderSeatMap();
+  renderSelected();
+};
+
+const getClaimCode = () => claimInput.value.trim().toUpperCase();
+
+const loadProject = async (projectId) => {
+  if (!projectId) {
+    activeProject = null;
+    selectedSeats.clear();
+    render();
+    return;
+  }
+  const claimCode = getClaimCode();
+  try {
+    const query = claimCode ? `?claim=${encodeURIComponent(claimCode)}` : '';
+    const { project } = await publicFetch(`/api/public/projects/${encodeURIComponent(projectId)}${query}`);
+    if (activeProject?.id !== project.id) {
+      selectedSeats.clear();
+    }
+    activeProject = project;
+    const allocation = project.allocation
+      ? `已使用「${project.allocation.name}」领取码，班级座位剩余 ${project.allocation.remaining} 个。`
+      : '';
+    reserveHint.textContent = `${allocation}每单最多 ${project.onlineBooking.maxSeats} 个座位，预约后保留 ${project.onlineBooking.holdMinutes} 分钟，请在保留期内到售票处付款取票。`;
+    render();
+  } catch (error) {
+    activeProject = null;
+    render();
+    showStatus(error.message, true);
+  }
+};
+
+const loadProjects = async () => {
+  try {
+    const data = await publicFetch('/api/public/projects');
+    projects = data.projects;
+    paymentProviders = data.paymentProviders || [];
+  } catch (error) {
+    showStatus(error.message, true);
+    return;
+  }
+  const params = new URLSearchParams(window.location.search);
+  const previous = projectSelect.value || params.get('project');
+  if (!claimInput.value && params.get('claim')) {
+    claimInput.value = params.get('claim');
+  }
+  projectSelect.innerHTML = projects
+    .map((project) => `<option value="${project.id}">${formatPerformance(project)}（可预约 ${project.available}）</option>`)
+    .join('');
+  if (projects.some((project) => project.id === previous)) {
+    projectSelect.value = previous;
+  }
+  await loadProject(projectSelect.value);
+};
+
+const renderReservation = () => {
+  if (!currentReservation) {
+    resultEl.hidden = true;
+    return;
+  }
+  const reservation = currentReservation;
+  resultEl.hidden = false;
+  codeEl.textContent = reservation.code;
+  const seats = reservation.seats.map((seat) => seat.seatDisplay).join('、');
+  const expiry =
+    reservation.status === 'pending' && reservation.expiresAt
+      ? `，请在 ${new Date(reservation.expiresAt).toLocaleString()} 前到售票处付款取票`
+      : '';
+  const pickup = reservation.status === 'paid' ? '，请凭预约码到售票处取票' : '';
+  detailEl.textContent = `状态：${STATUS_LABELS[reservation.status] || reservation.status}${expiry}${pickup}。座位：${seats}；合计 ${formatCurrency(reservation.total)}。`;
+  paymentActions.innerHTML = '';
+  if (reservation.status === 'pending') {
+    paymentProviders.forEach((provider) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'button button--primary';
+      button.dataset.provider = provider.id;
+      button.textContent = `在线支付：${provider.label}`;
+      paymentActions.appendChild(button);
+    });
+  }
+  btnCancel.disabled = reservation.status !== 'pending';
+};
+
+const lookupReservation = async (code) => {
+  const projectId = currentReservation?.projectId || projectSelect.value;
+  if (!code || !projectId) return;
+  try {
+    const { reservation } = await publicFetch(
+      `/api/public/projects/${encodeURIComponent(projectId)}/reservations/${encodeURIComponent(code)}`
+    );
+    currentReservation = reservation;
+    renderReservation();
+    showStatus('');
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+};
+
+seatCanvas.addEventListener('click', (event) => {
+  const button = event.target.closest('.seat-button');
+  if (!button || button.disabled || !activeProject) return;
+  const id = button.dataset.seatId;
+  if (selectedSeats.has(id)) {
+    selectedSeats.delete(id);
+  } else if (selectedSeats.size >= activeProject.onlineBooking.maxSeats) {
+    showStatus(`每单最多 ${activeProject.onlineBooking.maxSeats} 个座位`, true);
+    return;
+  } else {
+    selectedSeats.add(id);
+  }
+  showStatus('');
+  renderSeatMap();
+  renderSelected();
+});
+
+selectedList.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-seat-id]');
+  if (!button) return;
+  selectedSeats.delete(button.dataset.seatId);
+  renderSeatMap();
+  renderSelected();
+});
+
+reserveForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!activeProject) return;
+  if (!selectedSeats.size) {
+    showStatus('请先在座位图中选择座位', true);
+    return;
+  }
+  const [name, grade, phone] = customerInputs.map((input) => input.value.trim());
+  showStatus('正在提交预约...');
+  try {
+    const { reservation } = await publicFetch(`/api/public/projects/${activeProject.id}/reservations`, {
+      method: 'POST',
+      body: JSON.stringify({
+        seatIds: [...selectedSeats],
+        claimCode: activeProject.allocation ? getClaimCode() : undefined,
+        customer: { name, grade, phone },
+      }),
+    });
+    currentReservation = reservation;
+    selectedSeats.clear();
+    cancelPhoneInput.value = phone;
+    renderReservation();
+    showStatus('预约成功，请牢记预约码。');
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+  await loadProject(activeProject.id);
+});
+
+paymentActions.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-provider]');
+  if (!button || !currentReservation) return;
+  button.disabled = true;
+  try {
+    const { reservation } = await publicFetch(
+      `/api/public/projects/${currentReservation.projectId}/reservations/${currentReservation.code}/pay`,
+      { method: 'POST', body: JSON.stringify({ provider: button.dataset.provider }) }
+    );
+    currentReservation = reservation;
+    renderReservation();
+    showStatus('支付成功，请凭预约码到售票处取票。');
+  } catch (error) {
+    button.disabled = false;
+    showStatus(error.message, true);
+  }
+});
+
+btnCancel.addEventListener('click', async () => {
+  if (!currentReservation) return;
+  if (!window.confirm(`确定取消预约 ${currentReservation.code} 吗？座位将被释放。`)) return;
+  try {
+    const { reservation } = await publicFetch(
+      `/api/public/projects/${currentReservation.projectId}/reservations/${currentReservation.code}/cancel`,
+      { method: 'POST', body: JSON.stringify({ phone: cancelPhoneInput.value.trim() }) }
+    );
+    currentReservation = reservation;
+    renderReservation();
+    showStatus('预约已取消。');
+    await loadProject(projectSelect.value);
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+btnLookup.addEventListener('click', () => {
+  currentReservation = null;
+  lookupReservation(lookupInput.value.trim().toUpperCase());
+});
+
+projectSelect.addEventListener('change', () => loadProject(projectSelect.value));
+claimInput.addEventListener('change', () => loadProject(projectSelect.value));
+btnRefresh.addEventListener('click', loadProjects);
+
+setInterval(() => {
+  if (activeProject && document.visibilityState === 'visible') {
+    loadProject(activeProject.id);
+  }
+}, REFRESH_INTERVAL_MS);
+
+loadProjects();
@@ -16,10 +16,41 @@ const btnManualConfirm = document.getElementById('btn-manual-confirm');
 const btnLogout = document.getElementById('btn-logout');
 const btnHome = document.getElementById('btn-home');
 const salesZoneSummaryList = document.getElementById('sales-zone-summary-list');
-const autoSelectPrice = document.getElementById('auto-select-price');
+const autoSelectZone = document.getElementById('auto-select-zone');
 const autoSelectCount = document.getElementById('auto-select-count');
 const btnAutoSelect = document.getElementById('btn-auto-select');
+const autoSelectAttributes = document.getElementById('auto-select-attributes');
 const btnClearSelected = document.getElementById('btn-clear-selected');
+const selectPaymentMethod = document.getElementById('select-payment-method');
+const selectTicketCheckoutMode = document.getElementById('select-ticket-checkout-mode');
+const selectCombinedProduct = document.getElementById('select-combined-product');
+const btnCombinedAdd = document.getElementById('btn-combined-add');
+const combinedMerchList = document.getElementById('combined-merch-list');
+const selectCombinedCheckoutMode = document.getElementById('select-combined-checkout-mode');
+const combinedSummaryEl = document.getElementById('combined-summary');
+const btnCombinedCheckout = document.getElementById('btn-combined-checkout');
+const inputReservationCode = document.getElementById('input-reservation-code');
+const btnReservationLookup = document.getElementById('btn-reservation-lookup');
+const reservationList = document.getElementById('reservation-list');
+const reservationDetail = document.getElementById('reservation-detail');
+const btnReservationConfirm = document.getElementById('btn-reservation-confirm');
+const btnReservationCancel = document.getElementById('btn-reservation-cancel');
+const waitlistNotice = document.getElementById('waitlist-notice');
+const inputWaitlistName = document.getElementById('input-waitlist-name');
+const inputWaitlistPhone = document.getElementById('input-waitlist-phone');
+const inputWaitlistParty = document.getElementById('input-waitlist-party');
+const selectWaitlistZone = document.getElementById('select-waitlist-zone');
+const btnWaitlistAdd = document.getElementById('btn-waitlist-add');
+const btnWaitlistRefresh = document.getElementById('btn-waitlist-refresh');
+const waitlistList = document.getElementById('waitlist-list');
+const inputAmountReceived = document.getElementById('input-amount-received');
+const customerInputs = ['name', 'grade', 'phone', 'student-id'].map((field) =>
+  document.getElementById(`input-customer-${field}`)
+);
+const merchCustomerInputs = ['name', 'grade', 'phone'].map((field) =>
+  document.getElementById(`input-merch-customer-${field}`)
+);
+const paymentSummaryEl = document.getElementById('payment-summary');
 const stageLabelEl = document.getElementById('sales-stage-label');
 const merchProductsContainer = document.getElementById('sales-merch-products');
 const merchCartList = document.getElementById('merch-cart-list');
@@ -39,7 +70,13 @@ const btnStartCheckin = document.getElementById('btn-start-checkin');
 const btnStopCheckin = document.getElementById('btn-stop-checkin');
 const btnSubmitCheckin = document.getElementById('btn-submit-checkin');
 const inputCheckinCode = document.getElementById('input-checkin-code');
+const inputCheckinCustomer = document.getElementById('input-checkin-customer');
+const checkinCustomerResults = document.getElementById('checkin-customer-results');
 const btnRefreshCheckin = document.getElementById('btn-refresh-checkin');
+const btnDownloadManifest = document.getElementById('btn-download-manifest');
+const selectCheckinGate = document.getElementById('select-checkin-gate');
+const selectCheckinDirection = document.getElementById('select-checkin-direction');
+const checkinOfflineStatusEl = document.getElementById('checkin-offline-status');
 const salesTabs = document.querySelectorAll('.sales-tab');
 const modules = {
   sales: [document.getElementById('module-sales')],
@@ -47,29 +84,24 @@ const modules = {
   checkin: [document.getElementById('module-checkin')],
 };
 
-const PRICE_COLORS = [
-  '#2B8A3E',
-  '#1F76D0',
-  '#ED553B',
-  '#845EF7',
-  '#20BF55',
-  '#F6AE2D',
-  '#FF6B6B',
-  '#3CAEA3',
-];
 const PLACEHOLDER_IMAGE =
   'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300"><rect width="400" height="300" fill="%23f2f4f8" rx="16"/><text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" fill="%2399a5c2" font-size="24">No Image</text></svg>';
 
 const socket = io({ withCredentials: true, transports: ['websocket', 'polling'] });
 
 let projects = [];
+let shows = [];
 let activeProject = null;
 let seatElements = new Map();
 let seatGridElement = null;
 let seatGridSignature = null;
-let priceColorMap = new Map();
+let zoneColorMap = new Map();
 let mySocketId = null;
+let currentUsername = null;
+let currentRole = null;
 let pendingIssue = null;
+let currentSale = null;
+const seatTicketTypes = new Map();
 let videoStream = null;
 let barcodeDetector = null;
 let scanContext = null;
@@ -81,6 +113,9 @@ let zoneSummaryData = [];
 let merchCatalog = [];
 let checkoutModes = [];
 let merchCart = [];
+let activeReservations = [];
+let selectedReservation = null;
+let waitlist = [];
 let checkinStats = { totalSold: 0, checkedIn: 0 };
 let checkinDetector = null;
 let checkinContext = null;
@@ -88,6 +123,10 @@ let checkinStream = null;
 let checkinLoopActive = false;
 let lastCheckinCode = '';
 let lastCheckinTime = 0;
+let checkinManifest = null;
+let checkinQueueCount = 0;
+let checkinSyncing = false;
+let checkinDbPromise = null;
 
 if (btnClearSelected) {
   btnClearSelected.disabled = true;
@@ -110,30 +149,80 @@ const authFetch = async (input, init = {}) => {
   return response;
 };
 
-const seatKey = (row, col) => `r${row}-c${col}`;
+const DEFAULT_SECTION_ID = 'main';
 
-const ensureActiveProjectMetadata = () => {
-  if (!activeProject) return;
-  if (!activeProject.priceColorAssignments || typeof activeProject.priceColorAssignments !== 'object') {
-    activeProject.priceColorAssignments = {};
+const seatKey = (row, col, sectionId = DEFAULT_SECTION_ID) =>
+  !sectionId || sectionId === DEFAULT_SECTION_ID ? `r${row}-c${col}` : `${sectionId}:r${row}-c${col}`;
+
+const getProjectSections = (project = activeProject) => {
+  if (!project) return [];
+  if (Array.isArray(project.sections) && project.sections.length) return project.sections;
+  return [
+    { id: DEFAULT_SECTION_ID, name: '主区', rows: project.rows, cols: project.cols, stageOrientation: 'top' },
+  ];
+};
+
+const formatPerformance = (performance) => {
+  if (!performance) return '';
+  const parts = [];
+  if (performance.label) parts.push(performance.label);
+  if (performance.startsAt) {
+    parts.push(
+      new Date(performance.startsAt).toLocaleString([], {
+        month: 'numeric',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    );
   }
+  return parts.join(' ');
 };
 
-const ensureLocalPriceColor = (price) => {
-  if (!activeProject || price == null) return null;
-  ensureActiveProjectMetadata();
-  const key = String(price);
-  if (!activeProject.priceColorAssignments[key]) {
-    const used = new Set(Object.values(activeProject.priceColorAssignments));
-    let color = PRICE_COLORS.find((candidate) => !used.has(candidate));
-    if (!color) {
-      color = PRICE_COLORS[used.size % PRICE_COLORS.length];
-    }
-    activeProject.priceColorAssignments[key] = color;
+const formatProjectOption = (project, available) => {
+  const performance = project.showId ? formatPerformance(project.performance) : '';
+  return performance
+    ? `${performance}（剩余 ${available}）`
+    : `${project.name}（剩余 ${available}）`;
+};
+
+const getSectionOrder = () => new Map(getProjectSections().map((section, index) => [section.id, index]));
+
+const compareSeats = (sectionOrder) => (a, b) => {
+  const orderA = sectionOrder.get(a.sectionId || DEFAULT_SECTION_ID) ?? 0;
+  const orderB = sectionOrder.get(b.sectionId || DEFAULT_SECTION_ID) ?? 0;
+  if (orderA !== orderB) return orderA - orderB;
+  if (a.row !== b.row) return a.row - b.row;
+  return a.col - b.col;
+};
+
+const ensureActiveProjectMetadata = () => {
+  if (!activeProject) return;
+  if (!Array.isArray(activeProject.zones)) {
+    activeProject.zones = [];
   }
-  return activeProject.priceColorAssignments[key];
 };
 
+const getZone = (zoneId) => (activeProject?.zones || []).find((zone) => zone.id === zoneId) || null;
+
+const SEAT_ATTRIBUTES = [
+  { id: 'wheelchair', label: '轮椅位', icon: '♿' },
+  { id: 'companion', label: '陪同座', icon: '伴' },
+  { id: 'restricted-view', label: '视线受限', icon: '限' },
+  { id: 'near-exit', label: '近出口', icon: '出' },
+];
+
+const getSeatAttributes = (seat) =>
+  SEAT_ATTRIBUTES.filter((attribute) => seat?.attributes?.includes(attribute.id));
+
+const getHold = (holdId) => (activeProject?.holds || []).find((hold) => hold.id === holdId) || null;
+
+// Class allocations name the accounts allowed to sell their held seats.
+const canSellHeldSeat = (seat) =>
+  Boolean(currentUsername && seat?.status === 'held' && getHold(seat.holdId)?.accounts?.includes(currentUsername));
+
+const formatZoneLabel = (zone) => (zone ? `${zone.name}（¥${zone.price}）` : '未设置票区');
+
 const extractSeatNumber = (seat, fallback) => {
   if (!seat || !seat.seatLabel) return fallback;
   const match = seat.seatLabel.match(/(\d+)(?:号|座)?$/u);
@@ -142,7 +231,11 @@ const extractSeatNumber = (seat, fallback) => {
 
 const formatSeatLabel = (seat) => {
   if (!seat) return '';
-  return seat.seatLabel || `${seat.row + 1}排${seat.col + 1}号`;
+  const label = seat.seatLabel || `${seat.row + 1}排${seat.col + 1}号`;
+  const sections = getProjectSections();
+  if (sections.length <= 1) return label;
+  const section = sections.find((item) => item.id === (seat.sectionId || DEFAULT_SECTION_ID));
+  return section ? `${section.name} ${label}` : label;
 };
 
 const stopIssueScanner = () => {
@@ -214,6 +307,14 @@ const emitAsync = (event, payload) =>
     socket.emit(event, payload, (response = {}) => resolve(response));
   });
 
+// Admins may push a sale past the purchase limits; everyone else just sees the reason.
+const emitWithLimitOverride = async (event, payload) => {
+  const resp = await emitAsync(event, payload);
+  if (resp.ok || !resp.limitExceeded || currentRole !== 'admin') return resp;
+  if (!window.confirm(`${resp.message}\n是否以管理员身份突破限购？`)) return resp;
+  return emitAsync(event, { ...payload, overrideLimits: true });
+};
+
 const showStatus = (message, isError = false) => {
   salesStatus.textContent = message || '';
   salesStatus.style.color = isError ? '#e14949' : '#1f76d0';
@@ -229,6 +330,7 @@ const formatCurrency = (value) => `¥${Number(value || 0).toFixed(2)}`;
 
 socket.on('connect', () => {
   showStatus('');
+  syncCheckinQueue();
 });
 
 socket.on('disconnect', (reason) => {
@@ -269,11 +371,12 @@ const resetSeatCanvas = (message = '等待选择项目...') => {
   placeholder.textContent = message;
   seatCanvas.appendChild(placeholder);
   seatElements.clear();
-  priceColorMap = new Map();
+  zoneColorMap = new Map();
   salesZoneSummaryList.innerHTML = '<li>暂无数据</li>';
-  autoSelectPrice.innerHTML = '<option value="any">全部价位</option>';
+  autoSelectZone.innerHTML = '<option value="any">全部票区</option>';
   zoneSummaryData = [];
   if (stageLabelEl) {
+    stageLabelEl.hidden = false;
     stageLabelEl.style.transform = 'translateX(-50%)';
   }
   btnAutoSelect.disabled = true;
@@ -328,16 +431,15 @@ const renderMerchProducts = () => {
   });
 };
 
-const getSelectedCheckoutMode = () => {
-  if (!merchCheckoutModeSelect) return null;
-  const selectedId = merchCheckoutModeSelect.value;
+const getSelectedCheckoutMode = (select) => {
+  if (!select) return null;
+  const selectedId = select.value;
   if (!selectedId) return null;
   return checkoutModes.find((mode) => mode.id === selectedId && mode.enabled !== false) || null;
 };
 
-const applyCheckoutModeToTotal = (totalBefore) => {
-  const mode = getSelectedCheckoutMode();
-  if (!mode || totalBefore <= 0) {
+const applyCheckoutModeToTotal = (mode, totalBefore, quantity, basket = null) => {
+  if (!mode || totalBefore <= 0 || (mode.minQuantity && quantity < mode.minQuantity)) {
     return { totalAfter: totalBefore, discount: 0, mode: null };
   }
   let totalAfter = totalBefore;
@@ -358,6 +460,11 @@ const applyCheckoutModeToTotal = (totalBefore) => {
       discount = Math.max(0, Math.min(totalBefore, stacks * cutAmount));
       totalAfter = totalBefore - discount;
     }
+  } else if (mode.type === 'bundle' && basket) {
+    const pairs = Math.min(basket.tickets, basket.products[mode.bundleProductId] || 0);
+    const stacks = mode.stackLimit ? Math.min(pairs, mode.stackLimit) : pairs;
+    discount = Math.min(totalBefore, stacks * (Number(mode.cutAmount) || 0));
+    totalAfter = totalBefore - discount;
   }
   return {
     totalAfter: Math.max(0, Math.round(totalAfter * 100) / 100),
@@ -389,24 +496,50 @@ const updateCheckinStats = () => {
   const totalSold = seats.filter((s) => s.status === 'sold').length;
   const checked = seats.filter((s) => s.status === 'sold' && s.checkedInAt).length;
   checkinStats = { totalSold, checkedIn: checked };
-  checkinStatsEl.textContent = `已检 ${checked} / 总票数 ${totalSold}`;
+  const gates = activeProject?.gates || [];
+  const gateCounts = gates
+    .map((gate) => `${gate.name} ${seats.filter((s) => s.checkedInAt && s.checkedInGateId === gate.id).length}`)
+    .join(' · ');
+  const inside = seats.filter((s) => s.status === 'sold' && s.checkedInAt && !s.checkedOutAt).length;
+  checkinStatsEl.textContent = `已检 ${checked} / 总票数 ${totalSold}${gateCounts ? `（${gateCounts}）` : ''}${
+    activeProject?.checkinPolicy?.reentry ? `  场内 ${inside}` : ''
+  }`;
 };
 
-const renderCheckinSeatGrid = () => {
-  if (!checkinSeatGrid) return;
-  const seats = Object.values(activeProject?.seats || {});
-  if (!seats.length) {
-    checkinSeatGrid.innerHTML = '<p class="hint">请选择项目后查看。</p>';
+const checkinGateStorageKey = (projectId) => `hsm-checkin-gate:${projectId}`;
+
+// Each scanner remembers the entrance it was set up at, per project.
+const renderCheckinGateOptions = () => {
+  if (!selectCheckinGate) return;
+  const gates = activeProject?.gates || [];
+  selectCheckinGate.hidden = !gates.length;
+  if (!gates.length) {
+    selectCheckinGate.innerHTML = '';
     return;
   }
-  const sorted = seats.slice().sort((a, b) => {
-    if (a.row !== b.row) return a.row - b.row;
-    return a.col - b.col;
-  });
-  const cols = activeProject ? activeProject.cols : 0;
-  checkinSeatGrid.style.gridTemplateColumns = `repeat(${Math.max(cols, 1)}, minmax(10px, 1fr))`;
-  checkinSeatGrid.innerHTML = '';
-  sorted.forEach((seat) => {
+  const saved = gates.some((gate) => gate.id === selectCheckinGate.value)
+    ? selectCheckinGate.value
+    : localStorage.getItem(checkinGateStorageKey(activeProject.id));
+  selectCheckinGate.innerHTML = [
+    '<option value="">选择检票入口</option>',
+    ...gates.map((gate) => `<option value="${gate.id}">${gate.name}</option>`),
+  ].join('');
+  selectCheckinGate.value = gates.some((gate) => gate.id === saved) ? saved : '';
+};
+
+const renderCheckinDirection = () => {
+  if (!selectCheckinDirection) return;
+  const reentry = Boolean(activeProject?.checkinPolicy?.reentry);
+  selectCheckinDirection.hidden = !reentry;
+  if (!reentry) selectCheckinDirection.value = 'in';
+};
+
+const gateAdmitsTicket = (gate, ticket) =>
+  (!gate.sectionIds.length || gate.sectionIds.includes(ticket.sectionId)) &&
+  (!gate.zoneIds.length || gate.zoneIds.includes(ticket.zoneId));
+
+const buildCheckinDots = (grid, seats) => {
+  seats.forEach((seat) => {
     const dot = document.createElement('div');
     dot.className = 'seat-dot seat-dot--empty';
     if (seat.status === 'disabled') {
@@ -416,7 +549,78 @@ const renderCheckinSeatGrid = () => {
     } else if (seat.status === 'sold') {
       dot.classList.add('seat-dot--sold');
     }
-    checkinSeatGrid.appendChild(dot);
+    grid.appendChild(dot);
+  });
+};
+
+const renderCheckinSeatGrid = () => {
+  if (!checkinSeatGrid) return;
+  const seats = Object.values(activeProject?.seats || {});
+  if (!seats.length) {
+    checkinSeatGrid.innerHTML = '<p class="hint">请选择项目后查看。</p>';
+    return;
+  }
+  const sorted = seats.slice().sort(compareSeats(getSectionOrder()));
+  const sections = getProjectSections();
+  checkinSeatGrid.innerHTML = '';
+  if (sections.length <= 1) {
+    const cols = activeProject ? activeProject.cols : 0;
+    checkinSeatGrid.classList.add('seat-grid--checkin');
+    checkinSeatGrid.style.gridTemplateColumns = `repeat(${Math.max(cols, 1)}, minmax(10px, 1fr))`;
+    buildCheckinDots(checkinSeatGrid, sorted);
+    return;
+  }
+  checkinSeatGrid.classList.remove('seat-grid--checkin');
+  checkinSeatGrid.style.removeProperty('grid-template-columns');
+  sections.forEach((section) => {
+    const block = document.createElement('div');
+    block.className = 'seat-section__checkin';
+    const title = document.createElement('strong');
+    title.className = 'seat-section__title';
+    title.textContent = section.name;
+    const grid = document.createElement('div');
+    grid.className = 'seat-grid--checkin';
+    grid.style.gridTemplateColumns = `repeat(${Math.max(section.cols, 1)}, minmax(10px, 1fr))`;
+    buildCheckinDots(
+      grid,
+      sorted.filter((seat) => (seat.sectionId || DEFAULT_SECTION_ID) === section.id)
+    );
+    block.appendChild(title);
+    block.appendChild(grid);
+    checkinSeatGrid.appendChild(block);
+  });
+};
+
+const renderCheckinCustomerResults = () => {
+  const query = inputCheckinCustomer.value.trim().toLowerCase();
+  checkinCustomerResults.innerHTML = '';
+  if (!query || !activeProject) return;
+  const matches = Object.values(activeProject.seats)
+    .filter((seat) => seat.status === 'sold' && matchesCustomer(seat.customer, query))
+    .sort(compareSeats(getSectionOrder()));
+  if (!matches.length) {
+    checkinCustomerResults.innerHTML = '<li class="hint">未找到匹配的购票人。</li>';
+    return;
+  }
+  matches.forEach((seat) => {
+    const { name, grade, phone, studentId } = seat.customer;
+    const li = document.createElement('li');
+    li.className = 'selected-item';
+    li.innerHTML = `
+      <div class="selected-item__info">
+        <strong>${formatSeatLabel(seat)}</strong>
+        <span data-role="customer"></span>
+      </div>
+      <div class="selected-item__actions">
+        ${
+          seat.checkedInAt
+            ? '<span class="hint">已检票</span>'
+            : `<button class="button button--primary" data-code="${seat.ticketCode || seat.ticketNumber}" type="button">检票</button>`
+        }
+      </div>
+    `;
+    li.querySelector('[data-role="customer"]').textContent = [name, grade, studentId, phone].filter(Boolean).join(' · ');
+    checkinCustomerResults.appendChild(li);
   });
 };
 
@@ -426,14 +630,17 @@ const renderMerchCart = () => {
   if (!merchCart.length) {
     merchCartList.innerHTML = '<li class="hint">购物车为空。</li>';
     if (merchCartTotal) merchCartTotal.innerHTML = '¥0.00';
+    renderCombinedCheckout();
     return;
   }
   let total = 0;
+  let quantity = 0;
   merchCart.forEach((entry) => {
     const product = merchCatalog.find((item) => item.id === entry.productId);
     if (!product) return;
     const subtotal = Math.round(product.price * entry.quantity * 100) / 100;
     total += subtotal;
+    quantity += entry.quantity;
     const li = document.createElement('li');
     li.dataset.id = entry.productId;
     li.innerHTML = `
@@ -452,7 +659,11 @@ const renderMerchCart = () => {
     `;
     merchCartList.appendChild(li);
   });
-  const { totalAfter, discount, mode } = applyCheckoutModeToTotal(total);
+  const { totalAfter, discount, mode } = applyCheckoutModeToTotal(
+    getSelectedCheckoutMode(merchCheckoutModeSelect),
+    total,
+    quantity
+  );
   if (merchCartTotal) {
     merchCartTotal.innerHTML = `${formatCurrency(totalAfter)}${
       discount
@@ -460,6 +671,7 @@ const renderMerchCart = () => {
         : ''
     }`;
   }
+  renderCombinedCheckout();
 };
 
 const syncCartWithStock = () => {
@@ -521,24 +733,323 @@ const removeCartItem = (productId) => {
   renderMerchCart();
 };
 
-const populateCheckoutModes = () => {
-  if (!merchCheckoutModeSelect) return;
-  const previousValue = merchCheckoutModeSelect.value || '';
+const fillCheckoutModeSelect = (select, scope) => {
+  if (!select) return;
+  const previousValue = select.value || '';
   let hasMatch = false;
   const options = ['<option value="">原价</option>'];
   checkoutModes
-    .filter((mode) => mode.enabled !== false)
+    .filter((mode) => mode.enabled !== false && [scope, 'both'].includes(mode.scope || 'merch'))
+    .filter((mode) => mode.type !== 'bundle' || scope === 'both')
     .forEach((mode) => {
       if (mode.id === previousValue) {
         hasMatch = true;
       }
       options.push(`<option value="${mode.id}">${mode.name}</option>`);
     });
-  merchCheckoutModeSelect.innerHTML = options.join('');
-  merchCheckoutModeSelect.value = hasMatch ? previousValue : '';
+  select.innerHTML = options.join('');
+  select.value = hasMatch ? previousValue : '';
+};
+
+const populateCheckoutModes = () => {
+  fillCheckoutModeSelect(merchCheckoutModeSelect, 'merch');
+  fillCheckoutModeSelect(selectTicketCheckoutMode, 'tickets');
+  fillCheckoutModeSelect(selectCombinedCheckoutMode, 'both');
   renderMerchCart();
+  updateSelectedList();
+};
+
+const CHECKIN_DB_NAME = 'hsm-checkin';
+const CHECKIN_SYNC_INTERVAL = 30000;
+const SIGNED_CODE_SEPARATOR = '~';
+
+const openCheckinDb = () => {
+  if (!checkinDbPromise) {
+    checkinDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('浏览器不支持离线存储'));
+        return;
+      }
+      const request = window.indexedDB.open(CHECKIN_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('manifests', { keyPath: 'projectId' });
+        request.result.createObjectStore('queue', { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    checkinDbPromise.catch(() => {
+      checkinDbPromise = null;
+    });
+  }
+  return checkinDbPromise;
+};
+
+const runCheckinStore = async (storeName, mode, action) => {
+  const db = await openCheckinDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const createScanId = () =>
+  window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+const renderCheckinOfflineStatus = (message = '') => {
+  if (!checkinOfflineStatusEl) return;
+  const parts = [];
+  if (!navigator.onLine) parts.push('当前离线');
+  parts.push(
+    checkinManifest
+      ? `离线名单：${checkinManifest.tickets.length} 张（${new Date(checkinManifest.generatedAt).toLocaleTimeString()} 更新）`
+      : '未下载离线名单'
+  );
+  parts.push(`待同步：${checkinQueueCount} 条`);
+  if (message) parts.push(message);
+  checkinOfflineStatusEl.textContent = parts.join('  ');
+};
+
+const refreshCheckinQueueCount = async () => {
+  try {
+    checkinQueueCount = await runCheckinStore('queue', 'readonly', (store) => store.count());
+  } catch {
+    checkinQueueCount = 0;
+  }
+  renderCheckinOfflineStatus();
+};
+
+const loadCheckinManifest = async (projectId, { download = true } = {}) => {
+  let manifest = null;
+  if (download && navigator.onLine) {
+    try {
+      const response = await authFetch(`/api/projects/${projectId}/checkin/manifest`);
+      if (response.ok) manifest = await response.json();
+    } catch {
+      manifest = null;
+    }
+  }
+  try {
+    if (manifest) {
+      // Scans still waiting in the queue are not on the server yet; keep them marked on the fresh copy.
+      const pending = await runCheckinStore('queue', 'readonly', (store) => store.getAll());
+      pending
+        .filter((scan) => scan.projectId === projectId)
+        .sort((a, b) => a.scannedAt - b.scannedAt)
+        .forEach((scan) => {
+          const ticket = findManifestTicket(manifest, scan.ticketCode);
+          if (ticket) applyLocalScan(ticket, scan);
+        });
+      await runCheckinStore('manifests', 'readwrite', (store) => store.put(manifest));
+    } else {
+      manifest = (await runCheckinStore('manifests', 'readonly', (store) => store.get(projectId))) || null;
+    }
+  } catch {
+    // Without IndexedDB the manifest still works for this page session.
+  }
+  if (activeProject?.id === projectId) {
+    checkinManifest = manifest;
+  }
+  renderCheckinOfflineStatus();
+  return manifest;
+};
+
+// Mirrors how the server applies a queued scan, so the local copy matches what the sync will produce.
+const applyLocalScan = (ticket, scan) => {
+  if (scan.direction === 'out') {
+    ticket.checkedOutAt = scan.scannedAt;
+  } else if (ticket.checkedInAt) {
+    ticket.checkedOutAt = null;
+  } else {
+    ticket.checkedInAt = scan.scannedAt;
+    ticket.checkedInBy = scan.handledBy;
+  }
+};
+
+const findManifestTicket = (manifest, code) => {
+  if (!manifest) return null;
+  return (
+    manifest.tickets.find((ticket) =>
+      manifest.signed ? ticket.ticketCode === code : ticket.ticketNumber === code || ticket.ticketCode === code
+    ) || null
+  );
+};
+
+const markManifestTicket = (seat) => {
+  if (!checkinManifest || !seat) return;
+  const ticket = checkinManifest.tickets.find((item) => item.seatId === seat.seatId);
+  if (!ticket) return;
+  ticket.checkedInAt = seat.checkedInAt;
+  ticket.checkedInBy = seat.checkedInBy;
+  ticket.checkedOutAt = seat.checkedOutAt;
+  runCheckinStore('manifests', 'readwrite', (store) => store.put(checkinManifest)).catch(() => {});
+};
+
+const submitOfflineCheckin = async (ticketCode) => {
+  if (!checkinManifest || checkinManifest.projectId !== activeProject.id) {
+    setCheckinResult('网络不可用，且尚未下载本场次的离线名单。', 'error');
+    playBeep(false);
+    return;
+  }
+  if (checkinManifest.voided.includes(ticketCode.split(SIGNED_CODE_SEPARATOR)[0])) {
+    setCheckinResult('该票已作废（离线校验）', 'error');
+    playBeep(false);
+    return;
+  }
+  const ticket = findManifestTicket(checkinManifest, ticketCode);
+  if (!ticket) {
+    setCheckinResult('离线名单中没有该票，请联网后复核', 'error');
+    playBeep(false);
+    return;
+  }
+  const direction = checkinManifest.reentry && selectCheckinDirection?.value === 'out' ? 'out' : 'in';
+  const gates = checkinManifest.gates || [];
+  const gateId = selectCheckinGate?.value || '';
+  const gate = gates.find((entry) => entry.id === gateId);
+  if (direction === 'in' && gates.length && !gate) {
+    setCheckinResult('请先选择检票入口。', 'error');
+    playBeep(false);
+    return;
+  }
+  if (direction === 'in' && gate && !gateAdmitsTicket(gate, ticket)) {
+    const expected = gates.filter((entry) => gateAdmitsTicket(entry, ticket));
+    setCheckinResult(
+      expected.length
+        ? `入口错误，请前往${expected.map((entry) => `「${entry.name}」`).join('或')}`
+        : '该座位没有对应的检票入口，请联系工作人员',
+      'error',
+      `座位：${ticket.seatDisplay}`
+    );
+    playBeep(false);
+    return;
+  }
+  const seat = activeProject.seats[ticket.seatId];
+  const checkedInAt = ticket.checkedInAt || seat?.checkedInAt;
+  const checkedOutAt = ticket.checkedInAt ? ticket.checkedOutAt : seat?.checkedOutAt;
+  let resultMessage = '检票成功（离线，待同步）';
+  if (direction === 'out') {
+    if (!checkedInAt || checkedOutAt) {
+      setCheckinResult(checkedOutAt ? '该票已离场，请在入口扫码再次入场' : '该票尚未入场', 'error', `座位：${ticket.seatDisplay}`);
+      playBeep(false);
+      return;
+    }
+    resultMessage = '离场登记成功（离线，待同步）';
+  } else if (checkedInAt) {
+    if (!checkinManifest.reentry || !checkedOutAt) {
+      setCheckinResult(
+        '已检票（离线校验）',
+        'error',
+        `座位：${ticket.seatDisplay}；检票时间：${new Date(checkedInAt).toLocaleString()}；检票人：${
+          ticket.checkedInBy || seat?.checkedInBy || '-'
+        }`
+      );
+      playBeep(false);
+      return;
+    }
+    resultMessage = '再次入场（离线，待同步）';
+  }
+  const scan = {
+    id: createScanId(),
+    projectId: activeProject.id,
+    ticketCode,
+    gateId: gate?.id || null,
+    direction,
+    scannedAt: Date.now(),
+    handledBy: currentUsername || mySocketId || 'scanner',
+  };
+  try {
+    await runCheckinStore('queue', 'readwrite', (store) => store.put(scan));
+  } catch (error) {
+    setCheckinResult(error.message || '无法保存离线检票记录', 'error');
+    playBeep(false);
+    return;
+  }
+  if (!ticket.checkedInAt && checkedInAt) {
+    Object.assign(ticket, { checkedInAt, checkedInBy: seat?.checkedInBy || null, checkedOutAt: checkedOutAt || null });
+  }
+  applyLocalScan(ticket, scan);
+  runCheckinStore('manifests', 'readwrite', (store) => store.put(checkinManifest)).catch(() => {});
+  if (seat) {
+    activeProject.seats[ticket.seatId] = {
+      ...seat,
+      checkedInAt: ticket.checkedInAt,
+      checkedInBy: ticket.checkedInBy,
+      checkedOutAt: ticket.checkedOutAt,
+      checkedInGateId: seat.checkedInAt ? seat.checkedInGateId : scan.gateId,
+    };
+  }
+  updateCheckinStats();
+  renderCheckinSeatGrid();
+  renderCheckinCustomerResults();
+  await refreshCheckinQueueCount();
+  setCheckinResult(resultMessage, 'success', `座位：${ticket.seatDisplay}   票种：${ticket.ticketTypeName || '全价'}`);
+  playBeep(true);
+  if (inputCheckinCode) inputCheckinCode.value = '';
+};
+
+const syncCheckinQueue = async () => {
+  if (checkinSyncing || !navigator.onLine) return;
+  checkinSyncing = true;
+  try {
+    const pending = await runCheckinStore('queue', 'readonly', (store) => store.getAll());
+    if (!pending.length) return;
+    const byProject = new Map();
+    pending.forEach((scan) => {
+      if (!byProject.has(scan.projectId)) byProject.set(scan.projectId, []);
+      byProject.get(scan.projectId).push(scan);
+    });
+    let synced = 0;
+    const conflicts = [];
+    for (const [projectId, scans] of byProject) {
+      const response = await authFetch(`/api/projects/${projectId}/checkin/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          scannerId: mySocketId || 'scanner',
+          scans: scans.map(({ id, ticketCode, gateId, direction, scannedAt }) => ({
+            id,
+            ticketCode,
+            gateId,
+            direction,
+            scannedAt,
+          })),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 404) {
+        await runCheckinStore('queue', 'readwrite', (store) => scans.forEach((scan) => store.delete(scan.id)));
+        continue;
+      }
+      if (!response.ok) continue;
+      const results = data.results || [];
+      await runCheckinStore('queue', 'readwrite', (store) => results.forEach((result) => store.delete(result.id)));
+      synced += results.length;
+      results
+        .filter((result) => result.status === 'conflict' || result.status === 'rejected')
+        .forEach((result) => conflicts.push(`${result.seat?.seatDisplay || ''} ${result.message}`.trim()));
+      if (projectId === activeProject?.id) {
+        await loadCheckinManifest(projectId);
+      }
+    }
+    await refreshCheckinQueueCount();
+    if (synced) {
+      renderCheckinOfflineStatus(`已同步 ${synced} 条离线检票`);
+    }
+    if (conflicts.length) {
+      setCheckinResult(`离线同步发现 ${conflicts.length} 条异常，请核查`, 'error', conflicts.join('；'));
+      playBeep(false);
+    }
+  } catch {
+    // Still offline or the server is unreachable; the queue is retried on the next tick.
+  } finally {
+    checkinSyncing = false;
+  }
 };
 
+const CHECKIN_ACTION_MESSAGES = { success: '检票成功', checkout: '离场登记成功', reentry: '再次入场' };
+
 const submitCheckin = async (code) => {
   if (!activeProject) {
     setCheckinResult('请先选择项目。', 'error');
@@ -549,39 +1060,67 @@ const submitCheckin = async (code) => {
     setCheckinResult('请输入票号。', 'error');
     return;
   }
+  if (!navigator.onLine) {
+    await submitOfflineCheckin(ticketCode);
+    return;
+  }
   setCheckinResult('检票中...', null);
   try {
     const response = await authFetch(`/api/projects/${activeProject.id}/checkin`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ticketCode, scannerId: mySocketId || 'scanner' }),
+      body: JSON.stringify({
+        ticketCode,
+        scannerId: mySocketId || 'scanner',
+        gateId: selectCheckinGate?.value || '',
+        direction: selectCheckinDirection?.value || 'in',
+      }),
     });
     const data = await response.json().catch(() => ({}));
     if (!response.ok) {
       const seatInfo = data.seat
-        ? `座位：${data.seat.seatLabel || ''}；状态：${data.seat.status || ''}`
+        ? `座位：${data.seat.seatDisplay || data.seat.seatLabel || ''}；状态：${data.seat.status || ''}`
         : '';
       setCheckinResult(data.error || '检票失败', 'error', seatInfo);
       playBeep(false);
       return;
     }
     if (data.seat) {
-      const seatIdKey = seatId(data.seat.row, data.seat.col);
+      const seatIdKey = data.seat.seatId || seatKey(data.seat.row, data.seat.col, data.seat.sectionId);
       if (activeProject.seats[seatIdKey]) {
-        activeProject.seats[seatIdKey] = { ...activeProject.seats[seatIdKey], ...data.seat, status: 'sold' };
+        activeProject.seats[seatIdKey] = {
+          ...activeProject.seats[seatIdKey],
+          ...data.seat,
+          checkedInGateId: data.seat.gateId,
+          status: 'sold',
+        };
       }
+      markManifestTicket(data.seat);
     }
     updateCheckinStats();
     renderCheckinSeatGrid();
+    renderCheckinCustomerResults();
     const seatInfo = data.seat
-      ? `座位：${data.seat.seatLabel || ''}   票价：${data.seat.price ?? '-'}   售票时间：${
+      ? `座位：${data.seat.seatDisplay || data.seat.seatLabel || ''}   票种：${data.seat.ticketTypeName || '全价'}   票价：${
+          data.seat.soldPrice ?? data.seat.price ?? '-'
+        }   售票时间：${
           data.seat.issuedAt ? new Date(data.seat.issuedAt).toLocaleString() : '未知'
         }`
       : '';
-    setCheckinResult('检票成功', 'success', seatInfo);
+    const customer = data.seat?.customer;
+    setCheckinResult(
+      CHECKIN_ACTION_MESSAGES[data.action] || '检票成功',
+      'success',
+      customer ? `${seatInfo}   购票人：${[customer.name, customer.grade].filter(Boolean).join(' ')}` : seatInfo
+    );
     playBeep(true);
     if (inputCheckinCode) inputCheckinCode.value = '';
   } catch (error) {
+    // fetch rejects with a TypeError when the network is down; fall back to the local manifest.
+    if (error instanceof TypeError) {
+      await submitOfflineCheckin(ticketCode);
+      return;
+    }
     setCheckinResult(error.message || '检票失败', 'error');
     playBeep(false);
   }
@@ -608,28 +1147,13 @@ const fetchMerchData = async () => {
     setMerchStatus(error.message || '获取文创商品失败。', true);
   }
 };
-const computePriceColorMap = () => {
+const computeZoneColorMap = () => {
   if (!activeProject) {
-    priceColorMap = new Map();
+    zoneColorMap = new Map();
     return;
   }
   ensureActiveProjectMetadata();
-  priceColorMap = new Map();
-  const activePrices = new Set();
-  Object.values(activeProject.seats || {}).forEach((seat) => {
-    if (seat && seat.status !== 'disabled' && seat.price != null) {
-      activePrices.add(String(seat.price));
-    }
-  });
-  [...activePrices]
-    .sort((a, b) => Number(a) - Number(b))
-    .forEach((priceKey) => {
-      const priceValue = Number(priceKey);
-      const color = ensureLocalPriceColor(priceValue);
-      if (color) {
-        priceColorMap.set(priceValue, color);
-      }
-    });
+  zoneColorMap = new Map(activeProject.zones.map((zone) => [zone.id, zone.color]));
 };
 
 const updateProjectOptionStats = (projectData = activeProject) => {
@@ -638,7 +1162,7 @@ const updateProjectOptionStats = (projectData = activeProject) => {
   const available = seats.filter((seat) => seat.status === 'available').length;
   const option = [...projectSelect.options].find((opt) => opt.value === projectData.id);
   if (option) {
-    option.textContent = `${projectData.name}（剩余 ${available}）`;
+    option.textContent = formatProjectOption(projectData, available);
   }
   const projectIndex = projects.findIndex((item) => item.id === projectData.id);
   if (projectIndex >= 0) {
@@ -647,16 +1171,22 @@ const updateProjectOptionStats = (projectData = activeProject) => {
       availableSeats: available,
       updatedAt: projectData.updatedAt ?? Date.now(),
       name: projectData.name,
+      showId: projectData.showId ?? projects[projectIndex].showId,
+      performance: projectData.performance ?? projects[projectIndex].performance,
       rows: projectData.rows ?? projects[projectIndex].rows,
       cols: projectData.cols ?? projects[projectIndex].cols,
+      sections: projectData.sections ?? projects[projectIndex].sections,
     };
   } else if (projectData.id) {
     projects.push({
       id: projectData.id,
       name: projectData.name,
       availableSeats: available,
+      showId: projectData.showId,
+      performance: projectData.performance,
       rows: projectData.rows,
       cols: projectData.cols,
+      sections: projectData.sections,
       createdAt: projectData.createdAt,
       updatedAt: projectData.updatedAt ?? Date.now(),
     });
@@ -673,17 +1203,17 @@ const updateProjectOptionStats = (projectData = activeProject) => {
 
 const updateAutoSelectOptions = () => {
   if (!activeProject) {
-    autoSelectPrice.innerHTML = '<option value="any">全部价位</option>';
+    autoSelectZone.innerHTML = '<option value="any">全部票区</option>';
     return;
   }
-  const options = ['<option value="any">全部价位</option>'];
+  const previous = autoSelectZone.value;
+  const options = ['<option value="any">全部票区</option>'];
   zoneSummaryData.forEach((item) => {
-    const value = item.price == null ? 'null' : String(item.price);
-    const label = item.price != null ? `¥${item.price}` : '未设置票价';
-    options.push(`<option value="${value}">${label}</option>`);
+    const value = item.zone ? item.zone.id : 'null';
+    options.push(`<option value="${value}">${formatZoneLabel(item.zone)}</option>`);
   });
-  autoSelectPrice.innerHTML = options.join('');
-  autoSelectPrice.value = 'any';
+  autoSelectZone.innerHTML = options.join('');
+  autoSelectZone.value = [...autoSelectZone.options].some((opt) => opt.value === previous) ? previous : 'any';
 };
 
 const updateZoneSummary = () => {
@@ -696,13 +1226,15 @@ const updateZoneSummary = () => {
   const summaryMap = new Map();
   Object.values(activeProject.seats || {}).forEach((seat) => {
     if (!seat || seat.status === 'disabled') return;
-    const key = seat.price ?? null;
+    const zone = getZone(seat.zoneId);
+    const key = zone ? zone.id : null;
     if (!summaryMap.has(key)) {
       summaryMap.set(key, {
-        price: key,
+        zone,
         total: 0,
         available: 0,
         locked: 0,
+        held: 0,
         sold: 0,
       });
     }
@@ -712,15 +1244,17 @@ const updateZoneSummary = () => {
       bucket.sold += 1;
     } else if (seat.status === 'locked') {
       bucket.locked += 1;
+    } else if (seat.status === 'held') {
+      bucket.held += 1;
     } else {
       bucket.available += 1;
     }
   });
   zoneSummaryData = [...summaryMap.values()].sort((a, b) => {
-    if (a.price == null && b.price == null) return 0;
-    if (a.price == null) return 1;
-    if (b.price == null) return -1;
-    return b.price - a.price;
+    if (!a.zone && !b.zone) return 0;
+    if (!a.zone) return 1;
+    if (!b.zone) return -1;
+    return b.zone.price - a.zone.price;
   });
   if (!zoneSummaryData.length) {
     salesZoneSummaryList.innerHTML = '<li>暂无启用座位</li>';
@@ -730,8 +1264,13 @@ const updateZoneSummary = () => {
   const fragment = document.createDocumentFragment();
   zoneSummaryData.forEach((item) => {
     const li = document.createElement('li');
-    const label = item.price != null ? `¥${item.price}` : '未设置票价';
-    li.textContent = `${label}：可售 ${item.available} / 锁定 ${item.locked} / 已售 ${item.sold}`;
+    if (item.zone) {
+      li.innerHTML = `<span class="price-chip" style="--chip-color: ${item.zone.color};"></span>`;
+      if (item.zone.description) {
+        li.title = item.zone.description;
+      }
+    }
+    li.append(`${formatZoneLabel(item.zone)}：可售 ${item.available} / 锁定 ${item.locked} / 预留 ${item.held} / 已售 ${item.sold}`);
     fragment.appendChild(li);
   });
   salesZoneSummaryList.innerHTML = '';
@@ -741,6 +1280,8 @@ const updateZoneSummary = () => {
 
 const adjustStageLabel = () => {
   if (!stageLabelEl || !activeProject) return;
+  const sections = getProjectSections();
+  stageLabelEl.hidden = sections.length > 1 || sections[0].stageOrientation !== 'top';
   const cols = activeProject.cols || 1;
   const scale = Math.min(1.4, Math.max(0.6, cols / 20));
   stageLabelEl.style.transform = `translateX(-50%) scale(${scale.toFixed(2)})`;
@@ -756,6 +1297,7 @@ const updateSeatElement = (seatId) => {
     'seat--available',
     'seat--locked',
     'seat--held',
+    'seat--reserved',
     'seat--sold',
     'seat--priced'
   );
@@ -763,6 +1305,13 @@ const updateSeatElement = (seatId) => {
   const fallbackNumber = button.dataset.col || '';
   button.textContent = extractSeatNumber(seat, fallbackNumber);
   button.dataset.label = seat?.seatLabel || '';
+  const attributes = getSeatAttributes(seat);
+  if (attributes.length) {
+    const badge = document.createElement('span');
+    badge.className = 'seat-attrs';
+    badge.textContent = attributes.map((attribute) => attribute.icon).join('');
+    button.appendChild(badge);
+  }
 
   let disable = false;
 
@@ -772,6 +1321,9 @@ const updateSeatElement = (seatId) => {
   } else if (seat.status === 'sold') {
     button.classList.add('seat--sold');
     disable = true;
+  } else if (seat.status === 'held' && !canSellHeldSeat(seat)) {
+    button.classList.add('seat--reserved');
+    disable = true;
   } else if (seat.status === 'locked') {
     if (seat.lockedBy === mySocketId) {
       button.classList.add('seat--locked');
@@ -785,19 +1337,23 @@ const updateSeatElement = (seatId) => {
 
   const allowPriceColor =
     seat &&
-    seat.price != null &&
-    priceColorMap.has(seat.price) &&
+    zoneColorMap.has(seat.zoneId) &&
     seat.status !== 'sold' &&
+    (seat.status !== 'held' || canSellHeldSeat(seat)) &&
     (seat.status !== 'locked' || seat.lockedBy === mySocketId);
   if (allowPriceColor) {
     button.classList.add('seat--priced');
-    button.style.setProperty('--seat-price-color', priceColorMap.get(seat.price));
+    button.style.setProperty('--seat-price-color', zoneColorMap.get(seat.zoneId));
   }
 
   button.disabled = disable;
   const rowIndex = Number(button.dataset.row ?? '-1');
+  const hold = seat?.holdId ? getHold(seat.holdId) : null;
+  const attributeText = attributes.map((attribute) => attribute.label).join('、');
   button.title = seat && seat.seatLabel
-    ? `${seat.seatLabel}${seat.price != null ? `| ¥${seat.price}` : ''}`
+    ? `${seat.seatLabel}${seat.price != null ? `| ¥${seat.price}` : ''}${attributeText ? `| ${attributeText}` : ''}${
+        hold ? `| 预留：${hold.name}` : ''
+      }`
     : `行 ${Number.isNaN(rowIndex) ? '-' : rowIndex + 1} / 列 ${button.dataset.col}`;
 };
 
@@ -809,8 +1365,8 @@ const handleSeatGridClick = (event) => {
   const seatId = button.dataset.seatId;
   const currentSeat = activeProject.seats[seatId];
   if (!currentSeat) return;
-  if (currentSeat.status === 'available') {
-    socket.emit('lock-seat', { projectId: activeProject.id, seatId }, (resp) => {
+  if (currentSeat.status === 'available' || canSellHeldSeat(currentSeat)) {
+    emitWithLimitOverride('lock-seat', { projectId: activeProject.id, seatId }).then((resp) => {
       if (!resp.ok) {
         showStatus(resp.message, true);
       } else {
@@ -836,7 +1392,7 @@ const handleSeatGridClick = (event) => {
         } else {
           const seatRef = activeProject.seats[seatId];
           if (seatRef) {
-            seatRef.status = 'available';
+            seatRef.status = seatRef.holdId ? 'held' : 'available';
             seatRef.lockedBy = null;
             showStatus(`${formatSeatLabel(seatRef)} 已取消选中。`);
           } else {
@@ -865,23 +1421,27 @@ const bindSeatGridEvents = (grid) => {
   grid.addEventListener('click', handleSeatGridClick);
 };
 
-const buildSeatGrid = (force = false) => {
-  if (!activeProject) {
-    resetSeatCanvas();
-    return;
-  }
-  const { rows, cols } = activeProject;
-  const signature = `${rows}x${cols}`;
-  if (!force && seatGridElement && seatGridSignature === signature) {
-    computePriceColorMap();
-    Object.keys(activeProject.seats).forEach(updateSeatElement);
-    updateZoneSummary();
-    adjustStageLabel();
-    return;
-  }
-  seatGridSignature = signature;
-  seatCanvas.innerHTML = '';
-  seatElements.clear();
+const buildSectionFrame = (section, content) => {
+  const frame = document.createElement('section');
+  frame.className = `seat-section seat-section--stage-${section.stageOrientation || 'top'}`;
+  frame.dataset.section = section.id;
+  const title = document.createElement('header');
+  title.className = 'seat-section__title';
+  title.textContent = section.name;
+  const body = document.createElement('div');
+  body.className = 'seat-section__body';
+  const stage = document.createElement('div');
+  stage.className = 'seat-section__stage';
+  stage.textContent = '舞台';
+  body.appendChild(stage);
+  body.appendChild(content);
+  frame.appendChild(title);
+  frame.appendChild(body);
+  return frame;
+};
+
+const buildSectionGrid = (section) => {
+  const { rows, cols } = section;
   const container = document.createElement('div');
   container.className = 'seat-grid-container';
 
@@ -897,28 +1457,34 @@ const buildSeatGrid = (force = false) => {
   const content = document.createElement('div');
   content.className = 'seat-grid-content';
 
+  const rowOrder = [...Array(rows).keys()];
+  if (section.stageOrientation === 'bottom') {
+    rowOrder.reverse();
+  }
+
   const rowsHeader = document.createElement('div');
   rowsHeader.className = 'seat-grid-rows';
   rowsHeader.style.gridTemplateRows = `repeat(${rows}, 34px)`;
-  for (let row = 0; row < rows; row += 1) {
+  rowOrder.forEach((row) => {
     const label = document.createElement('span');
     label.textContent = String(row + 1);
     rowsHeader.appendChild(label);
-  }
+  });
 
   const grid = document.createElement('div');
   grid.className = 'seat-grid';
   grid.style.gridTemplateColumns = `repeat(${cols}, 34px)`;
   const fragment = document.createDocumentFragment();
 
-  for (let row = 0; row < rows; row += 1) {
+  rowOrder.forEach((row) => {
     for (let col = 0; col < cols; col += 1) {
-      const id = seatKey(row, col);
+      const id = seatKey(row, col, section.id);
       const seat = activeProject.seats[id];
       const button = document.createElement('button');
       button.type = 'button';
       button.className = 'seat-button';
       button.dataset.seatId = id;
+      button.dataset.section = section.id;
       button.dataset.row = String(row);
       button.dataset.col = String(col + 1);
       button.title = seat?.seatLabel || `行 ${row + 1} / 列 ${col + 1}`;
@@ -928,7 +1494,7 @@ const buildSeatGrid = (force = false) => {
       fragment.appendChild(button);
       seatElements.set(id, button);
     }
-  }
+  });
 
   grid.appendChild(fragment);
   bindSeatGridEvents(grid);
@@ -936,10 +1502,39 @@ const buildSeatGrid = (force = false) => {
   content.appendChild(grid);
   container.appendChild(columnsHeader);
   container.appendChild(content);
-  seatCanvas.appendChild(container);
-  seatGridElement = grid;
+  return container;
+};
+
+const buildSeatGrid = (force = false) => {
+  if (!activeProject) {
+    resetSeatCanvas();
+    return;
+  }
+  const sections = getProjectSections();
+  const signature = sections
+    .map((section) => `${section.id}:${section.rows}x${section.cols}:${section.stageOrientation}:${section.name}`)
+    .join('|');
+  if (!force && seatGridElement && seatGridSignature === signature) {
+    computeZoneColorMap();
+    Object.keys(activeProject.seats).forEach(updateSeatElement);
+    updateZoneSummary();
+    adjustStageLabel();
+    return;
+  }
+  seatGridSignature = signature;
+  seatCanvas.innerHTML = '';
+  seatElements.clear();
+  const framed = sections.length > 1 || sections[0].stageOrientation !== 'top';
+  const wrapper = document.createElement('div');
+  wrapper.className = 'seat-sections';
+  sections.forEach((section) => {
+    const container = buildSectionGrid(section);
+    wrapper.appendChild(framed ? buildSectionFrame(section, container) : container);
+  });
+  seatCanvas.appendChild(wrapper);
+  seatGridElement = wrapper;
   seatCanvas.dataset.gridSignature = signature;
-  computePriceColorMap();
+  computeZoneColorMap();
   Object.keys(activeProject.seats).forEach(updateSeatElement);
   updateZoneSummary();
   adjustStageLabel();
@@ -952,69 +1547,702 @@ const getSelfLockedSeats = () => {
   );
 };
 
-const findAutoSelection = (priceFilter, count) => {
+// attributeRules maps an attribute id to 'require' (at least one seat in the block has it)
+// or 'avoid' (no seat in the block has it).
+const findAutoSelection = (zoneFilter, count, attributeRules = {}) => {
   if (!activeProject) return null;
-  const matchesPrice = (seat) => {
-    if (priceFilter === 'any') return true;
-    if (priceFilter === null) return seat.price == null;
-    return Number(seat.price) === Number(priceFilter);
+  const required = Object.keys(attributeRules).filter((id) => attributeRules[id] === 'require');
+  const avoided = Object.keys(attributeRules).filter((id) => attributeRules[id] === 'avoid');
+  const matchesZone = (seat) => {
+    if (zoneFilter === 'any') return true;
+    return (seat.zoneId || null) === zoneFilter;
   };
-  const center = (activeProject.cols - 1) / 2;
+  const isEligible = (seat) => !avoided.some((id) => seat.attributes?.includes(id));
+  const coversRequired = (group) =>
+    required.every((id) => group.some((entry) => entry.seat.attributes?.includes(id)));
   let best = null;
-  for (let row = 0; row < activeProject.rows; row += 1) {
-    let streak = [];
-    for (let col = 0; col < activeProject.cols; col += 1) {
-      const id = seatKey(row, col);
-      const seat = activeProject.seats[id];
-      if (seat && seat.status === 'available' && matchesPrice(seat)) {
-        streak.push({ id, seat });
-        if (streak.length === count) {
-          const group = streak.slice();
-          const midPoint = (group[0].seat.col + group[group.length - 1].seat.col) / 2;
-          const distance = Math.abs(midPoint - center);
-          if (
-            !best ||
-            row < best.row ||
-            (row === best.row && distance < best.distance)
-          ) {
-            best = {
-              row,
-              distance,
-              seats: group.map((entry) => entry.id),
-            };
+  // Sections are tried in layout order; within a section, front rows and centred blocks win.
+  getProjectSections().some((section) => {
+    const center = (section.cols - 1) / 2;
+    for (let row = 0; row < section.rows; row += 1) {
+      let streak = [];
+      for (let col = 0; col < section.cols; col += 1) {
+        const id = seatKey(row, col, section.id);
+        const seat = activeProject.seats[id];
+        if (seat && seat.status === 'available' && matchesZone(seat) && isEligible(seat)) {
+          streak.push({ id, seat });
+          if (streak.length === count) {
+            const group = streak.slice();
+            if (!coversRequired(group)) {
+              streak.shift();
+              continue;
+            }
+            const midPoint = (group[0].seat.col + group[group.length - 1].seat.col) / 2;
+            const distance = Math.abs(midPoint - center);
+            if (
+              !best ||
+              row < best.row ||
+              (row === best.row && distance < best.distance)
+            ) {
+              best = {
+                row,
+                distance,
+                seats: group.map((entry) => entry.id),
+              };
+            }
+            streak.shift();
           }
-          streak.shift();
+        } else {
+          streak = [];
         }
-      } else {
-        streak = [];
       }
     }
-  }
+    return Boolean(best);
+  });
   return best ? best.seats : null;
 };
 
+const exchangeIntoSeat = async (seatId) => {
+  const target = activeProject.seats[seatId];
+  if (!target) return;
+  const ticketCode = window.prompt(`将原票换至 ${formatSeatLabel(target)}，请输入或扫描原票票码：`, '');
+  if (!ticketCode || !ticketCode.trim()) return;
+  const keepTicketCode = window.confirm('是否保留原票码？\n确定：原票继续有效；取消：作废原票，改用本座位的票。');
+  const resp = await emitAsync('seat:exchange', {
+    projectId: activeProject.id,
+    ticketCode: ticketCode.trim(),
+    targetSeatId: seatId,
+    keepTicketCode,
+  });
+  if (!resp.ok) {
+    showStatus(resp.message || '换座失败', true);
+    return;
+  }
+  const { exchange } = resp;
+  const adjustment =
+    exchange.adjustment === 'charge'
+      ? `请收取差价 ¥${exchange.priceDifference}`
+      : exchange.adjustment === 'refund'
+        ? `请退还差价 ¥${-exchange.priceDifference}`
+        : '票价相同，无需补退差价';
+  showStatus(
+    `已从 ${exchange.fromSeatDisplay} 换至 ${exchange.toSeatDisplay}，${
+      exchange.reissued ? `原票已作废，请交付新票 ${exchange.ticketNumber}` : '原票继续有效'
+    }。${adjustment}。`
+  );
+};
+
+const getTicketType = (typeId) => (activeProject?.ticketTypes || []).find((type) => type.id === typeId) || null;
+
+const getSeatSalePrice = (seat, seatId) => {
+  const type = getTicketType(seatTicketTypes.get(seatId));
+  if (!type) return seat.price || 0;
+  if (type.pricing === 'fixed') return type.price;
+  return Math.round((seat.price || 0) * type.discountRate * 100) / 100;
+};
+
+const readCustomer = ([nameInput, gradeInput, phoneInput, studentIdInput]) => {
+  const customer = {
+    name: nameInput.value.trim(),
+    grade: gradeInput.value.trim(),
+    phone: phoneInput.value.trim(),
+    studentId: studentIdInput ? studentIdInput.value.trim() : '',
+  };
+  return customer.name || customer.grade || customer.phone || customer.studentId ? customer : null;
+};
+
+const clearCustomer = (inputs) => {
+  inputs.forEach((input) => {
+    input.value = '';
+  });
+};
+
+// Phones arrive masked (138****5678): match the last digits, or the visible ends of a full number.
+const matchesCustomer = (customer, query) => {
+  if (!customer || !query) return false;
+  const phone = customer.phone || '';
+  const digits = query.replace(/\D/g, '');
+  if (digits && phone.includes(digits)) return true;
+  if (digits.length >= 7 && phone.startsWith(digits.slice(0, 3)) && phone.endsWith(digits.slice(-4))) return true;
+  return [customer.name, customer.grade, customer.studentId].some(
+    (value) => value && value.toLowerCase().includes(query)
+  );
+};
+
+const readAmountReceived = () => {
+  const value = inputAmountReceived.value.trim();
+  return value === '' ? null : Number(value);
+};
+
+// Checkout modes apply to the whole sale, so seats already issued in it count towards the discount.
+const getTicketSaleTotals = () => {
+  const lockedSeats = getSelfLockedSeats();
+  const lockedTotal = lockedSeats.reduce(
+    (sum, seat) => sum + getSeatSalePrice(seat, seatKey(seat.row, seat.col, seat.sectionId)),
+    0
+  );
+  const totalBefore = Math.round(((currentSale?.totalBefore || 0) + lockedTotal) * 100) / 100;
+  const quantity = (currentSale?.seats.length || 0) + lockedSeats.length;
+  return applyCheckoutModeToTotal(getSelectedCheckoutMode(selectTicketCheckoutMode), totalBefore, quantity);
+};
+
+const updatePaymentSummary = () => {
+  const { totalAfter: due, discount, mode } = getTicketSaleTotals();
+  const received = readAmountReceived();
+  const parts = [`应收 ${formatCurrency(due)}`];
+  if (discount) {
+    parts.push(`${mode.name} -${formatCurrency(discount)}`);
+  }
+  if (received !== null && Number.isFinite(received)) {
+    parts.push(received >= due ? `找零 ${formatCurrency(received - due)}` : `还差 ${formatCurrency(due - received)}`);
+  }
+  if (currentSale) {
+    parts.push(`本单已签发 ${currentSale.seats.length} 张`);
+  }
+  paymentSummaryEl.textContent = parts.join(' · ');
+};
+
+const resetCurrentSale = () => {
+  currentSale = null;
+  inputAmountReceived.value = '';
+  clearCustomer(customerInputs);
+  updatePaymentSummary();
+};
+
+const getCombinedTotals = () => {
+  const seats = getSelfLockedSeats();
+  const ticketTotal = seats.reduce(
+    (sum, seat) => sum + getSeatSalePrice(seat, seatKey(seat.row, seat.col, seat.sectionId)),
+    0
+  );
+  const products = {};
+  let merchTotal = 0;
+  let itemCount = 0;
+  merchCart.forEach((entry) => {
+    const product = merchCatalog.find((item) => item.id === entry.productId);
+    if (!product) return;
+    products[entry.productId] = entry.quantity;
+    merchTotal += product.price * entry.quantity;
+    itemCount += entry.quantity;
+  });
+  const totalBefore = Math.round((ticketTotal + merchTotal) * 100) / 100;
+  return {
+    ticketTotal,
+    merchTotal,
+    ...applyCheckoutModeToTotal(
+      getSelectedCheckoutMode(selectCombinedCheckoutMode),
+      totalBefore,
+      seats.length + itemCount,
+      { tickets: seats.length, products }
+    ),
+  };
+};
+
+const renderCombinedCheckout = () => {
+  const previousProduct = selectCombinedProduct.value;
+  selectCombinedProduct.innerHTML = merchCatalog
+    .filter((product) => product.stock > 0)
+    .map((product) => `<option value="${product.id}">${product.name}（${formatCurrency(product.price)}）</option>`)
+    .join('');
+  if (merchCatalog.some((product) => product.id === previousProduct)) {
+    selectCombinedProduct.value = previousProduct;
+  }
+  btnCombinedAdd.disabled = !selectCombinedProduct.options.length;
+  combinedMerchList.innerHTML = '';
+  merchCart.forEach((entry) => {
+    const product = merchCatalog.find((item) => item.id === entry.productId);
+    if (!product) return;
+    const li = document.createElement('li');
+    li.className = 'selected-item';
+    li.dataset.id = entry.productId;
+    li.innerHTML = `
+      <div class="selected-item__info">
+        <strong>${product.name} × ${entry.quantity}</strong>
+        <span>${formatCurrency(product.price * entry.quantity)}</span>
+      </div>
+      <div class="selected-item__actions">
+        <button class="button" data-action="remove" type="button">删除</button>
+      </div>
+    `;
+    combinedMerchList.appendChild(li);
+  });
+  const { ticketTotal, merchTotal, totalAfter, discount, mode } = getCombinedTotals();
+  const parts = [`门票 ${formatCurrency(ticketTotal)} + 文创 ${formatCurrency(merchTotal)}`];
+  if (discount) {
+    parts.push(`${mode.name} -${formatCurrency(discount)}`);
+  }
+  parts.push(`应收 ${formatCurrency(totalAfter)}`);
+  const received = readAmountReceived();
+  if (received !== null && Number.isFinite(received) && received >= totalAfter) {
+    parts.push(`找零 ${formatCurrency(received - totalAfter)}`);
+  }
+  combinedSummaryEl.textContent = parts.join(' · ');
+  btnCombinedCheckout.disabled = !merchCart.length || Boolean(currentSale);
+};
+
+const submitCombinedCheckout = async () => {
+  if (!activeProject) {
+    showStatus('请选择项目后再操作。', true);
+    return;
+  }
+  if (currentSale) {
+    showStatus('请先完成当前售票单，再进行合并结账。', true);
+    return;
+  }
+  const amountReceived = readAmountReceived();
+  if (amountReceived !== null && (!Number.isFinite(amountReceived) || amountReceived < 0)) {
+    showStatus('实收金额必须为非负数字。', true);
+    return;
+  }
+  const seats = getSelfLockedSeats();
+  try {
+    await Promise.all(
+      seats
+        .filter((seat) => !seat.ticketCode)
+        .map((seat) => requestTicketCode(seatKey(seat.row, seat.col, seat.sectionId)))
+    );
+  } catch (error) {
+    showStatus(error.message, true);
+    return;
+  }
+  btnCombinedCheckout.disabled = true;
+  showStatus('正在合并结账...');
+  const resp = await emitWithLimitOverride('checkout:submit', {
+    projectId: activeProject.id,
+    seats: seats.map((seat) => {
+      const id = seatKey(seat.row, seat.col, seat.sectionId);
+      return { seatId: id, ticketCode: seat.ticketCode, ticketTypeId: seatTicketTypes.get(id) || null };
+    }),
+    merchItems: merchCart.map((item) => ({ productId: item.productId, quantity: item.quantity })),
+    checkoutModeId: selectCombinedCheckoutMode.value || null,
+    paymentMethod: selectPaymentMethod.value,
+    amountReceived,
+    customer: readCustomer(customerInputs),
+  });
+  if (!resp.ok) {
+    showStatus(resp.message || '合并结账失败', true);
+    renderCombinedCheckout();
+    return;
+  }
+  (resp.sale?.seats || []).forEach(({ seatId }) => {
+    const seat = activeProject.seats[seatId];
+    if (seat) {
+      seat.status = 'sold';
+      seat.lockedBy = null;
+      seat.lockExpiresAt = null;
+      seat.issuedAt = Date.now();
+    }
+    seatTicketTypes.delete(seatId);
+    updateSeatElement(seatId);
+  });
+  merchCart = [];
+  inputAmountReceived.value = '';
+  clearCustomer(customerInputs);
+  updateSelectedList();
+  updateProjectOptionStats();
+  updateZoneSummary();
+  await fetchMerchData();
+  const change = resp.checkout.changeGiven ? `，找零 ${formatCurrency(resp.checkout.changeGiven)}` : '';
+  showStatus(`合并结账完成：应收 ${formatCurrency(resp.checkout.totalAmount)}${change}。`);
+  window.open(`/api/checkouts/${resp.checkout.id}/receipt`, '_blank');
+};
+
+inputAmountReceived.addEventListener('input', () => {
+  updatePaymentSummary();
+  renderCombinedCheckout();
+});
+selectCombinedCheckoutMode.addEventListener('change', renderCombinedCheckout);
+btnCombinedAdd.addEventListener('click', () => addProductToCart(selectCombinedProduct.value));
+btnCombinedCheckout.addEventListener('click', submitCombinedCheckout);
+
+const RESERVATION_STATUS_LABELS = {
+  pending: '待付款',
+  paid: '已在线支付',
+  confirmed: '已出票',
+  cancelled: '已取消',
+  expired: '已过期',
+};
+
+const renderReservations = () => {
+  reservationList.innerHTML = '';
+  const reservation = selectedReservation;
+  const active = reservation && (reservation.status === 'pending' || reservation.status === 'paid');
+  btnReservationConfirm.disabled = !active;
+  btnReservationCancel.disabled = !active;
+  if (!reservation) {
+    reservationDetail.textContent = activeReservations.length ? '' : '暂无待取票的预约。';
+    activeReservations.forEach((entry) => {
+      const li = document.createElement('li');
+      li.className = 'selected-item';
+      li.innerHTML = `
+        <div class="selected-item__info">
+          <strong>${entry.code}</strong>
+          <span></span>
+        </div>
+        <div class="selected-item__actions">
+          <button class="button button--secondary" type="button" data-code="${entry.code}">查看</button>
+        </div>
+      `;
+      li.querySelector('span').textContent = `${entry.customer?.name || '-'} · ${entry.seats.length} 座 · ${
+        RESERVATION_STATUS_LABELS[entry.status]
+      }`;
+      reservationList.appendChild(li);
+    });
+    return;
+  }
+  // Concessions are only offered when the buyer pays at the counter.
+  const ticketTypes = reservation.paid ? [] : activeProject?.ticketTypes || [];
+  reservation.seats.forEach((seat) => {
+    const li = document.createElement('li');
+    li.className = 'selected-item';
+    li.innerHTML = `
+      <div class="selected-item__info">
+        <strong>${seat.seatDisplay}</strong>
+        <span>票价：${formatCurrency(seat.price)}</span>
+      </div>
+    `;
+    if (active && ticketTypes.length) {
+      const typeSelect = document.createElement('select');
+      typeSelect.dataset.seatId = seat.seatId;
+      typeSelect.setAttribute('aria-label', '票种');
+      typeSelect.innerHTML = [`<option value="">全价（¥${seat.price ?? 0}）</option>`]
+        .concat(ticketTypes.map((type) => `<option value="${type.id}">${type.name}</option>`))
+        .join('');
+      li.querySelector('.selected-item__info').appendChild(typeSelect);
+    }
+    reservationList.appendChild(li);
+  });
+  const customer = [reservation.customer?.name, reservation.customer?.grade, reservation.customer?.phone]
+    .filter(Boolean)
+    .join(' · ');
+  const expiry =
+    reservation.status === 'pending' && reservation.expiresAt
+      ? `，保留至 ${new Date(reservation.expiresAt).toLocaleTimeString()}`
+      : '';
+  reservationDetail.textContent = `预约 ${reservation.code}：${customer}，${RESERVATION_STATUS_LABELS[reservation.status]}${expiry}，合计 ${formatCurrency(
+    reservation.total
+  )}`;
+};
+
+const fetchReservations = async (code = '') => {
+  if (!activeProject) {
+    activeReservations = [];
+    selectedReservation = null;
+    renderReservations();
+    return;
+  }
+  try {
+    const query = code ? `?code=${encodeURIComponent(code)}` : '';
+    const response = await authFetch(`/api/projects/${activeProject.id}/reservations${query}`);
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '获取预约失败');
+    }
+    const { reservations } = await response.json();
+    if (code) {
+      selectedReservation = reservations[0] || null;
+      if (!selectedReservation) showStatus(`未找到预约码 ${code}。`, true);
+    } else {
+      activeReservations = reservations.filter((entry) => entry.status === 'pending' || entry.status === 'paid');
+      selectedReservation = null;
+    }
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+  renderReservations();
+};
+
+const confirmReservation = async () => {
+  if (!activeProject || !selectedReservation) return;
+  const amountReceived = readAmountReceived();
+  if (amountReceived !== null && (!Number.isFinite(amountReceived) || amountReceived < 0)) {
+    showStatus('实收金额必须为非负数字。', true);
+    return;
+  }
+  const ticketTypeIds = Object.fromEntries(
+    [...reservationList.querySelectorAll('select[data-seat-id]')]
+      .filter((select) => select.value)
+      .map((select) => [select.dataset.seatId, select.value])
+  );
+  btnReservationConfirm.disabled = true;
+  const resp = await emitWithLimitOverride('reservation:confirm', {
+    projectId: activeProject.id,
+    code: selectedReservation.code,
+    ticketTypeIds,
+    paymentMethod: selectPaymentMethod.value,
+    amountReceived,
+  });
+  if (!resp.ok) {
+    showStatus(resp.message || '出票失败', true);
+    renderReservations();
+    return;
+  }
+  resp.sale.seats.forEach(({ seatId }) => {
+    const seat = activeProject.seats[seatId];
+    if (seat) {
+      seat.status = 'sold';
+      seat.lockedBy = null;
+      seat.lockExpiresAt = null;
+    }
+    updateSeatElement(seatId);
+  });
+  inputAmountReceived.value = '';
+  inputReservationCode.value = '';
+  updateProjectOptionStats();
+  updateZoneSummary();
+  const change = resp.sale.changeGiven ? `，找零 ${formatCurrency(resp.sale.changeGiven)}` : '';
+  showStatus(`预约 ${resp.reservation.code} 已出票：应收 ${formatCurrency(resp.sale.totalAmount)}${change}。`);
+  await fetchReservations();
+};
+
+const cancelReservation = async () => {
+  if (!activeProject || !selectedReservation) return;
+  if (!window.confirm(`确定取消预约 ${selectedReservation.code} 吗？座位将重新开放。`)) return;
+  const payload = {};
+  if (selectedReservation.paid) {
+    // Online payments are refunded as part of the cancellation.
+    const reason = window.prompt('该预约已在线支付，请输入退款原因：', '');
+    if (!reason || !reason.trim()) return;
+    const amount = window.prompt('退款金额：', String(selectedReservation.payment?.amount ?? selectedReservation.total));
+    if (amount === null) return;
+    payload.reason = reason.trim();
+    payload.amount = amount.trim() === '' ? undefined : Number(amount);
+  }
+  try {
+    const response = await authFetch(
+      `/api/projects/${activeProject.id}/reservations/${selectedReservation.code}/cancel`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      }
+    );
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '取消失败');
+    }
+    const data = await response.json();
+    const refunded = data.refund ? `，已登记在线退款 ${formatCurrency(data.refund.amount)}` : '';
+    showStatus(`预约 ${selectedReservation.code} 已取消${refunded}。`);
+    inputReservationCode.value = '';
+    await fetchReservations();
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+};
+
+btnReservationLookup.addEventListener('click', () => fetchReservations(inputReservationCode.value.trim().toUpperCase()));
+inputReservationCode.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    fetchReservations(inputReservationCode.value.trim().toUpperCase());
+  }
+});
+reservationList.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-code]');
+  if (!button) return;
+  selectedReservation = activeReservations.find((entry) => entry.code === button.dataset.code) || null;
+  renderReservations();
+});
+btnReservationConfirm.addEventListener('click', confirmReservation);
+btnReservationCancel.addEventListener('click', cancelReservation);
+
+const WAITLIST_STATUS_LABELS = {
+  waiting: '候补中',
+  offered: '已留座',
+  fulfilled: '已出票',
+  expired: '留座已过期',
+  cancelled: '已取消',
+};
+
+const renderWaitlist = () => {
+  const currentZone = selectWaitlistZone.value;
+  selectWaitlistZone.innerHTML = ['<option value="">任意票区</option>']
+    .concat((activeProject?.zones || []).map((zone) => `<option value="${zone.id}">${zone.name}（¥${zone.price}）</option>`))
+    .join('');
+  selectWaitlistZone.value = getZone(currentZone) ? currentZone : '';
+  waitlistList.innerHTML = '';
+  const open = waitlist.filter((entry) => entry.status === 'waiting' || entry.status === 'offered');
+  if (!open.length) {
+    waitlistList.innerHTML = '<li class="hint">暂无候补。</li>';
+    return;
+  }
+  open.forEach((entry, index) => {
+    const li = document.createElement('li');
+    li.className = 'selected-item';
+    li.innerHTML = `
+      <div class="selected-item__info">
+        <strong>#${index + 1} ${WAITLIST_STATUS_LABELS[entry.status]}</strong>
+        <span></span>
+      </div>
+      <div class="selected-item__actions">
+        ${
+          entry.status === 'waiting'
+            ? `<button class="button button--secondary" type="button" data-action="offer" data-id="${entry.id}">留座</button>`
+            : `<button class="button button--secondary" type="button" data-action="pickup" data-code="${entry.reservationCode}">取票</button>`
+        }
+        <button class="button button--link" type="button" data-action="cancel" data-id="${entry.id}">取消</button>
+      </div>
+    `;
+    li.querySelector('span').textContent = [
+      entry.customer?.name,
+      entry.customer?.phone,
+      `${entry.partySize} 人`,
+      entry.zoneName || '任意票区',
+      entry.reservationCode ? `预约码 ${entry.reservationCode}` : '',
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    waitlistList.appendChild(li);
+  });
+};
+
+const fetchWaitlist = async () => {
+  if (!activeProject) {
+    waitlist = [];
+    renderWaitlist();
+    return;
+  }
+  try {
+    const response = await authFetch(`/api/projects/${activeProject.id}/waitlist`);
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || '获取候补名单失败');
+    }
+    ({ waitlist } = await response.json());
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+  renderWaitlist();
+};
+
+const postWaitlist = async (path, body) => {
+  const response = await authFetch(`/api/projects/${activeProject.id}/waitlist${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {}),
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || '操作失败');
+  }
+  return data;
+};
+
+btnWaitlistAdd.addEventListener('click', async () => {
+  if (!activeProject) return;
+  const name = inputWaitlistName.value.trim();
+  const phone = inputWaitlistPhone.value.trim();
+  if (!name || !phone) {
+    showStatus('请填写候补人的姓名和手机号。', true);
+    return;
+  }
+  try {
+    const data = await postWaitlist('', {
+      customer: { name, phone },
+      partySize: Number(inputWaitlistParty.value) || 1,
+      zoneId: selectWaitlistZone.value || null,
+    });
+    inputWaitlistName.value = '';
+    inputWaitlistPhone.value = '';
+    inputWaitlistParty.value = '1';
+    showStatus(`已登记候补，当前排第 ${data.position} 位。`);
+    await fetchWaitlist();
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+btnWaitlistRefresh.addEventListener('click', fetchWaitlist);
+
+waitlistList.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action]');
+  if (!button || !activeProject) return;
+  if (button.dataset.action === 'pickup') {
+    inputReservationCode.value = button.dataset.code;
+    await fetchReservations(button.dataset.code);
+    return;
+  }
+  const entry = waitlist.find((item) => item.id === button.dataset.id);
+  if (!entry) return;
+  button.disabled = true;
+  try {
+    if (button.dataset.action === 'offer') {
+      const data = await postWaitlist(`/${entry.id}/offer`);
+      showStatus(
+        `已为 ${entry.customer?.name} 留座 ${data.reservation.seats.map((seat) => seat.seatDisplay).join('、')}，预约码 ${
+          data.reservation.code
+        }，保留至 ${new Date(data.reservation.expiresAt).toLocaleTimeString()}。`
+      );
+      await fetchReservations();
+    } else {
+      if (!window.confirm(`确定取消 ${entry.customer?.name} 的候补吗？已留的座位将重新开放。`)) return;
+      await postWaitlist(`/${entry.id}/cancel`);
+      showStatus('候补已取消。');
+    }
+    await fetchWaitlist();
+  } catch (error) {
+    showStatus(error.message, true);
+  } finally {
+    button.disabled = false;
+  }
+});
+
+socket.on('waitlist:match', ({ projectId, entry, available }) => {
+  if (!activeProject || projectId !== activeProject.id) return;
+  waitlistNotice.textContent = `有座位释放：候补 ${entry.customer?.name}（${entry.partySize} 人，${
+    entry.zoneName || '任意票区'
+  }）可安排，当前空闲 ${available} 个，请点击“留座”。`;
+  waitlistNotice.style.color = '#e14949';
+  fetchWaitlist();
+});
+combinedMerchList.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-action="remove"]');
+  if (!button) return;
+  removeCartItem(button.closest('li').dataset.id);
+});
+selectTicketCheckoutMode.addEventListener('change', () => updateSelectedList());
+
 const updateSelectedList = () => {
   const seats = getSelfLockedSeats();
   selectedList.innerHTML = '';
   let total = 0;
+  const ticketTypes = activeProject?.ticketTypes || [];
   seats
-    .sort((a, b) => {
-      if (a.row !== b.row) return a.row - b.row;
-      return a.col - b.col;
-    })
+    .sort(compareSeats(getSectionOrder()))
     .forEach((seat) => {
       const item = document.createElement('li');
       item.className = 'selected-item';
-      item.dataset.seatId = seatKey(seat.row, seat.col);
+      const id = seatKey(seat.row, seat.col, seat.sectionId);
+      item.dataset.seatId = id;
+      if (seatTicketTypes.has(id) && !getTicketType(seatTicketTypes.get(id))) {
+        seatTicketTypes.delete(id);
+      }
+      const salePrice = getSeatSalePrice(seat, id);
 
       const info = document.createElement('div');
       info.className = 'selected-item__info';
       const title = document.createElement('strong');
       title.textContent = formatSeatLabel(seat);
       const price = document.createElement('span');
-      price.textContent = `票价：¥${seat.price ?? 0}`;
+      const zone = getZone(seat.zoneId);
+      const attributeText = getSeatAttributes(seat)
+        .map((attribute) => attribute.label)
+        .join('、');
+      price.textContent = `${zone ? `${zone.name} · ` : ''}票价：¥${salePrice}${
+        attributeText ? ` · ${attributeText}` : ''
+      }`;
       info.appendChild(title);
       info.appendChild(price);
+      if (ticketTypes.length) {
+        const typeSelect = document.createElement('select');
+        typeSelect.dataset.role = 'ticket-type';
+        typeSelect.setAttribute('aria-label', '票种');
+        typeSelect.innerHTML = [`<option value="">全价（¥${seat.price ?? 0}）</option>`]
+          .concat(ticketTypes.map((type) => `<option value="${type.id}">${type.name}</option>`))
+          .join('');
+        typeSelect.value = seatTicketTypes.get(id) || '';
+        info.appendChild(typeSelect);
+      }
 
       const actions = document.createElement('div');
       actions.className = 'selected-item__actions';
@@ -1025,6 +2253,13 @@ const updateSelectedList = () => {
       issueBtn.textContent = seat.status === 'sold' ? '已签发' : '签发';
       issueBtn.disabled = seat.status === 'sold';
 
+      const exchangeBtn = document.createElement('button');
+      exchangeBtn.className = 'button';
+      exchangeBtn.type = 'button';
+      exchangeBtn.dataset.action = 'exchange';
+      exchangeBtn.textContent = '换入';
+      exchangeBtn.title = '将已售出的票换到此座位';
+
       const removeBtn = document.createElement('button');
       removeBtn.className = 'button';
       removeBtn.type = 'button';
@@ -1032,16 +2267,20 @@ const updateSelectedList = () => {
       removeBtn.textContent = '删除';
 
       actions.appendChild(issueBtn);
+      actions.appendChild(exchangeBtn);
       actions.appendChild(removeBtn);
 
       item.appendChild(info);
       item.appendChild(actions);
       selectedList.appendChild(item);
-      total += seat.price || 0;
+      total += salePrice;
     });
 
   selectedCountEl.textContent = String(seats.length);
-  selectedTotalEl.textContent = `¥${total.toFixed(2)}`;
+  const { discount } = getTicketSaleTotals();
+  selectedTotalEl.textContent = `¥${total.toFixed(2)}${discount ? `（整单优惠 -¥${discount.toFixed(2)}）` : ''}`;
+  updatePaymentSummary();
+  renderCombinedCheckout();
   if (btnClearSelected) {
     btnClearSelected.disabled = seats.length === 0;
   }
@@ -1053,6 +2292,18 @@ const updateSelectedList = () => {
   }
 };
 
+selectedList.addEventListener('change', (event) => {
+  const select = event.target.closest('select[data-role="ticket-type"]');
+  const seatId = select?.closest('.selected-item')?.dataset.seatId;
+  if (!seatId) return;
+  if (select.value) {
+    seatTicketTypes.set(seatId, select.value);
+  } else {
+    seatTicketTypes.delete(seatId);
+  }
+  updateSelectedList();
+});
+
 selectedList.addEventListener('click', (event) => {
   const button = event.target.closest('button');
   if (!button) return;
@@ -1072,6 +2323,8 @@ selectedList.addEventListener('click', (event) => {
     });
   } else if (action === 'issue') {
     beginIssuance(seatId);
+  } else if (action === 'exchange') {
+    exchangeIntoSeat(seatId);
   }
 });
 
@@ -1082,18 +2335,33 @@ const populateProjectSelect = () => {
   placeholder.disabled = true;
   placeholder.textContent = projects.length ? '请选择售票项目' : '暂无可用项目';
   projectSelect.appendChild(placeholder);
+  const buildOption = (project) => {
+    const option = document.createElement('option');
+    option.value = project.id;
+    option.textContent = formatProjectOption(project, project.availableSeats);
+    if (activeProject && activeProject.id === project.id) {
+      option.selected = true;
+    }
+    return option;
+  };
+  const showIds = new Set(shows.map((show) => show.id));
+  shows.forEach((show) => {
+    const group = document.createElement('optgroup');
+    group.label = show.name;
+    projects
+      .filter((project) => project.showId === show.id)
+      .sort(
+        (a, b) =>
+          (a.performance?.startsAt ?? Number.MAX_SAFE_INTEGER) -
+            (b.performance?.startsAt ?? Number.MAX_SAFE_INTEGER) || a.createdAt - b.createdAt
+      )
+      .forEach((project) => group.appendChild(buildOption(project)));
+    if (group.children.length) projectSelect.appendChild(group);
+  });
   projects
-    .slice()
+    .filter((project) => !project.showId || !showIds.has(project.showId))
     .sort((a, b) => b.updatedAt - a.updatedAt)
-    .forEach((project) => {
-      const option = document.createElement('option');
-      option.value = project.id;
-      option.textContent = `${project.name}（剩余 ${project.availableSeats}）`;
-      if (activeProject && activeProject.id === project.id) {
-        option.selected = true;
-      }
-      projectSelect.appendChild(option);
-    });
+    .forEach((project) => projectSelect.appendChild(buildOption(project)));
   if (!activeProject) {
     placeholder.selected = true;
   }
@@ -1106,6 +2374,7 @@ const fetchProjects = async () => {
     if (!response.ok) throw new Error('无法获取项目列表');
     const data = await response.json();
     projects = data.projects || [];
+    shows = data.shows || [];
     populateProjectSelect();
   } catch (error) {
     showStatus(error.message, true);
@@ -1128,18 +2397,33 @@ const loadProject = async (projectId) => {
     if (!response.ok) throw new Error('项目不存在或已删除');
     const data = await response.json();
     activeProject = data.project;
+    currentSale = null;
+    seatTicketTypes.clear();
     ensureActiveProjectMetadata();
-    computePriceColorMap();
+    computeZoneColorMap();
     buildSeatGrid();
     updateSelectedList();
     projectSelect.value = projectId;
     updateProjectOptionStats();
     btnAutoSelect.disabled = false;
     joinProjectRoom(projectId);
-    projectHint.textContent = `当前项目：${activeProject.name}，座位 ${activeProject.rows}×${activeProject.cols}。`;
+    const sections = getProjectSections();
+    const performance = formatPerformance(activeProject.performance);
+    const projectTitle = performance ? `${activeProject.name}（${performance}）` : activeProject.name;
+    projectHint.textContent =
+      sections.length > 1
+        ? `当前项目：${projectTitle}，共 ${sections.length} 个分区（${sections
+            .map((section) => section.name)
+            .join('、')}）。`
+        : `当前项目：${projectTitle}，座位 ${activeProject.rows}×${activeProject.cols}。`;
     showStatus('座位已同步，请选择需要签发的座位。');
+    renderCheckinGateOptions();
+    renderCheckinDirection();
     updateCheckinStats();
     renderCheckinSeatGrid();
+    fetchReservations();
+    fetchWaitlist();
+    loadCheckinManifest(projectId);
   } catch (error) {
     activeProject = null;
     resetSeatCanvas(error.message);
@@ -1331,7 +2615,23 @@ const clearPendingIssue = ({ keepMessage = false } = {}) => {
 };
 
 const issueSeat = (seatId, ticketCode) => {
-  socket.emit('seat:issue', { projectId: activeProject.id, seatId, ticketCode }, (resp) => {
+  const amountReceived = readAmountReceived();
+  if (amountReceived !== null && (!Number.isFinite(amountReceived) || amountReceived < 0)) {
+    showStatus('实收金额必须为非负数字。', true);
+    return;
+  }
+  const payload = {
+    projectId: activeProject.id,
+    seatId,
+    ticketCode,
+    ticketTypeId: seatTicketTypes.get(seatId) || null,
+    saleId: currentSale?.id || null,
+    paymentMethod: selectPaymentMethod.value,
+    amountReceived,
+    checkoutModeId: selectTicketCheckoutMode.value || null,
+    customer: readCustomer(customerInputs),
+  };
+  emitWithLimitOverride('seat:issue', payload).then((resp) => {
     if (!resp.ok) {
       showStatus(resp.message || '签发失败', true);
       showScanOverlayMessage(resp.message || '签发失败，请重试。', { visible: true });
@@ -1344,11 +2644,19 @@ const issueSeat = (seatId, ticketCode) => {
       seat.lockExpiresAt = null;
       seat.issuedAt = Date.now();
     }
+    currentSale = resp.sale || null;
+    seatTicketTypes.delete(seatId);
     updateSeatElement(seatId);
     updateSelectedList();
     updateProjectOptionStats();
     updateZoneSummary();
-    showStatus('签发成功，座位已更新。');
+    if (currentSale && !getSelfLockedSeats().length) {
+      const change = currentSale.changeGiven ? `，找零 ${formatCurrency(currentSale.changeGiven)}` : '';
+      showStatus(`本单完成：${currentSale.seats.length} 张，合计 ${formatCurrency(currentSale.totalAmount)}${change}。`);
+      resetCurrentSale();
+    } else {
+      showStatus('签发成功，座位已更新。');
+    }
     const seatLabel = seat ? formatSeatLabel(seat) : '';
     showScanOverlayMessage(
       seatLabel ? `${seatLabel} 已签发成功` : '签发成功，座位已更新。',
@@ -1388,7 +2696,7 @@ const beginIssuance = async (seatId) => {
     seatId,
     ticketCode: seat.ticketCode,
   };
-  const label = seat.seatLabel || `行${seat.row + 1}列${seat.col + 1}`;
+  const label = seat.seatLabel ? formatSeatLabel(seat) : `行${seat.row + 1}列${seat.col + 1}`;
   showScanOverlayMessage(
     scannerReady ? `请扫描 ${label} 的二维码` : '等待手动输入票码...',
     { visible: true }
@@ -1414,7 +2722,9 @@ btnManualConfirm.addEventListener('click', async () => {
     const selfSeats = getSelfLockedSeats().filter((candidate) => !candidate.ticketCode);
     try {
       await Promise.all(
-        selfSeats.map((candidate) => requestTicketCode(seatKey(candidate.row, candidate.col)))
+        selfSeats.map((candidate) =>
+          requestTicketCode(seatKey(candidate.row, candidate.col, candidate.sectionId))
+        )
       );
     } catch (error) {
       showStatus(error.message, true);
@@ -1428,7 +2738,7 @@ btnManualConfirm.addEventListener('click', async () => {
     showStatus('未找到与票码匹配的锁定座位，请确认票码或先锁定座位。', true);
     return;
   }
-  pendingIssue = { seatId: seatKey(seat.row, seat.col), ticketCode: code };
+  pendingIssue = { seatId: seatKey(seat.row, seat.col, seat.sectionId), ticketCode: code };
   showScanOverlayMessage('正在验证票码，请稍候...', { visible: true });
   issueSeat(pendingIssue.seatId, code);
 });
@@ -1440,15 +2750,34 @@ manualCodeInput.addEventListener('keydown', (event) => {
   }
 });
 
+autoSelectAttributes.innerHTML = SEAT_ATTRIBUTES.map(
+  (attribute) => `
+    <label>
+      ${attribute.icon} ${attribute.label}
+      <select data-attribute="${attribute.id}">
+        <option value="any">不限</option>
+        <option value="require">需包含</option>
+        <option value="avoid">避开</option>
+      </select>
+    </label>
+  `
+).join('');
+
 btnAutoSelect.addEventListener('click', async () => {
   if (!activeProject) {
     showStatus('请选择项目。', true);
     return;
   }
   const count = Number(autoSelectCount.value) || 1;
-  const priceValue = autoSelectPrice.value;
-  const priceFilter = priceValue === 'any' ? 'any' : priceValue === 'null' ? null : Number(priceValue);
-  const candidate = findAutoSelection(priceFilter, count);
+  const zoneValue = autoSelectZone.value;
+  const zoneFilter = zoneValue === 'null' ? null : zoneValue;
+  const attributeRules = {};
+  autoSelectAttributes.querySelectorAll('select[data-attribute]').forEach((select) => {
+    if (select.value !== 'any') {
+      attributeRules[select.dataset.attribute] = select.value;
+    }
+  });
+  const candidate = findAutoSelection(zoneFilter, count, attributeRules);
   if (!candidate || candidate.length !== count) {
     showStatus('未找到符合条件的连续座位。', true);
     return;
@@ -1512,12 +2841,12 @@ if (btnClearSelected) {
         seats.map((seat) =>
           emitAsync('unlock-seat', {
             projectId: activeProject.id,
-            seatId: seatKey(seat.row, seat.col),
+            seatId: seatKey(seat.row, seat.col, seat.sectionId),
           })
         )
       );
       seats.forEach((seat) => {
-        const seatId = seatKey(seat.row, seat.col);
+        const seatId = seatKey(seat.row, seat.col, seat.sectionId);
         const seatRef = activeProject.seats[seatId];
         if (seatRef) {
           seatRef.status = 'available';
@@ -1557,12 +2886,11 @@ socket.on('project:update', ({ projectId, project }) => {
   if (activeProject && projectId === activeProject.id) {
     activeProject = project;
     ensureActiveProjectMetadata();
-    computePriceColorMap();
-    Object.keys(activeProject.seats).forEach(updateSeatElement);
+    buildSeatGrid();
     updateSelectedList();
     updateProjectOptionStats(project);
-    updateZoneSummary();
-    adjustStageLabel();
+    renderCheckinGateOptions();
+    renderCheckinDirection();
     updateCheckinStats();
     renderCheckinSeatGrid();
     if (pendingIssue) {
@@ -1608,6 +2936,12 @@ if (btnStopCheckin) {
   });
 }
 
+inputCheckinCustomer.addEventListener('input', renderCheckinCustomerResults);
+checkinCustomerResults.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-code]');
+  if (button) submitCheckin(button.dataset.code);
+});
+
 if (btnSubmitCheckin) {
   btnSubmitCheckin.addEventListener('click', () => submitCheckin());
 }
@@ -1628,6 +2962,38 @@ if (btnRefreshCheckin) {
   });
 }
 
+if (selectCheckinGate) {
+  selectCheckinGate.addEventListener('change', () => {
+    if (!activeProject) return;
+    localStorage.setItem(checkinGateStorageKey(activeProject.id), selectCheckinGate.value);
+  });
+}
+
+if (btnDownloadManifest) {
+  btnDownloadManifest.addEventListener('click', async () => {
+    if (!activeProject) {
+      setCheckinResult('请先选择项目。', 'error');
+      return;
+    }
+    if (!navigator.onLine) {
+      renderCheckinOfflineStatus('当前离线，无法下载');
+      return;
+    }
+    await syncCheckinQueue();
+    const manifest = await loadCheckinManifest(activeProject.id);
+    renderCheckinOfflineStatus(manifest ? '离线名单已下载' : '下载离线名单失败');
+  });
+}
+
+window.addEventListener('online', () => {
+  renderCheckinOfflineStatus();
+  syncCheckinQueue();
+});
+
+window.addEventListener('offline', () => renderCheckinOfflineStatus());
+
+setInterval(syncCheckinQueue, CHECKIN_SYNC_INTERVAL);
+
 if (merchProductsContainer) {
   merchProductsContainer.addEventListener('click', (event) => {
     const button = event.target.closest('button[data-action="add-merch"]');
@@ -1670,6 +3036,7 @@ if (btnSubmitMerchOrder) {
       items: merchCart.map((item) => ({ productId: item.productId, quantity: item.quantity })),
       checkoutModeId: merchCheckoutModeSelect?.value || null,
       note: merchNoteInput?.value?.trim() || '',
+      customer: readCustomer(merchCustomerInputs),
     };
     setMerchStatus('正在提交订单...');
     try {
@@ -1689,6 +3056,7 @@ if (btnSubmitMerchOrder) {
       if (merchNoteInput) {
         merchNoteInput.value = '';
       }
+      clearCustomer(merchCustomerInputs);
       await fetchMerchData();
     } catch (error) {
       setMerchStatus(error.message, true);
@@ -1704,7 +3072,24 @@ window.addEventListener('beforeunload', () => {
   stopCheckinScanner();
 });
 
+const fetchSession = async () => {
+  try {
+    const response = await authFetch('/High_School_Musical/api/auth/session');
+    const data = await response.json();
+    currentUsername = data.username ? data.username.trim().toLowerCase() : null;
+    currentRole = data.role || null;
+  } catch {
+    currentUsername = null;
+    currentRole = null;
+  }
+  if (activeProject) {
+    Object.keys(activeProject.seats).forEach(updateSeatElement);
+  }
+};
+
 switchModule('sales');
 renderMerchCart();
+fetchSession();
 fetchProjects();
 fetchMerchData();
+refreshCheckinQueueCount();